@@ -56,6 +56,58 @@ if (!fs.existsSync(dataDir)) {
 // Create database instance
 let db: Database.Database = new Database(DB_PATH);
 
+const TRANSACTION_TYPES = ['buy', 'sell', 'transfer_in', 'transfer_out', 'dividend', 'interest', 'fee', 'deposit', 'withdrawal'];
+
+function transactionsTableSql(name: string): string {
+  return `
+    CREATE TABLE IF NOT EXISTS ${name} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      type TEXT NOT NULL CHECK(type IN (${TRANSACTION_TYPES.map(t => `'${t}'`).join(',')})),
+      quantity REAL NOT NULL DEFAULT 0,
+      price REAL NOT NULL DEFAULT 0,
+      fee REAL DEFAULT 0,
+      currency TEXT DEFAULT 'EUR',
+      fx_rate REAL DEFAULT NULL,
+      withholding_tax REAL DEFAULT 0,
+      date TEXT NOT NULL,
+      notes TEXT DEFAULT '',
+      linked_id INTEGER DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+    );`;
+}
+
+const TRANSACTION_INDEXES = `
+    CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions(account_id);
+    CREATE INDEX IF NOT EXISTS idx_transactions_symbol ON transactions(symbol);
+    CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);`;
+
+// SQLite cannot alter a CHECK constraint, so a transactions table from before the cash types is
+// copied into a new one. Foreign keys stay off meanwhile so the tags of each transaction survive.
+function migrateTransactionTypes(database: Database.Database): void {
+  const table = database.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'transactions'").get() as { sql: string } | undefined;
+  if (!table || TRANSACTION_TYPES.every(t => table.sql.includes(`'${t}'`))) return;
+
+  const columns = 'id, account_id, symbol, type, quantity, price, fee, currency, fx_rate, withholding_tax, date, notes, linked_id, created_at';
+  database.pragma('foreign_keys = OFF');
+  try {
+    database.transaction(() => {
+      database.exec(`
+        DROP TABLE IF EXISTS transactions_new;
+        ${transactionsTableSql('transactions_new')}
+        INSERT INTO transactions_new (${columns}) SELECT ${columns} FROM transactions;
+        DROP TABLE transactions;
+        ALTER TABLE transactions_new RENAME TO transactions;
+        ${TRANSACTION_INDEXES}
+      `);
+    })();
+  } finally {
+    database.pragma('foreign_keys = ON');
+  }
+}
+
 // Initialize database schema
 function initializeSchema(database: Database.Database): void {
   database.pragma('journal_mode = WAL');
@@ -78,24 +130,12 @@ function initializeSchema(database: Database.Database): void {
       description TEXT DEFAULT '',
       icon TEXT DEFAULT 'wallet',
       color TEXT DEFAULT '#6366f1',
+      cost_basis_method TEXT DEFAULT 'fifo',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
-    CREATE TABLE IF NOT EXISTS transactions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      account_id INTEGER NOT NULL,
-      symbol TEXT NOT NULL,
-      type TEXT NOT NULL CHECK(type IN ('buy','sell','transfer_in','transfer_out','dividend','interest','fee')),
-      quantity REAL NOT NULL DEFAULT 0,
-      price REAL NOT NULL DEFAULT 0,
-      fee REAL DEFAULT 0,
-      currency TEXT DEFAULT 'EUR',
-      date TEXT NOT NULL,
-      notes TEXT DEFAULT '',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
-    );
+    ${transactionsTableSql('transactions')}
 
     CREATE TABLE IF NOT EXISTS categories (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -156,10 +196,23 @@ function initializeSchema(database: Database.Database): void {
       from_currency TEXT NOT NULL,
       to_currency TEXT NOT NULL,
       rate REAL NOT NULL,
+      source TEXT DEFAULT 'manual',
+      pinned INTEGER NOT NULL DEFAULT 0,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       UNIQUE(from_currency, to_currency)
     );
 
+    CREATE TABLE IF NOT EXISTS fx_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      from_currency TEXT NOT NULL,
+      to_currency TEXT NOT NULL,
+      date TEXT NOT NULL,
+      rate REAL NOT NULL,
+      source TEXT DEFAULT 'manual',
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(from_currency, to_currency, date)
+    );
+
     CREATE TABLE IF NOT EXISTS price_cache (
       symbol TEXT PRIMARY KEY,
       price REAL NOT NULL,
@@ -175,26 +228,152 @@ function initializeSchema(database: Database.Database): void {
       total_cost REAL NOT NULL DEFAULT 0,
       base_currency TEXT DEFAULT 'EUR',
       details TEXT DEFAULT '{}',
+      dirty INTEGER NOT NULL DEFAULT 0,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       PRIMARY KEY (date)
     );
 
+    CREATE TABLE IF NOT EXISTS price_history (
+      symbol TEXT NOT NULL,
+      date TEXT NOT NULL,
+      open REAL,
+      high REAL,
+      low REAL,
+      close REAL NOT NULL,
+      volume REAL,
+      currency TEXT DEFAULT 'USD',
+      source TEXT DEFAULT '',
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (symbol, date)
+    );
+
+    CREATE TABLE IF NOT EXISTS price_history_coverage (
+      symbol TEXT PRIMARY KEY,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS valuations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT DEFAULT NULL,
+      account_id INTEGER DEFAULT NULL,
+      date TEXT NOT NULL,
+      value REAL NOT NULL,
+      currency TEXT DEFAULT 'EUR',
+      notes TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      CHECK (symbol IS NOT NULL OR account_id IS NOT NULL),
+      FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS liabilities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL DEFAULT 'loan' CHECK(type IN ('mortgage','loan','credit_card','other')),
+      currency TEXT DEFAULT 'EUR',
+      principal REAL NOT NULL DEFAULT 0,
+      interest_rate REAL NOT NULL DEFAULT 0,
+      start_date TEXT NOT NULL,
+      payment_amount REAL NOT NULL DEFAULT 0,
+      payment_frequency TEXT NOT NULL DEFAULT 'monthly' CHECK(payment_frequency IN ('weekly','monthly','quarterly','yearly')),
+      amortization TEXT NOT NULL DEFAULT 'annuity' CHECK(amortization IN ('annuity','linear')),
+      notes TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS liability_repayments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      liability_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      amount REAL NOT NULL,
+      notes TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (liability_id) REFERENCES liabilities(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS recurring_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      type TEXT NOT NULL DEFAULT 'buy' CHECK(type IN ('buy','sell','deposit','withdrawal')),
+      amount REAL DEFAULT NULL,
+      quantity REAL DEFAULT NULL,
+      price REAL DEFAULT NULL,
+      fee REAL NOT NULL DEFAULT 0,
+      currency TEXT DEFAULT 'EUR',
+      frequency TEXT NOT NULL DEFAULT 'monthly' CHECK(frequency IN ('weekly','monthly','quarterly')),
+      day INTEGER NOT NULL DEFAULT 1,
+      start_date TEXT NOT NULL,
+      end_date TEXT DEFAULT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      notes TEXT DEFAULT '',
+      last_run_date TEXT DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS recurring_executions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recurring_id INTEGER NOT NULL,
+      account_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      type TEXT NOT NULL,
+      date TEXT NOT NULL,
+      scheduled_date TEXT NOT NULL,
+      quantity REAL DEFAULT NULL,
+      price REAL DEFAULT NULL,
+      fee REAL NOT NULL DEFAULT 0,
+      currency TEXT DEFAULT 'EUR',
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','confirmed','skipped')),
+      transaction_id INTEGER DEFAULT NULL,
+      error TEXT DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(recurring_id, scheduled_date),
+      FOREIGN KEY (recurring_id) REFERENCES recurring_transactions(id) ON DELETE CASCADE,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS backfill_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      next_date TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running','paused','completed','failed')),
+      processed_days INTEGER NOT NULL DEFAULT 0,
+      total_days INTEGER NOT NULL DEFAULT 0,
+      error TEXT DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
     CREATE TABLE IF NOT EXISTS app_settings (
       key TEXT PRIMARY KEY,
       value TEXT NOT NULL,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
-    CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions(account_id);
-    CREATE INDEX IF NOT EXISTS idx_transactions_symbol ON transactions(symbol);
-    CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
+    ${TRANSACTION_INDEXES}
     CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id);
     CREATE INDEX IF NOT EXISTS idx_daily_wealth_date ON daily_wealth(date);
+    CREATE INDEX IF NOT EXISTS idx_valuations_symbol ON valuations(symbol, date);
+    CREATE INDEX IF NOT EXISTS idx_valuations_account ON valuations(account_id, date);
+    CREATE INDEX IF NOT EXISTS idx_liability_repayments ON liability_repayments(liability_id, date);
+    CREATE INDEX IF NOT EXISTS idx_recurring_executions_status ON recurring_executions(status, date);
   `);
 
   // Schema migrations for backwards compatibility
   const migrations = [
     { table: 'goals', column: 'category_id', sql: 'ALTER TABLE goals ADD COLUMN category_id INTEGER DEFAULT NULL REFERENCES categories(id) ON DELETE SET NULL' },
+    { table: 'daily_wealth', column: 'dirty', sql: 'ALTER TABLE daily_wealth ADD COLUMN dirty INTEGER NOT NULL DEFAULT 0' },
+    { table: 'currency_rates', column: 'source', sql: "ALTER TABLE currency_rates ADD COLUMN source TEXT DEFAULT 'manual'" },
+    { table: 'currency_rates', column: 'pinned', sql: 'ALTER TABLE currency_rates ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0' },
+    { table: 'transactions', column: 'fx_rate', sql: 'ALTER TABLE transactions ADD COLUMN fx_rate REAL DEFAULT NULL' },
+    { table: 'accounts', column: 'cost_basis_method', sql: "ALTER TABLE accounts ADD COLUMN cost_basis_method TEXT DEFAULT 'fifo'" },
+    { table: 'transactions', column: 'withholding_tax', sql: 'ALTER TABLE transactions ADD COLUMN withholding_tax REAL DEFAULT 0' },
+    { table: 'transactions', column: 'linked_id', sql: 'ALTER TABLE transactions ADD COLUMN linked_id INTEGER DEFAULT NULL' },
   ];
 
   for (const m of migrations) {
@@ -208,6 +387,8 @@ function initializeSchema(database: Database.Database): void {
     }
   }
 
+  migrateTransactionTypes(database);
+
   // Create indexes that depend on migrated columns
   try {
     database.exec(`
@@ -36,25 +36,25 @@ if (userCount.count === 0) {
     VALUES (?, ?, ?, ?, ?, ?)
   `).run('Commodities', 'commodity', 'EUR', 'Gold and precious metals', 'gem', '#8b5cf6');
 
-  // Create default currency rates
+  // Create default currency rates (starting values, replaced by automatic FX updates)
   db.prepare(`
-    INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate)
-    VALUES (?, ?, ?)
+    INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate, source)
+    VALUES (?, ?, ?, 'seed')
   `).run('USD', 'EUR', 0.92);
 
   db.prepare(`
-    INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate)
-    VALUES (?, ?, ?)
+    INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate, source)
+    VALUES (?, ?, ?, 'seed')
   `).run('EUR', 'USD', 1.09);
 
   db.prepare(`
-    INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate)
-    VALUES (?, ?, ?)
+    INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate, source)
+    VALUES (?, ?, ?, 'seed')
   `).run('GBP', 'EUR', 1.17);
 
   db.prepare(`
-    INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate)
-    VALUES (?, ?, ?)
+    INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate, source)
+    VALUES (?, ?, ?, 'seed')
   `).run('EUR', 'GBP', 0.86);
 
   console.log('Database seeded successfully!');
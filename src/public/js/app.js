@@ -1,7 +1,7 @@
 /* ===== Wealth Tracker - Main Entry Point ===== */
 /* Clean architecture: modules/api, modules/state, modules/utils, modules/theme, modules/modal
    components/chart, components/holdings, components/transactions, components/forms
-   pages/dashboard, pages/account, pages/symbol, pages/settings */
+   pages/dashboard, pages/account, pages/symbol, pages/settings, pages/calendar, pages/reports */
 
 import { API } from './modules/api.js';
 import { state } from './modules/state.js';
@@ -9,14 +9,15 @@ import { formatMoney, formatNumber, formatDate, esc, toast, getSymbolIcon } from
 import { initTheme, setTheme, updateThemeButtons } from './modules/theme.js';
 import { openModal, closeModal, openImportModal, closeImportModal, initModalListeners } from './modules/modal.js';
 import { renderLineChart } from './components/chart.js';
-import { renderHoldingsTable } from './components/holdings.js';
-import { renderActivityTable, transactionFormHtml, getTransactionFormData } from './components/transactions.js';
+import { renderHoldingsTable, holdingQuote } from './components/holdings.js';
+import { renderActivityTable, transactionFormHtml, getTransactionFormData, initTransactionTypeToggle, transferFormHtml, getTransferFormData } from './components/transactions.js';
 import { initSymbolSearch } from './components/forms.js';
 import { loadDashboard, loadDashboardChart } from './pages/dashboard.js';
 import { loadAccountDetail, loadAccountChart } from './pages/account.js';
-import { loadSymbolDetail, loadSymbolChart } from './pages/symbol.js';
-import { loadSettings, showAddAccountModal, showEditAccountModal, deleteAccount, showAddGoalModal, showEditGoalModal, deleteGoal, removeAllGoals, showAddTagModal, showEditTagModal, deleteTag, showAddRateModal, showEditRateModal, deleteRate } from './pages/settings.js';
-import { loadCalendar, calendarPrev, calendarNext, calendarToday, setCalendarView } from './pages/calendar.js';
+import { loadSymbolDetail, loadSymbolChart, showAddValuationModal, showEditValuationModal, deleteValuation, showTaxEstimateModal } from './pages/symbol.js';
+import { loadSettings, showAddAccountModal, showEditAccountModal, deleteAccount, showAddGoalModal, showEditGoalModal, deleteGoal, removeAllGoals, showAddLiabilityModal, showEditLiabilityModal, deleteLiability, showLiabilityScheduleModal, deleteLiabilityRepayment, showPayoffPlannerModal, showAddRecurringModal, showEditRecurringModal, deleteRecurring, runRecurring, confirmExecution, showExecutionModal, skipExecution, showAddTagModal, showEditTagModal, deleteTag, showAddRateModal, showEditRateModal, deleteRate, refreshRates, showRateHistoryModal, deleteFxRate } from './pages/settings.js';
+import { loadCalendar, calendarPrev, calendarNext, calendarToday, setCalendarView, startBackfill, recomputePending } from './pages/calendar.js';
+import { loadReports, exportRealizedGains, loadCorrelation } from './pages/reports.js';
 
 // ===== Init =====
 document.addEventListener('DOMContentLoaded', async () => {
@@ -97,6 +98,7 @@ function initEventListeners() {
   // Account detail
   document.getElementById('back-to-dashboard').addEventListener('click', () => navigateTo('dashboard'));
   document.getElementById('add-tx-btn').addEventListener('click', showAddTransactionModal);
+  document.getElementById('transfer-tx-btn').addEventListener('click', showTransferModal);
   document.getElementById('import-tx-btn').addEventListener('click', openImportModal);
   document.getElementById('export-tx-btn').addEventListener('click', exportTransactions);
   document.querySelector('.refresh-account').addEventListener('click', () => loadAccountDetail(state.currentAccountId));
@@ -137,10 +139,17 @@ function initEventListeners() {
     window.location.href = '/api/transactions/export/csv';
   });
 
+  // Realized gains report
+  document.getElementById('reports-year').addEventListener('change', loadReports);
+  document.getElementById('reports-export-btn').addEventListener('click', exportRealizedGains);
+  document.getElementById('correlation-period').addEventListener('change', loadCorrelation);
+
   // Calendar controls
   document.getElementById('cal-prev').addEventListener('click', calendarPrev);
   document.getElementById('cal-next').addEventListener('click', calendarNext);
   document.getElementById('cal-today').addEventListener('click', calendarToday);
+  document.getElementById('cal-backfill').addEventListener('click', startBackfill);
+  document.getElementById('cal-pending').addEventListener('click', recomputePending);
   document.querySelectorAll('.cal-view-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       document.querySelectorAll('.cal-view-btn').forEach(b => b.classList.remove('active'));
@@ -167,8 +176,13 @@ function initEventListeners() {
   document.getElementById('add-goal-btn').addEventListener('click', showAddGoalModal);
   document.getElementById('settings-add-goal-btn').addEventListener('click', showAddGoalModal);
   document.getElementById('remove-all-goals-btn').addEventListener('click', removeAllGoals);
+  document.getElementById('add-liability-btn').addEventListener('click', showAddLiabilityModal);
+  document.getElementById('payoff-planner-btn').addEventListener('click', showPayoffPlannerModal);
+  document.getElementById('add-recurring-btn').addEventListener('click', showAddRecurringModal);
+  document.getElementById('run-recurring-btn').addEventListener('click', runRecurring);
   document.getElementById('add-tag-btn').addEventListener('click', showAddTagModal);
   document.getElementById('add-rate-btn').addEventListener('click', showAddRateModal);
+  document.getElementById('refresh-rates-btn').addEventListener('click', refreshRates);
   document.getElementById('password-form').addEventListener('submit', handlePasswordChange);
   document.getElementById('purge-btn').addEventListener('click', handlePurge);
 
@@ -250,6 +264,7 @@ function navigateTo(page) {
     case 'accounts-list': loadAccountsList(); break;
     case 'activity': loadActivity(); break;
     case 'calendar': loadCalendar(); break;
+    case 'reports': loadReports(); break;
     case 'goals': loadGoals(); break;
     case 'settings': loadSettings(); break;
   }
@@ -289,11 +304,11 @@ async function loadAllHoldings() {
         const holdings = await API.get(`/api/accounts/${account.id}/holdings`);
         if (holdings) for (const h of holdings) allHoldings.push({ ...h, account_id: account.id, account_currency: account.currency });
       }
-      const symbols = [...new Set(allHoldings.map(h => h.symbol))];
+      const symbols = [...new Set(allHoldings.filter(h => !h.cash).map(h => h.symbol))];
       let prices = {};
       if (symbols.length) prices = await API.post('/api/prices/quotes', { symbols }) || {};
       state.allHoldings = allHoldings.map(h => {
-        const p = prices[h.symbol] || {};
+        const p = holdingQuote(h, prices);
         const marketValue = h.quantity * (p.price || 0);
         const costBasis = h.quantity * (h.avg_cost || 0);
         return { ...h, price: p.price || 0, name: p.name || h.symbol, change_percent: p.change_percent || 0, market_value: marketValue, cost_basis: costBasis, gain: marketValue - costBasis, gain_pct: costBasis > 0 ? ((marketValue - costBasis) / costBasis) * 100 : 0, currency: p.currency || 'USD' };
@@ -358,12 +373,18 @@ async function loadGoals() {
       return;
     }
 
-    const html = goals.map(g => renderGoalCard(g, currentWealth, baseCurrency)).join('');
+    // Net worth on a goal's date if asset values stay put and the loans are paid down as scheduled
+    const today = new Date().toISOString().split('T')[0];
+    const dates = [...new Set(goals.map(g => g.target_date).filter(d => d && d > today))];
+    const debt = dates.length && summary?.liabilities ? await API.get(`/api/liabilities/projection?dates=${dates.join(',')}`) : null;
+    const projected = (g) => debt?.balances?.[g.target_date] !== undefined ? currentWealth + debt.today - debt.balances[g.target_date] : null;
+
+    const html = goals.map(g => renderGoalCard(g, currentWealth, baseCurrency, projected(g))).join('');
     container.innerHTML = `<div class="goals-list">${html}</div>`;
   } catch (e) { console.error('Goals error:', e); }
 }
 
-function renderGoalCard(g, currentWealth, baseCurrency) {
+function renderGoalCard(g, currentWealth, baseCurrency, projectedWealth = null) {
   const progress = g.target_amount > 0 ? Math.min(100, (currentWealth / g.target_amount) * 100) : 0;
   const tagBadges = (g.tags || []).map(t => `<span class="tag-badge" style="background:${t.color}20;color:${t.color}">${esc(t.name)}</span>`).join('');
   const isAchieved = g.achieved || currentWealth >= g.target_amount;
@@ -378,6 +399,7 @@ function renderGoalCard(g, currentWealth, baseCurrency) {
     <div class="goal-progress-bar"><div class="goal-progress-fill" style="width:${progress}%"></div></div>
     <div class="goal-card-footer">
       <span class="goal-progress-text">${progress.toFixed(1)}% complete</span>
+      ${projectedWealth !== null && projectedWealth > currentWealth ? `<span class="goal-progress-text" title="Net worth on the target date once scheduled loan payments are made">${formatMoney(projectedWealth, baseCurrency)} projected</span>` : ''}
       ${targetDateStr ? `<span class="goal-target-date"><i class="fas fa-calendar-alt"></i> ${targetDateStr}</span>` : ''}
     </div>
     ${tagBadges ? `<div class="goal-card-tags">${tagBadges}</div>` : ''}
@@ -399,8 +421,10 @@ async function refreshDashboard() {
 // ===== Transaction Modals =====
 async function showAddTransactionModal() {
   const tags = await API.get('/api/tags');
-  openModal('Add Transaction', transactionFormHtml({}, tags || []));
+  const account = state.accounts.find(a => String(a.id) === String(state.currentAccountId));
+  openModal('Add Transaction', transactionFormHtml({ currency: account?.currency }, tags || []));
   initSymbolSearch('f-symbol', 'symbol-suggestions');
+  initTransactionTypeToggle();
   document.getElementById('modal-form').addEventListener('submit', async (e) => {
     e.preventDefault();
     const data = getTransactionFormData();
@@ -414,15 +438,34 @@ async function editTransaction(id) {
   const [tx, tags] = await Promise.all([API.get(`/api/transactions/${id}`), API.get('/api/tags')]);
   openModal('Edit Transaction', transactionFormHtml(tx, tags || []));
   initSymbolSearch('f-symbol', 'symbol-suggestions');
+  initTransactionTypeToggle();
+  document.getElementById('modal-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const result = await API.put(`/api/transactions/${id}`, getTransactionFormData());
+    if (result?.error) { toast(result.error, 'error'); return; }
+    closeModal(); toast(tx.linked_id ? 'Transfer updated' : 'Transaction updated', 'success'); loadAccountDetail(state.currentAccountId);
+  });
+}
+
+// Both legs of a transfer between accounts are moved together
+async function showTransferModal() {
+  const holdings = await API.get(`/api/accounts/${state.currentAccountId}/holdings`);
+  if (!holdings?.some(h => !h.cash && h.quantity > 0)) { toast('No holdings to transfer', 'error'); return; }
+  if (state.accounts.length < 2) { toast('Add another account first', 'error'); return; }
+  openModal('Transfer to Another Account', transferFormHtml(holdings, state.accounts, state.currentAccountId));
   document.getElementById('modal-form').addEventListener('submit', async (e) => {
     e.preventDefault();
-    await API.put(`/api/transactions/${id}`, getTransactionFormData());
-    closeModal(); toast('Transaction updated', 'success'); loadAccountDetail(state.currentAccountId);
+    const data = getTransferFormData();
+    data.from_account_id = state.currentAccountId;
+    const result = await API.post('/api/transactions/transfer', data);
+    if (result?.error) { toast(result.error, 'error'); return; }
+    closeModal(); toast('Transfer booked', 'success'); loadAccountDetail(state.currentAccountId);
   });
 }
 
 async function deleteTransaction(id) {
-  if (!confirm('Delete this transaction?')) return;
+  const tx = await API.get(`/api/transactions/${id}`);
+  if (!confirm(tx?.linked_id ? 'Delete both legs of this transfer?' : 'Delete this transaction?')) return;
   await API.del(`/api/transactions/${id}`);
   toast('Transaction deleted', 'success'); loadAccountDetail(state.currentAccountId);
 }
@@ -690,7 +733,22 @@ window.showEditAccountModal = showEditAccountModal;
 window.deleteAccount = deleteAccount;
 window.showEditGoalModal = showEditGoalModal;
 window.deleteGoal = deleteGoal;
+window.showEditLiabilityModal = showEditLiabilityModal;
+window.deleteLiability = deleteLiability;
+window.showLiabilityScheduleModal = showLiabilityScheduleModal;
+window.deleteLiabilityRepayment = deleteLiabilityRepayment;
+window.showEditRecurringModal = showEditRecurringModal;
+window.deleteRecurring = deleteRecurring;
+window.confirmExecution = confirmExecution;
+window.showExecutionModal = showExecutionModal;
+window.skipExecution = skipExecution;
 window.showEditRateModal = showEditRateModal;
 window.deleteRate = deleteRate;
+window.showRateHistoryModal = showRateHistoryModal;
+window.deleteFxRate = deleteFxRate;
 window.showEditTagModal = showEditTagModal;
 window.deleteTag = deleteTag;
+window.showAddValuationModal = showAddValuationModal;
+window.showEditValuationModal = showEditValuationModal;
+window.deleteValuation = deleteValuation;
+window.showTaxEstimateModal = showTaxEstimateModal;
@@ -1,18 +1,19 @@
 /* ===== Chart Component ===== */
 
 import { state, getSetting } from '../modules/state.js';
-import { formatMoney, formatDate } from '../modules/utils.js';
+import { formatMoney, formatDate, getSymbolColor } from '../modules/utils.js';
 
 /**
  * Render a line chart with optional transaction dots.
  * Shows date on X-axis and price on Y-axis.
  * @param {string} canvasId - Canvas element ID
- * @param {Array} data - Array of { date, value/close }
+ * @param {Array} data - Array of { date, value/close }, optionally with { invested, benchmarks }
  * @param {string} stateKey - Key in state to store chart instance
  * @param {number} height - Chart height
  * @param {Array} [transactions] - Optional transactions to show as dots
+ * @param {Array} [drawdown] - Optional { date, value } declines from the peak, shown when enabled
  */
-export function renderLineChart(canvasId, data, stateKey, height, transactions = []) {
+export function renderLineChart(canvasId, data, stateKey, height, transactions = [], drawdown = []) {
   const canvas = document.getElementById(canvasId);
   if (!canvas) return;
   if (state[stateKey]) { state[stateKey].destroy(); state[stateKey] = null; }
@@ -30,15 +31,25 @@ export function renderLineChart(canvasId, data, stateKey, height, transactions =
     const dt = new Date(d.date);
     return dt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
   });
-  const values = data.map(d => d.value !== undefined ? d.value : d.close);
+  // With benchmarks, every line is the percent gained on the money invested so far
+  const benchmarkSymbols = Object.keys(data[0].benchmarks || {});
+  const asPercent = benchmarkSymbols.length > 0;
+  const toPercent = (value, d) => value !== null && d.invested > 0 ? (value / d.invested - 1) * 100 : null;
+  const values = data.map(d => {
+    const value = d.value !== undefined ? d.value : d.close;
+    return asPercent ? toPercent(value, d) : value;
+  });
+  const benchmarkValues = benchmarkSymbols.map(symbol => data.map(d => toPercent(d.benchmarks[symbol], d)));
 
   // Calculate smart Y-axis bounds
-  const minVal = Math.min(...values);
-  const maxVal = Math.max(...values);
+  const plotted = [...values, ...benchmarkValues.flat()].filter(v => v !== null);
+  const minVal = plotted.length ? Math.min(...plotted) : 0;
+  const maxVal = plotted.length ? Math.max(...plotted) : 0;
   const range = maxVal - minVal;
   const yPadding = range * 0.08 || 1;
 
   const datasets = [{
+    label: 'Portfolio',
     data: values,
     borderColor: s.getPropertyValue('--chart-line').trim(),
     backgroundColor: gradient,
@@ -71,6 +82,46 @@ export function renderLineChart(canvasId, data, stateKey, height, transactions =
     }
   }
 
+  benchmarkSymbols.forEach((symbol, i) => {
+    datasets.push({
+      label: symbol,
+      data: benchmarkValues[i],
+      borderColor: getSymbolColor(symbol),
+      borderDash: [4, 4],
+      fill: false,
+      tension: 0.3,
+      pointRadius: 0,
+      pointHitRadius: 10,
+      borderWidth: 1.5,
+      spanGaps: true,
+      order: 2
+    });
+  });
+
+  // Drawdown on its own percent axis, carried forward to each chart date
+  const showDrawdown = getSetting('showDrawdown') && drawdown.length > 0;
+  if (showDrawdown) {
+    let ddIndex = -1;
+    const ddValues = data.map(d => {
+      while (ddIndex + 1 < drawdown.length && drawdown[ddIndex + 1].date <= d.date) ddIndex++;
+      return ddIndex >= 0 ? drawdown[ddIndex].value * 100 : null;
+    });
+    const danger = s.getPropertyValue('--danger').trim();
+    datasets.push({
+      label: 'Drawdown',
+      data: ddValues,
+      yAxisID: 'drawdown',
+      borderColor: danger,
+      backgroundColor: danger + '20',
+      fill: 'origin',
+      tension: 0.3,
+      pointRadius: 0,
+      pointHitRadius: 10,
+      borderWidth: 1,
+      order: 3
+    });
+  }
+
   // Format price for Y-axis based on magnitude
   function formatAxisPrice(value) {
     if (Math.abs(value) >= 1e6) return (value / 1e6).toFixed(1) + 'M';
@@ -91,7 +142,14 @@ export function renderLineChart(canvasId, data, stateKey, height, transactions =
       maintainAspectRatio: false,
       interaction: { intersect: false, mode: 'index' },
       plugins: {
-        legend: { display: false },
+        legend: {
+          display: asPercent,
+          labels: {
+            color: s.getPropertyValue('--text-muted').trim(),
+            boxWidth: 12,
+            filter: (item) => !datasets[item.datasetIndex].txData
+          }
+        },
         tooltip: {
           backgroundColor: s.getPropertyValue('--bg-card').trim(),
           titleColor: s.getPropertyValue('--text-muted').trim(),
@@ -122,6 +180,8 @@ export function renderLineChart(canvasId, data, stateKey, height, transactions =
                   ];
                 }
               }
+              if (context.dataset.yAxisID === 'drawdown') return `Drawdown: ${context.parsed.y.toFixed(2)}%`;
+              if (asPercent) return `${context.dataset.label}: ${context.parsed.y >= 0 ? '+' : ''}${context.parsed.y.toFixed(2)}%`;
               return formatMoney(context.parsed.y, 'USD');
             }
           }
@@ -160,9 +220,22 @@ export function renderLineChart(canvasId, data, stateKey, height, transactions =
             font: { size: 10 },
             maxTicksLimit: 5,
             callback: function(value) {
-              return formatAxisPrice(value);
+              return asPercent ? `${value.toFixed(1)}%` : formatAxisPrice(value);
             }
           }
+        },
+        drawdown: {
+          display: showDrawdown,
+          position: 'left',
+          max: 0,
+          grid: { display: false },
+          border: { display: false },
+          ticks: {
+            color: s.getPropertyValue('--text-dim').trim(),
+            font: { size: 10 },
+            maxTicksLimit: 4,
+            callback: (value) => `${value.toFixed(0)}%`
+          }
         }
       }
     }
@@ -190,8 +263,10 @@ function buildTransactionPoints(chartData, transactions, chartValues) {
       if (dist < closestDist) { closestDist = dist; closestIdx = i; }
     }
     if (closestIdx >= 0 && closestDist < 7 * 24 * 60 * 60 * 1000) { // within 7 days
-      const isBuy = ['buy', 'transfer_in', 'dividend'].includes(tx.type);
-      const color = isBuy ? successColor : dangerColor;
+      // Dividends and interest are cash income, not units bought; deposits add cash
+      const isIncome = ['dividend', 'interest'].includes(tx.type);
+      const isBuy = ['buy', 'transfer_in', 'deposit'].includes(tx.type);
+      const color = isIncome ? primaryColor : isBuy ? successColor : dangerColor;
       result.data.push({ x: closestIdx, y: chartValues[closestIdx] });
       result.colors.push(color + '40');
       result.borderColors.push(color);
@@ -209,3 +284,54 @@ function buildTransactionPoints(chartData, transactions, chartValues) {
   }
   return result;
 }
+
+/**
+ * Render a stacked bar chart, e.g. monthly income by type.
+ * @param {string} canvasId - Canvas element ID
+ * @param {Array<string>} labels - X-axis labels
+ * @param {Array} series - Array of { label, data, color } stacked in order
+ * @param {string} stateKey - Key in state to store chart instance
+ * @param {string} currency - Currency of the values, for tooltips
+ */
+export function renderBarChart(canvasId, labels, series, stateKey, currency) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) return;
+  if (state[stateKey]) { state[stateKey].destroy(); state[stateKey] = null; }
+  if (!labels.length) return;
+
+  const s = getComputedStyle(document.documentElement);
+  const tickColor = s.getPropertyValue('--text-dim').trim();
+
+  state[stateKey] = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: series.map(d => ({ label: d.label, data: d.data, backgroundColor: d.color, borderRadius: 3, maxBarThickness: 32 }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: series.length > 1, labels: { color: tickColor, boxWidth: 12, font: { size: 11 } } },
+        tooltip: {
+          backgroundColor: s.getPropertyValue('--bg-card').trim(),
+          titleColor: s.getPropertyValue('--text-muted').trim(),
+          bodyColor: s.getPropertyValue('--text').trim(),
+          borderColor: s.getPropertyValue('--border').trim(),
+          borderWidth: 1,
+          callbacks: { label: (context) => `${context.dataset.label}: ${formatMoney(context.parsed.y, currency)}` }
+        }
+      },
+      scales: {
+        x: { stacked: true, grid: { display: false }, border: { display: false }, ticks: { color: tickColor, font: { size: 10 }, maxRotation: 0, autoSkip: true } },
+        y: {
+          stacked: true,
+          position: 'right',
+          grid: { color: s.getPropertyValue('--border-light').trim() || 'rgba(128,128,128,0.1)' },
+          border: { display: false },
+          ticks: { color: tickColor, font: { size: 10 }, maxTicksLimit: 5 }
+        }
+      }
+    }
+  });
+}
@@ -1,9 +1,16 @@
-/* ===== Form Components (Accounts, Goals, Rates, Categories, Tags, Symbol Search) ===== */
+/* ===== Form Components (Accounts, Goals, Liabilities, Savings Plans, Rates, Categories, Tags, Valuations, Symbol Search) ===== */
 
 import { API } from '../modules/api.js';
 import { esc } from '../modules/utils.js';
 
 // ===== Account Form =====
+const COST_BASIS_METHODS = [
+  ['fifo', 'FIFO (oldest lots first)'],
+  ['lifo', 'LIFO (newest lots first)'],
+  ['hifo', 'HIFO (highest cost first)'],
+  ['average', 'Average cost']
+];
+
 export function accountFormHtml(a = {}, tags = []) {
   const tagCheckboxes = tags.map(t =>
     `<label class="tag-checkbox" style="--tag-color:${t.color}"><input type="checkbox" value="${t.id}" ${(a.tags || []).some(at => at.id === t.id) ? 'checked' : ''}><span class="tag-chip">${esc(t.name)}</span></label>`
@@ -14,6 +21,7 @@ export function accountFormHtml(a = {}, tags = []) {
     <div class="form-row"><div class="form-group"><label>Type</label><select id="f-type">${['general','crypto','stock','commodity','savings','retirement','real_estate'].map(t => `<option value="${t}" ${a.type === t ? 'selected' : ''}>${t}</option>`).join('')}</select></div><div class="form-group"><label>Currency</label><input type="text" id="f-currency" value="${esc(a.currency || 'EUR')}" maxlength="5"></div></div>
     <div class="form-row"><div class="form-group"><label>Icon</label><select id="f-icon">${['wallet','bitcoin','chart-line','gem','bank','piggy'].map(i => `<option value="${i}" ${a.icon === i ? 'selected' : ''}>${i}</option>`).join('')}</select></div><div class="form-group"><label>Color</label><input type="color" id="f-color" value="${a.color || '#6366f1'}"></div></div>
     <div class="form-group"><label>Description</label><input type="text" id="f-description" value="${esc(a.description || '')}"></div>
+    <div class="form-group"><label>Cost Basis Method</label><select id="f-cost-method">${COST_BASIS_METHODS.map(([v, label]) => `<option value="${v}" ${(a.cost_basis_method || 'fifo') === v ? 'selected' : ''}>${label}</option>`).join('')}</select><p class="form-hint">Which lots a sale closes, for cost basis and realized gains.</p></div>
     ${tags.length ? `<div class="form-group"><label>Tags (optional)</label><div class="tag-checkboxes" id="f-account-tags">${tagCheckboxes}</div></div>` : ''}
     <button type="submit" class="btn btn-primary btn-block"><i class="fas fa-save"></i> Save</button></form>`;
 }
@@ -25,7 +33,8 @@ export function getAccountFormData() {
     currency: document.getElementById('f-currency').value.toUpperCase(),
     icon: document.getElementById('f-icon').value,
     color: document.getElementById('f-color').value,
-    description: document.getElementById('f-description').value
+    description: document.getElementById('f-description').value,
+    cost_basis_method: document.getElementById('f-cost-method').value
   };
 
   const tagCheckboxes = document.querySelectorAll('#f-account-tags input[type="checkbox"]:checked');
@@ -69,6 +78,127 @@ export function getGoalFormData() {
   return data;
 }
 
+// ===== Liability Form =====
+const LIABILITY_TYPES = [['mortgage', 'Mortgage'], ['loan', 'Loan'], ['credit_card', 'Credit card'], ['other', 'Other']];
+const PAYMENT_FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+const AMORTIZATIONS = [['annuity', 'Annuity (fixed payment)'], ['linear', 'Linear (fixed principal + interest)']];
+
+export function liabilityFormHtml(l = {}) {
+  return `<form id="modal-form">
+    <div class="form-group"><label>Name</label><input type="text" id="f-name" value="${esc(l.name || '')}" required></div>
+    <div class="form-row"><div class="form-group"><label>Type</label><select id="f-type">${LIABILITY_TYPES.map(([v, label]) => `<option value="${v}" ${(l.type || 'loan') === v ? 'selected' : ''}>${label}</option>`).join('')}</select></div><div class="form-group"><label>Currency</label><input type="text" id="f-currency" value="${esc(l.currency || 'EUR')}" maxlength="5"></div></div>
+    <div class="form-row"><div class="form-group"><label>Principal</label><input type="number" id="f-principal" value="${l.principal ?? ''}" step="any" min="0" required></div><div class="form-group"><label>Interest rate (% per year)</label><input type="number" id="f-interest-rate" value="${l.interest_rate ?? 0}" step="any" min="0"></div></div>
+    <div class="form-row"><div class="form-group"><label>Payment</label><input type="number" id="f-payment-amount" value="${l.payment_amount ?? 0}" step="any" min="0"></div><div class="form-group"><label>Every</label><select id="f-payment-frequency">${PAYMENT_FREQUENCIES.map(f => `<option value="${f}" ${(l.payment_frequency || 'monthly') === f ? 'selected' : ''}>${f}</option>`).join('')}</select></div></div>
+    <div class="form-row"><div class="form-group"><label>Start date</label><input type="date" id="f-start-date" value="${l.start_date || new Date().toISOString().split('T')[0]}" required></div><div class="form-group"><label>Repayment</label><select id="f-amortization">${AMORTIZATIONS.map(([v, label]) => `<option value="${v}" ${(l.amortization || 'annuity') === v ? 'selected' : ''}>${label}</option>`).join('')}</select></div></div>
+    <p class="form-hint">The first payment is due one period after the start date. A linear payment is the principal repaid each time, with the interest paid on top.</p>
+    <div class="form-group"><label>Notes</label><input type="text" id="f-notes" value="${esc(l.notes || '')}"></div>
+    <button type="submit" class="btn btn-primary btn-block"><i class="fas fa-save"></i> Save</button></form>`;
+}
+
+export function getLiabilityFormData() {
+  return {
+    name: document.getElementById('f-name').value,
+    type: document.getElementById('f-type').value,
+    currency: document.getElementById('f-currency').value.toUpperCase(),
+    principal: parseFloat(document.getElementById('f-principal').value),
+    interest_rate: parseFloat(document.getElementById('f-interest-rate').value) || 0,
+    payment_amount: parseFloat(document.getElementById('f-payment-amount').value) || 0,
+    payment_frequency: document.getElementById('f-payment-frequency').value,
+    amortization: document.getElementById('f-amortization').value,
+    start_date: document.getElementById('f-start-date').value,
+    notes: document.getElementById('f-notes').value
+  };
+}
+
+// ===== Liability Schedule =====
+export function liabilityScheduleHtml() {
+  const today = new Date().toISOString().split('T')[0];
+  return `<div class="form-row"><div class="form-group"><label>Extra per payment</label><input type="number" id="f-schedule-extra" value="0" step="any" min="0"></div></div>
+    <p class="form-hint" id="liability-schedule-summary"></p>
+    <div class="chart-wrapper chart-wrapper-account"><canvas id="liability-schedule-chart"></canvas></div>
+    <form id="repayment-form">
+      <div class="form-row"><div class="form-group"><label>Repayment date</label><input type="date" id="f-repayment-date" value="${today}" required></div><div class="form-group"><label>Amount</label><input type="number" id="f-repayment-amount" step="any" min="0" required></div></div>
+      <button type="submit" class="btn btn-primary btn-sm"><i class="fas fa-plus"></i> Add Extra Repayment</button>
+    </form>
+    <div id="liability-repayments-list" class="settings-list"></div>
+    <div id="liability-schedule-table" class="table-container"></div>`;
+}
+
+export function getRepaymentFormData() {
+  return {
+    date: document.getElementById('f-repayment-date').value,
+    amount: parseFloat(document.getElementById('f-repayment-amount').value)
+  };
+}
+
+export function payoffPlannerHtml() {
+  return `<div class="form-row"><div class="form-group"><label>Extra per month</label><input type="number" id="f-payoff-extra" value="0" step="any" min="0"></div></div>
+    <p class="form-hint">Every month each debt gets its payment, and the extra goes to one debt at a time: the highest interest rate first (avalanche) or the smallest balance first (snowball). A paid-off debt's payment rolls over to the next.</p>
+    <div id="payoff-plans"></div>`;
+}
+
+// ===== Savings Plan Form =====
+const RECURRING_TYPES = ['buy', 'sell', 'deposit', 'withdrawal'];
+const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'quarterly'];
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+export function recurringFormHtml(r = {}, accounts = []) {
+  const byQuantity = r.quantity !== null && r.quantity !== undefined;
+  return `<form id="modal-form">
+    <div class="form-row"><div class="form-group"><label>Account</label><select id="f-recurring-account">${accounts.map(a => `<option value="${a.id}" ${String(r.account_id) === String(a.id) ? 'selected' : ''}>${esc(a.name)}</option>`).join('')}</select></div><div class="form-group"><label>Type</label><select id="f-recurring-type">${RECURRING_TYPES.map(t => `<option value="${t}" ${(r.type || 'buy') === t ? 'selected' : ''}>${t}</option>`).join('')}</select></div></div>
+    <div class="form-row"><div class="form-group"><label>Symbol</label><input type="text" id="f-recurring-symbol" value="${esc(r.symbol || '')}" placeholder="e.g. VWCE.DE, BTC-USD"></div><div class="form-group"><label>Currency</label><input type="text" id="f-recurring-currency" value="${esc(r.currency || '')}" maxlength="5" placeholder="Account currency"></div></div>
+    <div class="form-row"><div class="form-group"><label>Fixed</label><select id="f-recurring-basis"><option value="amount" ${byQuantity ? '' : 'selected'}>Amount of money</option><option value="quantity" ${byQuantity ? 'selected' : ''}>Quantity</option></select></div><div class="form-group"><label>Amount / quantity</label><input type="number" id="f-recurring-size" value="${byQuantity ? r.quantity : (r.amount ?? '')}" step="any" min="0" required></div></div>
+    <div class="form-row"><div class="form-group"><label>Price (optional)</label><input type="number" id="f-recurring-price" value="${r.price ?? ''}" step="any" min="0" placeholder="Market price on the day"></div><div class="form-group"><label>Fee</label><input type="number" id="f-recurring-fee" value="${r.fee ?? 0}" step="any" min="0"></div></div>
+    <div class="form-row"><div class="form-group"><label>Every</label><select id="f-recurring-frequency">${RECURRING_FREQUENCIES.map(f => `<option value="${f}" ${(r.frequency || 'monthly') === f ? 'selected' : ''}>${f.replace('ly', '')}</option>`).join('')}</select></div><div class="form-group"><label>On day</label><input type="number" id="f-recurring-day" value="${r.day ?? ''}" min="1" max="31" step="1" placeholder="Start date's day"></div></div>
+    <p class="form-hint">Weekly plans run on a weekday (1 = ${WEEKDAYS[0]} ... 7 = ${WEEKDAYS[6]}); the others on a day of the month, or the month's last day when it is shorter.</p>
+    <div class="form-row"><div class="form-group"><label>Start date</label><input type="date" id="f-recurring-start" value="${r.start_date || new Date().toISOString().split('T')[0]}" required></div><div class="form-group"><label>End date (optional)</label><input type="date" id="f-recurring-end" value="${r.end_date || ''}"></div></div>
+    <div class="form-group"><label style="display:flex;align-items:center;gap:0.5rem;cursor:pointer;"><input type="checkbox" id="f-recurring-active" ${r.active === 0 ? '' : 'checked'} style="width:auto;"> Active</label></div>
+    <div class="form-group"><label>Notes</label><input type="text" id="f-recurring-notes" value="${esc(r.notes || '')}"></div>
+    <button type="submit" class="btn btn-primary btn-block"><i class="fas fa-save"></i> Save</button></form>`;
+}
+
+export function getRecurringFormData() {
+  const value = (id) => document.getElementById(id).value;
+  const size = parseFloat(value('f-recurring-size'));
+  const byQuantity = value('f-recurring-basis') === 'quantity';
+  return {
+    account_id: parseInt(value('f-recurring-account')),
+    type: value('f-recurring-type'),
+    symbol: value('f-recurring-symbol').toUpperCase(),
+    currency: value('f-recurring-currency').toUpperCase(),
+    amount: byQuantity ? null : size,
+    quantity: byQuantity ? size : null,
+    price: value('f-recurring-price') === '' ? null : parseFloat(value('f-recurring-price')),
+    fee: parseFloat(value('f-recurring-fee')) || 0,
+    frequency: value('f-recurring-frequency'),
+    day: value('f-recurring-day') === '' ? null : parseInt(value('f-recurring-day')),
+    start_date: value('f-recurring-start'),
+    end_date: value('f-recurring-end') || null,
+    active: document.getElementById('f-recurring-active').checked,
+    notes: value('f-recurring-notes')
+  };
+}
+
+export function executionFormHtml(e) {
+  // Deposits and withdrawals move an amount of cash, so there is no price to set
+  const cash = ['deposit', 'withdrawal'].includes(e.type);
+  return `<form id="modal-form">
+    <div class="form-row"><div class="form-group"><label>${cash ? `Amount (${esc(e.currency)})` : 'Quantity'}</label><input type="number" id="f-execution-quantity" value="${e.quantity ?? ''}" step="any" min="0" required></div>${cash ? '' : `<div class="form-group"><label>Price (${esc(e.currency)})</label><input type="number" id="f-execution-price" value="${e.price ?? ''}" step="any" min="0" required></div>`}</div>
+    <div class="form-row"><div class="form-group"><label>Fee</label><input type="number" id="f-execution-fee" value="${e.fee ?? 0}" step="any" min="0"></div><div class="form-group"><label>Date</label><input type="date" id="f-execution-date" value="${e.date}" required></div></div>
+    ${e.error ? `<p class="form-hint text-danger">${esc(e.error)}</p>` : ''}
+    <button type="submit" class="btn btn-primary btn-block"><i class="fas fa-check"></i> Confirm</button></form>`;
+}
+
+export function getExecutionFormData() {
+  const price = document.getElementById('f-execution-price');
+  return {
+    quantity: parseFloat(document.getElementById('f-execution-quantity').value),
+    price: price ? parseFloat(price.value) : undefined,
+    fee: parseFloat(document.getElementById('f-execution-fee').value) || 0,
+    date: document.getElementById('f-execution-date').value
+  };
+}
+
 // ===== Tag Form =====
 export function tagFormHtml(t = {}) {
   return `<form id="modal-form">
@@ -86,17 +216,77 @@ export function getTagFormData() {
 
 // ===== Rate Form =====
 export function rateFormHtml(r = {}) {
-  return `<form id="modal-form"><div class="form-row"><div class="form-group"><label>From Currency</label><input type="text" id="f-from" value="${esc(r.from_currency || '')}" required maxlength="5" placeholder="USD"></div><div class="form-group"><label>To Currency</label><input type="text" id="f-to" value="${esc(r.to_currency || '')}" required maxlength="5" placeholder="EUR"></div></div><div class="form-group"><label>Rate</label><input type="number" id="f-rate" value="${r.rate || ''}" step="any" min="0" required></div><button type="submit" class="btn btn-primary btn-block"><i class="fas fa-save"></i> Save</button></form>`;
+  return `<form id="modal-form"><div class="form-row"><div class="form-group"><label>From Currency</label><input type="text" id="f-from" value="${esc(r.from_currency || '')}" required maxlength="5" placeholder="USD"></div><div class="form-group"><label>To Currency</label><input type="text" id="f-to" value="${esc(r.to_currency || '')}" required maxlength="5" placeholder="EUR"></div></div><div class="form-group"><label>Rate</label><input type="number" id="f-rate" value="${r.rate || ''}" step="any" min="0" required></div><div class="form-group"><label style="display:flex;align-items:center;gap:0.5rem;cursor:pointer;"><input type="checkbox" id="f-pinned" ${r.pinned ? 'checked' : ''} style="width:auto;"> Pin this rate (automatic updates leave it unchanged)</label></div><button type="submit" class="btn btn-primary btn-block"><i class="fas fa-save"></i> Save</button></form>`;
 }
 
 export function getRateFormData() {
   return {
     from_currency: document.getElementById('f-from').value.toUpperCase(),
     to_currency: document.getElementById('f-to').value.toUpperCase(),
-    rate: parseFloat(document.getElementById('f-rate').value)
+    rate: parseFloat(document.getElementById('f-rate').value),
+    pinned: document.getElementById('f-pinned').checked
   };
 }
 
+// ===== Dated FX Rate Form =====
+export function fxRateFormHtml() {
+  const today = new Date().toISOString().split('T')[0];
+  return `<form id="fx-rate-form">
+    <div class="form-row"><div class="form-group"><label>Date</label><input type="date" id="f-fx-date" value="${today}" required></div><div class="form-group"><label>Rate</label><input type="number" id="f-fx-rate" step="any" min="0" required></div></div>
+    <div class="form-row"><button type="submit" class="btn btn-primary btn-sm"><i class="fas fa-plus"></i> Add Rate</button><button type="button" class="btn btn-ghost btn-sm" id="fx-fetch-btn"><i class="fas fa-cloud-download-alt"></i> Fetch from Provider</button><label class="btn btn-ghost btn-sm"><i class="fas fa-file-import"></i> Import CSV<input type="file" id="fx-import-file" accept=".csv" hidden></label></div>
+    <p class="form-hint">CSV columns: date, rate. Fetched and imported rates never replace ones entered here.</p>
+  </form>
+  <div id="fx-history-list" class="settings-list"></div>`;
+}
+
+export function getFxRateFormData() {
+  return {
+    date: document.getElementById('f-fx-date').value,
+    rate: parseFloat(document.getElementById('f-fx-rate').value)
+  };
+}
+
+// ===== Valuation Form =====
+// ===== Tax Estimate Form =====
+export function taxEstimateFormHtml(e = {}) {
+  const today = new Date().toISOString().split('T')[0];
+  return `<form id="modal-form">
+    <div class="form-row"><div class="form-group"><label>Quantity</label><input type="number" id="f-est-quantity" value="${e.quantity ?? ''}" step="any" min="0" max="${e.max ?? ''}" required></div><div class="form-group"><label>Sale date</label><input type="date" id="f-est-date" value="${today}" required></div></div>
+    <div class="form-row"><div class="form-group"><label>Price per unit</label><input type="number" id="f-est-price" value="${e.price ?? ''}" step="any" min="0" placeholder="Latest price"></div><div class="form-group"><label>Currency</label><input type="text" id="f-est-currency" value="${esc(e.currency || '')}" maxlength="5"></div></div>
+    <button type="submit" class="btn btn-primary btn-block"><i class="fas fa-calculator"></i> Estimate</button></form>
+    <div id="tax-estimate-result"></div>`;
+}
+
+export function getTaxEstimateFormData() {
+  const price = document.getElementById('f-est-price').value;
+  return {
+    quantity: parseFloat(document.getElementById('f-est-quantity').value),
+    date: document.getElementById('f-est-date').value,
+    price: price === '' ? undefined : parseFloat(price),
+    currency: document.getElementById('f-est-currency').value.toUpperCase()
+  };
+}
+
+export function valuationFormHtml(v = {}) {
+  const today = new Date().toISOString().split('T')[0];
+  return `<form id="modal-form">
+    <div class="form-row"><div class="form-group"><label>Date</label><input type="date" id="f-val-date" value="${v.date || today}" required></div><div class="form-group"><label>Currency</label><input type="text" id="f-val-currency" value="${esc(v.currency || '')}" maxlength="5" placeholder="Base currency"></div></div>
+    <div class="form-group"><label>Value per unit</label><input type="number" id="f-val-value" value="${v.value ?? ''}" step="any" min="0" required></div>
+    <div class="form-group"><label>Notes</label><input type="text" id="f-val-notes" value="${esc(v.notes || '')}" placeholder="e.g. Appraisal, annual statement"></div>
+    <button type="submit" class="btn btn-primary btn-block"><i class="fas fa-save"></i> Save</button></form>`;
+}
+
+export function getValuationFormData() {
+  const data = {
+    date: document.getElementById('f-val-date').value,
+    value: parseFloat(document.getElementById('f-val-value').value),
+    notes: document.getElementById('f-val-notes').value
+  };
+  const currency = document.getElementById('f-val-currency').value.trim().toUpperCase();
+  if (currency) data.currency = currency;
+  return data;
+}
+
 // ===== Symbol Search =====
 export function initSymbolSearch(inputId, suggestionsId) {
   const input = document.getElementById(inputId);
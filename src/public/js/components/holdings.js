@@ -1,6 +1,13 @@
 /* ===== Holdings Component ===== */
 
-import { formatMoney, formatNumber, esc, getSymbolIcon } from '../modules/utils.js';
+import { formatMoney, formatNumber, formatGainSplit, esc, getSymbolIcon } from '../modules/utils.js';
+
+/**
+ * Quote of a holding; cash balances count at face value in their currency
+ */
+export function holdingQuote(h, prices) {
+  return h.cash ? { price: 1, currency: h.currency, name: 'Cash', change_percent: 0 } : prices[h.symbol] || {};
+}
 
 /**
  * Render Wealthfolio-style holdings table
@@ -34,7 +41,7 @@ export function renderHoldingsTable(holdings, container, accountId) {
       <tbody>
         ${holdings.map(h => {
           const acctId = accountId || h.account_id;
-          return `<tr onclick="showSymbolPage(${acctId}, '${esc(h.symbol)}')">
+          return `<tr${h.cash ? '' : ` onclick="showSymbolPage(${acctId}, '${esc(h.symbol)}')"`}>
             <td>
               <div class="holding-name-cell">
                 <div class="h-icon">${getSymbolIcon(h.symbol)}</div>
@@ -56,8 +63,9 @@ export function renderHoldingsTable(holdings, container, accountId) {
             <td class="text-right ${h.gain >= 0 ? 'positive' : 'negative'}">
               ${h.gain >= 0 ? '+' : ''}${formatMoney(h.gain, h.currency)}<br>
               <small>${h.gain_pct >= 0 ? '+' : ''}${h.gain_pct.toFixed(2)}%</small>
+              ${h.gain_split ? `<br><small class="text-muted">${formatGainSplit(h.gain_split, h.currency)}</small>` : ''}
             </td>
-            <td class="holding-arrow"><i class="fas fa-chevron-right"></i></td>
+            <td class="holding-arrow">${h.cash ? '' : '<i class="fas fa-chevron-right"></i>'}</td>
           </tr>`;
         }).join('')}
       </tbody>
@@ -0,0 +1,29 @@
+/* ===== Performance Component ===== */
+
+import { API } from '../modules/api.js';
+
+function formatReturn(value) {
+  if (value === null || value === undefined) return '--';
+  return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * Show the time-weighted and money-weighted returns of a period next to the simple gain.
+ * @param {string} elementId - Hero line to fill; hidden when there is nothing to show
+ * @param {string} period - Chart period (1w, 1m, 3m, 6m, ytd, 1y, 5y, all)
+ * @param {Object} [scope] - Optional { account_id, symbol }
+ */
+export async function loadPerformance(elementId, period, scope = {}) {
+  const el = document.getElementById(elementId);
+  if (!el) return;
+  const params = new URLSearchParams({ period });
+  if (scope.account_id) params.set('account_id', scope.account_id);
+  if (scope.symbol) params.set('symbol', scope.symbol);
+
+  const perf = await API.get(`/api/reports/performance?${params}`);
+  if (!perf || perf.error || (perf.twr === null && perf.xirr === null)) { el.classList.add('hidden'); return; }
+  const twr = perf.twr_annualized !== null ? `${formatReturn(perf.twr)} (${formatReturn(perf.twr_annualized)} p.a.)` : formatReturn(perf.twr);
+  el.innerHTML = `<span title="Time-weighted return: the investments' growth, independent of deposits and withdrawals">TWR ${twr}</span>
+    &middot; <span title="Money-weighted annual return (XIRR): includes the timing and size of your buys and sells">XIRR ${formatReturn(perf.xirr)} p.a.</span>`;
+  el.classList.remove('hidden');
+}
@@ -0,0 +1,41 @@
+/* ===== Risk Component ===== */
+
+import { API } from '../modules/api.js';
+import { formatDate, esc } from '../modules/utils.js';
+
+const formatPercent = (value) => value === null || value === undefined ? '--' : `${(value * 100).toFixed(2)}%`;
+const formatRatio = (value) => value === null || value === undefined ? '--' : value.toFixed(2);
+
+/**
+ * Show volatility, maximum drawdown, Sharpe and Sortino ratios and beta for a chart period.
+ * @param {string} elementId - Metrics row to fill; hidden without enough history
+ * @param {string} period - Chart period (1w, 1m, 3m, 6m, ytd, 1y, 5y, all)
+ * @param {Object} [scope] - Optional { account_id, symbol }
+ * @returns {Promise<Object|null>} The risk report, for the drawdown chart series
+ */
+export async function loadRisk(elementId, period, scope = {}) {
+  const el = document.getElementById(elementId);
+  const params = new URLSearchParams({ period });
+  if (scope.account_id) params.set('account_id', scope.account_id);
+  if (scope.symbol) params.set('symbol', scope.symbol);
+
+  const risk = await API.get(`/api/reports/risk?${params}`);
+  if (!risk || risk.error || risk.observations < 2) { el?.classList.add('hidden'); return null; }
+  if (!el) return risk;
+
+  const dd = risk.max_drawdown;
+  const ddDates = dd.peak_date ? `${formatDate(dd.peak_date)} → ${formatDate(dd.trough_date)}${dd.recovery_date ? '' : ' (not recovered)'}` : 'No decline';
+  const rf = `Excess return over a risk-free rate of ${formatPercent(risk.risk_free_rate)}`;
+  const beta = risk.benchmark
+    ? [`Beta vs ${esc(risk.benchmark.symbol)}`, formatRatio(risk.benchmark.beta), `Correlation ${formatRatio(risk.benchmark.correlation)}`]
+    : ['Beta', '--', 'Pick a benchmark in Settings'];
+  el.innerHTML = [
+    ['Volatility', formatPercent(risk.volatility), 'Annualized'],
+    ['Max Drawdown', formatPercent(dd.value), ddDates],
+    ['Sharpe Ratio', formatRatio(risk.sharpe), rf],
+    ['Sortino Ratio', formatRatio(risk.sortino), rf],
+    beta
+  ].map(([label, value, sub]) => `<div class="metric-card"><div class="metric-label">${label}</div><div class="metric-value">${value}</div><div class="metric-sub">${sub}</div></div>`).join('');
+  el.classList.remove('hidden');
+  return risk;
+}
@@ -5,6 +5,8 @@ import { state } from '../modules/state.js';
 import { formatMoney, formatNumber, formatDate, esc, toast, getSymbolIcon, getSymbolIconSmall } from '../modules/utils.js';
 import { openModal, closeModal } from '../modules/modal.js';
 
+const CASH_TYPES = ['deposit', 'withdrawal'];
+
 // Close any open dropdown when clicking elsewhere
 document.addEventListener('click', (e) => {
   if (!e.target.closest('.tx-menu-wrapper')) {
@@ -26,7 +28,7 @@ export function renderSymbolTransactions(transactions) {
   </tr></thead><tbody>
     ${transactions.map(tx => `<tr>
       <td>${formatDate(tx.date)}</td>
-      <td><span class="badge badge-${tx.type}">${tx.type.replace('_', ' ')}</span></td>
+      <td>${typeBadge(tx)}</td>
       <td>${formatNumber(tx.quantity)}</td>
       <td>${formatMoney(tx.price, tx.currency)}</td>
       <td>${tx.fee > 0 ? formatMoney(tx.fee, tx.currency) : '-'}</td>
@@ -52,7 +54,7 @@ export function renderActivityTable(transactions, container) {
       <td>${formatDate(tx.date)}</td>
       <td>${esc(tx.account_name)}</td>
       <td><div class="tx-symbol-cell">${getSymbolIconSmall(tx.symbol)}<strong>${esc(tx.symbol)}</strong></div></td>
-      <td><span class="badge badge-${tx.type}">${tx.type.replace('_', ' ')}</span></td>
+      <td>${typeBadge(tx)}</td>
       <td>${formatNumber(tx.quantity)}</td>
       <td>${formatMoney(tx.price, tx.currency)}</td>
       <td>${formatMoney(tx.quantity * tx.price, tx.currency)}</td>
@@ -61,6 +63,14 @@ export function renderActivityTable(transactions, container) {
   bindTxMenus(container);
 }
 
+/**
+ * Type badge; the legs of a transfer between accounts carry a link icon
+ */
+function typeBadge(tx, style = '') {
+  const link = tx.linked_id ? ' <i class="fas fa-link" title="Linked transfer"></i>' : '';
+  return `<span class="badge badge-${tx.type}"${style ? ` style="${style}"` : ''}>${tx.type.replace('_', ' ')}${link}</span>`;
+}
+
 /**
  * Render the three-dot menu button for a transaction row
  */
@@ -149,7 +159,7 @@ function showTransactionDetail(tx) {
       ${getSymbolIcon(tx.symbol)}
       <div>
         <h3 style="font-weight:700;font-size:1.125rem;">${esc(tx.symbol)}</h3>
-        <span class="badge badge-${tx.type}" style="font-size:0.75rem;">${tx.type.replace('_', ' ')}</span>
+        ${typeBadge(tx, 'font-size:0.75rem;')}
       </div>
     </div>
     <div class="tx-detail-grid">
@@ -197,18 +207,19 @@ function showTransactionDetail(tx) {
  * Transaction form HTML generator
  */
 export function transactionFormHtml(tx = {}, tags = []) {
+  const isCash = CASH_TYPES.includes(tx.type);
   const tagCheckboxes = tags.map(t =>
     `<label class="tag-checkbox" style="--tag-color:${t.color}"><input type="checkbox" value="${t.id}" ${(tx.tags || []).some(tt => tt.id === t.id) ? 'checked' : ''}><span class="tag-chip">${esc(t.name)}</span></label>`
   ).join('');
 
   return `<form id="modal-form">
-    <div class="form-group symbol-search-wrapper">
+    <div class="form-group symbol-search-wrapper${isCash ? ' hidden' : ''}">
       <label>Symbol</label>
-      <input type="text" id="f-symbol" value="${esc(tx.symbol || '')}" required placeholder="Search: BTC-USD, AAPL, GC=F..." autocomplete="off">
+      <input type="text" id="f-symbol" value="${esc(tx.symbol || '')}" ${isCash ? '' : 'required'} placeholder="Search: BTC-USD, AAPL, GC=F..." autocomplete="off">
       <div id="symbol-suggestions" class="symbol-suggestions hidden"></div>
     </div>
     <div class="form-row">
-      <div class="form-group"><label>Type</label><select id="f-tx-type">${['buy','sell','transfer_in','transfer_out','dividend','interest','fee'].map(t => `<option value="${t}" ${tx.type === t ? 'selected' : ''}>${t.replace('_', ' ')}</option>`).join('')}</select></div>
+      <div class="form-group"><label>Type</label><select id="f-tx-type">${['buy','sell','transfer_in','transfer_out','dividend','interest','fee',...CASH_TYPES].map(t => `<option value="${t}" ${tx.type === t ? 'selected' : ''}>${t.replace('_', ' ')}</option>`).join('')}</select></div>
       <div class="form-group"><label>Date</label><input type="date" id="f-date" value="${tx.date ? tx.date.split('T')[0] : new Date().toISOString().split('T')[0]}" required></div>
     </div>
     <div class="form-row">
@@ -218,14 +229,32 @@ export function transactionFormHtml(tx = {}, tags = []) {
     <div class="form-row">
       <div class="form-group"><label>Fee</label><input type="number" id="f-fee" value="${tx.fee || 0}" step="any" min="0"></div>
       <div class="form-group"><label>Currency</label><select id="f-tx-currency">
-        ${['EUR', 'USD', 'GBP', 'CHF', 'JPY', 'CAD', 'AUD', 'CNY'].map(c => `<option value="${c}" ${(tx.currency || 'EUR') === c ? 'selected' : ''}>${c}</option>`).join('')}
+        ${[...new Set(['EUR', 'USD', 'GBP', 'CHF', 'JPY', 'CAD', 'AUD', 'CNY', tx.currency || 'EUR'])].map(c => `<option value="${esc(c)}" ${(tx.currency || 'EUR') === c ? 'selected' : ''}>${esc(c)}</option>`).join('')}
       </select></div>
     </div>
+    <div class="form-group"><label>Withholding tax (dividends &amp; interest)</label><input type="number" id="f-withholding-tax" value="${tx.withholding_tax || 0}" step="any" min="0"></div>
+    <div class="form-group"><label>FX rate to base currency (optional)</label><input type="number" id="f-fx-rate" value="${tx.fx_rate || ''}" step="any" min="0" placeholder="Market rate on the trade date"></div>
     <div class="form-group"><label>Notes</label><input type="text" id="f-notes" value="${esc(tx.notes || '')}"></div>
     ${tags.length ? `<div class="form-group"><label>Tags</label><div class="tag-checkbox-group" id="f-tags">${tagCheckboxes}</div></div>` : ''}
     <button type="submit" class="btn btn-primary btn-block"><i class="fas fa-save"></i> Save</button></form>`;
 }
 
+/**
+ * Deposits and withdrawals are booked under their currency, so they hide the symbol field
+ */
+export function initTransactionTypeToggle() {
+  const type = document.getElementById('f-tx-type');
+  const symbol = document.getElementById('f-symbol');
+  type.addEventListener('change', () => {
+    const isCash = CASH_TYPES.includes(type.value);
+    symbol.closest('.form-group').classList.toggle('hidden', isCash);
+    symbol.required = !isCash;
+    // The amount is quantity * price
+    const price = document.getElementById('f-price');
+    if (isCash && !price.value) price.value = 1;
+  });
+}
+
 export function getTransactionFormData() {
   const tagIds = [];
   const tagsContainer = document.getElementById('f-tags');
@@ -242,7 +271,48 @@ export function getTransactionFormData() {
     price: parseFloat(document.getElementById('f-price').value),
     fee: parseFloat(document.getElementById('f-fee').value) || 0,
     currency: document.getElementById('f-tx-currency').value,
+    fx_rate: parseFloat(document.getElementById('f-fx-rate').value) || null,
+    withholding_tax: parseFloat(document.getElementById('f-withholding-tax').value) || 0,
     notes: document.getElementById('f-notes').value,
     tag_ids: tagIds
   };
 }
+
+/**
+ * Transfer form HTML: moves units of a held symbol to another account
+ * @param {Array} holdings - Holdings of the source account; cash rows are left out
+ * @param {Array} accounts - All accounts
+ * @param {number|string} fromAccountId - Source account
+ */
+export function transferFormHtml(holdings, accounts, fromAccountId) {
+  const symbols = holdings.filter(h => !h.cash && h.quantity > 0);
+  const targets = accounts.filter(a => String(a.id) !== String(fromAccountId));
+  return `<form id="modal-form">
+    <div class="form-row">
+      <div class="form-group"><label>Symbol</label><select id="f-transfer-symbol" required>${symbols.map(h => `<option value="${esc(h.symbol)}">${esc(h.symbol)} (${formatNumber(h.quantity)})</option>`).join('')}</select></div>
+      <div class="form-group"><label>To account</label><select id="f-transfer-to" required>${targets.map(a => `<option value="${a.id}">${esc(a.name)}</option>`).join('')}</select></div>
+    </div>
+    <div class="form-row">
+      <div class="form-group"><label>Quantity sent</label><input type="number" id="f-quantity" step="any" min="0" required></div>
+      <div class="form-group"><label>Network fee (units)</label><input type="number" id="f-fee-quantity" value="0" step="any" min="0"></div>
+    </div>
+    <div class="form-row">
+      <div class="form-group"><label>Price per unit (optional)</label><input type="number" id="f-price" step="any" min="0" placeholder="Average cost"></div>
+      <div class="form-group"><label>Date</label><input type="date" id="f-date" value="${new Date().toISOString().split('T')[0]}" required></div>
+    </div>
+    <div class="form-group"><label>Notes</label><input type="text" id="f-notes"></div>
+    <button type="submit" class="btn btn-primary btn-block"><i class="fas fa-right-left"></i> Transfer</button></form>`;
+}
+
+export function getTransferFormData() {
+  const price = parseFloat(document.getElementById('f-price').value);
+  return {
+    symbol: document.getElementById('f-transfer-symbol').value,
+    to_account_id: parseInt(document.getElementById('f-transfer-to').value),
+    quantity: parseFloat(document.getElementById('f-quantity').value),
+    fee_quantity: parseFloat(document.getElementById('f-fee-quantity').value) || 0,
+    price: isNaN(price) ? undefined : price,
+    date: document.getElementById('f-date').value,
+    notes: document.getElementById('f-notes').value || undefined
+  };
+}
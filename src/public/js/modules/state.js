@@ -8,10 +8,13 @@ export const state = {
   dashboardChart: null,
   accountChart: null,
   symbolChart: null,
+  incomeChart: null,
+  liabilityChart: null,
   allHoldings: [],
   dashboardSummary: null,
   settings: {
-    showTransactionDots: JSON.parse(localStorage.getItem('wealth-show-transaction-dots') ?? 'true')
+    showTransactionDots: JSON.parse(localStorage.getItem('wealth-show-transaction-dots') ?? 'true'),
+    showDrawdown: JSON.parse(localStorage.getItem('wealth-show-drawdown') ?? 'false')
   }
 };
 
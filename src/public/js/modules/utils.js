@@ -22,6 +22,13 @@ export function formatCompact(n) {
   return n.toFixed(0);
 }
 
+// Gain split into the local price move and the currency move, e.g. "Price +€120.00 · FX -€30.00"
+export function formatGainSplit(split, currency) {
+  if (!split) return '';
+  const signed = (v) => `${v >= 0 ? '+' : ''}${formatMoney(v, currency)}`;
+  return `Price ${signed(split.price)} · FX ${signed(split.fx)}`;
+}
+
 export function formatDate(d) {
   if (!d) return '--';
   return new Date(d).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
@@ -2,18 +2,21 @@
 
 import { API } from '../modules/api.js';
 import { state } from '../modules/state.js';
-import { formatMoney, esc } from '../modules/utils.js';
+import { formatMoney, formatGainSplit, esc } from '../modules/utils.js';
 import { renderLineChart } from '../components/chart.js';
-import { renderHoldingsTable } from '../components/holdings.js';
+import { renderHoldingsTable, holdingQuote } from '../components/holdings.js';
+import { loadPerformance } from '../components/performance.js';
+import { loadRisk } from '../components/risk.js';
 
 export async function loadAccountDetail(accountId) {
   try {
-    const [account, holdings, transactions, currencyRates, session] = await Promise.all([
+    const [account, holdings, transactions, currencyRates, session, gains] = await Promise.all([
       API.get(`/api/accounts/${accountId}`),
       API.get(`/api/accounts/${accountId}/holdings`),
       API.get(`/api/transactions?account_id=${accountId}`),
       API.get('/api/currencies'),
-      API.get('/api/auth/session')
+      API.get('/api/auth/session'),
+      API.get(`/api/prices/gains?account_id=${accountId}`)
     ]);
     if (!account) return;
 
@@ -29,13 +32,13 @@ export async function loadAccountDetail(accountId) {
     document.getElementById('account-title').textContent = account.name;
     document.getElementById('account-currency-badge').textContent = baseCurrency;
 
-    const symbols = holdings.map(h => h.symbol);
+    const symbols = holdings.filter(h => !h.cash).map(h => h.symbol);
     let prices = {};
     if (symbols.length) prices = await API.post('/api/prices/quotes', { symbols }) || {};
 
     let totalValue = 0, totalCost = 0, totalInvested = 0, totalContribution = 0;
     const enrichedHoldings = holdings.map(h => {
-      const p = prices[h.symbol] || {};
+      const p = holdingQuote(h, prices);
       let marketValue = h.quantity * (p.price || 0);
       let costBasis = h.quantity * (h.avg_cost || 0);
 
@@ -47,8 +50,10 @@ export async function loadAccountDetail(accountId) {
         marketValue *= rate;
       }
 
-      // Convert cost basis from account currency to base currency
-      if (account.currency !== baseCurrency) {
+      // Book value in base currency, converted per transaction on the server
+      if (typeof h.avg_cost_base === 'number') {
+        costBasis = h.quantity * h.avg_cost_base;
+      } else if (account.currency !== baseCurrency) {
         const rateKey = `${account.currency}_${baseCurrency}`;
         const rate = rates[rateKey] || 1;
         costBasis *= rate;
@@ -58,15 +63,16 @@ export async function loadAccountDetail(accountId) {
       const gainPct = costBasis > 0 ? (gain / costBasis) * 100 : 0;
       totalValue += marketValue;
       totalCost += costBasis;
-      return { ...h, price: p.price || 0, name: p.name || h.symbol, change_percent: p.change_percent || 0, market_value: marketValue, cost_basis: costBasis, gain, gain_pct: gainPct, currency: baseCurrency };
+      const split = gains?.holdings?.find(g => g.symbol === h.symbol)?.unrealized;
+      return { ...h, price: p.price || 0, name: p.name || h.symbol, change_percent: p.change_percent || 0, market_value: marketValue, cost_basis: costBasis, gain, gain_pct: gainPct, gain_split: split, currency: baseCurrency };
     }).sort((a, b) => b.market_value - a.market_value);
 
     for (const tx of (transactions || [])) {
       let txValue = tx.quantity * tx.price;
-      // Convert transaction values from account currency to base currency
-      if (account.currency !== baseCurrency) {
-        const rateKey = `${account.currency}_${baseCurrency}`;
-        const rate = rates[rateKey] || 1;
+      // Convert transaction values from their settlement currency to base currency
+      const txCurrency = tx.currency || account.currency;
+      if (txCurrency !== baseCurrency) {
+        const rate = tx.fx_rate || rates[`${txCurrency}_${baseCurrency}`] || 1;
         txValue *= rate;
       }
       if (['buy'].includes(tx.type)) { totalInvested += txValue; totalContribution += txValue; }
@@ -81,6 +87,7 @@ export async function loadAccountDetail(accountId) {
     changeEl.innerHTML = `
       <span class="hero-change ${gain >= 0 ? '' : 'negative'}">${gain >= 0 ? '+' : ''}${formatMoney(gain, baseCurrency)}</span>
       <span class="hero-change-pct ${gainPct >= 0 ? '' : 'negative'}">${gainPct >= 0 ? '+' : ''}${gainPct.toFixed(2)}%</span>
+      ${gains?.unrealized ? `<span class="hero-period">${formatGainSplit(gains.unrealized, gains.base_currency)}</span>` : ''}
     `;
 
     document.getElementById('metric-investments').textContent = formatMoney(totalInvested, baseCurrency);
@@ -95,9 +102,13 @@ export async function loadAccountDetail(accountId) {
 export async function loadAccountChart(accountId, period, transactions) {
   if (!period) period = document.querySelector('#account-periods .period-btn.active')?.dataset.period || '3m';
   try {
-    const data = await API.get(`/api/prices/portfolio/history?account_id=${accountId}&period=${period}`);
+    const [data, risk] = await Promise.all([
+      API.get(`/api/prices/portfolio/history?account_id=${accountId}&period=${period}`),
+      loadRisk('account-risk', period, { account_id: accountId })
+    ]);
     // Fetch transactions if not provided
     if (!transactions) transactions = await API.get(`/api/transactions?account_id=${accountId}`) || [];
-    renderLineChart('account-chart', data || [], 'accountChart', 200, transactions);
+    renderLineChart('account-chart', data || [], 'accountChart', 200, transactions, risk?.drawdown || []);
+    loadPerformance('account-performance', period, { account_id: accountId });
   } catch (e) { console.error('Account chart error:', e); }
 }
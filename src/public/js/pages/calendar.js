@@ -1,22 +1,35 @@
 /* ===== Calendar Page ===== */
 
 import { API } from '../modules/api.js';
-import { formatMoney, formatDate, esc } from '../modules/utils.js';
+import { formatMoney, formatDate, esc, toast } from '../modules/utils.js';
 
 let calendarState = {
   view: 'month', // month, week, year
   currentDate: new Date(),
   transactions: [],
+  forecasts: [], // expected dividends, shaped like transactions with forecast: true
+  loanPayments: [], // scheduled loan payments in the visible range, shaped the same way
+  plannedExecutions: [], // pending and scheduled savings plan executions in the visible range
   dailyWealth: {} // date -> { total_wealth, total_cost }
 };
 
+const BACKFILL_POLL_MS = 2000;
+let backfillTimer = null;
+
 export async function loadCalendar() {
   const container = document.getElementById('calendar-container');
   container.innerHTML = '<div class="loading-spinner">Loading calendar...</div>';
 
   try {
-    const transactions = await API.get('/api/transactions?limit=5000');
+    const [transactions, forecast] = await Promise.all([
+      API.get('/api/transactions?limit=5000'),
+      API.get('/api/reports/income/forecast')
+    ]);
     calendarState.transactions = transactions || [];
+    calendarState.forecasts = (forecast?.payouts || []).map(p => ({
+      symbol: p.symbol, type: 'dividend', quantity: p.quantity, price: p.amount_per_share, currency: p.currency, date: p.date,
+      fee: 0, notes: `Expected ${p.frequency} dividend (${p.account_name})`, forecast: true
+    }));
 
     // Also save today's wealth snapshot
     API.post('/api/prices/daily-wealth', {}).catch(() => {});
@@ -24,6 +37,15 @@ export async function loadCalendar() {
     // Load daily wealth for the visible range
     await loadDailyWealthForView();
     renderCalendar();
+
+    loadPending();
+
+    // Pick up a backfill that is still running (e.g. started before a reload)
+    if (!backfillTimer) {
+      const jobs = await API.get('/api/prices/daily-wealth/backfill');
+      const running = Array.isArray(jobs) && jobs.find(j => j.status === 'running');
+      if (running) pollBackfill(running.id);
+    }
   } catch (e) {
     console.error('Calendar error:', e);
     container.innerHTML = '<div class="empty-state"><i class="fas fa-calendar-times"></i><p>Failed to load calendar.</p></div>';
@@ -50,7 +72,21 @@ async function loadDailyWealthForView() {
       end = `${d.getFullYear()}-12-31`;
     }
 
-    const data = await API.get(`/api/prices/daily-wealth?start=${start}&end=${end}`);
+    const [data, payments, planned] = await Promise.all([
+      API.get(`/api/prices/daily-wealth?start=${start}&end=${end}`),
+      API.get(`/api/liabilities/payments?start=${start}&end=${end}`),
+      API.get(`/api/recurring/upcoming?start=${start}&end=${end}`)
+    ]);
+    calendarState.loanPayments = (Array.isArray(payments) ? payments : []).map(p => ({
+      symbol: p.name, type: 'loan_payment', amount: p.payment, currency: p.currency, date: p.date, fee: 0,
+      notes: `${p.kind === 'extra' ? 'Extra repayment' : `Interest ${formatMoney(p.interest, p.currency)}, principal ${formatMoney(p.principal, p.currency)}`}, balance ${formatMoney(p.balance, p.currency)} after`,
+      forecast: true, label: p.kind === 'extra' ? 'repayment' : 'loan'
+    }));
+    calendarState.plannedExecutions = (Array.isArray(planned) ? planned : []).map(e => ({
+      symbol: e.symbol, type: e.type, quantity: e.quantity, price: e.price, amount: e.amount, currency: e.currency, date: e.date, fee: e.fee,
+      notes: e.status === 'pending' ? 'Savings plan execution waiting to be confirmed' : 'Scheduled savings plan execution',
+      forecast: true, label: e.status === 'pending' ? 'pending' : 'planned'
+    }));
     calendarState.dailyWealth = {};
     for (const row of (data || [])) {
       calendarState.dailyWealth[row.date] = row;
@@ -60,6 +96,76 @@ async function loadDailyWealthForView() {
   }
 }
 
+// ===== Backfill =====
+export async function startBackfill() {
+  if (backfillTimer) return;
+  const job = await API.post('/api/prices/daily-wealth/backfill', {});
+  if (job.error) {
+    toast(job.error, 'error');
+    return;
+  }
+  toast('Backfilling daily wealth...', 'info');
+  pollBackfill(job.id);
+}
+
+// Days whose snapshot is stale after a transaction edit, import or delete
+async function loadPending() {
+  const btn = document.getElementById('cal-pending');
+  const pending = await API.get('/api/prices/daily-wealth/pending');
+  if (!pending || pending.error) {
+    btn.classList.add('hidden');
+    return;
+  }
+  btn.querySelector('span').textContent = `${pending.days} day${pending.days === 1 ? '' : 's'} pending`;
+  btn.classList.remove('hidden');
+}
+
+export async function recomputePending() {
+  if (backfillTimer) return;
+  const result = await API.post('/api/prices/daily-wealth/recompute', {});
+  if (result.error) {
+    toast(result.error, 'error');
+    return;
+  }
+  if (!result.job) {
+    toast(result.pending ? 'Another backfill is running; pending days follow after it' : 'Nothing to recalculate', 'info');
+    return;
+  }
+  toast('Recalculating pending days...', 'info');
+  pollBackfill(result.job.id);
+}
+
+function pollBackfill(id) {
+  const label = document.querySelector('#cal-backfill span');
+  backfillTimer = setInterval(async () => {
+    const job = await API.get(`/api/prices/daily-wealth/backfill/${id}`);
+    if (!job || job.error) {
+      stopPolling();
+      return;
+    }
+
+    const percent = job.total_days ? Math.floor(job.processed_days / job.total_days * 100) : 0;
+    label.textContent = `Backfill ${percent}%`;
+
+    if (job.status === 'running') return;
+    stopPolling();
+    if (job.status === 'completed') {
+      toast(`Backfilled ${job.total_days} days`, 'success');
+      await loadDailyWealthForView();
+      renderCalendar();
+      loadPending();
+    } else if (job.status === 'failed') {
+      toast(`Backfill failed: ${job.error}`, 'error');
+    }
+  }, BACKFILL_POLL_MS);
+
+  function stopPolling() {
+    clearInterval(backfillTimer);
+    backfillTimer = null;
+    label.textContent = 'Backfill';
+  }
+}
+
 function toDateStr(d) {
   return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 }
@@ -124,17 +230,37 @@ function getWeekStart(date) {
   return new Date(d.setDate(diff));
 }
 
+// Actual transactions followed by the dividends expected, the loan payments due and the savings
+// plan executions planned on the day
+function calendarEntries() {
+  return [...calendarState.transactions, ...calendarState.forecasts, ...calendarState.loanPayments, ...calendarState.plannedExecutions];
+}
+
 function getTransactionsForDate(dateStr) {
-  return calendarState.transactions.filter(tx => tx.date && tx.date.substring(0, 10) === dateStr);
+  return calendarEntries().filter(tx => tx.date && tx.date.substring(0, 10) === dateStr);
 }
 
 function getTransactionsForMonth(year, month) {
   const prefix = `${year}-${String(month + 1).padStart(2, '0')}`;
-  return calendarState.transactions.filter(tx => tx.date && tx.date.startsWith(prefix));
+  return calendarEntries().filter(tx => tx.date && tx.date.startsWith(prefix));
+}
+
+// Money moved by an entry; a planned buy priced on the day only knows its amount
+function entryTotal(tx) {
+  return tx.amount ?? (tx.quantity || 0) * (tx.price || 0);
+}
+
+// Gain of a snapshot on its assets; total_wealth is the net worth, after debts
+function wealthGain(wealth) {
+  return (wealth.details?.assets ?? wealth.total_wealth) - wealth.total_cost;
+}
+
+function txTypeLabel(tx) {
+  return tx.label || (tx.forecast ? 'expected' : tx.type.replace('_', ' '));
 }
 
 function txBadgeClass(type) {
-  const map = { buy: 'badge-buy', sell: 'badge-sell', transfer_in: 'badge-transfer_in', transfer_out: 'badge-transfer_out', dividend: 'badge-dividend', interest: 'badge-interest', fee: 'badge-fee' };
+  const map = { buy: 'badge-buy', sell: 'badge-sell', transfer_in: 'badge-transfer_in', transfer_out: 'badge-transfer_out', dividend: 'badge-dividend', interest: 'badge-interest', fee: 'badge-fee', deposit: 'badge-deposit', withdrawal: 'badge-withdrawal', loan_payment: 'badge-loan_payment' };
   return map[type] || 'badge-buy';
 }
 
@@ -184,9 +310,10 @@ function renderMonthView() {
 
     // Show daily wealth if available
     if (wealth) {
-      const gain = wealth.total_wealth - wealth.total_cost;
+      const gain = wealthGain(wealth);
       const gainClass = gain >= 0 ? 'cal-wealth-positive' : 'cal-wealth-negative';
-      html += `<div class="cal-day-wealth ${gainClass}" title="Total wealth: ${formatMoney(wealth.total_wealth, wealth.base_currency || 'EUR')}">`;
+      html += `<div class="cal-day-wealth ${gainClass}${wealth.dirty ? ' cal-wealth-pending' : ''}" title="Total wealth: ${formatMoney(wealth.total_wealth, wealth.base_currency || 'EUR')}${wealth.dirty ? ' (pending recalculation)' : ''}">`;
+      if (wealth.dirty) html += '<i class="fas fa-sync-alt cal-pending-icon"></i>';
       html += `<span class="cal-wealth-amount">${formatMoneyCompact(wealth.total_wealth)}</span>`;
       html += `</div>`;
     }
@@ -195,10 +322,10 @@ function renderMonthView() {
       html += '<div class="cal-day-events">';
       const shown = dayTx.slice(0, 2);
       for (const tx of shown) {
-        const total = (tx.quantity || 0) * (tx.price || 0);
-        html += `<div class="cal-event ${txBadgeClass(tx.type)}" title="${esc(tx.symbol)} - ${tx.type} - ${formatMoney(total, tx.currency)}">`;
+        const total = entryTotal(tx);
+        html += `<div class="cal-event ${txBadgeClass(tx.type)}${tx.forecast ? ' cal-event-forecast' : ''}" title="${esc(tx.symbol)} - ${tx.forecast ? esc(tx.notes) : tx.type} - ${formatMoney(total, tx.currency)}">`;
         html += `<span class="cal-event-symbol">${esc(tx.symbol)}</span>`;
-        html += `<span class="cal-event-type">${tx.type}</span>`;
+        html += `<span class="cal-event-type">${txTypeLabel(tx)}</span>`;
         html += `<span class="cal-event-amount">${formatMoneyCompact(total)}</span>`;
         html += '</div>';
       }
@@ -247,11 +374,11 @@ function renderWeekView() {
 
     // Show daily wealth in week header
     if (wealth) {
-      const gain = wealth.total_wealth - wealth.total_cost;
+      const gain = wealthGain(wealth);
       const gainPct = wealth.total_cost > 0 ? ((gain / wealth.total_cost) * 100) : 0;
       const gainClass = gain >= 0 ? 'cal-wealth-positive' : 'cal-wealth-negative';
-      html += `<div class="cal-week-wealth ${gainClass}">`;
-      html += `<span class="cal-wealth-label">Wealth</span>`;
+      html += `<div class="cal-week-wealth ${gainClass}${wealth.dirty ? ' cal-wealth-pending' : ''}">`;
+      html += `<span class="cal-wealth-label">Wealth${wealth.dirty ? ' <i class="fas fa-sync-alt cal-pending-icon" title="Pending recalculation"></i>' : ''}</span>`;
       html += `<span class="cal-wealth-value">${formatMoney(wealth.total_wealth, wealth.base_currency || 'EUR')}</span>`;
       html += `<span class="cal-wealth-change">${gain >= 0 ? '+' : ''}${gainPct.toFixed(1)}%</span>`;
       html += `</div>`;
@@ -266,6 +393,7 @@ function renderWeekView() {
       // Calculate daily summary
       let dayBuyTotal = 0, daySellTotal = 0;
       for (const tx of dayTx) {
+        if (tx.forecast) continue;
         const total = (tx.quantity || 0) * (tx.price || 0);
         if (['buy', 'transfer_in'].includes(tx.type)) dayBuyTotal += total;
         if (['sell', 'transfer_out'].includes(tx.type)) daySellTotal += total;
@@ -280,14 +408,14 @@ function renderWeekView() {
       }
 
       for (const tx of dayTx) {
-        const total = (tx.quantity || 0) * (tx.price || 0);
-        html += `<div class="cal-week-event ${txBadgeClass(tx.type)}">`;
+        const total = entryTotal(tx);
+        html += `<div class="cal-week-event ${txBadgeClass(tx.type)}${tx.forecast ? ' cal-event-forecast' : ''}">`;
         html += `<div class="cal-week-event-header">`;
         html += `<span class="cal-week-event-symbol">${esc(tx.symbol)}</span>`;
-        html += `<span class="badge ${txBadgeClass(tx.type)}">${tx.type.replace('_', ' ')}</span>`;
+        html += `<span class="badge ${txBadgeClass(tx.type)}">${txTypeLabel(tx)}</span>`;
         html += `</div>`;
         html += `<div class="cal-week-event-detail">`;
-        html += `<span>${tx.quantity ? formatNumber(tx.quantity) + ' @ ' + formatMoney(tx.price, tx.currency) : ''}</span>`;
+        html += `<span>${tx.quantity && tx.price ? formatNumber(tx.quantity) + ' @ ' + formatMoney(tx.price, tx.currency) : ''}</span>`;
         html += `<span class="cal-week-event-total">${formatMoney(total, tx.currency)}</span>`;
         html += `</div>`;
         if (tx.fee > 0) {
@@ -314,7 +442,11 @@ function renderYearView() {
 
   let html = '<div class="cal-year-grid">';
   for (let m = 0; m < 12; m++) {
-    const monthTx = getTransactionsForMonth(year, m);
+    const monthEntries = getTransactionsForMonth(year, m);
+    const monthTx = monthEntries.filter(tx => !tx.forecast);
+    const monthForecasts = monthEntries.filter(tx => tx.forecast && tx.type === 'dividend');
+    const monthLoanPayments = monthEntries.filter(tx => tx.type === 'loan_payment');
+    const monthPlanned = monthEntries.filter(tx => tx.forecast && !['dividend', 'loan_payment'].includes(tx.type));
     const isCurrentMonth = today.getFullYear() === year && today.getMonth() === m;
 
     // Group by type and calculate totals
@@ -339,9 +471,10 @@ function renderYearView() {
 
     // Show wealth snapshot
     if (monthWealth) {
-      const gain = monthWealth.total_wealth - monthWealth.total_cost;
+      const gain = wealthGain(monthWealth);
       const gainClass = gain >= 0 ? 'cal-wealth-positive' : 'cal-wealth-negative';
-      html += `<div class="cal-year-month-wealth ${gainClass}">`;
+      html += `<div class="cal-year-month-wealth ${gainClass}${monthWealth.dirty ? ' cal-wealth-pending' : ''}">`;
+      if (monthWealth.dirty) html += '<i class="fas fa-sync-alt cal-pending-icon" title="Pending recalculation"></i> ';
       html += `<span>${formatMoneyCompact(monthWealth.total_wealth)}</span>`;
       html += `</div>`;
     }
@@ -364,13 +497,28 @@ function renderYearView() {
       html += '<div class="cal-year-mini-grid">';
       for (let d = 1; d <= daysInMonth; d++) {
         const dateStr = `${year}-${String(m + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
-        const dayTx = getTransactionsForDate(dateStr);
+        const dayTx = getTransactionsForDate(dateStr).filter(tx => !tx.forecast);
         const intensity = dayTx.length === 0 ? 0 : Math.min(dayTx.length, 4);
         html += `<div class="cal-mini-day cal-heat-${intensity}" title="${dateStr}: ${dayTx.length} tx"></div>`;
       }
       html += '</div>';
     }
 
+    if (monthForecasts.length) {
+      const expected = monthForecasts.reduce((sum, tx) => sum + tx.quantity * tx.price, 0);
+      html += `<div class="cal-year-month-types"><span class="badge badge-dividend cal-event-forecast" title="Expected dividends">expected (${monthForecasts.length}) ${formatMoneyCompact(expected)}</span></div>`;
+    }
+
+    if (monthLoanPayments.length) {
+      const due = monthLoanPayments.reduce((sum, tx) => sum + entryTotal(tx), 0);
+      html += `<div class="cal-year-month-types"><span class="badge badge-loan_payment cal-event-forecast" title="Loan payments">loans (${monthLoanPayments.length}) ${formatMoneyCompact(due)}</span></div>`;
+    }
+
+    if (monthPlanned.length) {
+      const planned = monthPlanned.reduce((sum, tx) => sum + (entryTotal(tx) || 0), 0);
+      html += `<div class="cal-year-month-types"><span class="badge badge-buy cal-event-forecast" title="Savings plan executions">planned (${monthPlanned.length}) ${formatMoneyCompact(planned)}</span></div>`;
+    }
+
     html += '</div>';
   }
   html += '</div>';
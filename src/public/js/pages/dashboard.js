@@ -2,8 +2,11 @@
 
 import { API } from '../modules/api.js';
 import { state } from '../modules/state.js';
-import { formatMoney, formatNumber, esc, getSymbolIcon, getSymbolColor, getSymbolInitials } from '../modules/utils.js';
+import { formatMoney, formatNumber, formatGainSplit, esc, getSymbolIcon, getSymbolColor, getSymbolInitials } from '../modules/utils.js';
 import { renderLineChart } from '../components/chart.js';
+import { holdingQuote } from '../components/holdings.js';
+import { loadPerformance } from '../components/performance.js';
+import { loadRisk } from '../components/risk.js';
 
 function updateCETClock() {
   const el = document.getElementById('dashboard-cet-clock');
@@ -55,12 +58,16 @@ export async function loadDashboard() {
       heroChange.className = `hero-change ${gain >= 0 ? '' : 'negative'}`;
       heroPct.textContent = `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%`;
       heroPct.className = `hero-change-pct ${pct >= 0 ? '' : 'negative'}`;
+      renderNetWorth(summary, cur);
+      renderGainSplit(summary, cur);
+      renderUnconvertedWarning(summary.unconverted || []);
     }
 
     renderDashboardAccounts(accounts || [], summary);
     renderDashboardHoldings(summary);
     renderDashboardGoals(goals || []);
     loadDashboardChart();
+    loadPassiveIncome();
 
     // Also snapshot today's wealth for calendar
     API.post('/api/prices/daily-wealth', {}).catch(() => {});
@@ -71,6 +78,46 @@ export async function loadDashboard() {
   if (loadingOverlay) loadingOverlay.style.display = 'none';
 }
 
+// The hero amount is the net worth; with debts, show what it is made of
+function renderNetWorth(summary, cur) {
+  const el = document.getElementById('hero-net-worth');
+  if (!summary.liabilities) { el.classList.add('hidden'); return; }
+  el.innerHTML = `Assets ${formatMoney(summary.assets, cur)} &middot; Liabilities -${formatMoney(summary.liabilities, cur)} &middot; Net worth ${formatMoney(summary.net_worth, cur)}`;
+  el.classList.remove('hidden');
+}
+
+// Whether the gain came from the assets themselves or from currency moves since purchase, and the
+// cash held in the accounts
+function renderGainSplit(summary, cur) {
+  const el = document.getElementById('hero-gain-split');
+  if (!summary.unrealized) { el.classList.add('hidden'); return; }
+  const realized = summary.realized && summary.realized.total !== 0
+    ? ` &middot; Realized ${summary.realized.total >= 0 ? '+' : ''}${formatMoney(summary.realized.total, cur)} (${formatGainSplit(summary.realized, cur)})`
+    : '';
+  const cash = summary.cash ? ` &middot; Cash ${formatMoney(summary.cash, cur)}` : '';
+  el.innerHTML = `Unrealized: ${formatGainSplit(summary.unrealized, cur)}${realized}${cash}`;
+  el.classList.remove('hidden');
+}
+
+// Dividends expected over the next twelve months from the current holdings
+async function loadPassiveIncome() {
+  const el = document.getElementById('hero-passive-income');
+  const forecast = await API.get('/api/reports/income/forecast');
+  if (!forecast || forecast.error || !forecast.holdings.length) { el.classList.add('hidden'); return; }
+  el.innerHTML = `<i class="fas fa-coins"></i> Projected passive income: ${formatMoney(forecast.annual_income, forecast.base_currency)} / year from ${forecast.holdings.length} dividend holding${forecast.holdings.length !== 1 ? 's' : ''}`;
+  el.classList.remove('hidden');
+}
+
+// Holdings the server left out of the totals because no FX rate reaches the base currency
+function renderUnconvertedWarning(unconverted) {
+  const el = document.getElementById('hero-unconverted');
+  if (!unconverted.length) { el.classList.add('hidden'); return; }
+  const names = unconverted.map(u => `${esc(u.symbol || u.account_name)} (${esc(u.currency)})`).join(', ');
+  const pairs = [...new Set(unconverted.map(u => `${u.currency} → ${u.base_currency}`))].join(', ');
+  el.innerHTML = `<i class="fas fa-exclamation-triangle"></i> Not included in totals: ${names}. Add a rate for ${esc(pairs)} in Settings.`;
+  el.classList.remove('hidden');
+}
+
 export async function loadDashboardChart(period) {
   if (!period) period = document.querySelector('#dashboard-periods .period-btn.active')?.dataset.period || '3m';
   // Show chart loading overlay
@@ -84,13 +131,15 @@ export async function loadDashboardChart(period) {
   }
   overlay.classList.add('active');
   try {
-    const [data, allTx] = await Promise.all([
+    const [data, allTx, risk] = await Promise.all([
       API.get(`/api/prices/portfolio/history?period=${period}`),
-      API.get('/api/transactions?limit=500')
+      API.get('/api/transactions?limit=500'),
+      loadRisk('dashboard-risk', period)
     ]);
-    renderLineChart('dashboard-chart', data || [], 'dashboardChart', 220, allTx || []);
+    renderLineChart('dashboard-chart', data || [], 'dashboardChart', 220, allTx || [], risk?.drawdown || []);
     const labels = { '1w': 'Last week', '1m': 'Last month', '3m': 'Last 3 months', '6m': 'Last 6 months', 'ytd': 'Year to date', '1y': 'Last year', '5y': 'Last 5 years', 'all': 'All time' };
     document.getElementById('hero-period').textContent = labels[period] || '';
+    loadPerformance('hero-performance', period);
   } catch (e) { console.error('Dashboard chart error:', e); }
   overlay.classList.remove('active');
 }
@@ -140,12 +189,12 @@ async function loadTopHoldings(container) {
       const holdings = await API.get(`/api/accounts/${account.id}/holdings`);
       if (holdings) for (const h of holdings) allHoldings.push({ ...h, account_id: account.id, account_currency: account.currency });
     }
-    const symbols = [...new Set(allHoldings.map(h => h.symbol))];
+    const symbols = [...new Set(allHoldings.filter(h => !h.cash).map(h => h.symbol))];
     let prices = {};
     if (symbols.length) prices = await API.post('/api/prices/quotes', { symbols }) || {};
 
     const enriched = allHoldings.map(h => {
-      const p = prices[h.symbol] || {};
+      const p = holdingQuote(h, prices);
       const marketValue = h.quantity * (p.price || 0);
       const costBasis = h.quantity * (h.avg_cost || 0);
       const gain = marketValue - costBasis;
@@ -158,11 +207,11 @@ async function loadTopHoldings(container) {
     const remaining = enriched.slice(5);
 
     let html = top5.map(h => `
-      <div class="holding-row" onclick="showSymbolPage(${h.account_id}, '${esc(h.symbol)}')">
+      <div class="holding-row"${h.cash ? '' : ` onclick="showSymbolPage(${h.account_id}, '${esc(h.symbol)}')"`}>
         <div class="holding-row-icon">${getSymbolIcon(h.symbol)}</div>
         <div class="holding-row-info">
           <h4>${esc(h.symbol)}</h4>
-          <span>${formatNumber(h.quantity)} shares</span>
+          <span>${h.cash ? 'Cash' : `${formatNumber(h.quantity)} shares`}</span>
         </div>
         <div class="holding-row-values">
           <div class="val">${formatMoney(h.market_value, h.currency)}</div>
@@ -0,0 +1,184 @@
+/* ===== Reports Page (realized gains, income and correlation) ===== */
+
+import { API } from '../modules/api.js';
+import { formatMoney, formatNumber, formatDate, esc } from '../modules/utils.js';
+import { renderBarChart } from '../components/chart.js';
+
+export async function loadReports() {
+  const summaryEl = document.getElementById('reports-summary');
+  const disposalsEl = document.getElementById('reports-disposals');
+  const yearEl = document.getElementById('reports-year');
+  disposalsEl.innerHTML = '<div class="loading-spinner">Loading realized gains...</div>';
+  loadCorrelation();
+
+  try {
+    const year = yearEl.value;
+    const query = year ? `?year=${year}` : '';
+    const [report, income] = await Promise.all([
+      API.get(`/api/reports/realized-gains${query}`),
+      API.get(`/api/reports/income${query}`)
+    ]);
+    if (income && !income.error) renderIncome(income);
+    if (!report || report.error) {
+      summaryEl.innerHTML = '';
+      disposalsEl.innerHTML = `<div class="empty-state"><p>${esc(report?.error || 'Failed to load realized gains.')}</p></div>`;
+      return;
+    }
+    // The year list comes from the unfiltered reports, so keep it while a year is selected
+    if (!year) {
+      const incomeYears = (income?.by_month || []).map(m => parseInt(m.month.slice(0, 4)));
+      renderYearOptions([...new Set([...report.years.map(y => y.year), ...incomeYears])].sort((a, b) => b - a));
+    }
+    renderYearSummary(report, summaryEl);
+    renderDisposals(report, disposalsEl);
+  } catch (e) { console.error('Reports error:', e); }
+}
+
+export function exportRealizedGains() {
+  const year = document.getElementById('reports-year').value;
+  window.location.href = `/api/reports/realized-gains/export/csv${year ? `?year=${year}` : ''}`;
+}
+
+function renderYearOptions(years) {
+  document.getElementById('reports-year').innerHTML = `<option value="">All years</option>` +
+    years.map(y => `<option value="${y}">${y}</option>`).join('');
+}
+
+function gainCell(value, currency) {
+  return `<td class="${value >= 0 ? 'text-success' : 'text-danger'}">${value >= 0 ? '+' : ''}${formatMoney(value, currency)}</td>`;
+}
+
+function renderYearSummary(report, container) {
+  const cur = report.base_currency;
+  if (!report.years.length) {
+    container.innerHTML = `<div class="empty-state"><i class="fas fa-file-invoice-dollar"></i><p>No realized gains yet.</p></div>`;
+    return;
+  }
+  container.innerHTML = `<table><thead><tr>
+    <th>Tax Year</th><th>Short-Term</th><th>Long-Term</th><th>Total Gain</th><th>Taxable Gain</th><th>Proceeds</th><th>Cost Basis</th><th>Fees</th>
+  </tr></thead><tbody>
+    ${report.years.map(y => `<tr>
+      <td><strong>${y.year}</strong></td>
+      ${gainCell(y.short_term.gain, cur)}
+      ${gainCell(y.long_term.gain, cur)}
+      ${gainCell(y.total.gain, cur)}
+      ${gainCell(y.taxable_gain, cur)}
+      <td>${formatMoney(y.total.proceeds, cur)}</td>
+      <td>${formatMoney(y.total.cost_basis, cur)}</td>
+      <td>${formatMoney(y.total.fees, cur)}</td>
+    </tr>`).join('')}</tbody></table>
+    ${report.unconverted ? `<p class="form-hint">${report.unconverted} closing trade(s) left out of the totals: no exchange rate converts them to ${esc(cur)}.</p>` : ''}`;
+}
+
+function renderDisposals(report, container) {
+  const cur = report.base_currency;
+  if (!report.disposals.length) {
+    container.innerHTML = `<div class="empty-state"><p>No closing trades.</p></div>`;
+    return;
+  }
+  const amount = v => v === null ? '<span class="text-muted">--</span>' : formatMoney(v, cur);
+  // Newest disposals first
+  container.innerHTML = `<table><thead><tr>
+    <th>Symbol</th><th>Account</th><th>Quantity</th><th>Acquired</th><th>Disposed</th><th>Term</th><th>Proceeds</th><th>Cost Basis</th><th>Fees</th><th>Gain</th>
+  </tr></thead><tbody>
+    ${[...report.disposals].reverse().map(d => `<tr>
+      <td><strong>${esc(d.symbol)}</strong></td>
+      <td>${esc(d.account_name)}</td>
+      <td>${formatNumber(d.quantity)}</td>
+      <td>${d.acquired ? formatDate(d.acquired) : '<span class="text-muted">--</span>'}</td>
+      <td>${formatDate(d.disposed)}</td>
+      <td>${d.term === 'long' ? 'Long-term' : 'Short-term'}</td>
+      <td>${amount(d.proceeds)}</td>
+      <td>${amount(d.cost_basis)}</td>
+      <td>${amount(d.fees)}</td>
+      ${d.gain === null ? '<td><span class="text-muted">--</span></td>' : gainCell(d.gain, cur)}
+    </tr>`).join('')}</tbody></table>`;
+}
+
+// ===== Income =====
+function formatYield(value) {
+  return value === null ? '--' : `${(value * 100).toFixed(2)}%`;
+}
+
+function renderIncome(income) {
+  const cur = income.base_currency;
+  const t = income.total;
+  document.getElementById('income-metrics').innerHTML = [
+    ['Gross Income', formatMoney(t.gross, cur)],
+    ['Withholding Tax', formatMoney(t.withholding_tax, cur)],
+    ['Net Income', formatMoney(t.net, cur)],
+    ['Trailing 12 Months', formatMoney(t.trailing_12m, cur)],
+    ['Yield on Cost', formatYield(t.yield_on_cost)],
+    ['Trailing Yield', formatYield(t.trailing_yield)]
+  ].map(([label, value]) => `<div class="metric-card"><div class="metric-label">${label}</div><div class="metric-value">${value}</div></div>`).join('');
+
+  const s = getComputedStyle(document.documentElement);
+  const labels = income.by_month.map(m => new Date(`${m.month}-01`).toLocaleDateString('en-US', { month: 'short', year: '2-digit' }));
+  renderBarChart('income-chart', labels, [
+    { label: 'Dividends', data: income.by_month.map(m => m.dividend), color: s.getPropertyValue('--primary').trim() },
+    { label: 'Interest', data: income.by_month.map(m => m.interest), color: s.getPropertyValue('--success').trim() }
+  ], 'incomeChart', cur);
+
+  renderIncomeTable(income.by_symbol, 'Symbol', r => `<strong>${esc(r.symbol)}</strong>`, cur, document.getElementById('income-by-symbol'));
+  renderIncomeTable(income.by_account, 'Account', r => esc(r.account_name), cur, document.getElementById('income-by-account'));
+}
+
+function renderIncomeTable(rows, heading, nameCell, cur, container) {
+  if (!rows.length) {
+    container.innerHTML = `<div class="empty-state"><p>No dividends or interest.</p></div>`;
+    return;
+  }
+  container.innerHTML = `<table><thead><tr>
+    <th>${heading}</th><th>Payments</th><th>Gross</th><th>Withholding Tax</th><th>Net</th><th>Trailing 12M</th><th>Yield on Cost</th><th>Trailing Yield</th>
+  </tr></thead><tbody>
+    ${rows.map(r => `<tr>
+      <td>${nameCell(r)}</td>
+      <td>${r.count}</td>
+      <td>${formatMoney(r.gross, cur)}</td>
+      <td>${formatMoney(r.withholding_tax, cur)}</td>
+      <td>${formatMoney(r.net, cur)}</td>
+      <td>${formatMoney(r.trailing_12m, cur)}</td>
+      <td>${formatYield(r.yield_on_cost)}</td>
+      <td>${formatYield(r.trailing_yield)}</td>
+    </tr>`).join('')}</tbody></table>`;
+}
+
+// ===== Correlation =====
+const TOP_CORRELATED_PAIRS = 3;
+
+export async function loadCorrelation() {
+  const container = document.getElementById('correlation-matrix');
+  container.innerHTML = '<div class="loading-spinner">Loading correlation...</div>';
+  const data = await API.get(`/api/reports/correlation?period=${document.getElementById('correlation-period').value}`);
+  if (!data || data.error) {
+    container.innerHTML = `<div class="empty-state"><p>${esc(data?.error || 'Failed to load correlation.')}</p></div>`;
+    return;
+  }
+  renderCorrelation(data, container);
+}
+
+function renderCorrelation(data, container) {
+  const skipped = data.skipped.length
+    ? `<p class="form-hint">Not included: ${data.skipped.map(s => `${esc(s.symbol)} (${esc(s.reason)})`).join(', ')}</p>`
+    : '';
+  if (data.symbols.length < 2) {
+    container.innerHTML = `<div class="empty-state"><i class="fas fa-th"></i><p>Hold at least two symbols with price history to compare them.</p></div>${skipped}`;
+    return;
+  }
+
+  const s = getComputedStyle(document.documentElement);
+  const positive = s.getPropertyValue('--danger').trim();
+  const negative = s.getPropertyValue('--success').trim();
+  const top = new Set(data.pairs.slice(0, TOP_CORRELATED_PAIRS).flatMap(p => [p.symbols.join('|'), [...p.symbols].reverse().join('|')]));
+  const cell = (value, a, b) => {
+    if (value === null) return `<td class="corr-cell" title="Too few common trading days">--</td>`;
+    const alpha = Math.round(Math.abs(value) * 200).toString(16).padStart(2, '0');
+    return `<td class="corr-cell${top.has(`${a}|${b}`) ? ' corr-top' : ''}" style="background:${value >= 0 ? positive : negative}${alpha}" title="${esc(a)} / ${esc(b)}">${value.toFixed(2)}</td>`;
+  };
+
+  const mostCorrelated = data.pairs.slice(0, TOP_CORRELATED_PAIRS)
+    .map(p => `${esc(p.symbols[0])} / ${esc(p.symbols[1])} ${p.correlation.toFixed(2)} (${p.observations} days)`).join(', ');
+  container.innerHTML = `<table><thead><tr><th></th>${data.symbols.map(sym => `<th class="corr-cell">${esc(sym)}</th>`).join('')}</tr></thead><tbody>
+    ${data.matrix.map((row, i) => `<tr><th>${esc(data.symbols[i])}</th>${row.map((value, j) => cell(value, data.symbols[i], data.symbols[j])).join('')}</tr>`).join('')}
+  </tbody></table>${mostCorrelated ? `<p class="form-hint">Most correlated: ${mostCorrelated}</p>` : ''}${skipped}`;
+}
@@ -4,14 +4,18 @@ import { API } from '../modules/api.js';
 import { state, updateSetting, getSetting } from '../modules/state.js';
 import { formatMoney, formatDate, esc, toast } from '../modules/utils.js';
 import { openModal, closeModal } from '../modules/modal.js';
+import { renderLineChart } from '../components/chart.js';
 import { updateThemeButtons } from '../modules/theme.js';
-import { accountFormHtml, getAccountFormData, goalFormHtml, getGoalFormData, rateFormHtml, getRateFormData, tagFormHtml, getTagFormData } from '../components/forms.js';
+import { accountFormHtml, getAccountFormData, goalFormHtml, getGoalFormData, liabilityFormHtml, getLiabilityFormData, liabilityScheduleHtml, getRepaymentFormData, payoffPlannerHtml, recurringFormHtml, getRecurringFormData, executionFormHtml, getExecutionFormData, rateFormHtml, getRateFormData, fxRateFormHtml, getFxRateFormData, tagFormHtml, getTagFormData } from '../components/forms.js';
 
 export async function loadSettings() {
-  await Promise.all([loadSettingsAccounts(), loadSettingsGoals(), loadSettingsRates(), loadSettingsTags()]);
+  await Promise.all([loadSettingsAccounts(), loadSettingsGoals(), loadSettingsLiabilities(), loadSettingsRecurring(), loadSettingsRates(), loadSettingsTags()]);
   updateThemeButtons(document.documentElement.getAttribute('data-theme'));
   initAppearanceToggles();
   initDatabaseSettings();
+  initSchedulerSettings();
+  initTaxSettings();
+  initBenchmarkSettings();
   loadAboutInfo();
 }
 
@@ -26,6 +30,39 @@ async function loadSettingsAccounts() {
   }).join('');
 }
 
+async function loadSettingsLiabilities() {
+  const liabilities = await API.get('/api/liabilities');
+  const list = document.getElementById('settings-liabilities-list');
+  if (!liabilities?.length) { list.innerHTML = `<div class="empty-state"><i class="fas fa-file-invoice-dollar"></i><p>No liabilities.</p></div>`; return; }
+  list.innerHTML = liabilities.map(l => {
+    const schedule = l.payment_amount > 0 ? `${formatMoney(l.payment_amount, l.currency)} ${l.payment_frequency}` : 'No payments';
+    return `<div class="settings-item"><div class="settings-item-info"><h4>${esc(l.name)}</h4><p>${esc(l.type.replace('_', ' '))} &middot; Owed ${formatMoney(l.balance, l.currency)} of ${formatMoney(l.principal, l.currency)} &middot; ${l.interest_rate}% &middot; ${schedule} since ${formatDate(l.start_date)}</p></div><div class="settings-item-actions"><button class="btn btn-ghost btn-icon btn-sm" onclick="showLiabilityScheduleModal(${l.id})" title="Schedule"><i class="fas fa-table-list"></i></button><button class="btn btn-ghost btn-icon btn-sm" onclick="showEditLiabilityModal(${l.id})" title="Edit"><i class="fas fa-pen"></i></button><button class="btn btn-ghost btn-icon btn-sm text-danger" onclick="deleteLiability(${l.id})" title="Delete"><i class="fas fa-trash"></i></button></div></div>`;
+  }).join('');
+}
+
+async function loadSettingsRecurring() {
+  const [plans, executions, accounts] = await Promise.all([API.get('/api/recurring'), API.get('/api/recurring/executions'), API.get('/api/accounts')]);
+  const accountName = (id) => (accounts || []).find(a => a.id === id)?.name || '';
+
+  const list = document.getElementById('settings-recurring-list');
+  if (!plans?.length) {
+    list.innerHTML = `<div class="empty-state"><i class="fas fa-repeat"></i><p>No savings plans.</p></div>`;
+  } else {
+    list.innerHTML = plans.map(r => {
+      const size = r.amount !== null ? formatMoney(r.amount, r.currency) : `${r.quantity} units`;
+      const next = r.active ? (r.next_date ? `next ${formatDate(r.next_date)}` : 'ended') : 'paused';
+      return `<div class="settings-item"><div class="settings-item-info"><h4>${esc(r.type)} ${esc(r.symbol)}${r.notes ? ` &middot; ${esc(r.notes)}` : ''}</h4><p>${size} ${esc(r.frequency)}${r.price !== null ? ` at ${formatMoney(r.price, r.currency)}` : ''} &middot; ${esc(accountName(r.account_id))} &middot; ${next}</p></div><div class="settings-item-actions"><button class="btn btn-ghost btn-icon btn-sm" onclick="showEditRecurringModal(${r.id})" title="Edit"><i class="fas fa-pen"></i></button><button class="btn btn-ghost btn-icon btn-sm text-danger" onclick="deleteRecurring(${r.id})" title="Delete"><i class="fas fa-trash"></i></button></div></div>`;
+    }).join('');
+  }
+
+  const pending = document.getElementById('settings-executions-list');
+  if (!executions?.length) { pending.innerHTML = `<div class="empty-state"><i class="fas fa-hourglass-half"></i><p>Nothing to confirm.</p></div>`; return; }
+  pending.innerHTML = executions.map(e => {
+    const detail = e.quantity && e.price ? `${e.quantity} @ ${formatMoney(e.price, e.currency)} = ${formatMoney(e.quantity * e.price, e.currency)}` : `<span class="text-danger">${esc(e.error || 'Price needed')}</span>`;
+    return `<div class="settings-item"><div class="settings-item-info"><h4>${formatDate(e.date)} &middot; ${esc(e.type)} ${esc(e.symbol)}</h4><p>${detail} &middot; ${esc(e.account_name)}</p></div><div class="settings-item-actions"><button class="btn btn-ghost btn-icon btn-sm text-success" onclick="confirmExecution(${e.id})" title="Confirm"><i class="fas fa-check"></i></button><button class="btn btn-ghost btn-icon btn-sm" onclick="showExecutionModal(${e.id})" title="Adjust and confirm"><i class="fas fa-pen"></i></button><button class="btn btn-ghost btn-icon btn-sm text-danger" onclick="skipExecution(${e.id})" title="Skip"><i class="fas fa-forward"></i></button></div></div>`;
+  }).join('');
+}
+
 async function loadSettingsGoals() {
   const goals = await API.get('/api/goals');
   const list = document.getElementById('settings-goals-list');
@@ -39,11 +76,17 @@ async function loadSettingsGoals() {
   }).join('');
 }
 
+// SQLite timestamps are UTC without a zone marker
+function formatUpdatedAt(timestamp) {
+  if (!timestamp) return 'never';
+  return new Date(timestamp.replace(' ', 'T') + 'Z').toLocaleString();
+}
+
 async function loadSettingsRates() {
   const rates = await API.get('/api/currencies');
   const list = document.getElementById('settings-rates-list');
   if (!rates?.length) { list.innerHTML = `<div class="empty-state"><i class="fas fa-exchange-alt"></i><p>No currency rates.</p></div>`; return; }
-  list.innerHTML = rates.map(r => `<div class="settings-item"><div class="settings-item-info"><h4>${esc(r.from_currency)} &rarr; ${esc(r.to_currency)}</h4><p>Rate: ${r.rate}</p></div><div class="settings-item-actions"><button class="btn btn-ghost btn-icon btn-sm" onclick="showEditRateModal(${r.id})" title="Edit"><i class="fas fa-pen"></i></button><button class="btn btn-ghost btn-icon btn-sm text-danger" onclick="deleteRate(${r.id})" title="Delete"><i class="fas fa-trash"></i></button></div></div>`).join('');
+  list.innerHTML = rates.map(r => `<div class="settings-item"><div class="settings-item-info"><h4>${esc(r.from_currency)} &rarr; ${esc(r.to_currency)}${r.pinned ? ' <i class="fas fa-thumbtack" title="Pinned"></i>' : ''}</h4><p>Rate: ${r.rate} &middot; ${esc(r.source || 'manual')} &middot; updated ${formatUpdatedAt(r.updated_at)}</p></div><div class="settings-item-actions"><button class="btn btn-ghost btn-icon btn-sm" onclick="showRateHistoryModal('${esc(r.from_currency)}', '${esc(r.to_currency)}')" title="Rate history"><i class="fas fa-history"></i></button><button class="btn btn-ghost btn-icon btn-sm" onclick="showEditRateModal(${r.id})" title="Edit"><i class="fas fa-pen"></i></button><button class="btn btn-ghost btn-icon btn-sm text-danger" onclick="deleteRate(${r.id})" title="Delete"><i class="fas fa-trash"></i></button></div></div>`).join('');
 }
 
 async function loadSettingsTags() {
@@ -87,6 +130,15 @@ async function initAppearanceToggles() {
       updateSetting('showTransactionDots', isActive);
     });
   }
+
+  // Drawdown series toggle
+  const drawdownToggle = document.getElementById('toggle-drawdown');
+  if (drawdownToggle) {
+    drawdownToggle.classList.toggle('active', getSetting('showDrawdown'));
+    rebind('toggle-drawdown', 'click', (e) => {
+      updateSetting('showDrawdown', e.currentTarget.classList.toggle('active'));
+    });
+  }
 }
 
 // ===== Account Modals =====
@@ -148,6 +200,166 @@ export async function deleteGoal(id) {
   await API.del(`/api/goals/${id}`); toast('Goal deleted', 'success'); loadSettings();
 }
 
+// ===== Liability Modals =====
+export function showAddLiabilityModal() {
+  openModal('Add Liability', liabilityFormHtml({ currency: state.dashboardSummary?.base_currency }));
+  document.getElementById('modal-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const result = await API.post('/api/liabilities', getLiabilityFormData());
+    if (result?.error) { toast(result.error, 'error'); return; }
+    closeModal(); toast('Liability added', 'success'); loadSettings();
+  });
+}
+
+export async function showEditLiabilityModal(id) {
+  const liability = await API.get(`/api/liabilities/${id}`);
+  openModal('Edit Liability', liabilityFormHtml(liability));
+  document.getElementById('modal-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const result = await API.put(`/api/liabilities/${id}`, getLiabilityFormData());
+    if (result?.error) { toast(result.error, 'error'); return; }
+    closeModal(); toast('Liability updated', 'success'); loadSettings();
+  });
+}
+
+export async function deleteLiability(id) {
+  if (!confirm('Delete this liability?')) return;
+  await API.del(`/api/liabilities/${id}`); toast('Liability deleted', 'success'); loadSettings();
+}
+
+export async function showLiabilityScheduleModal(id) {
+  const liability = await API.get(`/api/liabilities/${id}`);
+  if (liability?.error) { toast(liability.error, 'error'); return; }
+  openModal(`${liability.name} Schedule`, liabilityScheduleHtml());
+
+  document.getElementById('f-schedule-extra').addEventListener('change', () => loadLiabilitySchedule(liability));
+  document.getElementById('repayment-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const result = await API.post(`/api/liabilities/${id}/repayments`, getRepaymentFormData());
+    if (result?.error) { toast(result.error, 'error'); return; }
+    toast('Repayment added', 'success'); loadLiabilitySchedule(liability); loadSettingsLiabilities();
+  });
+
+  await loadLiabilitySchedule(liability);
+}
+
+async function loadLiabilitySchedule(liability) {
+  const extra = parseFloat(document.getElementById('f-schedule-extra')?.value) || 0;
+  const [schedule, current] = await Promise.all([
+    API.get(`/api/liabilities/${liability.id}/schedule?extra=${extra}`),
+    API.get(`/api/liabilities/${liability.id}`)
+  ]);
+  if (!schedule || schedule.error || !document.getElementById('liability-schedule-table')) return;
+  const cur = liability.currency;
+
+  const payoff = schedule.payoff_date ? `paid off on ${formatDate(schedule.payoff_date)}` : 'not paid off within 100 years';
+  document.getElementById('liability-schedule-summary').innerHTML = `${schedule.rows.filter(r => r.kind === 'payment').length} payments &middot; Total interest ${formatMoney(schedule.total_interest, cur)} &middot; Total paid ${formatMoney(schedule.total_paid, cur)} &middot; ${payoff}`;
+  renderLineChart('liability-schedule-chart', [{ date: liability.start_date, value: liability.principal }, ...schedule.rows.map(r => ({ date: r.date, value: r.balance }))], 'liabilityChart', 200);
+
+  const repayments = current?.repayments || [];
+  document.getElementById('liability-repayments-list').innerHTML = repayments.map(r => `<div class="settings-item"><div class="settings-item-info"><h4>${formatDate(r.date)}</h4><p>Extra repayment ${formatMoney(r.amount, cur)}</p></div><div class="settings-item-actions"><button class="btn btn-ghost btn-icon btn-sm text-danger" onclick="deleteLiabilityRepayment(${liability.id}, ${r.id})" title="Delete"><i class="fas fa-trash"></i></button></div></div>`).join('');
+
+  document.getElementById('liability-schedule-table').innerHTML = `<table><thead><tr>
+    <th>Date</th><th></th><th class="text-right">Payment</th><th class="text-right">Interest</th><th class="text-right">Principal</th><th class="text-right">Balance</th>
+  </tr></thead><tbody>${schedule.rows.map(r => `<tr>
+    <td>${formatDate(r.date)}</td><td>${r.kind === 'extra' ? '<span class="badge">Extra</span>' : ''}</td>
+    <td class="text-right">${formatMoney(r.payment, cur)}</td><td class="text-right">${formatMoney(r.interest, cur)}</td>
+    <td class="text-right">${formatMoney(r.principal, cur)}</td><td class="text-right">${formatMoney(r.balance, cur)}</td>
+  </tr>`).join('')}</tbody></table>`;
+}
+
+export async function deleteLiabilityRepayment(liabilityId, repaymentId) {
+  if (!confirm('Delete this repayment?')) return;
+  await API.del(`/api/liabilities/${liabilityId}/repayments/${repaymentId}`);
+  toast('Repayment deleted', 'success');
+  const liability = await API.get(`/api/liabilities/${liabilityId}`);
+  loadLiabilitySchedule(liability); loadSettingsLiabilities();
+}
+
+export async function showPayoffPlannerModal() {
+  openModal('Debt Payoff Planner', payoffPlannerHtml());
+  document.getElementById('f-payoff-extra').addEventListener('change', loadPayoffPlans);
+  await loadPayoffPlans();
+}
+
+async function loadPayoffPlans() {
+  const extra = parseFloat(document.getElementById('f-payoff-extra')?.value) || 0;
+  const comparison = await API.get(`/api/liabilities/payoff?extra=${extra}`);
+  const container = document.getElementById('payoff-plans');
+  if (!container || !comparison || comparison.error) return;
+  const cur = comparison.base_currency;
+  if (!comparison.avalanche.debts.length) { container.innerHTML = '<div class="empty-state"><i class="fas fa-route"></i><p>No debts outstanding.</p></div>'; return; }
+
+  const plan = (p, title) => `<div class="settings-section"><h4>${title}</h4>
+    <p class="form-hint">${formatMoney(p.monthly_budget, cur)} a month &middot; Interest ${formatMoney(p.total_interest, cur)} &middot; ${p.payoff_date ? `debt-free on ${formatDate(p.payoff_date)} (${p.months} months)` : 'not paid off within 100 years'}</p>
+    <table><thead><tr><th>#</th><th>Debt</th><th class="text-right">Rate</th><th class="text-right">Balance</th><th class="text-right">Interest</th><th>Paid off</th></tr></thead><tbody>
+    ${p.debts.map((d, i) => `<tr><td>${i + 1}</td><td>${esc(d.name)}</td><td class="text-right">${d.interest_rate}%</td><td class="text-right">${formatMoney(d.balance, cur)}</td><td class="text-right">${formatMoney(d.interest, cur)}</td><td>${d.payoff_date ? formatDate(d.payoff_date) : '&mdash;'}</td></tr>`).join('')}
+    </tbody></table></div>`;
+  const saved = comparison.interest_saved > 0
+    ? `The avalanche saves ${formatMoney(comparison.interest_saved, cur)} of interest over the snowball.`
+    : 'Both strategies cost the same interest.';
+  container.innerHTML = `<p>${saved}</p>${plan(comparison.avalanche, 'Avalanche: highest interest rate first')}${plan(comparison.snowball, 'Snowball: smallest balance first')}`;
+}
+
+// ===== Savings Plan Modals =====
+export async function showAddRecurringModal() {
+  const accounts = await API.get('/api/accounts') || [];
+  openModal('Add Savings Plan', recurringFormHtml({}, accounts));
+  document.getElementById('modal-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const result = await API.post('/api/recurring', getRecurringFormData());
+    if (result?.error) { toast(result.error, 'error'); return; }
+    closeModal(); toast('Savings plan added', 'success'); loadSettingsRecurring();
+  });
+}
+
+export async function showEditRecurringModal(id) {
+  const [recurring, accounts] = await Promise.all([API.get(`/api/recurring/${id}`), API.get('/api/accounts')]);
+  openModal('Edit Savings Plan', recurringFormHtml(recurring, accounts || []));
+  document.getElementById('modal-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const result = await API.put(`/api/recurring/${id}`, getRecurringFormData());
+    if (result?.error) { toast(result.error, 'error'); return; }
+    closeModal(); toast('Savings plan updated', 'success'); loadSettingsRecurring();
+  });
+}
+
+export async function deleteRecurring(id) {
+  if (!confirm('Delete this savings plan? Its pending executions are removed; confirmed transactions stay.')) return;
+  await API.del(`/api/recurring/${id}`); toast('Savings plan deleted', 'success'); loadSettingsRecurring();
+}
+
+export async function runRecurring() {
+  const result = await API.post('/api/recurring/run', {});
+  if (result?.error) { toast(result.error, 'error'); return; }
+  toast(result.created ? `${result.created} execution${result.created === 1 ? '' : 's'} to confirm` : 'No executions due', 'info');
+  loadSettingsRecurring();
+}
+
+export async function confirmExecution(id) {
+  const result = await API.post(`/api/recurring/executions/${id}/confirm`, {});
+  if (result?.error) { toast(result.error, 'error'); showExecutionModal(id); return; }
+  toast('Transaction booked', 'success'); loadSettingsRecurring();
+}
+
+export async function showExecutionModal(id) {
+  const executions = await API.get('/api/recurring/executions');
+  const execution = (executions || []).find(e => e.id === id);
+  if (!execution) return;
+  openModal(`${execution.type} ${execution.symbol}`, executionFormHtml(execution));
+  document.getElementById('modal-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const result = await API.post(`/api/recurring/executions/${id}/confirm`, getExecutionFormData());
+    if (result?.error) { toast(result.error, 'error'); return; }
+    closeModal(); toast('Transaction booked', 'success'); loadSettingsRecurring();
+  });
+}
+
+export async function skipExecution(id) {
+  if (!confirm('Skip this execution? It will not be booked.')) return;
+  await API.post(`/api/recurring/executions/${id}/skip`, {}); toast('Execution skipped', 'success'); loadSettingsRecurring();
+}
+
 export async function removeAllGoals() {
   const confirmed = confirm('WARNING: This will permanently delete ALL goals. This action cannot be undone.\n\nAre you sure?');
   if (!confirmed) return;
@@ -207,6 +419,62 @@ export async function deleteRate(id) {
   await API.del(`/api/currencies/${id}`); toast('Rate deleted', 'success'); loadSettingsRates();
 }
 
+export async function refreshRates() {
+  const result = await API.post('/api/currencies/refresh');
+  if (result?.error && !result.updated) { toast(result.error, 'error'); return; }
+  const failed = result.failed.length ? `, ${result.failed.length} failed` : '';
+  toast(`Updated ${result.updated.length} rates${failed}`, result.failed.length ? 'info' : 'success');
+  loadSettingsRates();
+}
+
+// ===== Rate History =====
+export async function showRateHistoryModal(from, to) {
+  openModal(`${from} → ${to} Rate History`, fxRateFormHtml());
+
+  document.getElementById('fx-rate-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const result = await API.post('/api/currencies/history', { from_currency: from, to_currency: to, ...getFxRateFormData() });
+    if (result?.error) { toast(result.error, 'error'); return; }
+    toast('Rate saved', 'success'); loadRateHistory(from, to);
+  });
+
+  document.getElementById('fx-fetch-btn').addEventListener('click', async () => {
+    toast(`Fetching ${from}${to}=X...`, 'info');
+    const result = await API.post('/api/currencies/history/fetch', { from_currency: from, to_currency: to });
+    if (result?.error) { toast(result.error, 'error'); return; }
+    toast(`Fetched ${result.fetched} rates`, 'success'); loadRateHistory(from, to); loadSettingsRates();
+  });
+
+  document.getElementById('fx-import-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('from', from);
+    formData.append('to', to);
+    const res = await fetch('/api/currencies/history/import', { method: 'POST', body: formData });
+    const result = await res.json();
+    if (result.error) { toast(result.error, 'error'); return; }
+    toast(`Imported ${result.imported} rates${result.errors.length ? `, ${result.errors.length} errors` : ''}`, result.errors.length ? 'info' : 'success');
+    loadRateHistory(from, to); loadSettingsRates();
+  });
+
+  await loadRateHistory(from, to);
+}
+
+async function loadRateHistory(from, to) {
+  const list = document.getElementById('fx-history-list');
+  if (!list) return;
+  const rates = await API.get(`/api/currencies/history?from=${from}&to=${to}`);
+  if (!rates?.length) { list.innerHTML = '<div class="empty-state"><i class="fas fa-history"></i><p>No dated rates yet. The current rate is used for every date.</p></div>'; return; }
+  list.innerHTML = rates.map(r => `<div class="settings-item"><div class="settings-item-info"><h4>${formatDate(r.date)}</h4><p>Rate: ${r.rate} &middot; ${esc(r.source)}</p></div><div class="settings-item-actions"><button class="btn btn-ghost btn-icon btn-sm text-danger" onclick="deleteFxRate(${r.id}, '${esc(from)}', '${esc(to)}')" title="Delete"><i class="fas fa-trash"></i></button></div></div>`).join('');
+}
+
+export async function deleteFxRate(id, from, to) {
+  if (!confirm('Delete this dated rate?')) return;
+  await API.del(`/api/currencies/history/${id}`); toast('Rate deleted', 'success'); loadRateHistory(from, to);
+}
+
 // ===== Database Settings =====
 async function initDatabaseSettings() {
   // Load current database path
@@ -284,6 +552,195 @@ async function initDatabaseSettings() {
   }
 }
 
+// ===== Tax Settings =====
+function taxClassRowHtml(c = {}) {
+  return `<tr class="tax-class-row">
+    <td><input type="text" class="tax-class-name" value="${esc(c.name || '')}" placeholder="Securities"></td>
+    <td><input type="text" class="tax-class-types" value="${esc((c.account_types || []).join(', '))}" placeholder="All other accounts"></td>
+    <td><input type="number" class="tax-class-months" value="${c.tax_free_after_months ?? ''}" min="0" step="1" placeholder="Never"></td>
+    <td><input type="number" class="tax-class-allowance" value="${c.annual_allowance ?? 0}" min="0" step="any"></td>
+    <td><input type="number" class="tax-class-rate" value="${c.tax_rate === undefined ? 0 : +(c.tax_rate * 100).toFixed(4)}" min="0" max="100" step="any"></td>
+    <td><button class="btn btn-ghost btn-icon btn-sm text-danger tax-class-remove" title="Remove"><i class="fas fa-trash"></i></button></td>
+  </tr>`;
+}
+
+function renderTaxProfile(profile) {
+  document.getElementById('tax-profile-name').value = profile.name;
+  document.getElementById('tax-long-term-months').value = profile.long_term_months;
+  document.getElementById('tax-classes-list').innerHTML = `<table><thead><tr>
+    <th>Asset Class</th><th>Account Types</th><th>Tax-Free After (months)</th><th>Annual Allowance</th><th>Tax Rate (%)</th><th></th>
+  </tr></thead><tbody id="tax-classes-body">${profile.asset_classes.map(taxClassRowHtml).join('')}</tbody></table>`;
+}
+
+function getTaxProfileFormData() {
+  return {
+    name: document.getElementById('tax-profile-name').value,
+    long_term_months: parseInt(document.getElementById('tax-long-term-months').value),
+    asset_classes: [...document.querySelectorAll('#tax-classes-body .tax-class-row')].map(row => {
+      const months = row.querySelector('.tax-class-months').value;
+      return {
+        name: row.querySelector('.tax-class-name').value,
+        account_types: row.querySelector('.tax-class-types').value.split(',').map(t => t.trim()).filter(Boolean),
+        tax_free_after_months: months === '' ? null : parseInt(months),
+        annual_allowance: parseFloat(row.querySelector('.tax-class-allowance').value) || 0,
+        tax_rate: (parseFloat(row.querySelector('.tax-class-rate').value) || 0) / 100
+      };
+    })
+  };
+}
+
+function rebind(id, event, handler) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  const fresh = el.cloneNode(true);
+  el.parentNode.replaceChild(fresh, el);
+  fresh.addEventListener(event, handler);
+  return fresh;
+}
+
+async function initTaxSettings() {
+  const data = await API.get('/api/settings/tax-profile');
+  if (!data || data.error) return;
+  renderTaxProfile(data.profile);
+
+  const presetSelect = rebind('tax-preset-select', 'change', (e) => {
+    const preset = data.presets[e.target.value];
+    if (preset) renderTaxProfile(preset);
+    e.target.value = '';
+  });
+  presetSelect.innerHTML = '<option value="">Load preset...</option>' +
+    Object.entries(data.presets).map(([key, p]) => `<option value="${key}">${esc(p.name)}</option>`).join('');
+
+  rebind('tax-classes-list', 'click', (e) => {
+    const remove = e.target.closest('.tax-class-remove');
+    if (remove) remove.closest('tr').remove();
+  });
+  rebind('add-tax-class-btn', 'click', () => {
+    document.getElementById('tax-classes-body').insertAdjacentHTML('beforeend', taxClassRowHtml());
+  });
+  rebind('save-tax-profile-btn', 'click', async () => {
+    const result = await API.put('/api/settings/tax-profile', getTaxProfileFormData());
+    if (result?.error) { toast(result.error, 'error'); return; }
+    renderTaxProfile(result.profile);
+    toast('Tax rules updated', 'success');
+  });
+}
+
+// ===== Benchmark Settings =====
+const parseSymbolList = (text) => text.split(',').map(s => s.trim()).filter(Boolean);
+
+function renderBenchmarks(config) {
+  document.getElementById('benchmarks-default').value = config.default.join(', ');
+  document.getElementById('benchmarks-accounts').innerHTML = `<table><thead><tr><th>Account</th><th>Benchmarks</th></tr></thead><tbody>
+    ${state.accounts.map(a => `<tr><td>${esc(a.name)}</td><td><input type="text" class="benchmark-account-input" data-account-id="${a.id}" value="${esc((config.accounts[a.id] || []).join(', '))}" placeholder="Default"></td></tr>`).join('')}
+  </tbody></table>`;
+}
+
+async function initBenchmarkSettings() {
+  const data = await API.get('/api/settings/benchmarks');
+  if (!data || data.error) return;
+  renderBenchmarks(data.config);
+
+  rebind('save-benchmarks-btn', 'click', async () => {
+    const accounts = {};
+    document.querySelectorAll('.benchmark-account-input').forEach(input => { accounts[input.dataset.accountId] = parseSymbolList(input.value); });
+    const result = await API.put('/api/settings/benchmarks', { default: parseSymbolList(document.getElementById('benchmarks-default').value), accounts });
+    if (result?.error) { toast(result.error, 'error'); return; }
+    renderBenchmarks(result.config);
+    toast('Benchmarks updated', 'success');
+  });
+
+  const risk = await API.get('/api/settings/risk');
+  if (!risk || risk.error) return;
+  document.getElementById('risk-free-rate').value = +(risk.risk_free_rate * 100).toFixed(4);
+  rebind('save-risk-btn', 'click', async () => {
+    const result = await API.put('/api/settings/risk', { risk_free_rate: (parseFloat(document.getElementById('risk-free-rate').value) || 0) / 100 });
+    if (result?.error) { toast(result.error, 'error'); return; }
+    toast('Risk-free rate updated', 'success');
+  });
+}
+
+// ===== Scheduler Settings =====
+function renderSchedulerStatus(status) {
+  const statusEl = document.getElementById('scheduler-status');
+  if (!statusEl || !status) return;
+  const fmt = (iso) => iso ? new Date(iso).toLocaleString() : 'never';
+  statusEl.textContent = `Crypto refreshed: ${fmt(status.last_crypto_refresh)} · Stocks refreshed: ${fmt(status.last_market_refresh)} · Rates refreshed: ${fmt(status.last_fx_refresh)} · Last snapshot: ${status.last_snapshot_date || 'none'} · Savings plans checked: ${fmt(status.last_recurring_run)}${status.last_error ? ` · ${status.last_error}` : ''}`;
+  statusEl.className = status.last_error ? 'form-hint error' : 'form-hint';
+}
+
+function bindSchedulerToggle(id, active) {
+  const toggle = document.getElementById(id);
+  if (!toggle) return;
+  const newToggle = toggle.cloneNode(true);
+  toggle.parentNode.replaceChild(newToggle, toggle);
+  newToggle.classList.toggle('active', active);
+  newToggle.addEventListener('click', () => newToggle.classList.toggle('active'));
+}
+
+async function initSchedulerSettings() {
+  try {
+    const status = await API.get('/api/settings/scheduler');
+    if (!status) return;
+    const { config } = status;
+    bindSchedulerToggle('toggle-scheduler-enabled', config.enabled);
+    bindSchedulerToggle('toggle-scheduler-weekdays', config.market_weekdays_only);
+    bindSchedulerToggle('toggle-scheduler-snapshot', config.snapshot_enabled);
+    bindSchedulerToggle('toggle-scheduler-fx', config.fx_enabled);
+    bindSchedulerToggle('toggle-scheduler-recurring', config.recurring_enabled);
+    document.getElementById('scheduler-crypto-interval').value = config.crypto_interval_minutes;
+    document.getElementById('scheduler-market-interval').value = config.market_interval_minutes;
+    document.getElementById('scheduler-snapshot-time').value = config.snapshot_time;
+    document.getElementById('scheduler-fx-interval').value = config.fx_interval_minutes;
+    renderSchedulerStatus(status);
+  } catch (e) {
+    console.error('Failed to load scheduler settings:', e);
+  }
+
+  const saveBtn = document.getElementById('save-scheduler-btn');
+  if (saveBtn) {
+    const newBtn = saveBtn.cloneNode(true);
+    saveBtn.parentNode.replaceChild(newBtn, saveBtn);
+    newBtn.addEventListener('click', async () => {
+      try {
+        const status = await API.put('/api/settings/scheduler', {
+          enabled: document.getElementById('toggle-scheduler-enabled').classList.contains('active'),
+          market_weekdays_only: document.getElementById('toggle-scheduler-weekdays').classList.contains('active'),
+          snapshot_enabled: document.getElementById('toggle-scheduler-snapshot').classList.contains('active'),
+          fx_enabled: document.getElementById('toggle-scheduler-fx').classList.contains('active'),
+          recurring_enabled: document.getElementById('toggle-scheduler-recurring').classList.contains('active'),
+          crypto_interval_minutes: parseInt(document.getElementById('scheduler-crypto-interval').value),
+          market_interval_minutes: parseInt(document.getElementById('scheduler-market-interval').value),
+          snapshot_time: document.getElementById('scheduler-snapshot-time').value,
+          fx_interval_minutes: parseInt(document.getElementById('scheduler-fx-interval').value)
+        });
+        if (status?.error) { toast(status.error, 'error'); return; }
+        toast('Scheduler updated', 'success');
+        renderSchedulerStatus(status);
+      } catch (e) {
+        toast('Failed to update scheduler', 'error');
+      }
+    });
+  }
+
+  const runBtn = document.getElementById('run-scheduler-btn');
+  if (runBtn) {
+    const newBtn = runBtn.cloneNode(true);
+    runBtn.parentNode.replaceChild(newBtn, runBtn);
+    newBtn.addEventListener('click', async () => {
+      newBtn.disabled = true;
+      try {
+        renderSchedulerStatus(await API.post('/api/settings/scheduler/run'));
+        toast('Prices refreshed and snapshot saved', 'success');
+      } catch (e) {
+        toast('Refresh failed', 'error');
+      } finally {
+        newBtn.disabled = false;
+      }
+    });
+  }
+}
+
 // ===== About Section =====
 async function loadAboutInfo() {
   try {
@@ -2,15 +2,24 @@
 
 import { API } from '../modules/api.js';
 import { state } from '../modules/state.js';
-import { formatMoney, formatNumber, formatCompact, formatDate, esc } from '../modules/utils.js';
+import { formatMoney, formatNumber, formatCompact, formatDate, formatGainSplit, esc, toast } from '../modules/utils.js';
+import { openModal, closeModal } from '../modules/modal.js';
 import { renderLineChart } from '../components/chart.js';
 import { renderSymbolTransactions } from '../components/transactions.js';
+import { loadPerformance } from '../components/performance.js';
+import { valuationFormHtml, getValuationFormData, taxEstimateFormHtml, getTaxEstimateFormData } from '../components/forms.js';
+
+// Open position (from the lots endpoint) and latest quote of the symbol shown
+let currentPosition = null;
+let currentQuote = null;
 
 export async function loadSymbolDetail(accountId, symbol) {
   try {
-    const [quote, transactions] = await Promise.all([
+    const [quote, transactions, gains, lots] = await Promise.all([
       API.get(`/api/prices/quote/${symbol}`),
-      API.get(`/api/transactions?account_id=${accountId}&symbol=${symbol}`)
+      API.get(`/api/transactions?account_id=${accountId}&symbol=${symbol}`),
+      API.get(`/api/prices/gains?account_id=${accountId}&symbol=${encodeURIComponent(symbol)}`),
+      API.get(`/api/accounts/${accountId}/lots?symbol=${encodeURIComponent(symbol)}`)
     ]);
 
     const name = quote?.name || symbol;
@@ -21,17 +30,16 @@ export async function loadSymbolDetail(accountId, symbol) {
     const logoEl = document.getElementById('symbol-logo');
     logoEl.style.display = 'none';
 
-    // Calculate holdings
-    let totalQty = 0, totalCost = 0, totalBuyQty = 0;
-    for (const tx of (transactions || [])) {
-      if (['buy', 'transfer_in'].includes(tx.type)) { totalQty += tx.quantity; totalCost += tx.quantity * tx.price; totalBuyQty += tx.quantity; }
-      else if (['sell', 'transfer_out'].includes(tx.type)) { totalQty -= tx.quantity; }
-    }
+    // Holding from the open tax lots
+    const position = lots?.symbols?.[0];
+    currentPosition = position || null;
+    currentQuote = quote || null;
+    const totalQty = position?.quantity || 0;
 
     const price = quote?.price || 0;
     const currency = quote?.currency || 'USD';
     const marketValue = totalQty * price;
-    const avgCost = totalBuyQty > 0 ? totalCost / totalBuyQty : 0;
+    const avgCost = position?.avg_cost || 0;
     const bookValue = totalQty * avgCost;
     const totalReturn = marketValue - bookValue;
     const totalReturnPct = bookValue > 0 ? (totalReturn / bookValue) * 100 : 0;
@@ -48,6 +56,10 @@ export async function loadSymbolDetail(accountId, symbol) {
     const priceChange = price * changePct / 100;
     changeEl.innerHTML = `<span>${priceChange >= 0 ? '+' : ''}${formatMoney(Math.abs(priceChange), currency)} (${changePct >= 0 ? '+' : ''}${changePct.toFixed(2)}%) past 3 months</span>`;
     changeEl.className = `symbol-hero-change ${changePct >= 0 ? 'positive' : ''}`;
+    if (quote?.manual) {
+      changeEl.innerHTML = `<span>Manual valuation &middot; ${formatDate(quote.valuation_date)}</span>`;
+      changeEl.className = 'symbol-hero-change';
+    }
 
     // Holding card
     document.getElementById('shc-qty').textContent = formatNumber(totalQty);
@@ -64,16 +76,94 @@ export async function loadSymbolDetail(accountId, symbol) {
     const totalEl = document.getElementById('shc-total-return');
     totalEl.textContent = `${totalReturn >= 0 ? '+' : ''}${formatMoney(totalReturn, currency)} (${totalReturnPct >= 0 ? '+' : ''}${totalReturnPct.toFixed(2)}%)`;
     totalEl.className = totalReturn >= 0 ? 'text-success' : 'text-danger';
+    renderGainSplits(gains);
+    document.getElementById('shc-tax-free').textContent = position?.tax_free_quantity
+      ? `${formatNumber(position.sellable_tax_free_quantity)} of ${formatNumber(position.tax_free_quantity)} tax-free units`
+      : '--';
 
     await loadSymbolChart(symbol, undefined, transactions);
+    renderSymbolLots(lots, gains?.base_currency);
     renderSymbolTransactions(transactions || []);
     renderSymbolAbout(quote, price, currency);
     renderQuoteDetails(quote);
+    await loadSymbolValuations(symbol);
   } catch (e) { console.error('Symbol detail error:', e); }
 }
 
+// Price and FX effects in the base currency, using the rates at purchase and today's rates
+function renderGainSplits(gains) {
+  const unrealizedEl = document.getElementById('shc-unrealized-split');
+  const realizedEl = document.getElementById('shc-realized-split');
+  if (!gains || gains.error) { unrealizedEl.textContent = '--'; realizedEl.textContent = '--'; return; }
+  const cur = gains.base_currency;
+  unrealizedEl.textContent = gains.holdings.length ? formatGainSplit(gains.unrealized, cur) : '--';
+  realizedEl.textContent = gains.sales.length ? formatGainSplit(gains.realized, cur) : '--';
+}
+
+// ===== Tax Lots =====
+const COST_METHOD_LABELS = { fifo: 'oldest first (FIFO)', lifo: 'newest first (LIFO)', hifo: 'highest cost first (HIFO)', average: 'pro rata at average cost' };
+
+function renderSymbolLots(lots, baseCurrency) {
+  const container = document.getElementById('symbol-lots');
+  const position = lots?.symbols?.[0];
+  if (!position?.lots.length) {
+    container.innerHTML = `<div class="empty-state"><i class="fas fa-layer-group"></i><p>No open lots.</p></div>`;
+    return;
+  }
+  container.innerHTML = `<p class="form-hint">Sales close lots ${esc(COST_METHOD_LABELS[lots.cost_basis_method] || lots.cost_basis_method)}.</p><table><thead><tr>
+    <th>Opened</th><th>Quantity</th><th>Unit Cost</th><th>Cost Basis</th><th>Unit Cost (Base)</th><th>Tax-Free From</th>
+  </tr></thead><tbody>
+    ${position.lots.map(l => `<tr>
+      <td>${formatDate(l.date)}</td>
+      <td>${formatNumber(l.quantity)}</td>
+      <td>${formatMoney(l.unit_cost, position.currency)}</td>
+      <td>${formatMoney(l.cost_basis, position.currency)}</td>
+      <td>${l.unit_cost_base === null || !baseCurrency ? '<span class="text-muted">--</span>' : formatMoney(l.unit_cost_base, baseCurrency)}</td>
+      <td>${l.tax_free_from ? `<span class="${l.tax_free ? 'text-success' : ''}">${formatDate(l.tax_free_from)}</span>` : '<span class="text-muted">never</span>'}</td>
+    </tr>`).join('')}</tbody></table>`;
+}
+
+// Tax on a hypothetical sale, with the lots the account's cost basis method would close
+export function showTaxEstimateModal() {
+  if (!currentPosition) { toast('No open position to sell', 'error'); return; }
+  openModal(`Estimate Sale of ${state.currentSymbol}`, taxEstimateFormHtml({
+    quantity: currentPosition.sellable_tax_free_quantity || currentPosition.quantity,
+    max: currentPosition.quantity,
+    price: currentQuote?.price,
+    currency: currentQuote?.currency || currentPosition.currency
+  }));
+  document.getElementById('modal-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const data = getTaxEstimateFormData();
+    const params = new URLSearchParams({ account_id: state.currentAccountId, symbol: state.currentSymbol, quantity: data.quantity, date: data.date });
+    if (data.price !== undefined) { params.set('price', data.price); params.set('currency', data.currency); }
+    const estimate = await API.get(`/api/reports/tax-estimate?${params}`);
+    renderTaxEstimate(estimate, document.getElementById('tax-estimate-result'));
+  });
+}
+
+function renderTaxEstimate(estimate, container) {
+  if (!estimate || estimate.error) {
+    container.innerHTML = `<p class="form-hint error">${esc(estimate?.error || 'Estimate failed')}</p>`;
+    return;
+  }
+  const cur = estimate.base_currency;
+  const amount = v => v === null ? '--' : formatMoney(v, cur);
+  container.innerHTML = `<div class="tax-estimate">
+    <div class="shc-detail"><span>Proceeds</span><span>${formatMoney(estimate.proceeds, cur)}</span></div>
+    <div class="shc-detail"><span>Gain</span><span>${amount(estimate.gain)}</span></div>
+    <div class="shc-detail"><span>Tax-free gain</span><span>${amount(estimate.tax_free_gain)}</span></div>
+    <div class="shc-detail"><span>Taxable gain</span><span>${amount(estimate.taxable_gain)}</span></div>
+    <div class="shc-detail"><span>Allowance left this year</span><span>${formatMoney(estimate.allowance_remaining, cur)}</span></div>
+    <div class="shc-detail"><span>Taxable after allowance</span><span>${amount(estimate.taxable_after_allowance)}</span></div>
+    <div class="shc-detail"><span>Estimated tax (${(estimate.tax_rate * 100).toFixed(2)}%)</span><span><strong>${amount(estimate.estimated_tax)}</strong></span></div>
+    <p class="form-hint">${esc(estimate.tax_class || 'No asset class')} &middot; closes ${estimate.lots.length} lot(s) &middot; sale fees not included</p>
+  </div>`;
+}
+
 export async function loadSymbolChart(symbol, period, transactions) {
   if (!period) period = document.querySelector('#symbol-periods .period-btn.active')?.dataset.period || '3m';
+  loadPerformance('symbol-performance', period, { account_id: state.currentAccountId, symbol });
   try {
     const data = await API.get(`/api/prices/history/${symbol}?period=${period}`);
     if (!data?.length) { if (state.symbolChart) { state.symbolChart.destroy(); state.symbolChart = null; } return; }
@@ -121,3 +211,51 @@ function renderQuoteDetails(quote) {
   ];
   container.innerHTML = fields.map(([label, value]) => `<div class="price-stat"><span class="label">${label}</span><span class="value">${value}</span></div>`).join('');
 }
+
+// ===== Valuations =====
+export async function loadSymbolValuations(symbol) {
+  const container = document.getElementById('symbol-valuations');
+  const valuations = await API.get(`/api/valuations?symbol=${encodeURIComponent(symbol)}`) || [];
+  if (!valuations.length) {
+    container.innerHTML = `<div class="empty-state"><i class="fas fa-house"></i><p>No manual valuations.</p></div>`;
+    return;
+  }
+  // Newest first; change is measured against the previous (older) entry
+  container.innerHTML = `<table><thead><tr>
+    <th>Date</th><th>Value</th><th>Change</th><th>Notes</th><th></th>
+  </tr></thead><tbody>
+    ${valuations.map((v, i) => {
+      const prev = valuations[i + 1];
+      const change = prev && prev.value > 0 ? ((v.value - prev.value) / prev.value) * 100 : null;
+      return `<tr>
+      <td>${formatDate(v.date)}</td>
+      <td>${formatMoney(v.value, v.currency)}</td>
+      <td class="${change === null ? 'text-muted' : change >= 0 ? 'text-success' : 'text-danger'}">${change === null ? '-' : `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`}</td>
+      <td class="text-muted">${esc(v.notes || '')}</td>
+      <td><button class="btn btn-ghost btn-icon btn-sm" onclick="showEditValuationModal(${v.id})" title="Edit"><i class="fas fa-pen"></i></button><button class="btn btn-ghost btn-icon btn-sm text-danger" onclick="deleteValuation(${v.id})" title="Delete"><i class="fas fa-trash"></i></button></td>
+    </tr>`;
+    }).join('')}</tbody></table>`;
+}
+
+export function showAddValuationModal() {
+  openModal(`Add Valuation for ${state.currentSymbol}`, valuationFormHtml());
+  document.getElementById('modal-form').addEventListener('submit', async (e) => {
+    e.preventDefault(); await API.post('/api/valuations', { ...getValuationFormData(), symbol: state.currentSymbol });
+    closeModal(); toast('Valuation added', 'success'); loadSymbolDetail(state.currentAccountId, state.currentSymbol);
+  });
+}
+
+export async function showEditValuationModal(id) {
+  const valuations = await API.get(`/api/valuations?symbol=${encodeURIComponent(state.currentSymbol)}`) || [];
+  const valuation = valuations.find(v => v.id === id);
+  openModal('Edit Valuation', valuationFormHtml(valuation));
+  document.getElementById('modal-form').addEventListener('submit', async (e) => {
+    e.preventDefault(); await API.put(`/api/valuations/${id}`, getValuationFormData());
+    closeModal(); toast('Valuation updated', 'success'); loadSymbolDetail(state.currentAccountId, state.currentSymbol);
+  });
+}
+
+export async function deleteValuation(id) {
+  if (!confirm('Delete this valuation?')) return;
+  await API.del(`/api/valuations/${id}`); toast('Valuation deleted', 'success'); loadSymbolDetail(state.currentAccountId, state.currentSymbol);
+}
@@ -1,6 +1,12 @@
 import express, { Response } from 'express';
 import db from '../db/database';
-import { AuthenticatedRequest, Account, Tag, Holding } from '../types';
+import { AuthenticatedRequest, Account, CostBasisMethod, Tag, Holding } from '../types';
+import { todayKey } from '../services/dates';
+import {
+  CASH_TYPES, COST_BASIS_METHODS, CashLedger, buildLedger, convertAmount, getPositions, loadWealthContext, toCashBalances, toPositions
+} from '../services/wealth';
+import { markSnapshotsDirty } from '../services/snapshots';
+import { findTaxClass, getTaxProfile, getTaxStatus } from '../services/tax';
 
 const router = express.Router();
 
@@ -12,6 +18,12 @@ function getAccountWithTags(account: Account | undefined): (Account & { tags: Ta
   return { ...account, tags };
 }
 
+function isCostBasisMethod(value: unknown): boolean {
+  return COST_BASIS_METHODS.includes(value as CostBasisMethod);
+}
+
+const COST_BASIS_METHOD_ERROR = `cost_basis_method must be one of ${COST_BASIS_METHODS.join(', ')}`;
+
 function syncAccountTags(accountId: number | bigint, tagIds: number[] | undefined): void {
   db.prepare('DELETE FROM account_tags WHERE account_id = ?').run(accountId);
   if (tagIds && tagIds.length) {
@@ -51,16 +63,20 @@ router.get('/:id', (req: AuthenticatedRequest, res: Response): void => {
 });
 
 router.post('/', (req: AuthenticatedRequest, res: Response): void => {
-  const { name, type, currency, description, icon, color, tag_ids } = req.body;
+  const { name, type, currency, description, icon, color, cost_basis_method, tag_ids } = req.body;
   if (!name) {
     res.status(400).json({ error: 'Account name required' });
     return;
   }
+  if (cost_basis_method !== undefined && !isCostBasisMethod(cost_basis_method)) {
+    res.status(400).json({ error: COST_BASIS_METHOD_ERROR });
+    return;
+  }
 
   const result = db.prepare(`
-    INSERT INTO accounts (name, type, currency, description, icon, color)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `).run(name, type || 'general', currency || 'EUR', description || '', icon || 'wallet', color || '#6366f1');
+    INSERT INTO accounts (name, type, currency, description, icon, color, cost_basis_method)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(name, type || 'general', currency || 'EUR', description || '', icon || 'wallet', color || '#6366f1', cost_basis_method || 'fifo');
 
   const accountId = result.lastInsertRowid;
   if (tag_ids && tag_ids.length) syncAccountTags(accountId, tag_ids);
@@ -70,15 +86,19 @@ router.post('/', (req: AuthenticatedRequest, res: Response): void => {
 });
 
 router.put('/:id', (req: AuthenticatedRequest, res: Response): void => {
-  const { name, type, currency, description, icon, color, tag_ids } = req.body;
+  const { name, type, currency, description, icon, color, cost_basis_method, tag_ids } = req.body;
   const existing = db.prepare('SELECT * FROM accounts WHERE id = ?').get(req.params.id) as Account | undefined;
   if (!existing) {
     res.status(404).json({ error: 'Account not found' });
     return;
   }
+  if (cost_basis_method !== undefined && !isCostBasisMethod(cost_basis_method)) {
+    res.status(400).json({ error: COST_BASIS_METHOD_ERROR });
+    return;
+  }
 
   db.prepare(`
-    UPDATE accounts SET name = ?, type = ?, currency = ?, description = ?, icon = ?, color = ?, updated_at = CURRENT_TIMESTAMP
+    UPDATE accounts SET name = ?, type = ?, currency = ?, description = ?, icon = ?, color = ?, cost_basis_method = ?, updated_at = CURRENT_TIMESTAMP
     WHERE id = ?
   `).run(
     name || existing.name,
@@ -87,9 +107,18 @@ router.put('/:id', (req: AuthenticatedRequest, res: Response): void => {
     description !== undefined ? description : existing.description,
     icon || existing.icon,
     color || existing.color,
+    cost_basis_method || existing.cost_basis_method,
     req.params.id
   );
 
+  // A different method changes the cost basis from the account's first sale onwards
+  if (cost_basis_method && cost_basis_method !== existing.cost_basis_method) {
+    const first = db.prepare(
+      "SELECT MIN(date) AS date FROM transactions WHERE account_id = ? AND type IN ('sell', 'transfer_out')"
+    ).get(req.params.id) as { date: string | null };
+    markSnapshotsDirty(first.date);
+  }
+
   if (tag_ids !== undefined) syncAccountTags(parseInt(req.params.id), tag_ids);
 
   const account = getAccountWithTags(db.prepare('SELECT * FROM accounts WHERE id = ?').get(req.params.id) as Account);
@@ -103,11 +132,20 @@ router.delete('/:id', (req: AuthenticatedRequest, res: Response): void => {
     return;
   }
 
+  // Its transactions go with it, so every snapshot from its first activity on is out of date
+  const first = db.prepare(`
+    SELECT MIN(d) AS date FROM (
+      SELECT MIN(date) AS d FROM transactions WHERE account_id = ?
+      UNION ALL SELECT MIN(date) AS d FROM valuations WHERE account_id = ?
+    )
+  `).get(existing.id, existing.id) as { date: string | null };
   db.prepare('DELETE FROM accounts WHERE id = ?').run(req.params.id);
+  markSnapshotsDirty(first.date);
   res.json({ message: 'Account deleted' });
 });
 
-// Get holdings summary for an account (grouped by symbol)
+// Get holdings summary for an account (grouped by symbol), costed from the open tax lots, followed
+// by its cash balances
 router.get('/:id/holdings', (req: AuthenticatedRequest, res: Response): void => {
   const account = db.prepare('SELECT * FROM accounts WHERE id = ?').get(req.params.id) as Account | undefined;
   if (!account) {
@@ -115,25 +153,103 @@ router.get('/:id/holdings', (req: AuthenticatedRequest, res: Response): void =>
     return;
   }
 
-  const holdings = db.prepare(`
-    SELECT
-      symbol,
-      SUM(CASE WHEN type IN ('buy','transfer_in') THEN quantity ELSE 0 END) -
-      SUM(CASE WHEN type IN ('sell','transfer_out') THEN quantity ELSE 0 END) as quantity,
-      SUM(CASE WHEN type IN ('buy','transfer_in') THEN quantity * price ELSE 0 END) /
-      NULLIF(SUM(CASE WHEN type IN ('buy','transfer_in') THEN quantity ELSE 0 END), 0) as avg_cost,
-      SUM(CASE WHEN type = 'buy' THEN quantity * price + fee WHEN type = 'sell' THEN -(quantity * price - fee) ELSE 0 END) as total_cost,
-      COUNT(*) as transaction_count,
-      MIN(date) as first_transaction,
-      MAX(date) as last_transaction
+  const activity = db.prepare(`
+    SELECT symbol, COUNT(*) as transaction_count, MIN(date) as first_transaction, MAX(date) as last_transaction
     FROM transactions
     WHERE account_id = ?
     GROUP BY symbol
-    HAVING quantity > 0.00000001
-    ORDER BY total_cost DESC
-  `).all(req.params.id) as Holding[];
+  `).all(req.params.id) as Array<Pick<Holding, 'symbol' | 'transaction_count' | 'first_transaction' | 'last_transaction'>>;
 
+  const cashActivity = db.prepare(`
+    SELECT currency, COUNT(*) as transaction_count, MIN(date) as first_transaction, MAX(date) as last_transaction
+    FROM transactions
+    WHERE account_id = ? AND type IN (${CASH_TYPES.map(() => '?').join(', ')})
+    GROUP BY currency
+  `).all(req.params.id, ...CASH_TYPES) as Array<Pick<Holding, 'currency' | 'transaction_count' | 'first_transaction' | 'last_transaction'>>;
+
+  const context = loadWealthContext(req.params.id);
+  const cash: CashLedger = {};
+  const ledger = buildLedger(undefined, req.params.id, context, cash);
+
+  // Book values in the base currency, each lot converted in its own settlement currency
+  const holdings: Holding[] = toPositions(ledger).map(p => {
+    const stats = activity.find(a => a.symbol === p.symbol);
+    return {
+      symbol: p.symbol,
+      quantity: p.quantity,
+      avg_cost: p.avg_cost,
+      total_cost: p.quantity * p.avg_cost,
+      currency: p.currency,
+      avg_cost_base: p.avg_cost_base,
+      fees_base: p.fees_base,
+      income_base: p.income_base,
+      transaction_count: stats ? stats.transaction_count : 0,
+      first_transaction: stats ? stats.first_transaction : '',
+      last_transaction: stats ? stats.last_transaction : ''
+    };
+  });
+  holdings.sort((a, b) => b.total_cost - a.total_cost);
+
+  // Cash is valued at today's rate, so it has no gain
+  for (const c of toCashBalances(cash)) {
+    const stats = cashActivity.find(a => a.currency === c.currency);
+    const rate = convertAmount(1, c.currency, context.base_currency, context.fx, todayKey());
+    holdings.push({
+      symbol: c.currency,
+      quantity: c.balance,
+      avg_cost: 1,
+      total_cost: c.balance,
+      currency: c.currency,
+      avg_cost_base: rate === undefined ? null : rate,
+      fees_base: 0,
+      income_base: 0,
+      transaction_count: stats ? stats.transaction_count : 0,
+      first_transaction: stats ? stats.first_transaction : '',
+      last_transaction: stats ? stats.last_transaction : '',
+      cash: true
+    });
+  }
   res.json(holdings);
 });
 
+// Open tax lots per symbol, oldest first, with their remaining cost in local and base currency
+// and the day each can be sold tax-free under the tax profile
+router.get('/:id/lots', (req: AuthenticatedRequest, res: Response): void => {
+  const account = db.prepare('SELECT * FROM accounts WHERE id = ?').get(req.params.id) as Account | undefined;
+  if (!account) {
+    res.status(404).json({ error: 'Account not found' });
+    return;
+  }
+
+  if (req.query.symbol !== undefined && typeof req.query.symbol !== 'string') {
+    res.status(400).json({ error: 'symbol must be a single symbol' });
+    return;
+  }
+  const symbol = req.query.symbol ? req.query.symbol.toUpperCase() : undefined;
+  const positions = getPositions(undefined, req.params.id).filter(p => !symbol || p.symbol === symbol);
+  const taxClass = findTaxClass(getTaxProfile(), account.type);
+  res.json({
+    account_id: account.id,
+    cost_basis_method: account.cost_basis_method,
+    symbols: positions.map(p => {
+      const tax = getTaxStatus(p, taxClass);
+      return {
+        symbol: p.symbol,
+        currency: p.currency,
+        quantity: p.quantity,
+        avg_cost: p.avg_cost,
+        avg_cost_base: p.avg_cost_base,
+        tax_class: tax.tax_class,
+        tax_free_quantity: tax.tax_free_quantity,
+        sellable_tax_free_quantity: tax.sellable_tax_free_quantity,
+        lots: tax.lots.map(l => ({
+          ...l,
+          cost_basis: l.quantity * l.unit_cost,
+          cost_basis_base: l.unit_cost_base === null ? null : l.quantity * l.unit_cost_base
+        }))
+      };
+    })
+  });
+});
+
 export default router;
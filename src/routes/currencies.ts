@@ -1,8 +1,22 @@
 import express, { Response } from 'express';
+import multer from 'multer';
 import db from '../db/database';
 import { AuthenticatedRequest, CurrencyRate } from '../types';
+import { todayKey } from '../services/dates';
+import {
+  deleteFxRate, fetchFxHistory, findConversion, getFxRate, getFxRates, importFxRatesCSV, loadFxBook, refreshFxRates, saveFxRate
+} from '../services/fx';
+import { getFirstActivityDate, markSnapshotsDirty } from '../services/snapshots';
+import { getBaseCurrency } from '../services/wealth';
 
 const router = express.Router();
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// A current rate is used for every date of a pair without dated history
+function currentRateChangedSince(from: string, to: string): string {
+  return getFxRates(from, to).length ? todayKey() : '0000-01-01';
+}
 
 router.get('/', (_req: AuthenticatedRequest, res: Response): void => {
   const rates = db.prepare('SELECT * FROM currency_rates ORDER BY from_currency, to_currency').all() as CurrencyRate[];
@@ -10,19 +24,20 @@ router.get('/', (_req: AuthenticatedRequest, res: Response): void => {
 });
 
 router.post('/', (req: AuthenticatedRequest, res: Response): void => {
-  const { from_currency, to_currency, rate } = req.body;
+  const { from_currency, to_currency, rate, pinned } = req.body;
   if (!from_currency || !to_currency || rate === undefined) {
     res.status(400).json({ error: 'from_currency, to_currency, and rate required' });
     return;
   }
 
   db.prepare(`
-    INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate, updated_at)
-    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-  `).run((from_currency as string).toUpperCase(), (to_currency as string).toUpperCase(), rate);
+    INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate, source, pinned, updated_at)
+    VALUES (?, ?, ?, 'manual', ?, CURRENT_TIMESTAMP)
+  `).run((from_currency as string).toUpperCase(), (to_currency as string).toUpperCase(), rate, pinned ? 1 : 0);
 
   const saved = db.prepare('SELECT * FROM currency_rates WHERE from_currency = ? AND to_currency = ?')
     .get((from_currency as string).toUpperCase(), (to_currency as string).toUpperCase()) as CurrencyRate;
+  markSnapshotsDirty(currentRateChangedSince(saved.from_currency, saved.to_currency));
   res.status(201).json(saved);
 });
 
@@ -33,19 +48,22 @@ router.put('/:id', (req: AuthenticatedRequest, res: Response): void => {
     return;
   }
 
-  const { from_currency, to_currency, rate } = req.body;
+  const { from_currency, to_currency, rate, pinned } = req.body;
 
   db.prepare(`
-    UPDATE currency_rates SET from_currency = ?, to_currency = ?, rate = ?, updated_at = CURRENT_TIMESTAMP
+    UPDATE currency_rates SET from_currency = ?, to_currency = ?, rate = ?, source = 'manual', pinned = ?,
+      updated_at = CURRENT_TIMESTAMP
     WHERE id = ?
   `).run(
     ((from_currency || existing.from_currency) as string).toUpperCase(),
     ((to_currency || existing.to_currency) as string).toUpperCase(),
     rate !== undefined ? rate : existing.rate,
+    pinned !== undefined ? (pinned ? 1 : 0) : existing.pinned,
     req.params.id
   );
 
   const saved = db.prepare('SELECT * FROM currency_rates WHERE id = ?').get(req.params.id) as CurrencyRate;
+  markSnapshotsDirty(currentRateChangedSince(saved.from_currency, saved.to_currency));
   res.json(saved);
 });
 
@@ -57,31 +75,132 @@ router.delete('/:id', (req: AuthenticatedRequest, res: Response): void => {
   }
 
   db.prepare('DELETE FROM currency_rates WHERE id = ?').run(req.params.id);
+  markSnapshotsDirty(currentRateChangedSince(existing.from_currency, existing.to_currency));
   res.json({ message: 'Rate deleted' });
 });
 
-// Convert amount between currencies
+// Fetch current rates for every tracked pair now, regardless of the scheduler setting
+router.post('/refresh', async (_req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const result = await refreshFxRates(getBaseCurrency());
+    if (result.changed.length) markSnapshotsDirty(todayKey());
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
+
+// Convert amount between currencies, optionally at the rates in effect on `date`. Pairs without
+// a direct rate go through inverse and intermediate rates; the path used is returned.
 router.get('/convert', (req: AuthenticatedRequest, res: Response): void => {
-  const { from, to, amount } = req.query;
-  if (!from || !to || !amount) {
+  const { amount, date } = req.query;
+  if (!req.query.from || !req.query.to || !amount) {
     res.status(400).json({ error: 'from, to, and amount required' });
     return;
   }
-
-  if ((from as string).toUpperCase() === (to as string).toUpperCase()) {
-    res.json({ result: parseFloat(amount as string), rate: 1 });
+  if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date as string)) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD' });
     return;
   }
 
-  const rate = db.prepare('SELECT rate FROM currency_rates WHERE from_currency = ? AND to_currency = ?')
-    .get((from as string).toUpperCase(), (to as string).toUpperCase()) as { rate: number } | undefined;
+  const from = (req.query.from as string).toUpperCase();
+  const to = (req.query.to as string).toUpperCase();
+  const conversion = findConversion(loadFxBook(), from, to, date as string | undefined);
 
-  if (!rate) {
+  if (!conversion) {
     res.status(404).json({ error: `No rate found for ${from} to ${to}` });
     return;
   }
 
-  res.json({ result: parseFloat(amount as string) * rate.rate, rate: rate.rate });
+  res.json({
+    result: parseFloat(amount as string) * conversion.rate,
+    rate: conversion.rate,
+    date: date || null,
+    path: conversion.path,
+    steps: conversion.steps
+  });
+});
+
+// ===== Dated rates =====
+router.get('/history', (req: AuthenticatedRequest, res: Response): void => {
+  const { from, to, start, end } = req.query;
+  if (!from || !to) {
+    res.status(400).json({ error: 'from and to required' });
+    return;
+  }
+  res.json(getFxRates((from as string).toUpperCase(), (to as string).toUpperCase(), start as string | undefined, end as string | undefined));
+});
+
+router.post('/history', (req: AuthenticatedRequest, res: Response): void => {
+  const { from_currency, to_currency, date, rate } = req.body;
+  if (!from_currency || !to_currency || !date || rate === undefined) {
+    res.status(400).json({ error: 'from_currency, to_currency, date, and rate required' });
+    return;
+  }
+
+  try {
+    const saved = saveFxRate(from_currency, to_currency, date, rate);
+    markSnapshotsDirty(date);
+    res.status(201).json(saved);
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+router.delete('/history/:id', (req: AuthenticatedRequest, res: Response): void => {
+  const existing = getFxRate(req.params.id);
+  if (!existing) {
+    res.status(404).json({ error: 'Rate not found' });
+    return;
+  }
+
+  deleteFxRate(req.params.id);
+  markSnapshotsDirty(existing.date);
+  res.json({ message: 'Rate deleted' });
+});
+
+// Import dated rates from CSV (date, rate and optionally from, to columns)
+router.post('/history/import', upload.single('file'), (req: AuthenticatedRequest, res: Response): void => {
+  if (!req.file) {
+    res.status(400).json({ error: 'CSV file required' });
+    return;
+  }
+
+  try {
+    const result = importFxRatesCSV(req.file.buffer.toString(), { from: req.body.from, to: req.body.to });
+    markSnapshotsDirty(result.earliest);
+    res.json(result);
+  } catch (e) {
+    res.status(400).json({ error: 'Failed to import CSV: ' + (e as Error).message });
+  }
+});
+
+// Fetch daily rates for a pair (as FROMTO=X) from the default price provider
+router.post('/history/fetch', async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  const { from_currency, to_currency, start, end } = req.body;
+  if (typeof from_currency !== 'string' || !from_currency || typeof to_currency !== 'string' || !to_currency) {
+    res.status(400).json({ error: 'from_currency and to_currency required' });
+    return;
+  }
+  const validDate = (value: unknown) => value === undefined || (typeof value === 'string' && DATE_PATTERN.test(value));
+  if (!validDate(start) || !validDate(end)) {
+    res.status(400).json({ error: 'start and end must be YYYY-MM-DD' });
+    return;
+  }
+
+  try {
+    const startDate = start || getFirstActivityDate() || todayKey();
+    const result = await fetchFxHistory(from_currency, to_currency, startDate, end);
+    if (result.error) {
+      res.status(404).json({ error: `Could not fetch rates for ${from_currency}/${to_currency}: ${result.error}` });
+      return;
+    }
+
+    if (result.fetched) markSnapshotsDirty(startDate);
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to fetch rates: ' + (e as Error).message });
+  }
 });
 
 export default router;
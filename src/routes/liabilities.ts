@@ -0,0 +1,139 @@
+import express, { Response } from 'express';
+import { AuthenticatedRequest, Liability } from '../types';
+import { todayKey } from '../services/dates';
+import {
+  addRepayment, amortizationSchedule, comparePayoffStrategies, createLiability, deleteLiability, deleteRepayment, getLiability,
+  getLiabilityBalances, getLiabilityWithRepayments, loadLiabilities, projectedDebt, scheduledPayments, updateLiability
+} from '../services/liabilities';
+import { loadWealthContext } from '../services/wealth';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Liabilities with the balance outstanding today
+function withBalances(liabilities: Liability[]) {
+  const balances = getLiabilityBalances(todayKey(), loadWealthContext(), liabilities);
+  return liabilities.map((l, i) => ({ ...l, balance: balances[i].balance, balance_base: balances[i].balance_base }));
+}
+
+router.get('/', (_req: AuthenticatedRequest, res: Response): void => {
+  res.json(withBalances(loadLiabilities()));
+});
+
+// Avalanche vs snowball payoff plans, with `extra` a month on top of the minimum payments
+router.get('/payoff', (req: AuthenticatedRequest, res: Response): void => {
+  const extra = req.query.extra !== undefined ? Number(req.query.extra) : 0;
+  if (!isFinite(extra) || extra < 0) {
+    res.status(400).json({ error: 'extra must be a non-negative number' });
+    return;
+  }
+  res.json(comparePayoffStrategies(todayKey(), loadWealthContext(), extra));
+});
+
+// Scheduled payments and extra repayments of every liability between two dates, for the calendar
+router.get('/payments', (req: AuthenticatedRequest, res: Response): void => {
+  const start = req.query.start as string;
+  const end = req.query.end as string;
+  if (!DATE_PATTERN.test(start || '') || !DATE_PATTERN.test(end || '')) {
+    res.status(400).json({ error: 'start and end required (YYYY-MM-DD)' });
+    return;
+  }
+  res.json(scheduledPayments(start, end));
+});
+
+// Total owed in the base currency today and on each of the comma-separated `dates`
+router.get('/projection', (req: AuthenticatedRequest, res: Response): void => {
+  const dates = String(req.query.dates || '').split(',').filter(Boolean);
+  if (dates.some(d => !DATE_PATTERN.test(d))) {
+    res.status(400).json({ error: 'dates must be YYYY-MM-DD' });
+    return;
+  }
+  const today = todayKey();
+  const context = loadWealthContext();
+  const balances = projectedDebt([today, ...dates], context);
+  res.json({ base_currency: context.base_currency, today: balances[today], balances });
+});
+
+router.get('/:id', (req: AuthenticatedRequest, res: Response): void => {
+  const liability = getLiabilityWithRepayments(req.params.id);
+  if (!liability) {
+    res.status(404).json({ error: 'Liability not found' });
+    return;
+  }
+  res.json(withBalances([liability])[0]);
+});
+
+// Add a mortgage, loan or credit card with its payment schedule
+router.post('/', (req: AuthenticatedRequest, res: Response): void => {
+  try {
+    res.status(201).json(withBalances([createLiability(req.body)])[0]);
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+router.put('/:id', (req: AuthenticatedRequest, res: Response): void => {
+  const existing = getLiability(req.params.id);
+  if (!existing) {
+    res.status(404).json({ error: 'Liability not found' });
+    return;
+  }
+  try {
+    res.json(withBalances([updateLiability(existing, req.body)])[0]);
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+router.delete('/:id', (req: AuthenticatedRequest, res: Response): void => {
+  const existing = getLiability(req.params.id);
+  if (!existing) {
+    res.status(404).json({ error: 'Liability not found' });
+    return;
+  }
+  deleteLiability(existing);
+  res.json({ message: 'Liability deleted' });
+});
+
+// Amortization schedule to payoff, with `extra` repaid on top of every scheduled payment
+router.get('/:id/schedule', (req: AuthenticatedRequest, res: Response): void => {
+  const liability = getLiabilityWithRepayments(req.params.id);
+  if (!liability) {
+    res.status(404).json({ error: 'Liability not found' });
+    return;
+  }
+  const extra = req.query.extra !== undefined ? Number(req.query.extra) : 0;
+  if (!isFinite(extra) || extra < 0) {
+    res.status(400).json({ error: 'extra must be a non-negative number' });
+    return;
+  }
+  res.json(amortizationSchedule(liability, { extra }));
+});
+
+// Record a one-off extra repayment
+router.post('/:id/repayments', (req: AuthenticatedRequest, res: Response): void => {
+  const liability = getLiability(req.params.id);
+  if (!liability) {
+    res.status(404).json({ error: 'Liability not found' });
+    return;
+  }
+  try {
+    res.status(201).json(addRepayment(liability, req.body));
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+router.delete('/:id/repayments/:repaymentId', (req: AuthenticatedRequest, res: Response): void => {
+  const liability = getLiabilityWithRepayments(req.params.id);
+  const repayment = liability?.repayments?.find(r => r.id === Number(req.params.repaymentId));
+  if (!repayment) {
+    res.status(404).json({ error: 'Repayment not found' });
+    return;
+  }
+  deleteRepayment(repayment);
+  res.json({ message: 'Repayment deleted' });
+});
+
+export default router;
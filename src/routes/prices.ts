@@ -1,19 +1,24 @@
 import express, { Response } from 'express';
 import db from '../db/database';
-import { AuthenticatedRequest, PriceCache, CurrencyRate, User } from '../types';
+import { AuthenticatedRequest, PriceCache } from '../types';
+import { HistoryPoint, addBenchmarks, getBenchmarks, parseBenchmarkSymbols } from '../services/benchmarks';
+import { todayKey } from '../services/dates';
+import { balanceChangeDates, getLiabilityBalances, loadLiabilities, netWorth, subtractLiabilities } from '../services/liabilities';
+import { getDefaultProvider } from '../services/providers';
+import { downsampleWeekly, getPriceHistory } from '../services/price-history';
+import { getQuote, getQuotes } from '../services/quotes';
+import {
+  createBackfillJob, getBackfillJob, getDirtyRange, getFirstActivityDate, listBackfillJobs, pauseBackfillJob, recomputeDirtySnapshots,
+  runBackfillJob, writeDailySnapshot
+} from '../services/snapshots';
+import { getManuallyValuedSymbols, loadValuations, valuationTimeline } from '../services/valuations';
+import {
+  CASH_TYPES, CashLedger, GainSplit, PositionLedger, PricePoint, RealizedGain, WealthContext, WealthSummary, ZERO_GAIN, addGains,
+  applyTransaction, buildLedger, loadPositionTransactions, loadWealthContext, toCashBalances, toPositions, toRealizedGains, valuePositions
+} from '../services/wealth';
 
 const router = express.Router();
 
-let yahooFinance: any = null;
-
-async function getYahooFinance(): Promise<any> {
-  if (!yahooFinance) {
-    const yf = await import('yahoo-finance2');
-    yahooFinance = new yf.default();
-  }
-  return yahooFinance;
-}
-
 function daysAgo(days: number): string {
   const d = new Date();
   d.setDate(d.getDate() - days);
@@ -24,38 +29,9 @@ function daysAgo(days: number): string {
 router.get('/quote/:symbol', async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   const symbol = req.params.symbol.toUpperCase();
 
-  // Check cache (5 minutes)
-  const cached = db.prepare('SELECT * FROM price_cache WHERE symbol = ? AND updated_at > datetime(\'now\', \'-5 minutes\')').get(symbol) as PriceCache | undefined;
-  if (cached) {
-    res.json(cached);
-    return;
-  }
-
   try {
-    const yf = await getYahooFinance();
-    const quote = await yf.quote(symbol);
-
-    const data = {
-      symbol: symbol,
-      price: quote.regularMarketPrice || 0,
-      currency: quote.currency || 'USD',
-      name: quote.shortName || quote.longName || symbol,
-      change_percent: quote.regularMarketChangePercent || 0
-    };
-
-    db.prepare(`
-      INSERT OR REPLACE INTO price_cache (symbol, price, currency, name, change_percent, updated_at)
-      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `).run(data.symbol, data.price, data.currency, data.name, data.change_percent);
-
-    res.json(data);
+    res.json(await getQuote(symbol));
   } catch (e) {
-    // Return cached even if stale
-    const stale = db.prepare('SELECT * FROM price_cache WHERE symbol = ?').get(symbol) as PriceCache | undefined;
-    if (stale) {
-      res.json({ ...stale, stale: true });
-      return;
-    }
     res.status(404).json({ error: `Could not fetch price for ${symbol}: ${(e as Error).message}` });
   }
 });
@@ -68,60 +44,8 @@ router.post('/quotes', async (req: AuthenticatedRequest, res: Response): Promise
     return;
   }
 
-  const results: Record<string, any> = {};
-  const toFetch: string[] = [];
-
-  // Check cache first
-  for (const sym of symbols) {
-    const s = sym.toUpperCase();
-    const cached = db.prepare('SELECT * FROM price_cache WHERE symbol = ? AND updated_at > datetime(\'now\', \'-5 minutes\')').get(s) as PriceCache | undefined;
-    if (cached) {
-      results[s] = cached;
-    } else {
-      toFetch.push(s);
-    }
-  }
-
-  // Fetch remaining
-  if (toFetch.length > 0) {
-    try {
-      const yf = await getYahooFinance();
-      for (const symbol of toFetch) {
-        try {
-          const quote = await yf.quote(symbol);
-          const data = {
-            symbol,
-            price: quote.regularMarketPrice || 0,
-            currency: quote.currency || 'USD',
-            name: quote.shortName || quote.longName || symbol,
-            change_percent: quote.regularMarketChangePercent || 0
-          };
-
-          db.prepare(`
-            INSERT OR REPLACE INTO price_cache (symbol, price, currency, name, change_percent, updated_at)
-            VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-          `).run(data.symbol, data.price, data.currency, data.name, data.change_percent);
-
-          results[symbol] = data;
-        } catch (e) {
-          const stale = db.prepare('SELECT * FROM price_cache WHERE symbol = ?').get(symbol) as PriceCache | undefined;
-          if (stale) results[symbol] = { ...stale, stale: true };
-          else results[symbol] = { symbol, price: 0, error: (e as Error).message };
-        }
-      }
-    } catch {
-      // If yahoo-finance fails globally, return stale cache for remaining
-      for (const symbol of toFetch) {
-        if (!results[symbol]) {
-          const stale = db.prepare('SELECT * FROM price_cache WHERE symbol = ?').get(symbol) as PriceCache | undefined;
-          if (stale) results[symbol] = { ...stale, stale: true };
-          else results[symbol] = { symbol, price: 0, error: 'Service unavailable' };
-        }
-      }
-    }
-  }
-
-  res.json(results);
+  const unique = [...new Set((symbols as string[]).map(s => s.toUpperCase()))];
+  res.json(await getQuotes(unique));
 });
 
 // Get historical data for charting
@@ -141,167 +65,127 @@ router.get('/history/:symbol', async (req: AuthenticatedRequest, res: Response):
 
   const range = periodMap[period] || periodMap['1y'];
 
-  try {
-    const yf = await getYahooFinance();
-    const result = await yf.chart(symbol, {
-      period1: range.period1,
-      interval: period === '1w' ? '1h' : period === '1m' ? '1d' : '1wk'
-    });
+  // Manually valued assets chart their valuation timeline instead
+  const valuations = loadValuations().symbols[symbol];
+  if (valuations) {
+    res.json(valuationTimeline(valuations, range.period1, todayKey()));
+    return;
+  }
 
-    const data = (result.quotes || []).map((q: any) => ({
-      date: q.date,
-      open: q.open,
-      high: q.high,
-      low: q.low,
-      close: q.close,
-      volume: q.volume
-    })).filter((q: any) => q.close !== null);
+  try {
+    const { prices, error } = await getPriceHistory(symbol, range.period1);
+    if (!prices.length && error) {
+      res.status(404).json({ error: `Could not fetch history for ${symbol}: ${error}` });
+      return;
+    }
 
-    res.json(data);
+    // Long ranges are served as weekly bars to keep the chart light
+    res.json(['1w', '1m', '3m'].includes(period) ? prices : downsampleWeekly(prices));
   } catch (e) {
-    res.status(404).json({ error: `Could not fetch history for ${symbol}: ${(e as Error).message}` });
+    res.status(500).json({ error: (e as Error).message });
   }
 });
 
 // Search symbols
 router.get('/search/:query', async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
-    const yf = await getYahooFinance();
-    const result = await yf.search(req.params.query);
-    const quotes = (result.quotes || []).map((q: any) => ({
-      symbol: q.symbol,
-      name: q.shortname || q.longname || q.symbol,
-      type: q.quoteType,
-      exchange: q.exchDisp || q.exchange
-    }));
-    res.json(quotes);
+    res.json(await getDefaultProvider().search(req.params.query));
   } catch (e) {
     res.status(500).json({ error: (e as Error).message });
   }
 });
 
+// Current value of every position and cash balance (optionally of one account) and the gains
+// realized so far
+async function valueToday(
+  accountId?: string, context: WealthContext = loadWealthContext(accountId)
+): Promise<{ summary: WealthSummary; realized: RealizedGain[] }> {
+  const cash: CashLedger = {};
+  const ledger = buildLedger(undefined, accountId, context, cash);
+  const positions = toPositions(ledger);
+
+  // Fetch prices; manually valued symbols are resolved by the valuation engine
+  const manualSymbols = getManuallyValuedSymbols(context.valuations);
+  const symbols = [...new Set(positions.map(p => p.symbol))].filter(s => !manualSymbols.includes(s));
+  const prices = await getQuotes(symbols);
+
+  return { summary: valuePositions(todayKey(), positions, prices, context, toCashBalances(cash)), realized: toRealizedGains(ledger) };
+}
+
+function sumRealized(realized: RealizedGain[]): GainSplit {
+  return realized.reduce((sum, r) => r.realized ? addGains(sum, r.realized) : sum, ZERO_GAIN);
+}
+
 // Dashboard summary - total wealth calculation
 router.get('/dashboard/summary', async (_req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
-    // Get all holdings across all accounts
-    const holdings = db.prepare(`
-      SELECT
-        t.symbol,
-        a.id as account_id,
-        a.name as account_name,
-        a.currency as account_currency,
-        SUM(CASE WHEN t.type IN ('buy','transfer_in') THEN t.quantity ELSE 0 END) -
-        SUM(CASE WHEN t.type IN ('sell','transfer_out') THEN t.quantity ELSE 0 END) as quantity,
-        SUM(CASE WHEN t.type IN ('buy','transfer_in') THEN t.quantity * t.price ELSE 0 END) /
-        NULLIF(SUM(CASE WHEN t.type IN ('buy','transfer_in') THEN t.quantity ELSE 0 END), 0) as avg_cost
-      FROM transactions t
-      JOIN accounts a ON t.account_id = a.id
-      GROUP BY t.symbol, a.id
-      HAVING quantity > 0.00000001
-    `).all() as Array<{ symbol: string; account_id: number; account_name: string; account_currency: string; quantity: number; avg_cost: number }>;
-
-    // Gather all unique symbols
-    const symbols = [...new Set(holdings.map(h => h.symbol))];
-
-    // Fetch prices
-    const prices: Record<string, PriceCache> = {};
-    if (symbols.length > 0) {
-      const yf = await getYahooFinance();
-      for (const symbol of symbols) {
-        try {
-          const cached = db.prepare('SELECT * FROM price_cache WHERE symbol = ? AND updated_at > datetime(\'now\', \'-5 minutes\')').get(symbol) as PriceCache | undefined;
-          if (cached) {
-            prices[symbol] = cached;
-          } else {
-            const quote = await yf.quote(symbol);
-            prices[symbol] = {
-              symbol,
-              price: quote.regularMarketPrice || 0,
-              currency: quote.currency || 'USD',
-              name: quote.shortName || quote.longName || symbol,
-              change_percent: quote.regularMarketChangePercent || 0,
-              updated_at: new Date().toISOString()
-            };
-            db.prepare(`
-              INSERT OR REPLACE INTO price_cache (symbol, price, currency, name, change_percent, updated_at)
-              VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-            `).run(symbol, prices[symbol].price, prices[symbol].currency, prices[symbol].name, prices[symbol].change_percent);
-          }
-        } catch {
-          const stale = db.prepare('SELECT * FROM price_cache WHERE symbol = ?').get(symbol) as PriceCache | undefined;
-          prices[symbol] = stale || { symbol, price: 0, currency: 'USD', name: symbol, change_percent: 0, updated_at: '' };
-        }
-      }
-    }
-
-    // Get currency rates
-    const rates: Record<string, number> = {};
-    const rateRows = db.prepare('SELECT * FROM currency_rates').all() as CurrencyRate[];
-    for (const r of rateRows) {
-      rates[`${r.from_currency}_${r.to_currency}`] = r.rate;
-    }
-
-    // Get user base currency
-    const user = db.prepare('SELECT base_currency FROM users LIMIT 1').get() as User | undefined;
-    const baseCurrency = user ? user.base_currency : 'EUR';
-
-    // Calculate totals per account
-    const accountSummaries: Record<number, { account_id: number; account_name: string; market_value: number; cost_basis: number; holdings_count: number }> = {};
-    let totalWealth = 0;
-    let totalCost = 0;
-
-    for (const h of holdings) {
-      const priceData = prices[h.symbol] || { price: 0, currency: 'USD' };
-      let marketValue = h.quantity * priceData.price;
-      let costBasis = h.quantity * (h.avg_cost || 0);
-
-      // Convert to base currency if needed
-      const priceCurrency = priceData.currency || 'USD';
-      if (priceCurrency !== baseCurrency) {
-        const rateKey = `${priceCurrency}_${baseCurrency}`;
-        const rate = rates[rateKey] || 1;
-        marketValue *= rate;
-      }
-
-      if (h.account_currency && h.account_currency !== baseCurrency) {
-        const rateKey = `${h.account_currency}_${baseCurrency}`;
-        const rate = rates[rateKey] || 1;
-        costBasis *= rate;
-      }
+    const context = loadWealthContext();
+    const { summary, realized } = await valueToday(undefined, context);
+    const liabilities = getLiabilityBalances(summary.date, context);
+    const worth = netWorth(summary.total_wealth, summary.total_cost, liabilities);
+    const gain = worth.assets - worth.cost;
 
-      if (!accountSummaries[h.account_id]) {
-        accountSummaries[h.account_id] = {
-          account_id: h.account_id,
-          account_name: h.account_name,
-          market_value: 0,
-          cost_basis: 0,
-          holdings_count: 0
-        };
-      }
+    res.json({
+      // Net worth: the assets less the debts outstanding
+      total_wealth: worth.net_worth,
+      total_cost: worth.cost,
+      total_gain: gain,
+      total_gain_percent: summary.total_cost > 0 ? (gain / summary.total_cost) * 100 : 0,
+      assets: worth.assets,
+      liabilities: worth.liabilities,
+      net_worth: worth.net_worth,
+      liability_balances: liabilities,
+      // Cash balances, part of the totals
+      cash: summary.cash,
+      base_currency: summary.base_currency,
+      accounts: summary.accounts,
+      holdings_count: summary.holdings_count,
+      // Gains split into the local price move and the currency move since purchase
+      unrealized: summary.unrealized,
+      realized: sumRealized(realized),
+      // Holdings left out of the totals because no FX rate converts them
+      unconverted: summary.unconverted
+    });
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
 
-      accountSummaries[h.account_id].market_value += marketValue;
-      accountSummaries[h.account_id].cost_basis += costBasis;
-      accountSummaries[h.account_id].holdings_count++;
-      totalWealth += marketValue;
-      totalCost += costBasis;
-    }
+// Unrealized and realized gains per holding, split into price and FX effects
+router.get('/gains', async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const accountId = req.query.account_id as string | undefined;
+    const symbol = req.query.symbol ? (req.query.symbol as string).toUpperCase() : undefined;
+    const { summary, realized } = await valueToday(accountId);
+    const holdings = summary.holdings.filter(h => !symbol || h.symbol === symbol);
+    const sales = realized.filter(r => !symbol || r.symbol === symbol);
 
     res.json({
-      total_wealth: totalWealth,
-      total_cost: totalCost,
-      total_gain: totalWealth - totalCost,
-      total_gain_percent: totalCost > 0 ? ((totalWealth - totalCost) / totalCost) * 100 : 0,
-      base_currency: baseCurrency,
-      accounts: Object.values(accountSummaries),
-      holdings_count: holdings.length
+      base_currency: summary.base_currency,
+      unrealized: holdings.reduce((sum, h) => addGains(sum, h.unrealized), ZERO_GAIN),
+      realized: sumRealized(sales),
+      holdings,
+      sales
     });
   } catch (e) {
     res.status(500).json({ error: (e as Error).message });
   }
 });
 
-// Portfolio value history (calculated from transactions + price history)
+// Portfolio value history (calculated from transactions + price history), compared with the
+// account's benchmarks or the comma-separated `benchmarks`. The whole portfolio's history is its
+// net worth, after the debts outstanding on each date.
 router.get('/portfolio/history', async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  let benchmarks: string[];
+  try {
+    benchmarks = req.query.benchmarks !== undefined
+      ? parseBenchmarkSymbols(String(req.query.benchmarks).split(','))
+      : getBenchmarks(req.query.account_id as string | undefined);
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+    return;
+  }
+
   try {
     const { account_id, period } = req.query;
     const periodDays: Record<string, number | null> = { '1w': 7, '1m': 30, '3m': 90, '6m': 180, 'ytd': null, '1y': 365, '5y': 1825, 'all': 3650 };
@@ -313,66 +197,84 @@ router.get('/portfolio/history', async (req: AuthenticatedRequest, res: Response
     } else {
       startDate = daysAgo(days);
     }
+    const endDate = todayKey();
 
     // Get holdings at each point in time
-    let txQuery = `SELECT t.symbol, t.type, t.quantity, t.price, t.date, t.account_id
-      FROM transactions t`;
-    const params: (string | number)[] = [];
-    if (account_id) {
-      txQuery += ' WHERE t.account_id = ?';
-      params.push(account_id as string);
-    }
-    txQuery += ' ORDER BY t.date ASC';
-    const transactions = db.prepare(txQuery).all(...params) as Array<{ symbol: string; type: string; quantity: number; price: number; date: string; account_id: number }>;
-
-    if (!transactions.length) {
+    const transactions = loadPositionTransactions(account_id as string | undefined);
+    const context = loadWealthContext(account_id as string | undefined);
+    const manualSymbols = getManuallyValuedSymbols(context.valuations);
+    const valuedAccounts = context.accounts.filter(a => context.valuations.accounts[a.id]);
+    const keepsCash = context.accounts.some(a => context.cash_since[a.id]);
+    const liabilities = account_id ? [] : loadLiabilities().filter(l => l.start_date <= endDate);
+
+    if (!transactions.length && !valuedAccounts.length && !liabilities.length) {
       res.json([]);
       return;
     }
 
-    // Get unique symbols that have positive holdings
-    const holdingMap: Record<string, number> = {};
-    for (const tx of transactions) {
-      if (!holdingMap[tx.symbol]) holdingMap[tx.symbol] = 0;
-      if (['buy', 'transfer_in', 'dividend'].includes(tx.type)) holdingMap[tx.symbol] += tx.quantity;
-      else if (['sell', 'transfer_out'].includes(tx.type)) holdingMap[tx.symbol] -= tx.quantity;
+    // Symbols held at the start of the period or traded during it
+    const ledger: PositionLedger = {};
+    const cash: CashLedger = {};
+    let txIndex = 0;
+    while (txIndex < transactions.length && transactions[txIndex].date.split('T')[0] < startDate) {
+      applyTransaction(ledger, transactions[txIndex], context, cash);
+      txIndex++;
     }
-    const activeSymbols = Object.keys(holdingMap).filter(s => holdingMap[s] > 0.00000001);
+    const activeSymbols = [...new Set([
+      ...toPositions(ledger).map(p => p.symbol),
+      ...transactions.slice(txIndex).filter(t => !CASH_TYPES.includes(t.type)).map(t => t.symbol)
+    ])];
 
-    if (!activeSymbols.length) {
+    if (!activeSymbols.length && !valuedAccounts.length && !keepsCash && !liabilities.length) {
       res.json([]);
       return;
     }
 
-    // Fetch price history for all active symbols
-    const yf = await getYahooFinance();
-    const priceHistories: Record<string, Record<string, number>> = {};
-    const interval = days <= 30 ? '1d' : '1wk';
-
-    for (const symbol of activeSymbols) {
-      try {
-        const result = await yf.chart(symbol, { period1: startDate, interval });
-        priceHistories[symbol] = {};
-        for (const q of (result.quotes || [])) {
-          if (q.close !== null) {
-            const dateKey = new Date(q.date).toISOString().split('T')[0];
-            priceHistories[symbol][dateKey] = q.close;
-          }
-        }
-      } catch {
+    // Load price history for all market-priced symbols from the local store
+    const priceHistories: Record<string, Record<string, PricePoint>> = {};
+    const fallbackPrices: Record<string, PricePoint> = {};
+    const allDates = new Set<string>();
+
+    for (const symbol of activeSymbols.filter(s => !manualSymbols.includes(s))) {
+      const { prices } = await getPriceHistory(symbol, startDate);
+      priceHistories[symbol] = {};
+      for (const q of days <= 30 ? prices : downsampleWeekly(prices)) {
+        priceHistories[symbol][q.date] = { price: q.close, currency: q.currency || 'USD' };
+        allDates.add(q.date);
+      }
+      if (!prices.length) {
         // Use last cached price as fallback
-        const cached = db.prepare('SELECT price FROM price_cache WHERE symbol = ?').get(symbol) as { price: number } | undefined;
-        priceHistories[symbol] = { fallback: cached?.price || 0 };
+        const cached = db.prepare('SELECT price, currency FROM price_cache WHERE symbol = ?').get(symbol) as PriceCache | undefined;
+        fallbackPrices[symbol] = { price: cached?.price || 0, currency: cached?.currency || 'USD' };
       }
     }
 
-    // Get all unique dates from price histories
-    const allDates = new Set<string>();
-    for (const sym of Object.keys(priceHistories)) {
-      for (const d of Object.keys(priceHistories[sym])) {
-        if (d !== 'fallback') allDates.add(d);
+    // Manual valuations add points of their own, and anchor the range when nothing else does
+    const valuationSeries = [
+      ...activeSymbols.map(s => context.valuations.symbols[s] || []),
+      ...valuedAccounts.map(a => context.valuations.accounts[a.id])
+    ];
+    for (const series of valuationSeries) {
+      for (const v of series) {
+        if (v.date >= startDate && v.date <= endDate) allDates.add(v.date);
+      }
+    }
+    if (valuationSeries.some(series => series.length) || keepsCash || liabilities.length) {
+      allDates.add(startDate);
+      allDates.add(endDate);
+    }
+    // Loans start on the day they are taken out and step down with every payment
+    for (const liability of liabilities) {
+      for (const date of [liability.start_date, ...balanceChangeDates(liability, endDate)]) {
+        if (date >= startDate) allDates.add(date);
       }
     }
+    // Deposits and withdrawals step the cash balance
+    for (const tx of transactions.slice(txIndex)) {
+      const date = tx.date.split('T')[0];
+      if (CASH_TYPES.includes(tx.type) && date <= endDate) allDates.add(date);
+    }
+
     const sortedDates = [...allDates].sort();
     if (!sortedDates.length) {
       res.json([]);
@@ -380,42 +282,23 @@ router.get('/portfolio/history', async (req: AuthenticatedRequest, res: Response
     }
 
     // For each date, calculate portfolio value
-    const portfolioHistory: Array<{ date: string; value: number; cost: number; gain: number }> = [];
-    const runningHoldings: Record<string, number> = {};
-    let txIndex = 0;
+    const portfolioHistory: HistoryPoint[] = [];
 
     for (const dateStr of sortedDates) {
       // Apply all transactions up to and including this date
-      while (txIndex < transactions.length && transactions[txIndex].date <= dateStr) {
-        const tx = transactions[txIndex];
-        if (!runningHoldings[tx.symbol]) runningHoldings[tx.symbol] = 0;
-        if (['buy', 'transfer_in', 'dividend'].includes(tx.type)) runningHoldings[tx.symbol] += tx.quantity;
-        else if (['sell', 'transfer_out'].includes(tx.type)) runningHoldings[tx.symbol] -= tx.quantity;
+      while (txIndex < transactions.length && transactions[txIndex].date.split('T')[0] <= dateStr) {
+        applyTransaction(ledger, transactions[txIndex], context, cash);
         txIndex++;
       }
 
-      // Calculate total portfolio value
-      let totalValue = 0;
-      let totalCost = 0;
-      for (const [symbol, qty] of Object.entries(runningHoldings)) {
-        if (qty <= 0.00000001) continue;
-        const prices = priceHistories[symbol] || {};
-        // Find closest price at or before this date
-        let price = prices[dateStr];
-        if (price === undefined) {
-          // Find closest earlier date
-          const priceDates = Object.keys(prices).filter(d => d !== 'fallback' && d <= dateStr).sort();
-          price = priceDates.length ? prices[priceDates[priceDates.length - 1]] : (prices.fallback || 0);
-        }
-        totalValue += qty * price;
+      // Find closest price at or before this date
+      const prices: Record<string, PricePoint> = {};
+      for (const [symbol, history] of Object.entries(priceHistories)) {
+        const priceDates = Object.keys(history).filter(d => d <= dateStr).sort();
+        prices[symbol] = priceDates.length ? history[priceDates[priceDates.length - 1]] : (fallbackPrices[symbol] || { price: 0, currency: 'USD' });
       }
 
-      // Calculate cost basis up to this date
-      for (const tx of transactions.filter(t => t.date <= dateStr)) {
-        if (['buy', 'transfer_in'].includes(tx.type)) {
-          totalCost += tx.quantity * tx.price;
-        }
-      }
+      const { total_wealth: totalValue, total_cost: totalCost } = valuePositions(dateStr, toPositions(ledger), prices, context, toCashBalances(cash));
 
       portfolioHistory.push({
         date: dateStr,
@@ -425,6 +308,8 @@ router.get('/portfolio/history', async (req: AuthenticatedRequest, res: Response
       });
     }
 
+    await addBenchmarks(portfolioHistory, transactions, context, benchmarks);
+    subtractLiabilities(portfolioHistory, context, liabilities);
     res.json(portfolioHistory);
   } catch (e) {
     res.status(500).json({ error: (e as Error).message });
@@ -441,13 +326,14 @@ router.get('/daily-wealth', (req: AuthenticatedRequest, res: Response): void =>
     }
 
     const rows = db.prepare(
-      'SELECT date, total_wealth, total_cost, base_currency, details FROM daily_wealth WHERE date >= ? AND date <= ? ORDER BY date ASC'
-    ).all(start, end) as Array<{ date: string; total_wealth: number; total_cost: number; base_currency: string; details: string }>;
+      'SELECT date, total_wealth, total_cost, base_currency, details, dirty FROM daily_wealth WHERE date >= ? AND date <= ? ORDER BY date ASC'
+    ).all(start, end) as Array<{ date: string; total_wealth: number; total_cost: number; base_currency: string; details: string; dirty: number }>;
 
-    // Parse details JSON
+    // Parse details JSON; dirty rows are waiting to be recomputed
     const result = rows.map(r => ({
       ...r,
-      details: JSON.parse(r.details || '{}')
+      details: JSON.parse(r.details || '{}'),
+      dirty: !!r.dirty
     }));
 
     res.json(result);
@@ -457,82 +343,121 @@ router.get('/daily-wealth', (req: AuthenticatedRequest, res: Response): void =>
 });
 
 // Save/update daily wealth snapshot (called from dashboard summary to cache today's value)
-router.post('/daily-wealth', async (_req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post('/daily-wealth', (_req: AuthenticatedRequest, res: Response): void => {
   try {
-    const today = new Date().toISOString().split('T')[0];
-
-    // Get current dashboard summary data
-    const holdings = db.prepare(`
-      SELECT
-        t.symbol,
-        a.id as account_id,
-        a.name as account_name,
-        a.currency as account_currency,
-        SUM(CASE WHEN t.type IN ('buy','transfer_in') THEN t.quantity ELSE 0 END) -
-        SUM(CASE WHEN t.type IN ('sell','transfer_out') THEN t.quantity ELSE 0 END) as quantity,
-        SUM(CASE WHEN t.type IN ('buy','transfer_in') THEN t.quantity * t.price ELSE 0 END) /
-        NULLIF(SUM(CASE WHEN t.type IN ('buy','transfer_in') THEN t.quantity ELSE 0 END), 0) as avg_cost
-      FROM transactions t
-      JOIN accounts a ON t.account_id = a.id
-      GROUP BY t.symbol, a.id
-      HAVING quantity > 0.00000001
-    `).all() as Array<{ symbol: string; account_id: number; account_name: string; account_currency: string; quantity: number; avg_cost: number }>;
-
-    const symbols = [...new Set(holdings.map(h => h.symbol))];
-    const prices: Record<string, PriceCache> = {};
-    for (const symbol of symbols) {
-      const cached = db.prepare('SELECT * FROM price_cache WHERE symbol = ?').get(symbol) as PriceCache | undefined;
-      if (cached) prices[symbol] = cached;
-    }
-
-    const rates: Record<string, number> = {};
-    const rateRows = db.prepare('SELECT * FROM currency_rates').all() as CurrencyRate[];
-    for (const r of rateRows) rates[`${r.from_currency}_${r.to_currency}`] = r.rate;
+    res.json(writeDailySnapshot(todayKey()));
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
 
-    const user = db.prepare('SELECT base_currency FROM users LIMIT 1').get() as User | undefined;
-    const baseCurrency = user ? user.base_currency : 'EUR';
+// Snapshots invalidated by transaction changes and not yet recomputed
+router.get('/daily-wealth/pending', (_req: AuthenticatedRequest, res: Response): void => {
+  try {
+    res.json(getDirtyRange() || null);
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
 
-    let totalWealth = 0;
-    let totalCost = 0;
-    const accountDetails: Record<number, { name: string; market_value: number; cost_basis: number }> = {};
+// Recompute dirty snapshots now instead of waiting for the scheduler
+router.post('/daily-wealth/recompute', (_req: AuthenticatedRequest, res: Response): void => {
+  try {
+    const pending = getDirtyRange();
+    if (!pending) {
+      res.json({ pending: null, job: null });
+      return;
+    }
+    res.status(202).json({ pending, job: recomputeDirtySnapshots() || null });
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
 
-    for (const h of holdings) {
-      const priceData = prices[h.symbol] || { price: 0, currency: 'USD' };
-      let marketValue = h.quantity * priceData.price;
-      let costBasis = h.quantity * (h.avg_cost || 0);
+// ===== Backfill =====
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-      const priceCurrency = priceData.currency || 'USD';
-      if (priceCurrency !== baseCurrency) {
-        const rateKey = `${priceCurrency}_${baseCurrency}`;
-        marketValue *= (rates[rateKey] || 1);
-      }
-      if (h.account_currency && h.account_currency !== baseCurrency) {
-        const rateKey = `${h.account_currency}_${baseCurrency}`;
-        costBasis *= (rates[rateKey] || 1);
-      }
+// List recent backfill jobs
+router.get('/daily-wealth/backfill', (_req: AuthenticatedRequest, res: Response): void => {
+  try {
+    res.json(listBackfillJobs());
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
 
-      if (!accountDetails[h.account_id]) {
-        accountDetails[h.account_id] = { name: h.account_name, market_value: 0, cost_basis: 0 };
-      }
-      accountDetails[h.account_id].market_value += marketValue;
-      accountDetails[h.account_id].cost_basis += costBasis;
-      totalWealth += marketValue;
-      totalCost += costBasis;
+// Start a backfill of daily_wealth; runs in the background and reports progress via GET
+router.post('/daily-wealth/backfill', (req: AuthenticatedRequest, res: Response): void => {
+  try {
+    const start = req.body.start || getFirstActivityDate();
+    const end = req.body.end || todayKey();
+    if (!start) {
+      res.status(400).json({ error: 'No transactions to backfill from' });
+      return;
+    }
+    if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end)) {
+      res.status(400).json({ error: 'start and end must be YYYY-MM-DD' });
+      return;
+    }
+    if (start > end) {
+      res.status(400).json({ error: 'start must be on or before end' });
+      return;
+    }
+    if (end > todayKey()) {
+      res.status(400).json({ error: 'end cannot be in the future' });
+      return;
     }
 
-    const details = JSON.stringify({
-      accounts: Object.entries(accountDetails).map(([id, d]) => ({
-        account_id: parseInt(id), ...d
-      })),
-      holdings_count: holdings.length
-    });
+    const job = createBackfillJob(start, end);
+    void runBackfillJob(job.id);
+    res.status(202).json(job);
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
 
-    db.prepare(`
-      INSERT OR REPLACE INTO daily_wealth (date, total_wealth, total_cost, base_currency, details, updated_at)
-      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `).run(today, totalWealth, totalCost, baseCurrency, details);
+// Backfill job progress
+router.get('/daily-wealth/backfill/:id', (req: AuthenticatedRequest, res: Response): void => {
+  try {
+    const job = getBackfillJob(req.params.id);
+    if (!job) {
+      res.status(404).json({ error: 'Backfill job not found' });
+      return;
+    }
+    res.json(job);
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
 
-    res.json({ date: today, total_wealth: totalWealth, total_cost: totalCost, base_currency: baseCurrency });
+// Pause a running backfill after its current chunk
+router.post('/daily-wealth/backfill/:id/pause', (req: AuthenticatedRequest, res: Response): void => {
+  try {
+    const job = pauseBackfillJob(Number(req.params.id));
+    if (!job) {
+      res.status(404).json({ error: 'Backfill job not found' });
+      return;
+    }
+    res.json(job);
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
+
+// Resume a paused or failed backfill from where it stopped
+router.post('/daily-wealth/backfill/:id/resume', (req: AuthenticatedRequest, res: Response): void => {
+  try {
+    const job = getBackfillJob(req.params.id);
+    if (!job) {
+      res.status(404).json({ error: 'Backfill job not found' });
+      return;
+    }
+    if (job.status === 'completed') {
+      res.status(400).json({ error: 'Backfill job already completed' });
+      return;
+    }
+    void runBackfillJob(job.id);
+    res.status(202).json(getBackfillJob(job.id));
   } catch (e) {
     res.status(500).json({ error: (e as Error).message });
   }
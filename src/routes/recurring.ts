@@ -0,0 +1,136 @@
+import express, { Response } from 'express';
+import { AuthenticatedRequest, ExecutionStatus, RecurringTransaction } from '../types';
+import { todayKey } from '../services/dates';
+import {
+  confirmExecution, createRecurring, deleteRecurring, getExecution, getRecurring, loadExecutions, loadRecurring, materializeRecurring,
+  nextExecutionDate, skipExecution, updateExecution, updateRecurring, upcomingExecutions
+} from '../services/recurring';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EXECUTION_STATUSES: ExecutionStatus[] = ['pending', 'confirmed', 'skipped'];
+
+// Plans with the date they run next
+function withNextDate(recurring: RecurringTransaction) {
+  return { ...recurring, next_date: recurring.active ? nextExecutionDate(recurring, todayKey()) : null };
+}
+
+router.get('/', (_req: AuthenticatedRequest, res: Response): void => {
+  res.json(loadRecurring().map(withNextDate));
+});
+
+// Executions by status, pending ones by default
+router.get('/executions', (req: AuthenticatedRequest, res: Response): void => {
+  const status = (req.query.status || 'pending') as ExecutionStatus;
+  if (!EXECUTION_STATUSES.includes(status)) {
+    res.status(400).json({ error: `status must be one of: ${EXECUTION_STATUSES.join(', ')}` });
+    return;
+  }
+  res.json(loadExecutions(status));
+});
+
+// Pending and scheduled executions between two dates, for the calendar
+router.get('/upcoming', (req: AuthenticatedRequest, res: Response): void => {
+  const start = req.query.start as string;
+  const end = req.query.end as string;
+  if (!DATE_PATTERN.test(start || '') || !DATE_PATTERN.test(end || '')) {
+    res.status(400).json({ error: 'start and end required (YYYY-MM-DD)' });
+    return;
+  }
+  res.json(upcomingExecutions(start, end));
+});
+
+// Materialize the executions due up to today now instead of waiting for the scheduler
+router.post('/run', async (_req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const created = await materializeRecurring(todayKey());
+    res.json({ created: created.length, executions: created });
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
+
+// Adjust a pending execution
+router.put('/executions/:id', (req: AuthenticatedRequest, res: Response): void => {
+  const execution = getExecution(req.params.id);
+  if (!execution) {
+    res.status(404).json({ error: 'Execution not found' });
+    return;
+  }
+  try {
+    res.json(updateExecution(execution, req.body || {}));
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+// Book a pending execution as a transaction, with any adjustments in the body
+router.post('/executions/:id/confirm', (req: AuthenticatedRequest, res: Response): void => {
+  const execution = getExecution(req.params.id);
+  if (!execution) {
+    res.status(404).json({ error: 'Execution not found' });
+    return;
+  }
+  try {
+    res.status(201).json(confirmExecution(execution, req.body || {}));
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+router.post('/executions/:id/skip', (req: AuthenticatedRequest, res: Response): void => {
+  const execution = getExecution(req.params.id);
+  if (!execution) {
+    res.status(404).json({ error: 'Execution not found' });
+    return;
+  }
+  try {
+    res.json(skipExecution(execution));
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+router.get('/:id', (req: AuthenticatedRequest, res: Response): void => {
+  const recurring = getRecurring(req.params.id);
+  if (!recurring) {
+    res.status(404).json({ error: 'Recurring transaction not found' });
+    return;
+  }
+  res.json(withNextDate(recurring));
+});
+
+// Add a savings plan or another transaction that repeats weekly, monthly or quarterly
+router.post('/', (req: AuthenticatedRequest, res: Response): void => {
+  try {
+    res.status(201).json(withNextDate(createRecurring(req.body || {})));
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+router.put('/:id', (req: AuthenticatedRequest, res: Response): void => {
+  const existing = getRecurring(req.params.id);
+  if (!existing) {
+    res.status(404).json({ error: 'Recurring transaction not found' });
+    return;
+  }
+  try {
+    res.json(withNextDate(updateRecurring(existing, req.body || {})));
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+router.delete('/:id', (req: AuthenticatedRequest, res: Response): void => {
+  const existing = getRecurring(req.params.id);
+  if (!existing) {
+    res.status(404).json({ error: 'Recurring transaction not found' });
+    return;
+  }
+  deleteRecurring(existing);
+  res.json({ message: 'Recurring transaction deleted' });
+});
+
+export default router;
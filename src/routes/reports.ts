@@ -0,0 +1,207 @@
+import express, { Response } from 'express';
+import { stringify } from 'csv-stringify/sync';
+import { AuthenticatedRequest } from '../types';
+import { parseBenchmarkSymbols } from '../services/benchmarks';
+import { todayKey } from '../services/dates';
+import { getIncomeReport, projectDividends } from '../services/income';
+import { PERFORMANCE_PERIODS, PerformancePeriod, PerformanceScope, getPerformance } from '../services/performance';
+import { RiskOptions, getCorrelationMatrix, getRiskReport, parseRiskFreeRate } from '../services/risk';
+import { estimateSale, getRealizedGainsReport } from '../services/tax';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Chart period from the query, 1y by default; undefined when invalid
+function parsePeriod(value: unknown): PerformancePeriod | undefined {
+  const period = value === undefined || value === '' ? '1y' : String(value);
+  return PERFORMANCE_PERIODS.includes(period as PerformancePeriod) ? period as PerformancePeriod : undefined;
+}
+
+// Symbol from the query, upper-cased; undefined for none, null when it is not a single string
+function parseSymbol(value: unknown): string | null | undefined {
+  if (value === undefined || value === '') return undefined;
+  return typeof value === 'string' ? value.toUpperCase() : null;
+}
+
+// Portfolio, account or symbol the returns are measured for; undefined when the symbol is invalid
+function parseScope(req: AuthenticatedRequest): PerformanceScope | undefined {
+  const symbol = parseSymbol(req.query.symbol);
+  if (symbol === null) return undefined;
+  return { accountId: req.query.account_id as string | undefined, symbol };
+}
+
+// Tax year from the query; undefined for all years, NaN when invalid
+function parseYear(value: unknown): number | undefined {
+  if (value === undefined || value === '') return undefined;
+  return /^\d{4}$/.test(String(value)) ? parseInt(String(value)) : NaN;
+}
+
+// Realized gains of every closing trade, grouped by tax year and holding period
+router.get('/realized-gains', (req: AuthenticatedRequest, res: Response): void => {
+  const year = parseYear(req.query.year);
+  if (Number.isNaN(year)) {
+    res.status(400).json({ error: 'year must be a four-digit year' });
+    return;
+  }
+  res.json(getRealizedGainsReport(year, req.query.account_id as string | undefined));
+});
+
+// Export the closing trades as CSV, with amounts in the base currency
+router.get('/realized-gains/export/csv', (req: AuthenticatedRequest, res: Response): void => {
+  const year = parseYear(req.query.year);
+  if (Number.isNaN(year)) {
+    res.status(400).json({ error: 'year must be a four-digit year' });
+    return;
+  }
+  const report = getRealizedGainsReport(year, req.query.account_id as string | undefined);
+
+  const csv = stringify(report.disposals.map(d => ({ ...d, base_currency: report.base_currency })), {
+    header: true,
+    columns: [
+      'tax_year', 'term', 'account_name', 'symbol', 'quantity', 'acquired', 'disposed', 'holding_days',
+      'proceeds', 'cost_basis', 'fees', 'gain', 'base_currency'
+    ]
+  });
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=realized-gains${year ? `-${year}` : ''}.csv`);
+  res.send(csv);
+});
+
+// Dividend and interest income per symbol, account and month, with yield on cost and trailing
+// 12-month yield. `year` is a shorthand for its calendar year, up to today.
+router.get('/income', (req: AuthenticatedRequest, res: Response): void => {
+  const year = parseYear(req.query.year);
+  if (Number.isNaN(year)) {
+    res.status(400).json({ error: 'year must be a four-digit year' });
+    return;
+  }
+  let start = req.query.start as string | undefined;
+  let end = req.query.end as string | undefined;
+  if ((start && !DATE_PATTERN.test(start)) || (end && !DATE_PATTERN.test(end))) {
+    res.status(400).json({ error: 'start and end must be YYYY-MM-DD' });
+    return;
+  }
+  const symbol = parseSymbol(req.query.symbol);
+  if (symbol === null) {
+    res.status(400).json({ error: 'symbol must be a single symbol' });
+    return;
+  }
+  if (year !== undefined) {
+    const today = todayKey();
+    start = `${year}-01-01`;
+    end = `${year}-12-31` < today ? `${year}-12-31` : today;
+  }
+
+  res.json(getIncomeReport({
+    accountId: req.query.account_id as string | undefined,
+    symbol,
+    start,
+    end
+  }));
+});
+
+// Expected dividends of the open positions for the next twelve months
+router.get('/income/forecast', (req: AuthenticatedRequest, res: Response): void => {
+  res.json(projectDividends(undefined, req.query.account_id as string | undefined));
+});
+
+// Time- and money-weighted returns (TWR, XIRR) of the portfolio, an account or a symbol
+router.get('/performance', async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  const period = parsePeriod(req.query.period);
+  if (!period) {
+    res.status(400).json({ error: `Period must be one of ${PERFORMANCE_PERIODS.join(', ')}` });
+    return;
+  }
+  const scope = parseScope(req);
+  if (!scope) {
+    res.status(400).json({ error: 'symbol must be a single symbol' });
+    return;
+  }
+
+  try {
+    res.json(await getPerformance(period, scope));
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
+
+// Volatility, drawdown, Sharpe and Sortino ratios and beta of the portfolio, an account or a
+// symbol. `benchmark` and `risk_free_rate` override the configured ones.
+router.get('/risk', async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  const period = parsePeriod(req.query.period);
+  if (!period) {
+    res.status(400).json({ error: `Period must be one of ${PERFORMANCE_PERIODS.join(', ')}` });
+    return;
+  }
+  const scope = parseScope(req);
+  if (!scope) {
+    res.status(400).json({ error: 'symbol must be a single symbol' });
+    return;
+  }
+
+  let options: RiskOptions;
+  try {
+    options = {
+      benchmark: req.query.benchmark ? parseBenchmarkSymbols([req.query.benchmark])[0] : undefined,
+      riskFreeRate: req.query.risk_free_rate !== undefined ? parseRiskFreeRate(req.query.risk_free_rate) : undefined
+    };
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+    return;
+  }
+
+  try {
+    res.json(await getRiskReport(period, scope, options));
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
+
+// Pairwise return correlation of the symbols held now, over the chosen window
+router.get('/correlation', async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  const period = parsePeriod(req.query.period);
+  if (!period) {
+    res.status(400).json({ error: `Period must be one of ${PERFORMANCE_PERIODS.join(', ')}` });
+    return;
+  }
+
+  try {
+    res.json(await getCorrelationMatrix(period, req.query.account_id as string | undefined));
+  } catch (e) {
+    res.status(500).json({ error: (e as Error).message });
+  }
+});
+
+// Estimate the tax on selling units of a holding, at `price` or the latest known price
+router.get('/tax-estimate', (req: AuthenticatedRequest, res: Response): void => {
+  const { account_id, symbol, currency, date } = req.query;
+  if (!account_id || !symbol) {
+    res.status(400).json({ error: 'account_id and symbol required' });
+    return;
+  }
+  const quantity = Number(req.query.quantity);
+  if (!isFinite(quantity) || quantity <= 0) {
+    res.status(400).json({ error: 'quantity must be a positive number' });
+    return;
+  }
+  const price = req.query.price === undefined ? undefined : Number(req.query.price);
+  if (price !== undefined && (!isFinite(price) || price < 0)) {
+    res.status(400).json({ error: 'price must be a non-negative number' });
+    return;
+  }
+  if (date && !DATE_PATTERN.test(date as string)) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    return;
+  }
+
+  try {
+    const pricePoint = price === undefined ? undefined : { price, currency: ((currency as string) || '').toUpperCase() };
+    res.json(estimateSale(account_id as string, (symbol as string).toUpperCase(), quantity, pricePoint, (date as string) || undefined));
+  } catch (e) {
+    res.status(404).json({ error: (e as Error).message });
+  }
+});
+
+export default router;
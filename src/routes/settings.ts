@@ -2,6 +2,11 @@ import express, { Response } from 'express';
 import path from 'path';
 import fs from 'fs';
 import { getDatabasePath, reinitializeDatabase } from '../db/database';
+import { MAX_BENCHMARKS, getBenchmarkConfig, saveBenchmarkConfig } from '../services/benchmarks';
+import { ASSET_CLASSES, getProviderConfig, listProviders, saveProviderConfig } from '../services/providers';
+import { getRiskSettings, saveRiskSettings } from '../services/risk';
+import { getSchedulerStatus, runSchedulerTick, saveSchedulerConfig } from '../services/scheduler';
+import { TAX_PROFILE_PRESETS, getTaxProfile, saveTaxProfile } from '../services/tax';
 import { AuthenticatedRequest } from '../types';
 
 const router = express.Router();
@@ -81,6 +86,92 @@ router.post('/refresh', (_req: AuthenticatedRequest, res: Response): void => {
   }
 });
 
+// Get price provider configuration
+router.get('/price-providers', (_req: AuthenticatedRequest, res: Response): void => {
+  res.json({
+    providers: listProviders(),
+    asset_classes: ASSET_CLASSES,
+    config: getProviderConfig()
+  });
+});
+
+// Choose the price provider per asset class or per symbol
+router.put('/price-providers', (req: AuthenticatedRequest, res: Response): void => {
+  const { default: defaultProvider, asset_classes, symbols } = req.body;
+
+  try {
+    const config = saveProviderConfig({ default: defaultProvider, asset_classes, symbols });
+    res.json({ message: 'Price providers updated', config });
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+// Get scheduler configuration and last runs
+router.get('/scheduler', (_req: AuthenticatedRequest, res: Response): void => {
+  res.json(getSchedulerStatus());
+});
+
+// Update price refresh cadences and snapshot time
+router.put('/scheduler', (req: AuthenticatedRequest, res: Response): void => {
+  try {
+    saveSchedulerConfig(req.body || {});
+    res.json({ message: 'Scheduler updated', ...getSchedulerStatus() });
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+// Refresh all prices and write today's snapshot now
+router.post('/scheduler/run', async (_req: AuthenticatedRequest, res: Response): Promise<void> => {
+  await runSchedulerTick(new Date(), true);
+  res.json(getSchedulerStatus());
+});
+
+// Get the tax profile (holding periods, allowances and rates per asset class) and the presets
+router.get('/tax-profile', (_req: AuthenticatedRequest, res: Response): void => {
+  res.json({ profile: getTaxProfile(), presets: TAX_PROFILE_PRESETS });
+});
+
+router.put('/tax-profile', (req: AuthenticatedRequest, res: Response): void => {
+  try {
+    const profile = saveTaxProfile(req.body || {});
+    res.json({ message: 'Tax profile updated', profile });
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+// Get the benchmark symbols compared on the portfolio charts, by default and per account
+router.get('/benchmarks', (_req: AuthenticatedRequest, res: Response): void => {
+  res.json({ config: getBenchmarkConfig(), max: MAX_BENCHMARKS });
+});
+
+router.put('/benchmarks', (req: AuthenticatedRequest, res: Response): void => {
+  const { default: defaultBenchmarks, accounts } = req.body || {};
+
+  try {
+    const config = saveBenchmarkConfig({ default: defaultBenchmarks, accounts });
+    res.json({ message: 'Benchmarks updated', config });
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
+// Get the risk-free rate used by the Sharpe and Sortino ratios
+router.get('/risk', (_req: AuthenticatedRequest, res: Response): void => {
+  res.json(getRiskSettings());
+});
+
+router.put('/risk', (req: AuthenticatedRequest, res: Response): void => {
+  try {
+    const settings = saveRiskSettings(req.body || {});
+    res.json({ message: 'Risk settings updated', ...settings });
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
 // Get about information
 router.get('/about', (_req: AuthenticatedRequest, res: Response): void => {
   res.json({
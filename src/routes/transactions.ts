@@ -4,6 +4,9 @@ import { stringify } from 'csv-stringify/sync';
 import { parse } from 'csv-parse/sync';
 import db from '../db/database';
 import { importCSV, detectFormat } from '../services/importer';
+import { markSnapshotsDirty } from '../services/snapshots';
+import { createTransfer, getLinkedLeg, linkedLegUpdate } from '../services/transfers';
+import { CASH_TYPES } from '../services/wealth';
 import { AuthenticatedRequest, Transaction, Tag, Account } from '../types';
 
 const router = express.Router();
@@ -22,6 +25,22 @@ function getTransactionWithTags(tx: Transaction | undefined): TransactionWithAcc
   return { ...tx, tags } as TransactionWithAccount;
 }
 
+// Execution rate into the base currency: a positive number, or empty for the market rate
+function parseFxRate(value: unknown): number | null {
+  if (value === undefined || value === null || value === '') return null;
+  const rate = Number(value);
+  if (!isFinite(rate) || rate <= 0) throw new Error('fx_rate must be a positive number');
+  return rate;
+}
+
+// Tax withheld from a dividend or interest payment: a non-negative amount, 0 when empty
+function parseWithholdingTax(value: unknown): number {
+  if (value === undefined || value === null || value === '') return 0;
+  const amount = Number(value);
+  if (!isFinite(amount) || amount < 0) throw new Error('withholding_tax must be a non-negative number');
+  return amount;
+}
+
 function syncTransactionTags(transactionId: number | bigint, tagIds: number[] | undefined): void {
   db.prepare('DELETE FROM transaction_tags WHERE transaction_id = ?').run(transactionId);
   if (tagIds && tagIds.length) {
@@ -60,30 +79,59 @@ router.get('/:id', (req: AuthenticatedRequest, res: Response): void => {
 });
 
 router.post('/', (req: AuthenticatedRequest, res: Response): void => {
-  const { account_id, symbol, type, quantity, price, fee, currency, date, notes, tag_ids } = req.body;
-  if (!account_id || !symbol || !type || !date) {
+  const { account_id, type, quantity, price, fee, currency, fx_rate, withholding_tax, date, notes, tag_ids } = req.body;
+  const isCash = CASH_TYPES.includes(type);
+  if (!account_id || (!req.body.symbol && !isCash) || !type || !date) {
     res.status(400).json({ error: 'account_id, symbol, type, and date are required' });
     return;
   }
 
-  const account = db.prepare('SELECT id FROM accounts WHERE id = ?').get(account_id) as Account | undefined;
+  const account = db.prepare('SELECT id, currency FROM accounts WHERE id = ?').get(account_id) as Account | undefined;
   if (!account) {
     res.status(404).json({ error: 'Account not found' });
     return;
   }
 
+  // Deposits and withdrawals are booked under their currency
+  const settlement = ((currency || account.currency || 'EUR') as string).toUpperCase();
+  const symbol = isCash ? settlement : req.body.symbol;
+
+  let fxRate: number | null;
+  let withholdingTax: number;
+  try {
+    fxRate = parseFxRate(fx_rate);
+    withholdingTax = parseWithholdingTax(withholding_tax);
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+    return;
+  }
+
+  // Trades settle in the account currency unless stated otherwise
   const result = db.prepare(`
-    INSERT INTO transactions (account_id, symbol, type, quantity, price, fee, currency, date, notes)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(account_id, (symbol as string).toUpperCase(), type, quantity || 0, price || 0, fee || 0, currency || 'EUR', date, notes || '');
+    INSERT INTO transactions (account_id, symbol, type, quantity, price, fee, currency, fx_rate, withholding_tax, date, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    account_id, (symbol as string).toUpperCase(), type, quantity || 0, price || 0, fee || 0,
+    settlement, fxRate, withholdingTax, date, notes || ''
+  );
 
   const transactionId = result.lastInsertRowid;
   if (tag_ids && tag_ids.length) syncTransactionTags(transactionId, tag_ids);
+  markSnapshotsDirty(date);
 
   const tx = getTransactionWithTags(db.prepare('SELECT * FROM transactions WHERE id = ?').get(transactionId) as Transaction);
   res.status(201).json(tx);
 });
 
+// Move units between two accounts as a linked transfer_out and transfer_in that carry the lots over
+router.post('/transfer', (req: AuthenticatedRequest, res: Response): void => {
+  try {
+    res.status(201).json(createTransfer(req.body));
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+  }
+});
+
 router.put('/:id', (req: AuthenticatedRequest, res: Response): void => {
   const existing = db.prepare('SELECT * FROM transactions WHERE id = ?').get(req.params.id) as Transaction | undefined;
   if (!existing) {
@@ -91,25 +139,62 @@ router.put('/:id', (req: AuthenticatedRequest, res: Response): void => {
     return;
   }
 
-  const { account_id, symbol, type, quantity, price, fee, currency, date, notes, tag_ids } = req.body;
+  const { account_id, symbol, type, quantity, price, fee, currency, fx_rate, withholding_tax, date, notes, tag_ids } = req.body;
 
-  db.prepare(`
-    UPDATE transactions SET account_id = ?, symbol = ?, type = ?, quantity = ?, price = ?, fee = ?, currency = ?, date = ?, notes = ?
-    WHERE id = ?
-  `).run(
-    account_id || existing.account_id,
-    ((symbol || existing.symbol) as string).toUpperCase(),
-    type || existing.type,
-    quantity !== undefined ? quantity : existing.quantity,
-    price !== undefined ? price : existing.price,
-    fee !== undefined ? fee : existing.fee,
-    currency || existing.currency,
-    date || existing.date,
-    notes !== undefined ? notes : existing.notes,
-    req.params.id
-  );
+  let fxRate: number | null;
+  let withholdingTax: number;
+  try {
+    fxRate = fx_rate !== undefined ? parseFxRate(fx_rate) : existing.fx_rate;
+    withholdingTax = withholding_tax !== undefined ? parseWithholdingTax(withholding_tax) : existing.withholding_tax;
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+    return;
+  }
+
+  const txType = type || existing.type;
+  const settlement = ((currency || existing.currency) as string).toUpperCase();
+  const edited: Transaction = {
+    ...existing,
+    account_id: account_id || existing.account_id,
+    symbol: CASH_TYPES.includes(txType) ? settlement : ((symbol || existing.symbol) as string).toUpperCase(),
+    type: txType,
+    quantity: quantity !== undefined ? quantity : existing.quantity,
+    price: price !== undefined ? price : existing.price,
+    fee: fee !== undefined ? fee : existing.fee,
+    currency: settlement,
+    fx_rate: fxRate,
+    withholding_tax: withholdingTax,
+    date: date || existing.date,
+    notes: notes !== undefined ? notes : existing.notes
+  };
+
+  // The other leg of a transfer follows the edit
+  let linked: Partial<Transaction> | undefined;
+  try {
+    linked = linkedLegUpdate(existing, edited);
+  } catch (e) {
+    res.status(400).json({ error: (e as Error).message });
+    return;
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE transactions SET account_id = ?, symbol = ?, type = ?, quantity = ?, price = ?, fee = ?, currency = ?, fx_rate = ?,
+        withholding_tax = ?, date = ?, notes = ?
+      WHERE id = ?
+    `).run(
+      edited.account_id, edited.symbol, edited.type, edited.quantity, edited.price, edited.fee, edited.currency, edited.fx_rate,
+      edited.withholding_tax, edited.date, edited.notes, req.params.id
+    );
+    if (linked) {
+      const fields = Object.keys(linked);
+      db.prepare(`UPDATE transactions SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`)
+        .run(...Object.values(linked), existing.linked_id);
+    }
+  })();
 
   if (tag_ids !== undefined) syncTransactionTags(parseInt(req.params.id), tag_ids);
+  markSnapshotsDirty(existing.date, date);
 
   const tx = getTransactionWithTags(db.prepare('SELECT * FROM transactions WHERE id = ?').get(req.params.id) as Transaction);
   res.json(tx);
@@ -122,7 +207,13 @@ router.delete('/:id', (req: AuthenticatedRequest, res: Response): void => {
     return;
   }
 
-  db.prepare('DELETE FROM transactions WHERE id = ?').run(req.params.id);
+  // Both legs of a transfer go together
+  const linked = getLinkedLeg(existing);
+  db.transaction(() => {
+    db.prepare('DELETE FROM transactions WHERE id = ?').run(req.params.id);
+    if (linked) db.prepare('DELETE FROM transactions WHERE id = ?').run(linked.id);
+  })();
+  markSnapshotsDirty(existing.date, linked?.date);
   res.json({ message: 'Transaction deleted' });
 });
 
@@ -139,7 +230,7 @@ router.get('/export/csv', (req: AuthenticatedRequest, res: Response): void => {
 
   const csv = stringify(transactions, {
     header: true,
-    columns: ['id', 'account_name', 'symbol', 'type', 'quantity', 'price', 'fee', 'currency', 'date', 'notes']
+    columns: ['id', 'account_name', 'symbol', 'type', 'quantity', 'price', 'fee', 'currency', 'fx_rate', 'withholding_tax', 'date', 'notes']
   });
 
   res.setHeader('Content-Type', 'text/csv');
@@ -0,0 +1,108 @@
+import express, { Response } from 'express';
+import db from '../db/database';
+import { AuthenticatedRequest, Account, Valuation } from '../types';
+import { markSnapshotsDirty } from '../services/snapshots';
+import { getBaseCurrency } from '../services/wealth';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+router.get('/', (req: AuthenticatedRequest, res: Response): void => {
+  const { symbol, account_id } = req.query;
+  let sql = 'SELECT * FROM valuations WHERE 1=1';
+  const params: (string | number)[] = [];
+
+  if (symbol) { sql += ' AND symbol = ?'; params.push((symbol as string).toUpperCase()); }
+  if (account_id) { sql += ' AND account_id = ?'; params.push(account_id as string); }
+
+  sql += ' ORDER BY date DESC, id DESC';
+  res.json(db.prepare(sql).all(...params) as Valuation[]);
+});
+
+// Record a valuation for a symbol (value per unit) or an account (total value)
+router.post('/', (req: AuthenticatedRequest, res: Response): void => {
+  const { symbol, account_id, date, value, currency, notes } = req.body;
+  if (!symbol === !account_id) {
+    res.status(400).json({ error: 'Either symbol or account_id is required' });
+    return;
+  }
+  if (!date || !DATE_PATTERN.test(date)) {
+    res.status(400).json({ error: 'date required (YYYY-MM-DD)' });
+    return;
+  }
+  if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+    res.status(400).json({ error: 'value must be a non-negative number' });
+    return;
+  }
+
+  let defaultCurrency = getBaseCurrency();
+  if (account_id) {
+    const account = db.prepare('SELECT * FROM accounts WHERE id = ?').get(account_id) as Account | undefined;
+    if (!account) {
+      res.status(404).json({ error: 'Account not found' });
+      return;
+    }
+    defaultCurrency = account.currency;
+  }
+
+  const result = db.prepare(`
+    INSERT INTO valuations (symbol, account_id, date, value, currency, notes)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    symbol ? (symbol as string).toUpperCase() : null,
+    account_id || null,
+    date,
+    value,
+    ((currency || defaultCurrency) as string).toUpperCase(),
+    notes || ''
+  );
+
+  markSnapshotsDirty(date);
+  const saved = db.prepare('SELECT * FROM valuations WHERE id = ?').get(result.lastInsertRowid) as Valuation;
+  res.status(201).json(saved);
+});
+
+router.put('/:id', (req: AuthenticatedRequest, res: Response): void => {
+  const existing = db.prepare('SELECT * FROM valuations WHERE id = ?').get(req.params.id) as Valuation | undefined;
+  if (!existing) {
+    res.status(404).json({ error: 'Valuation not found' });
+    return;
+  }
+
+  const { date, value, currency, notes } = req.body;
+  if (date !== undefined && !DATE_PATTERN.test(date)) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    return;
+  }
+  if (value !== undefined && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+    res.status(400).json({ error: 'value must be a non-negative number' });
+    return;
+  }
+
+  db.prepare('UPDATE valuations SET date = ?, value = ?, currency = ?, notes = ? WHERE id = ?').run(
+    date || existing.date,
+    value !== undefined ? value : existing.value,
+    ((currency || existing.currency) as string).toUpperCase(),
+    notes !== undefined ? notes : existing.notes,
+    req.params.id
+  );
+  markSnapshotsDirty(existing.date, date);
+
+  const saved = db.prepare('SELECT * FROM valuations WHERE id = ?').get(req.params.id) as Valuation;
+  res.json(saved);
+});
+
+router.delete('/:id', (req: AuthenticatedRequest, res: Response): void => {
+  const existing = db.prepare('SELECT * FROM valuations WHERE id = ?').get(req.params.id) as Valuation | undefined;
+  if (!existing) {
+    res.status(404).json({ error: 'Valuation not found' });
+    return;
+  }
+
+  db.prepare('DELETE FROM valuations WHERE id = ?').run(req.params.id);
+  markSnapshotsDirty(existing.date);
+  res.json({ message: 'Valuation deleted' });
+});
+
+export default router;
@@ -13,6 +13,12 @@ import tagsRoutes from './routes/tags';
 import currenciesRoutes from './routes/currencies';
 import pricesRoutes from './routes/prices';
 import settingsRoutes from './routes/settings';
+import valuationsRoutes from './routes/valuations';
+import reportsRoutes from './routes/reports';
+import liabilitiesRoutes from './routes/liabilities';
+import recurringRoutes from './routes/recurring';
+import { startScheduler } from './services/scheduler';
+import { resumeBackfillJobs } from './services/snapshots';
 
 const SqliteStore = SqliteStoreFactory(session);
 
@@ -46,6 +52,10 @@ app.use('/api/tags', requireAuth, tagsRoutes);
 app.use('/api/currencies', requireAuth, currenciesRoutes);
 app.use('/api/prices', requireAuth, pricesRoutes);
 app.use('/api/settings', requireAuth, settingsRoutes);
+app.use('/api/valuations', requireAuth, valuationsRoutes);
+app.use('/api/reports', requireAuth, reportsRoutes);
+app.use('/api/liabilities', requireAuth, liabilitiesRoutes);
+app.use('/api/recurring', requireAuth, recurringRoutes);
 
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
@@ -63,6 +73,10 @@ import('./db/seed').catch(console.error);
 
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Capitrack running on port ${PORT}`);
+
+  // Background price refresh and daily snapshots
+  startScheduler();
+  resumeBackfillJobs();
 });
 
 export default app;
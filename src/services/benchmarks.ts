@@ -0,0 +1,130 @@
+import db from '../db/database';
+import { BenchmarkConfig } from '../types';
+import { addDays } from './dates';
+import { DatedAmount, externalFlow } from './performance';
+import { closeOnOrBefore, getPriceHistory } from './price-history';
+import { getAppSetting, setAppSetting } from './settings';
+import { PositionTransaction, WealthContext, convertAmount } from './wealth';
+
+const CONFIG_KEY = 'benchmarks';
+
+export const MAX_BENCHMARKS = 3;
+
+const SYMBOL_PATTERN = /^[A-Z0-9^=.-]{1,20}$/;
+
+// Extra history loaded before the first point so it has a previous close
+const PRICE_LOOKBACK_DAYS = 10;
+
+// A point of the portfolio history. With benchmarks, `invested` is the value on the first date
+// plus the flows since, and each benchmark holds the value of that money invested in it.
+export interface HistoryPoint {
+  date: string;
+  value: number;
+  cost: number;
+  gain: number;
+  invested?: number;
+  benchmarks?: Record<string, number | null>;
+}
+
+// ===== Configuration =====
+export function getBenchmarkConfig(): BenchmarkConfig {
+  const saved = getAppSetting<Partial<BenchmarkConfig>>(CONFIG_KEY, {});
+  return {
+    default: [...(saved.default || [])],
+    accounts: { ...(saved.accounts || {}) }
+  };
+}
+
+// Upper-cased, de-duplicated benchmark symbols
+export function parseBenchmarkSymbols(symbols: unknown): string[] {
+  if (!Array.isArray(symbols)) throw new Error('Benchmarks must be a list of symbols');
+  const list = [...new Set(symbols.map(s => String(s).trim().toUpperCase()).filter(Boolean))];
+  const invalid = list.find(s => !SYMBOL_PATTERN.test(s));
+  if (invalid) throw new Error(`Invalid benchmark symbol: ${invalid}`);
+  if (list.length > MAX_BENCHMARKS) throw new Error(`At most ${MAX_BENCHMARKS} benchmarks can be compared`);
+  return list;
+}
+
+// Validates symbols and accounts, returns the merged config. Accounts with an empty list are
+// dropped so they use the default again.
+export function saveBenchmarkConfig(update: Partial<BenchmarkConfig>): BenchmarkConfig {
+  const config = getBenchmarkConfig();
+
+  if (update.default !== undefined) config.default = parseBenchmarkSymbols(update.default);
+
+  if (update.accounts !== undefined) {
+    const accounts: Record<string, string[]> = {};
+    for (const [id, symbols] of Object.entries(update.accounts)) {
+      if (!db.prepare('SELECT id FROM accounts WHERE id = ?').get(id)) throw new Error(`Unknown account: ${id}`);
+      const list = parseBenchmarkSymbols(symbols);
+      if (list.length) accounts[id] = list;
+    }
+    config.accounts = accounts;
+  }
+
+  setAppSetting(CONFIG_KEY, config);
+  return config;
+}
+
+// The account's own benchmarks, otherwise the default ones
+export function getBenchmarks(accountId?: number | string, config: BenchmarkConfig = getBenchmarkConfig()): string[] {
+  return (accountId !== undefined && config.accounts[String(accountId)]) || config.default;
+}
+
+// ===== Comparison =====
+// Value of a benchmark bought with the portfolio's value on the first date it has a price, then
+// bought or sold with every later flow at the close of the flow's day: the same money kept in an
+// index fund. Flows must be sorted by date; null before the benchmark has a price.
+export function benchmarkSeries(points: Array<{ date: string; value: number }>, flows: DatedAmount[], priceOn: (date: string) => number | undefined): Array<number | null> {
+  let units: number | null = null;
+  let flowIndex = 0;
+  return points.map(point => {
+    const price = priceOn(point.date);
+    if (units === null) {
+      // Flows up to the first priced point are already part of its value
+      while (flowIndex < flows.length && flows[flowIndex].date <= point.date) flowIndex++;
+      if (!price) return null;
+      units = point.value / price;
+      return point.value;
+    }
+    while (flowIndex < flows.length && flows[flowIndex].date <= point.date) {
+      const flowPrice = priceOn(flows[flowIndex].date);
+      if (flowPrice) units += flows[flowIndex].amount / flowPrice;
+      flowIndex++;
+    }
+    return price ? units * price : null;
+  });
+}
+
+// Adds the invested amount and the value of each benchmark, in the base currency, to every point
+export async function addBenchmarks(points: HistoryPoint[], transactions: PositionTransaction[], context: WealthContext, symbols: string[]): Promise<void> {
+  if (!points.length || !symbols.length) return;
+  const first = points[0].date;
+  const last = points[points.length - 1].date;
+
+  const flows: DatedAmount[] = [];
+  for (const tx of transactions) {
+    const date = tx.date.split('T')[0];
+    if (date <= first || date > last) continue;
+    const amount = externalFlow(tx, context);
+    if (amount !== undefined) flows.push({ date, amount });
+  }
+
+  const series: Record<string, Array<number | null>> = {};
+  for (const symbol of symbols) {
+    const { prices } = await getPriceHistory(symbol, addDays(first, -PRICE_LOOKBACK_DAYS));
+    series[symbol] = benchmarkSeries(points, flows, (date) => {
+      const close = closeOnOrBefore(prices, date);
+      return close ? convertAmount(close.close, close.currency || 'USD', context.base_currency, context.fx, date) : undefined;
+    });
+  }
+
+  const round = (value: number | null) => value === null ? null : Math.round(value * 100) / 100;
+  let invested = points[0].value;
+  let flowIndex = 0;
+  points.forEach((point, i) => {
+    while (flowIndex < flows.length && flows[flowIndex].date <= point.date) invested += flows[flowIndex++].amount;
+    point.invested = Math.round(invested * 100) / 100;
+    point.benchmarks = Object.fromEntries(symbols.map(symbol => [symbol, round(series[symbol][i])]));
+  });
+}
@@ -0,0 +1,28 @@
+// ===== Calendar date helpers (YYYY-MM-DD strings, UTC) =====
+export function toDateKey(date: Date | string): string {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+export function todayKey(): string {
+  return toDateKey(new Date());
+}
+
+export function addDays(date: string, days: number): string {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateKey(d);
+}
+
+// Whole days from `start` to `end`; negative when end is earlier
+export function daysBetween(start: string, end: string): number {
+  return Math.round((new Date(`${end}T00:00:00Z`).getTime() - new Date(`${start}T00:00:00Z`).getTime()) / 86400000);
+}
+
+// Same day `months` later, clamped to the end of shorter months (31 January + 1 month = 29 February)
+export function addMonths(date: string, months: number): string {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return toDateKey(target);
+}
@@ -0,0 +1,386 @@
+import { parse } from 'csv-parse/sync';
+import db from '../db/database';
+import { CurrencyRate, FxRate, PriceQuote } from '../types';
+import { toDateKey, todayKey } from './dates';
+import { getDefaultProvider, groupByProvider } from './providers';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3,5}$/;
+
+export interface FxRatePoint {
+  date: string;
+  rate: number;
+}
+
+// Current rate per pair (currency_rates, dated by its last update) plus the dated history
+// (fx_rates), keyed FROM_TO
+export interface FxBook {
+  current: Record<string, FxRatePoint>;
+  history: Record<string, FxRatePoint[]>;
+}
+
+export function pairKey(from: string, to: string): string {
+  return `${from}_${to}`;
+}
+
+// Provider symbol for a currency pair, e.g. EURUSD=X
+export function fxSymbol(from: string, to: string): string {
+  return `${from}${to}=X`;
+}
+
+// ===== Lookup =====
+export function loadFxBook(): FxBook {
+  const book: FxBook = { current: {}, history: {} };
+  for (const r of db.prepare('SELECT * FROM currency_rates').all() as CurrencyRate[]) {
+    book.current[pairKey(r.from_currency, r.to_currency)] = { date: (r.updated_at || '').slice(0, 10), rate: r.rate };
+  }
+  const rows = db.prepare('SELECT from_currency, to_currency, date, rate FROM fx_rates ORDER BY date ASC').all() as FxRate[];
+  for (const r of rows) {
+    const key = pairKey(r.from_currency, r.to_currency);
+    if (!book.history[key]) book.history[key] = [];
+    book.history[key].push({ date: r.date, rate: r.rate });
+  }
+  return book;
+}
+
+// Latest point on or before `date` from an ascending series (binary search)
+function pointOnOrBefore(points: FxRatePoint[], date: string): FxRatePoint | undefined {
+  let lo = 0;
+  let hi = points.length - 1;
+  let found: FxRatePoint | undefined;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].date <= date) {
+      found = points[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// Rate in effect on `date`: the latest dated rate on or before it, where the current rate counts
+// as dated on its last update. Dates before any known rate use the earliest one. Without a date
+// the current rate wins. Undefined when the pair is unknown.
+export function rateOn(book: FxBook, from: string, to: string, date?: string): number | undefined {
+  if (from === to) return 1;
+  const key = pairKey(from, to);
+  const current = book.current[key];
+  const history = book.history[key] || [];
+
+  if (!date) return current ? current.rate : history[history.length - 1]?.rate;
+
+  const found = pointOnOrBefore(history, date);
+  if (current && current.date <= date && (!found || current.date > found.date)) return current.rate;
+  if (found) return found.rate;
+  return history.length ? history[0].rate : current?.rate;
+}
+
+// ===== Conversion paths =====
+// Longest chain of pairs tried when no direct rate exists, e.g. GBP -> EUR -> USD
+const MAX_PATH_LENGTH = 3;
+
+export interface ConversionStep {
+  from: string;
+  to: string;
+  rate: number;
+  // Rate derived from the opposite pair (1 / rate)
+  inverse: boolean;
+}
+
+export interface Conversion {
+  rate: number;
+  path: string[];
+  steps: ConversionStep[];
+}
+
+// Paths depend only on which pairs exist, so they are cached per book
+const pathCache = new WeakMap<FxBook, Map<string, string[] | null>>();
+
+function neighbours(book: FxBook): Map<string, Set<string>> {
+  const graph = new Map<string, Set<string>>();
+  const link = (a: string, b: string) => {
+    if (!graph.has(a)) graph.set(a, new Set());
+    (graph.get(a) as Set<string>).add(b);
+  };
+  for (const key of [...Object.keys(book.current), ...Object.keys(book.history)]) {
+    const [from, to] = key.split('_');
+    link(from, to);
+    link(to, from);
+  }
+  return graph;
+}
+
+// Shortest chain of currencies from `from` to `to` (breadth-first)
+function findPath(book: FxBook, from: string, to: string): string[] | undefined {
+  let cache = pathCache.get(book);
+  if (!cache) {
+    cache = new Map();
+    pathCache.set(book, cache);
+  }
+  const key = pairKey(from, to);
+  if (cache.has(key)) return cache.get(key) || undefined;
+
+  const graph = neighbours(book);
+  const previous = new Map<string, string>([[from, '']]);
+  let frontier = [from];
+  for (let depth = 0; depth < MAX_PATH_LENGTH && frontier.length && !previous.has(to); depth++) {
+    const next: string[] = [];
+    for (const currency of frontier) {
+      for (const neighbour of graph.get(currency) || []) {
+        if (previous.has(neighbour)) continue;
+        previous.set(neighbour, currency);
+        next.push(neighbour);
+      }
+    }
+    frontier = next;
+  }
+
+  let path: string[] | null = null;
+  if (previous.has(to)) {
+    path = [to];
+    while (path[0] !== from) path.unshift(previous.get(path[0]) as string);
+  }
+  cache.set(key, path);
+  return path || undefined;
+}
+
+// Converts through direct, inverse or intermediate rates in effect on `date`. Direct rates
+// win over inverse ones for the same pair. Undefined when no chain of known pairs exists.
+export function findConversion(book: FxBook, from: string, to: string, date?: string): Conversion | undefined {
+  if (from === to) return { rate: 1, path: [from], steps: [] };
+
+  const path = findPath(book, from, to);
+  if (!path) return undefined;
+
+  const steps: ConversionStep[] = [];
+  for (let i = 1; i < path.length; i++) {
+    const direct = rateOn(book, path[i - 1], path[i], date);
+    if (direct !== undefined) {
+      steps.push({ from: path[i - 1], to: path[i], rate: direct, inverse: false });
+      continue;
+    }
+    const opposite = rateOn(book, path[i], path[i - 1], date) as number;
+    steps.push({ from: path[i - 1], to: path[i], rate: 1 / opposite, inverse: true });
+  }
+
+  return { rate: steps.reduce((rate, step) => rate * step.rate, 1), path, steps };
+}
+
+// ===== Storage =====
+export function getFxRates(from: string, to: string, start?: string, end?: string): FxRate[] {
+  return db.prepare(`
+    SELECT * FROM fx_rates WHERE from_currency = ? AND to_currency = ? AND date >= ? AND date <= ?
+    ORDER BY date DESC
+  `).all(from, to, start || '0000-01-01', end || '9999-12-31') as FxRate[];
+}
+
+export function getFxRate(id: number | string): FxRate | undefined {
+  return db.prepare('SELECT * FROM fx_rates WHERE id = ?').get(id) as FxRate | undefined;
+}
+
+function validateRate(from: string, to: string, date: string, rate: number): void {
+  if (!CURRENCY_PATTERN.test(from) || !CURRENCY_PATTERN.test(to)) throw new Error('Currencies must be 3-5 letter codes');
+  if (from === to) throw new Error('from and to currencies must differ');
+  if (!DATE_PATTERN.test(date)) throw new Error('date must be YYYY-MM-DD');
+  if (typeof rate !== 'number' || !isFinite(rate) || rate <= 0) throw new Error('rate must be a positive number');
+}
+
+// Saves a dated rate. Fetched rates never replace manually entered ones.
+export function saveFxRate(from: string, to: string, date: string, rate: number, source: string = 'manual'): FxRate | undefined {
+  from = from.toUpperCase();
+  to = to.toUpperCase();
+  validateRate(from, to, date, rate);
+
+  db.prepare(`
+    INSERT INTO fx_rates (from_currency, to_currency, date, rate, source, updated_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(from_currency, to_currency, date) DO UPDATE SET
+      rate = excluded.rate, source = excluded.source, updated_at = CURRENT_TIMESTAMP
+    WHERE excluded.source = 'manual' OR fx_rates.source != 'manual'
+  `).run(from, to, date, rate, source);
+
+  return db.prepare('SELECT * FROM fx_rates WHERE from_currency = ? AND to_currency = ? AND date = ?')
+    .get(from, to, date) as FxRate | undefined;
+}
+
+export function deleteFxRate(id: number | string): void {
+  db.prepare('DELETE FROM fx_rates WHERE id = ?').run(id);
+}
+
+// Sets the current rate of a pair. Pinned rates are left untouched; returns whether it was written.
+export function setCurrentRate(from: string, to: string, rate: number, source: string): boolean {
+  return db.prepare(`
+    INSERT INTO currency_rates (from_currency, to_currency, rate, source, updated_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(from_currency, to_currency) DO UPDATE SET
+      rate = excluded.rate, source = excluded.source, updated_at = CURRENT_TIMESTAMP
+    WHERE currency_rates.pinned = 0
+  `).run(from, to, rate, source).changes > 0;
+}
+
+// Keeps currency_rates in step with the newest dated rate of a pair, unless the current
+// rate was set more recently than that
+export function syncCurrentRate(from: string, to: string): void {
+  const latest = db.prepare(`
+    SELECT date, rate, source FROM fx_rates WHERE from_currency = ? AND to_currency = ? ORDER BY date DESC LIMIT 1
+  `).get(from, to) as { date: string; rate: number; source: string } | undefined;
+  if (!latest) return;
+  const current = db.prepare('SELECT updated_at FROM currency_rates WHERE from_currency = ? AND to_currency = ?')
+    .get(from, to) as { updated_at: string } | undefined;
+  if (current && current.updated_at.slice(0, 10) > latest.date) return;
+
+  setCurrentRate(from, to, latest.rate, latest.source);
+}
+
+// ===== Import =====
+export interface FxImportResult {
+  imported: number;
+  skipped: number;
+  errors: string[];
+  earliest?: string;
+}
+
+// CSV with date and rate columns. from/to columns are optional when the pair is given.
+export function importFxRatesCSV(csvContent: string, pair: { from?: string; to?: string } = {}): FxImportResult {
+  const records = parse(csvContent, {
+    columns: (header: string[]) => header.map(h => h.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true
+  }) as Record<string, string>[];
+
+  let imported = 0;
+  let skipped = 0;
+  let earliest: string | undefined;
+  const errors: string[] = [];
+  const pairs = new Set<string>();
+
+  const doImport = db.transaction(() => {
+    records.forEach((r, i) => {
+      const from = (r.from || r.from_currency || pair.from || '').toUpperCase();
+      const to = (r.to || r.to_currency || pair.to || '').toUpperCase();
+      try {
+        const date = r.date ? toDateKey(r.date) : '';
+        const saved = saveFxRate(from, to, date, parseFloat(r.rate), 'import');
+        if (!saved || saved.source === 'manual') {
+          skipped++;
+          return;
+        }
+        pairs.add(pairKey(from, to));
+        if (!earliest || date < earliest) earliest = date;
+        imported++;
+      } catch (e) {
+        errors.push(`Row ${i + 1}: ${(e as Error).message}`);
+      }
+    });
+    for (const key of pairs) {
+      const [from, to] = key.split('_');
+      syncCurrentRate(from, to);
+    }
+  });
+  doImport();
+
+  return { imported, skipped, errors, earliest };
+}
+
+// ===== Provider =====
+// Daily closes of FROMTO=X from the default price provider, stored as dated rates
+export async function fetchFxHistory(from: string, to: string, start: string, end: string = todayKey()): Promise<{ fetched: number; error?: string }> {
+  from = from.toUpperCase();
+  to = to.toUpperCase();
+  const provider = getDefaultProvider();
+
+  try {
+    const rows = await provider.history(fxSymbol(from, to), {
+      period1: start,
+      period2: end < todayKey() ? end : undefined,
+      interval: '1d'
+    });
+    const saveAll = db.transaction(() => {
+      for (const row of rows) {
+        if (row.close > 0) saveFxRate(from, to, toDateKey(row.date), row.close, provider.name);
+      }
+      syncCurrentRate(from, to);
+    });
+    saveAll();
+    return { fetched: rows.length };
+  } catch (e) {
+    return { fetched: 0, error: (e as Error).message };
+  }
+}
+
+// ===== Automatic updates =====
+export interface FxRefreshResult {
+  updated: string[];
+  // Pairs whose dated rate for the day is new or different, the ones that move that day's snapshot
+  changed: string[];
+  pinned: string[];
+  failed: string[];
+  error?: string;
+}
+
+// Pairs worth keeping current: every currency used by accounts, transactions or cached quotes
+// against the base currency, plus the pairs already in the rates table
+export function getTrackedPairs(baseCurrency: string): Array<{ from: string; to: string }> {
+  const rows = db.prepare(`
+    SELECT currency FROM accounts
+    UNION SELECT currency FROM transactions
+    UNION SELECT currency FROM price_cache
+  `).all() as Array<{ currency: string | null }>;
+
+  const pairs = new Map<string, { from: string; to: string }>();
+  const add = (from: string, to: string) => {
+    if (from !== to && CURRENCY_PATTERN.test(from) && CURRENCY_PATTERN.test(to)) pairs.set(pairKey(from, to), { from, to });
+  };
+  for (const r of rows) add((r.currency || '').toUpperCase(), baseCurrency);
+  for (const r of db.prepare('SELECT from_currency, to_currency FROM currency_rates').all() as CurrencyRate[]) {
+    add(r.from_currency, r.to_currency);
+  }
+  return [...pairs.values()].sort((a, b) => pairKey(a.from, a.to).localeCompare(pairKey(b.from, b.to)));
+}
+
+// Quotes every tracked pair from its price provider and stores the result as the current rate
+// and as the dated rate of `date`. Pinned pairs are skipped; provider errors are reported, not thrown.
+export async function refreshFxRates(baseCurrency: string, date: string = todayKey()): Promise<FxRefreshResult> {
+  const result: FxRefreshResult = { updated: [], changed: [], pinned: [], failed: [] };
+  const pinned = new Set((db.prepare('SELECT from_currency, to_currency FROM currency_rates WHERE pinned = 1').all() as CurrencyRate[])
+    .map(r => pairKey(r.from_currency, r.to_currency)));
+
+  const bySymbol = new Map<string, { from: string; to: string }>();
+  for (const pair of getTrackedPairs(baseCurrency)) {
+    const key = pairKey(pair.from, pair.to);
+    if (pinned.has(key)) result.pinned.push(key);
+    else bySymbol.set(fxSymbol(pair.from, pair.to), pair);
+  }
+
+  for (const [provider, symbols] of groupByProvider([...bySymbol.keys()])) {
+    let quotes: Record<string, PriceQuote> = {};
+    try {
+      quotes = await provider.quotes(symbols);
+    } catch (e) {
+      result.error = (e as Error).message;
+    }
+
+    const findDatedRate = db.prepare('SELECT rate FROM fx_rates WHERE from_currency = ? AND to_currency = ? AND date = ?');
+    const saveAll = db.transaction(() => {
+      for (const symbol of symbols) {
+        const { from, to } = bySymbol.get(symbol) as { from: string; to: string };
+        const price = quotes[symbol]?.price;
+        if (!price || price <= 0) {
+          result.failed.push(pairKey(from, to));
+          continue;
+        }
+        const before = findDatedRate.get(from, to, date) as { rate: number } | undefined;
+        const saved = saveFxRate(from, to, date, price, provider.name);
+        if (saved && saved.rate !== before?.rate) result.changed.push(pairKey(from, to));
+        if (setCurrentRate(from, to, price, provider.name)) result.updated.push(pairKey(from, to));
+        else result.pinned.push(pairKey(from, to));
+      }
+    });
+    saveAll();
+  }
+
+  return result;
+}
@@ -3,6 +3,8 @@ import fs from 'fs';
 import path from 'path';
 import db from '../db/database';
 import { CSVFormat, ImportResult, ImportedTransaction, Transaction, Account } from '../types';
+import { markSnapshotsDirty } from './snapshots';
+import { CASH_TYPES } from './wealth';
 
 // ===== Format Detection =====
 export function detectFormat(headers: string[]): CSVFormat {
@@ -199,20 +201,24 @@ function parseTrezor(records: Record<string, string>[], _accountId: number): Imp
 function parseGeneric(records: Record<string, string>[], _accountId: number): ImportedTransaction[] {
   const transactions: ImportedTransaction[] = [];
   for (const r of records) {
-    const symbol = (r.symbol || r.Symbol || r.SYMBOL || '').toUpperCase();
     const type = (r.type || r.Type || r.TYPE || 'buy').toLowerCase() as Transaction['type'];
     const quantity = parseFloat(r.quantity || r.Quantity || r.QUANTITY || '0');
     const price = parseFloat(r.price || r.Price || r.PRICE || '0');
     const fee = parseFloat(r.fee || r.Fee || r.FEE || '0');
     const currency = r.currency || r.Currency || r.CURRENCY || 'EUR';
+    // Deposits and withdrawals are booked under their currency
+    const symbol = (CASH_TYPES.includes(type) ? currency : r.symbol || r.Symbol || r.SYMBOL || '').toUpperCase();
+    const fxRate = parseFloat(r.fx_rate || r.FX_Rate || r.FX_RATE || '');
+    const withholdingTax = parseFloat(r.withholding_tax || r.Withholding_Tax || r.WITHHOLDING_TAX || '0');
     const date = r.date || r.Date || r.DATE || '';
     const notes = r.notes || r.Notes || r.NOTES || '';
 
     if (!symbol || !date) continue;
-    if (!['buy', 'sell', 'transfer_in', 'transfer_out', 'dividend', 'interest', 'fee'].includes(type)) continue;
+    if (!['buy', 'sell', 'transfer_in', 'transfer_out', 'dividend', 'interest', 'fee', ...CASH_TYPES].includes(type)) continue;
 
     transactions.push({
-      symbol, type, quantity, price, fee, currency, date, notes
+      symbol, type, quantity, price, fee, currency, fx_rate: fxRate > 0 ? fxRate : null,
+      withholding_tax: withholdingTax > 0 ? withholdingTax : 0, date, notes
     });
   }
   return transactions;
@@ -247,13 +253,14 @@ export function importCSV(csvContent: string, accountId: number, formatHint: CSV
   const existing = getExistingFingerprints(accountId);
 
   const insert = db.prepare(`
-    INSERT INTO transactions (account_id, symbol, type, quantity, price, fee, currency, date, notes)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO transactions (account_id, symbol, type, quantity, price, fee, currency, fx_rate, withholding_tax, date, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   let imported = 0;
   let skipped = 0;
   const errors: string[] = [];
+  const importedDates: string[] = [];
 
   const doImport = db.transaction(() => {
     for (let i = 0; i < parsedTx.length; i++) {
@@ -265,8 +272,9 @@ export function importCSV(csvContent: string, accountId: number, formatHint: CSV
           continue;
         }
 
-        insert.run(accountId, tx.symbol, tx.type, tx.quantity, tx.price, tx.fee, tx.currency, tx.date, tx.notes);
+        insert.run(accountId, tx.symbol, tx.type, tx.quantity, tx.price, tx.fee, tx.currency, tx.fx_rate ?? null, tx.withholding_tax || 0, tx.date, tx.notes);
         existing.add(fp); // Prevent duplicates within same file
+        importedDates.push(tx.date);
         imported++;
       } catch (e) {
         errors.push(`Row ${i + 1}: ${(e as Error).message}`);
@@ -275,6 +283,7 @@ export function importCSV(csvContent: string, accountId: number, formatHint: CSV
   });
 
   doImport();
+  markSnapshotsDirty(...importedDates);
 
   return { imported, skipped, total: parsedTx.length, errors, format };
 }
@@ -0,0 +1,372 @@
+import db from '../db/database';
+import { addMonths, daysBetween, todayKey } from './dates';
+import { loadCachedPrices } from './snapshots';
+import {
+  HoldingGain, MIN_QUANTITY, PositionLedger, PositionTransaction, WealthContext, applyTransaction, convertAmount, getPositions,
+  loadPositionTransactions, loadWealthContext, toPositions, transactionToBase, valuePositions
+} from './wealth';
+
+export type IncomeType = 'dividend' | 'interest';
+
+export const INCOME_TYPES: IncomeType[] = ['dividend', 'interest'];
+
+// Months of income the trailing yields are based on
+const TRAILING_MONTHS = 12;
+
+// A dividend or interest payment. Amounts are in the payment currency; the _base amounts are
+// converted at the execution rate or the rate on the payment date (null when unconvertible).
+export interface IncomePayment {
+  date: string;
+  account_id: number;
+  account_name: string;
+  symbol: string;
+  type: IncomeType;
+  currency: string;
+  gross: number;
+  withholding_tax: number;
+  net: number;
+  gross_base: number | null;
+  withholding_tax_base: number | null;
+  net_base: number | null;
+}
+
+// Sums in the base currency
+export interface IncomeTotals {
+  count: number;
+  gross: number;
+  withholding_tax: number;
+  net: number;
+}
+
+// Income against the open positions on the report's end date. Yields are the gross income of the
+// trailing twelve months over the cost basis (yield on cost) and market value (trailing yield).
+export interface IncomeYield extends IncomeTotals {
+  trailing_12m: number;
+  cost_basis: number | null;
+  market_value: number | null;
+  yield_on_cost: number | null;
+  trailing_yield: number | null;
+}
+
+export interface SymbolIncome extends IncomeYield {
+  symbol: string;
+}
+
+export interface AccountIncome extends IncomeYield {
+  account_id: number;
+  account_name: string;
+}
+
+// Gross dividend and interest income of a calendar month
+export interface MonthIncome extends IncomeTotals {
+  month: string;
+  dividend: number;
+  interest: number;
+}
+
+export interface IncomeReport {
+  base_currency: string;
+  start: string | null;
+  end: string;
+  total: IncomeYield;
+  by_symbol: SymbolIncome[];
+  by_account: AccountIncome[];
+  by_month: MonthIncome[];
+  // Payments between start and end, newest first
+  payments: IncomePayment[];
+  // Payments left out of the totals because no rate converts them to the base currency
+  unconverted: number;
+}
+
+export type PayoutFrequency = 'monthly' | 'quarterly' | 'semiannual' | 'annual';
+
+export const PAYOUT_MONTHS: Record<PayoutFrequency, number> = { monthly: 1, quarterly: 3, semiannual: 6, annual: 12 };
+
+// An expected dividend: the last amount per share times the units held now, in the payment
+// currency, and in the base currency at today's rate (null when unconvertible)
+export interface ProjectedPayout {
+  date: string;
+  symbol: string;
+  account_id: number;
+  account_name: string;
+  currency: string;
+  frequency: PayoutFrequency;
+  quantity: number;
+  amount_per_share: number;
+  amount: number;
+  amount_base: number | null;
+}
+
+export interface DividendForecast {
+  symbol: string;
+  account_id: number;
+  account_name: string;
+  currency: string;
+  frequency: PayoutFrequency;
+  quantity: number;
+  amount_per_share: number;
+  last_payment: string;
+  // Amount per share x units held x payments per year
+  annual_amount: number;
+  annual_amount_base: number | null;
+}
+
+export interface DividendProjection {
+  base_currency: string;
+  // Payouts after `start` up to and including `end`, twelve months later
+  start: string;
+  end: string;
+  annual_income: number;
+  holdings: DividendForecast[];
+  payouts: ProjectedPayout[];
+  // Holdings left out of annual_income because no rate converts them to the base currency
+  unconverted: number;
+}
+
+export interface IncomeFilter {
+  accountId?: number | string;
+  symbol?: string;
+  start?: string;
+  end?: string;
+}
+
+// ===== Payments =====
+function loadIncomeTransactions(accountId?: number | string, symbol?: string): PositionTransaction[] {
+  let query = `
+    SELECT t.account_id, t.symbol, t.type, t.quantity, t.price, t.fee, t.currency, t.fx_rate, t.withholding_tax, t.date,
+      a.name as account_name, a.currency as account_currency, a.cost_basis_method
+    FROM transactions t
+    JOIN accounts a ON t.account_id = a.id
+    WHERE t.type IN ('dividend', 'interest')`;
+  const params: (string | number)[] = [];
+  if (accountId !== undefined) {
+    query += ' AND t.account_id = ?';
+    params.push(accountId);
+  }
+  if (symbol) {
+    query += ' AND t.symbol = ?';
+    params.push(symbol);
+  }
+  query += ' ORDER BY t.date ASC, t.id ASC';
+  return db.prepare(query).all(...params) as PositionTransaction[];
+}
+
+export function toIncomePayment(tx: PositionTransaction, context: WealthContext): IncomePayment {
+  const gross = tx.quantity * tx.price;
+  const withholding = tx.withholding_tax || 0;
+  const grossBase = transactionToBase(gross, tx, context);
+  const withholdingBase = transactionToBase(withholding, tx, context);
+  return {
+    date: tx.date.split('T')[0],
+    account_id: tx.account_id,
+    account_name: tx.account_name,
+    symbol: tx.symbol,
+    type: tx.type as IncomeType,
+    currency: tx.currency || tx.account_currency,
+    gross,
+    withholding_tax: withholding,
+    net: gross - withholding,
+    gross_base: grossBase === undefined ? null : grossBase,
+    withholding_tax_base: withholdingBase === undefined ? null : withholdingBase,
+    net_base: grossBase === undefined || withholdingBase === undefined ? null : grossBase - withholdingBase
+  };
+}
+
+// ===== Totals =====
+function emptyTotals(): IncomeTotals {
+  return { count: 0, gross: 0, withholding_tax: 0, net: 0 };
+}
+
+function addToTotals(totals: IncomeTotals, payment: IncomePayment): void {
+  totals.count++;
+  totals.gross += payment.gross_base as number;
+  totals.withholding_tax += payment.withholding_tax_base as number;
+  totals.net += payment.net_base as number;
+}
+
+function sumGross(payments: IncomePayment[]): number {
+  return payments.reduce((sum, p) => sum + (p.gross_base as number), 0);
+}
+
+function toYield(payments: IncomePayment[], trailing: IncomePayment[], holdings: HoldingGain[]): IncomeYield {
+  const totals = emptyTotals();
+  for (const p of payments) addToTotals(totals, p);
+  const trailing12m = sumGross(trailing);
+  const costBasis = holdings.length ? holdings.reduce((sum, h) => sum + h.cost_basis, 0) : null;
+  const marketValue = holdings.length ? holdings.reduce((sum, h) => sum + h.market_value, 0) : null;
+  return {
+    ...totals,
+    trailing_12m: trailing12m,
+    cost_basis: costBasis,
+    market_value: marketValue,
+    yield_on_cost: costBasis ? trailing12m / costBasis : null,
+    trailing_yield: marketValue ? trailing12m / marketValue : null
+  };
+}
+
+// Every month from the first to the last payment, including months without income
+export function summarizeByMonth(payments: IncomePayment[]): MonthIncome[] {
+  if (!payments.length) return [];
+  const months: Record<string, MonthIncome> = {};
+  for (const p of payments) {
+    const key = p.date.slice(0, 7);
+    if (!months[key]) months[key] = { month: key, ...emptyTotals(), dividend: 0, interest: 0 };
+    addToTotals(months[key], p);
+    months[key][p.type] += p.gross_base as number;
+  }
+
+  const keys = Object.keys(months).sort();
+  const result: MonthIncome[] = [];
+  for (let month = keys[0]; month <= keys[keys.length - 1]; month = addMonths(`${month}-01`, 1).slice(0, 7)) {
+    result.push(months[month] || { month, ...emptyTotals(), dividend: 0, interest: 0 });
+  }
+  return result;
+}
+
+// ===== Report =====
+// Dividend and interest income between start and end (all time by default), per symbol, account
+// and month. Yields use the positions held on `end`, valued with the cached prices.
+export function getIncomeReport(filter: IncomeFilter = {}): IncomeReport {
+  const { accountId, symbol, start } = filter;
+  const end = filter.end || todayKey();
+  const context = loadWealthContext(accountId);
+
+  const all = loadIncomeTransactions(accountId, symbol)
+    .map(tx => toIncomePayment(tx, context))
+    .filter(p => p.date <= end);
+  const inPeriod = all.filter(p => !start || p.date >= start);
+  const converted = inPeriod.filter(p => p.net_base !== null);
+  const trailingStart = addMonths(end, -TRAILING_MONTHS);
+  const trailing = all.filter(p => p.date > trailingStart && p.net_base !== null);
+
+  const holdings = valuePositions(end, getPositions(end, accountId, context), loadCachedPrices(), context).holdings
+    .filter(h => !symbol || h.symbol === symbol);
+
+  const symbols = [...new Set([...converted, ...trailing].map(p => p.symbol))];
+  const bySymbol: SymbolIncome[] = symbols.map(s => ({
+    symbol: s,
+    ...toYield(converted.filter(p => p.symbol === s), trailing.filter(p => p.symbol === s), holdings.filter(h => h.symbol === s))
+  }));
+
+  const accounts = new Map([...converted, ...trailing].map(p => [p.account_id, p.account_name]));
+  const byAccount: AccountIncome[] = [...accounts].map(([id, name]) => ({
+    account_id: id,
+    account_name: name,
+    ...toYield(converted.filter(p => p.account_id === id), trailing.filter(p => p.account_id === id), holdings.filter(h => h.account_id === id))
+  }));
+
+  return {
+    base_currency: context.base_currency,
+    start: start || null,
+    end,
+    total: toYield(converted, trailing, holdings),
+    by_symbol: bySymbol.sort((a, b) => b.gross - a.gross || b.trailing_12m - a.trailing_12m),
+    by_account: byAccount.sort((a, b) => b.gross - a.gross || b.trailing_12m - a.trailing_12m),
+    by_month: summarizeByMonth(converted),
+    payments: [...inPeriod].reverse(),
+    unconverted: inPeriod.length - converted.length
+  };
+}
+
+// ===== Projection =====
+// Payout frequency from the median gap of the last few payments; a single payment counts as annual
+export function inferPayoutFrequency(dates: string[]): PayoutFrequency {
+  const recent = dates.slice(-5);
+  const gaps = recent.slice(1).map((d, i) => daysBetween(recent[i], d)).sort((a, b) => a - b);
+  if (!gaps.length) return 'annual';
+  const months = gaps[Math.floor(gaps.length / 2)] / 30.44;
+  if (months <= 1.5) return 'monthly';
+  if (months <= 4.5) return 'quarterly';
+  if (months <= 8) return 'semiannual';
+  return 'annual';
+}
+
+interface DividendHistory {
+  dates: string[];
+  // Of the latest payment, over the units held on its date
+  amount_per_share: number;
+  currency: string;
+}
+
+// Expected dividends of the open positions for the twelve months after `date`. Each holding keeps
+// its inferred frequency and latest amount per share; holdings whose payments stopped for two
+// periods are not projected.
+export function projectDividends(date: string = todayKey(), accountId?: number | string): DividendProjection {
+  const context = loadWealthContext(accountId);
+  const end = addMonths(date, 12);
+
+  // Amount per share of each payment, from the units held just before it
+  const ledger: PositionLedger = {};
+  const histories: Record<string, DividendHistory> = {};
+  for (const tx of loadPositionTransactions(accountId)) {
+    const day = tx.date.split('T')[0];
+    if (day > date) break;
+    const key = `${tx.account_id}:${tx.symbol}`;
+    const held = ledger[key]?.quantity || 0;
+    if (tx.type === 'dividend' && held > MIN_QUANTITY) {
+      const history = histories[key] || { dates: [], amount_per_share: 0, currency: '' };
+      history.dates.push(day);
+      history.amount_per_share = tx.quantity * tx.price / held;
+      history.currency = tx.currency || tx.account_currency;
+      histories[key] = history;
+    }
+    applyTransaction(ledger, tx, context);
+  }
+
+  const holdings: DividendForecast[] = [];
+  const payouts: ProjectedPayout[] = [];
+  for (const p of toPositions(ledger)) {
+    const history = histories[`${p.account_id}:${p.symbol}`];
+    if (!history) continue;
+    const frequency = inferPayoutFrequency(history.dates);
+    const months = PAYOUT_MONTHS[frequency];
+    const last = history.dates[history.dates.length - 1];
+    if (addMonths(last, 2 * months) < date) continue;
+
+    const amount = history.amount_per_share * p.quantity;
+    const annual = amount * 12 / months;
+    const annualBase = convertAmount(annual, history.currency, context.base_currency, context.fx, date);
+    const forecast: DividendForecast = {
+      symbol: p.symbol,
+      account_id: p.account_id,
+      account_name: p.account_name,
+      currency: history.currency,
+      frequency,
+      quantity: p.quantity,
+      amount_per_share: history.amount_per_share,
+      last_payment: last,
+      annual_amount: annual,
+      annual_amount_base: annualBase === undefined ? null : annualBase
+    };
+    holdings.push(forecast);
+
+    // Counted from the last payment so month-end dates do not drift
+    for (let k = 1; addMonths(last, k * months) <= end; k++) {
+      const payDate = addMonths(last, k * months);
+      if (payDate <= date) continue;
+      const amountBase = convertAmount(amount, history.currency, context.base_currency, context.fx, date);
+      payouts.push({
+        date: payDate,
+        symbol: p.symbol,
+        account_id: p.account_id,
+        account_name: p.account_name,
+        currency: history.currency,
+        frequency,
+        quantity: p.quantity,
+        amount_per_share: history.amount_per_share,
+        amount,
+        amount_base: amountBase === undefined ? null : amountBase
+      });
+    }
+  }
+
+  return {
+    base_currency: context.base_currency,
+    start: date,
+    end,
+    annual_income: holdings.reduce((sum, h) => sum + (h.annual_amount_base || 0), 0),
+    holdings: holdings.sort((a, b) => (b.annual_amount_base || 0) - (a.annual_amount_base || 0)),
+    payouts: payouts.sort((a, b) => a.date.localeCompare(b.date)),
+    unconverted: holdings.filter(h => h.annual_amount_base === null).length
+  };
+}
@@ -0,0 +1,443 @@
+import db from '../db/database';
+import { Amortization, Liability, LiabilityRepayment, LiabilityType, PaymentFrequency } from '../types';
+import { HistoryPoint } from './benchmarks';
+import { addDays, addMonths } from './dates';
+import { markSnapshotsDirty } from './snapshots';
+import { WealthContext, convertAmount, getBaseCurrency } from './wealth';
+
+export const LIABILITY_TYPES: LiabilityType[] = ['mortgage', 'loan', 'credit_card', 'other'];
+
+export const PAYMENT_FREQUENCIES: PaymentFrequency[] = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+export const AMORTIZATIONS: Amortization[] = ['annuity', 'linear'];
+
+export type PayoffStrategy = 'avalanche' | 'snowball';
+
+const PERIODS_PER_YEAR: Record<PaymentFrequency, number> = { weekly: 52, monthly: 12, quarterly: 4, yearly: 1 };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Schedules and payoff plans stop after this many years when the debt is never paid off
+const MAX_YEARS = 100;
+
+// Outstanding balance of a liability on a date
+export interface LiabilityBalance {
+  liability_id: number;
+  name: string;
+  type: LiabilityType;
+  currency: string;
+  balance: number;
+  // In the base currency; null when no rate converts it
+  balance_base: number | null;
+}
+
+// Assets less liabilities. Only net_worth subtracts the debts; cost is that of the assets alone.
+export interface NetWorth {
+  assets: number;
+  liabilities: number;
+  net_worth: number;
+  cost: number;
+}
+
+// One step of an amortization schedule: a scheduled payment, or an extra repayment on its own date
+export interface ScheduleRow {
+  date: string;
+  kind: 'payment' | 'extra';
+  payment: number;
+  interest: number;
+  principal: number;
+  balance: number;
+}
+
+export interface AmortizationSchedule {
+  liability_id: number;
+  currency: string;
+  rows: ScheduleRow[];
+  total_interest: number;
+  total_paid: number;
+  // Date of the last payment; null when the schedule never pays the debt off
+  payoff_date: string | null;
+}
+
+// A debt's part of a payoff plan, in the base currency
+export interface PayoffDebt {
+  liability_id: number;
+  name: string;
+  interest_rate: number;
+  balance: number;
+  minimum_payment: number;
+  interest: number;
+  months: number | null;
+  payoff_date: string | null;
+}
+
+export interface PayoffPlan {
+  strategy: PayoffStrategy;
+  monthly_budget: number;
+  total_interest: number;
+  total_paid: number;
+  months: number | null;
+  payoff_date: string | null;
+  // In the order the strategy pays them off
+  debts: PayoffDebt[];
+}
+
+type LiabilityFields = Omit<Liability, 'id' | 'created_at' | 'updated_at' | 'repayments'>;
+
+// ===== Storage =====
+export function getLiability(id: number | string | bigint): Liability | undefined {
+  return db.prepare('SELECT * FROM liabilities WHERE id = ?').get(id) as Liability | undefined;
+}
+
+// Liabilities with their extra repayments, oldest first
+export function loadLiabilities(): Liability[] {
+  const liabilities = db.prepare('SELECT * FROM liabilities ORDER BY name ASC, id ASC').all() as Liability[];
+  const repayments = db.prepare('SELECT * FROM liability_repayments ORDER BY date ASC, id ASC').all() as LiabilityRepayment[];
+  for (const l of liabilities) l.repayments = repayments.filter(r => r.liability_id === l.id);
+  return liabilities;
+}
+
+export function getLiabilityWithRepayments(id: number | string | bigint): Liability | undefined {
+  const liability = getLiability(id);
+  if (liability) {
+    liability.repayments = db.prepare('SELECT * FROM liability_repayments WHERE liability_id = ? ORDER BY date ASC, id ASC').all(liability.id) as LiabilityRepayment[];
+  }
+  return liability;
+}
+
+function nonNegativeNumber(value: unknown, name: string): number {
+  const number = Number(value);
+  if (value === null || value === '' || !isFinite(number) || number < 0) throw new Error(`${name} must be a non-negative number`);
+  return number;
+}
+
+// Validated fields of a new liability, or of `existing` with the given changes
+export function parseLiability(input: Partial<Record<keyof LiabilityFields, unknown>>, existing?: Liability): LiabilityFields {
+  const pick = <K extends keyof LiabilityFields>(key: K): unknown => input[key] !== undefined ? input[key] : existing?.[key];
+
+  const name = String(pick('name') || '').trim();
+  if (!name) throw new Error('name is required');
+  const type = (pick('type') || 'loan') as LiabilityType;
+  if (!LIABILITY_TYPES.includes(type)) throw new Error(`type must be one of: ${LIABILITY_TYPES.join(', ')}`);
+  const frequency = (pick('payment_frequency') || 'monthly') as PaymentFrequency;
+  if (!PAYMENT_FREQUENCIES.includes(frequency)) throw new Error(`payment_frequency must be one of: ${PAYMENT_FREQUENCIES.join(', ')}`);
+  const amortization = (pick('amortization') || 'annuity') as Amortization;
+  if (!AMORTIZATIONS.includes(amortization)) throw new Error(`amortization must be one of: ${AMORTIZATIONS.join(', ')}`);
+  const startDate = pick('start_date');
+  if (typeof startDate !== 'string' || !DATE_PATTERN.test(startDate)) throw new Error('start_date required (YYYY-MM-DD)');
+
+  return {
+    name,
+    type,
+    currency: String(pick('currency') || getBaseCurrency()).trim().toUpperCase(),
+    principal: nonNegativeNumber(pick('principal') ?? 0, 'principal'),
+    interest_rate: nonNegativeNumber(pick('interest_rate') ?? 0, 'interest_rate'),
+    start_date: startDate,
+    payment_amount: nonNegativeNumber(pick('payment_amount') ?? 0, 'payment_amount'),
+    payment_frequency: frequency,
+    amortization,
+    notes: String(pick('notes') ?? '')
+  };
+}
+
+export function createLiability(input: Partial<Record<keyof LiabilityFields, unknown>>): Liability {
+  const fields = parseLiability(input);
+  const result = db.prepare(`
+    INSERT INTO liabilities (name, type, currency, principal, interest_rate, start_date, payment_amount, payment_frequency, amortization, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    fields.name, fields.type, fields.currency, fields.principal, fields.interest_rate, fields.start_date, fields.payment_amount,
+    fields.payment_frequency, fields.amortization, fields.notes
+  );
+  markSnapshotsDirty(fields.start_date);
+  return getLiability(result.lastInsertRowid) as Liability;
+}
+
+export function updateLiability(existing: Liability, input: Partial<Record<keyof LiabilityFields, unknown>>): Liability {
+  const fields = parseLiability(input, existing);
+  db.prepare(`
+    UPDATE liabilities SET name = ?, type = ?, currency = ?, principal = ?, interest_rate = ?, start_date = ?, payment_amount = ?,
+      payment_frequency = ?, amortization = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    fields.name, fields.type, fields.currency, fields.principal, fields.interest_rate, fields.start_date, fields.payment_amount,
+    fields.payment_frequency, fields.amortization, fields.notes, existing.id
+  );
+  markSnapshotsDirty(existing.start_date, fields.start_date);
+  return getLiabilityWithRepayments(existing.id) as Liability;
+}
+
+export function deleteLiability(existing: Liability): void {
+  db.prepare('DELETE FROM liabilities WHERE id = ?').run(existing.id);
+  markSnapshotsDirty(existing.start_date);
+}
+
+export function addRepayment(liability: Liability, input: { date?: unknown; amount?: unknown; notes?: unknown }): LiabilityRepayment {
+  if (typeof input.date !== 'string' || !DATE_PATTERN.test(input.date)) throw new Error('date required (YYYY-MM-DD)');
+  if (input.date < liability.start_date) throw new Error('A repayment cannot be dated before the liability starts');
+  const amount = Number(input.amount);
+  if (input.amount === null || input.amount === '' || !isFinite(amount) || amount <= 0) throw new Error('amount must be a positive number');
+  const result = db.prepare('INSERT INTO liability_repayments (liability_id, date, amount, notes) VALUES (?, ?, ?, ?)')
+    .run(liability.id, input.date, amount, String(input.notes ?? ''));
+  markSnapshotsDirty(input.date);
+  return db.prepare('SELECT * FROM liability_repayments WHERE id = ?').get(result.lastInsertRowid) as LiabilityRepayment;
+}
+
+export function deleteRepayment(repayment: LiabilityRepayment): void {
+  db.prepare('DELETE FROM liability_repayments WHERE id = ?').run(repayment.id);
+  markSnapshotsDirty(repayment.date);
+}
+
+// ===== Schedule =====
+// The n-th payment date, counted from the start so month ends stay month ends (31 January,
+// 29 February, 31 March)
+function paymentDate(liability: Liability, n: number): string {
+  if (liability.payment_frequency === 'weekly') return addDays(liability.start_date, 7 * n);
+  return addMonths(liability.start_date, n * 12 / PERIODS_PER_YEAR[liability.payment_frequency]);
+}
+
+function periodRate(liability: Liability): number {
+  return liability.interest_rate / 100 / PERIODS_PER_YEAR[liability.payment_frequency];
+}
+
+const roundCents = (value: number) => Math.round(value * 100) / 100;
+
+// Every payment and extra repayment up to `end` (or until the debt is paid off). Interest for the
+// period is added on each payment date. An annuity payment covers the interest first and repays
+// the rest; a linear payment repays payment_amount of principal with the interest on top. `extra`
+// is repaid on top of every scheduled payment, and the liability's extra repayments on their dates.
+export function amortizationSchedule(liability: Liability, options: { end?: string; extra?: number } = {}): AmortizationSchedule {
+  const rate = periodRate(liability);
+  const extra = options.extra || 0;
+  const perPeriod = liability.payment_amount + extra;
+  const repayments = [...(liability.repayments || [])].sort((a, b) => a.date.localeCompare(b.date));
+  const lastPeriod = MAX_YEARS * PERIODS_PER_YEAR[liability.payment_frequency];
+  const rows: ScheduleRow[] = [];
+  let balance = liability.principal;
+  let nextRepayment = 0;
+
+  const step = (row: Omit<ScheduleRow, 'balance'>) => {
+    balance = Math.max(0, balance - row.principal);
+    rows.push({ ...row, balance });
+  };
+  const repayUntil = (date: string) => {
+    while (balance > 0 && nextRepayment < repayments.length && repayments[nextRepayment].date <= date) {
+      const r = repayments[nextRepayment++];
+      if (options.end && r.date > options.end) return;
+      const amount = Math.min(r.amount, balance);
+      step({ date: r.date, kind: 'extra', payment: amount, interest: 0, principal: amount });
+    }
+  };
+
+  for (let n = 1; balance > 0 && n <= lastPeriod; n++) {
+    const date = paymentDate(liability, n);
+    // Extra repayments dated before this payment lower the balance it charges interest on
+    repayUntil(addDays(date, -1));
+    if (balance <= 0 || (options.end && date > options.end)) break;
+    if (!(perPeriod > 0) && nextRepayment >= repayments.length) break;
+    if (!(perPeriod > 0)) continue;
+
+    const interest = balance * rate;
+    const principal = liability.amortization === 'linear'
+      ? Math.min(perPeriod, balance)
+      : Math.min(perPeriod, balance + interest) - interest;
+    step({ date, kind: 'payment', payment: principal + interest, interest, principal });
+  }
+  if (balance > 0) repayUntil(options.end || '9999-12-31');
+
+  const totalInterest = rows.reduce((sum, r) => sum + r.interest, 0);
+  const totalPaid = rows.reduce((sum, r) => sum + r.payment, 0);
+  return {
+    liability_id: liability.id,
+    currency: liability.currency,
+    rows: rows.map(r => ({ ...r, payment: roundCents(r.payment), interest: roundCents(r.interest), principal: roundCents(r.principal), balance: roundCents(r.balance) })),
+    total_interest: roundCents(totalInterest),
+    total_paid: roundCents(totalPaid),
+    payoff_date: balance <= 0 && rows.length ? rows[rows.length - 1].date : null
+  };
+}
+
+// Dates the balance changes on, up to and including `end`
+export function balanceChangeDates(liability: Liability, end: string): string[] {
+  return amortizationSchedule(liability, { end }).rows.map(r => r.date);
+}
+
+// Balance owed at the end of any date up to `end`, looked up in one schedule built up to `end`.
+// Nothing is owed before the start date.
+export function balanceLookup(liability: Liability, end: string): (date: string) => number {
+  const { rows } = amortizationSchedule(liability, { end });
+  return date => {
+    if (date < liability.start_date) return 0;
+    // Rows are in date order: find the last one on or before `date`
+    let low = 0;
+    let high = rows.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (rows[mid].date <= date) low = mid + 1;
+      else high = mid;
+    }
+    return low ? rows[low - 1].balance : liability.principal;
+  };
+}
+
+// Balance owed at the end of `date`
+export function outstandingBalance(liability: Liability, date: string): number {
+  return balanceLookup(liability, date)(date);
+}
+
+// ===== Net worth =====
+// Balances of the liabilities on any date up to `end`. Each schedule is built once, so histories
+// look up every point in the same schedules.
+export function liabilityBalancesUntil(
+  end: string, context: WealthContext, liabilities: Liability[] = loadLiabilities()
+): (date: string) => LiabilityBalance[] {
+  const lookups = liabilities.map(liability => ({ liability, balanceOn: balanceLookup(liability, end) }));
+  return date => lookups.map(({ liability: l, balanceOn }) => {
+    const balance = balanceOn(date);
+    const base = convertAmount(balance, l.currency, context.base_currency, context.fx, date);
+    return {
+      liability_id: l.id,
+      name: l.name,
+      type: l.type,
+      currency: l.currency,
+      balance,
+      balance_base: base === undefined ? null : base
+    };
+  });
+}
+
+export function getLiabilityBalances(date: string, context: WealthContext, liabilities: Liability[] = loadLiabilities()): LiabilityBalance[] {
+  return liabilityBalancesUntil(date, context, liabilities)(date);
+}
+
+// Latest of some dates
+const lastDate = (dates: string[]) => dates.reduce((last, date) => date > last ? date : last, '');
+
+// Liabilities that cannot be converted to the base currency are left out, as unconverted holdings are.
+// The cost stays that of the assets.
+export function netWorth(assets: number, cost: number, balances: LiabilityBalance[]): NetWorth {
+  const liabilities = balances.reduce((sum, b) => sum + (b.balance_base || 0), 0);
+  return { assets, liabilities, net_worth: assets - liabilities, cost };
+}
+
+// Takes the debts outstanding on each date off the value of a portfolio history, making it the
+// net worth. Cost, gain, invested amount and benchmarks stay those of the assets.
+export function subtractLiabilities(points: HistoryPoint[], context: WealthContext, liabilities: Liability[]): void {
+  if (!liabilities.length || !points.length) return;
+  const balancesOn = liabilityBalancesUntil(lastDate(points.map(p => p.date)), context, liabilities);
+  for (const point of points) {
+    const { liabilities: owed } = netWorth(point.value, point.cost, balancesOn(point.date));
+    if (owed) point.value = Math.round((point.value - owed) * 100) / 100;
+  }
+}
+
+// Total owed in the base currency at the end of each date, as the schedules project it
+export function projectedDebt(dates: string[], context: WealthContext, liabilities: Liability[] = loadLiabilities()): Record<string, number> {
+  const balancesOn = liabilityBalancesUntil(lastDate(dates), context, liabilities);
+  return Object.fromEntries(dates.map(date => [date, roundCents(netWorth(0, 0, balancesOn(date)).liabilities)]));
+}
+
+// Scheduled payments and extra repayments of every liability from `start` to `end`, by date
+export function scheduledPayments(start: string, end: string, liabilities: Liability[] = loadLiabilities()): Array<ScheduleRow & { liability_id: number; name: string; currency: string }> {
+  return liabilities
+    .flatMap(l => amortizationSchedule(l, { end }).rows
+      .filter(r => r.date >= start)
+      .map(r => ({ ...r, liability_id: l.id, name: l.name, currency: l.currency })))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+}
+
+// ===== Payoff planning =====
+interface PlannedDebt {
+  liability: Liability;
+  // In the base currency
+  balance: number;
+  // Scheduled payment per month in the base currency; the principal part for linear loans
+  monthly: number;
+}
+
+// Debts outstanding on `date`, converted at that day's rate; unconvertible ones are left out
+function plannedDebts(date: string, context: WealthContext, liabilities: Liability[]): PlannedDebt[] {
+  const debts: PlannedDebt[] = [];
+  for (const liability of liabilities) {
+    const balance = outstandingBalance(liability, date);
+    const rate = convertAmount(1, liability.currency, context.base_currency, context.fx, date);
+    if (!(balance > 0) || rate === undefined) continue;
+    debts.push({ liability, balance: balance * rate, monthly: liability.payment_amount * rate * PERIODS_PER_YEAR[liability.payment_frequency] / 12 });
+  }
+  return debts;
+}
+
+// Monthly simulation of paying every debt off from `start` with a fixed budget: the minimum payments
+// due in the first month plus `extra`. Every month each debt accrues interest and gets its minimum
+// payment, and the rest of the budget goes to the first unpaid debt in the strategy's order: the
+// highest interest rate first for the avalanche, the smallest balance first for the snowball. The
+// minimum payment of a paid-off debt rolls over to the next one. Payments of other frequencies are
+// spread evenly over the months.
+export function payoffPlan(debts: PlannedDebt[], strategy: PayoffStrategy, extra: number, start: string): PayoffPlan {
+  const ordered = [...debts].sort((a, b) => strategy === 'avalanche'
+    ? b.liability.interest_rate - a.liability.interest_rate || a.balance - b.balance
+    : a.balance - b.balance || b.liability.interest_rate - a.liability.interest_rate);
+  const state = ordered.map(d => ({ ...d, owed: d.balance, interest: 0, months: null as number | null }));
+  const monthlyRate = (d: PlannedDebt) => d.liability.interest_rate / 100 / 12;
+  const minimum = (d: PlannedDebt, interest: number) => d.liability.amortization === 'linear' ? d.monthly + interest : d.monthly;
+  const budget = state.reduce((sum, d) => sum + minimum(d, d.owed * monthlyRate(d)), 0) + extra;
+
+  for (let month = 1; month <= MAX_YEARS * 12 && state.some(d => d.months === null); month++) {
+    let available = budget;
+    const open = state.filter(d => d.months === null);
+    for (const d of open) {
+      const interest = d.owed * monthlyRate(d);
+      d.owed += interest;
+      d.interest += interest;
+      const paid = Math.min(minimum(d, interest), d.owed, available);
+      d.owed -= paid;
+      available -= paid;
+    }
+    for (const d of open) {
+      const paid = Math.min(available, d.owed);
+      d.owed -= paid;
+      available -= paid;
+    }
+    for (const d of open) {
+      if (d.owed < 0.005) d.months = month;
+    }
+  }
+
+  const paidOff = state.every(d => d.months !== null);
+  const months = paidOff ? Math.max(0, ...state.map(d => d.months as number)) : null;
+  const totalInterest = state.reduce((sum, d) => sum + d.interest, 0);
+  return {
+    strategy,
+    monthly_budget: roundCents(budget),
+    total_interest: roundCents(totalInterest),
+    total_paid: roundCents(state.reduce((sum, d) => sum + d.balance + d.interest - Math.max(0, d.owed), 0)),
+    months,
+    payoff_date: months === null ? null : addMonths(start, months),
+    debts: state.map(d => ({
+      liability_id: d.liability.id,
+      name: d.liability.name,
+      interest_rate: d.liability.interest_rate,
+      balance: roundCents(d.balance),
+      minimum_payment: roundCents(minimum(d, d.balance * monthlyRate(d))),
+      interest: roundCents(d.interest),
+      months: d.months,
+      payoff_date: d.months === null ? null : addMonths(start, d.months)
+    }))
+  };
+}
+
+// Avalanche and snowball plans for the debts outstanding on `date`, in the base currency
+export function comparePayoffStrategies(date: string, context: WealthContext, extra: number = 0, liabilities: Liability[] = loadLiabilities()) {
+  const debts = plannedDebts(date, context, liabilities);
+  const avalanche = payoffPlan(debts, 'avalanche', extra, date);
+  const snowball = payoffPlan(debts, 'snowball', extra, date);
+  return {
+    date,
+    base_currency: context.base_currency,
+    extra,
+    avalanche,
+    snowball,
+    // Interest the avalanche saves over the snowball
+    interest_saved: roundCents(snowball.total_interest - avalanche.total_interest)
+  };
+}
@@ -0,0 +1,290 @@
+import { HistoricalPrice } from '../types';
+import { addDays, addMonths, daysBetween, todayKey } from './dates';
+import { closeOnOrBefore, getPriceHistory } from './price-history';
+import { loadCachedPrices } from './snapshots';
+import { getManuallyValuedSymbols } from './valuations';
+import {
+  CASH_TYPES, CashLedger, PositionLedger, PositionTransaction, PricePoint, WealthContext, WealthSummary, applyTransaction,
+  loadPositionTransactions, loadWealthContext, toCashBalances, toPositions, tracksCash, transactionToBase, valuePositions
+} from './wealth';
+
+export type PerformancePeriod = '1w' | '1m' | '3m' | '6m' | 'ytd' | '1y' | '5y' | 'all';
+
+export const PERFORMANCE_PERIODS: PerformancePeriod[] = ['1w', '1m', '3m', '6m', 'ytd', '1y', '5y', 'all'];
+
+// Extra history loaded before the period so weekends and holidays have a previous close
+const PRICE_LOOKBACK_DAYS = 10;
+
+// The whole portfolio, one account, or one symbol (in one account or across all of them)
+export interface PerformanceScope {
+  accountId?: number | string;
+  symbol?: string;
+}
+
+// A valuation at the end of a day with the external flows of that day
+export interface ValuePoint {
+  date: string;
+  value: number;
+  flow: number;
+}
+
+export interface DatedAmount {
+  date: string;
+  amount: number;
+}
+
+// Returns over a period, in the base currency. Flows are money put into the scope by buys,
+// transfers in and fees, less money taken out by sales, transfers out and income; for accounts
+// that keep cash, deposits less withdrawals and the value of transfers.
+export interface PerformanceResult {
+  period: PerformancePeriod;
+  start: string;
+  end: string;
+  base_currency: string;
+  account_id: number | null;
+  symbol: string | null;
+  // At the end of the day before start, and at the end of end
+  start_value: number;
+  end_value: number;
+  net_flows: number;
+  // end_value - start_value - net_flows
+  gain: number;
+  // (value - cost) / cost of the positions held at the end, like the dashboard summary
+  simple_return: number | null;
+  // Chain-linked return that ignores the size and timing of flows; annualized for periods of a year or more
+  twr: number | null;
+  twr_annualized: number | null;
+  // Annual money-weighted return of the flows and the start and end values
+  xirr: number | null;
+  // Transactions left out because no rate converts them to the base currency
+  unconverted: number;
+}
+
+// ===== Periods =====
+export function periodStart(period: PerformancePeriod, end: string, firstDate?: string): string {
+  switch (period) {
+    case '1w': return addDays(end, -7);
+    case '1m': return addMonths(end, -1);
+    case '3m': return addMonths(end, -3);
+    case '6m': return addMonths(end, -6);
+    case 'ytd': return `${end.slice(0, 4)}-01-01`;
+    case '1y': return addMonths(end, -12);
+    case '5y': return addMonths(end, -60);
+    case 'all': return firstDate && firstDate < end ? firstDate : end;
+  }
+}
+
+// ===== Return measures =====
+// Product of the daily returns (value less the day's flows, over the previous value); days
+// starting from nothing are skipped. Null when no day started with a positive value.
+export function timeWeightedReturn(startValue: number, points: ValuePoint[]): number | null {
+  let growth = 1;
+  let linked = false;
+  let previous = startValue;
+  for (const point of points) {
+    if (previous > 0) {
+      growth *= (point.value - point.flow) / previous;
+      linked = true;
+    }
+    previous = point.value;
+  }
+  return linked ? growth - 1 : null;
+}
+
+// Annual rate at which the amounts (negative when invested, positive when returned) have a net
+// present value of zero. Newton's method, with bisection when it does not converge.
+export function xirr(cashflows: DatedAmount[]): number | null {
+  const flows = cashflows.filter(c => c.amount !== 0).sort((a, b) => a.date.localeCompare(b.date));
+  if (!flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) return null;
+  const years = flows.map(f => daysBetween(flows[0].date, f.date) / 365);
+  if (years[years.length - 1] === 0) return null;
+
+  const npv = (rate: number) => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+  const slope = (rate: number) => flows.reduce((sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const derivative = slope(rate);
+    if (!isFinite(value) || !derivative) break;
+    const next = rate - value / derivative;
+    if (!isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 1000;
+  let lowValue = npv(low);
+  if (lowValue * npv(high) > 0) return null;
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const mid = (low + high) / 2;
+    const midValue = npv(mid);
+    if (lowValue * midValue <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+      lowValue = midValue;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// ===== Flows =====
+// Money a transaction puts into its position, in the base currency (negative when it takes money
+// out); undefined when unconvertible. Fees always count as money put in. With `withCash`, trades,
+// income and fees of an account that keeps cash only move money inside the account. A transfer
+// between two accounts of the context is no flow at all.
+export function externalFlow(tx: PositionTransaction, context: WealthContext, withCash: boolean = true): number | undefined {
+  const amount = tx.quantity * tx.price;
+  const fee = tx.fee || 0;
+  if (tx.linked_account_id && context.accounts.some(a => a.id === tx.linked_account_id)) return 0;
+  if (withCash && tracksCash(tx, context)) {
+    switch (tx.type) {
+      case 'deposit':
+      case 'transfer_in':
+        return transactionToBase(amount, tx, context);
+      case 'withdrawal':
+      case 'transfer_out':
+        return transactionToBase(-amount, tx, context);
+      default:
+        return 0;
+    }
+  }
+  switch (tx.type) {
+    case 'buy':
+    case 'transfer_in':
+    case 'fee':
+      return transactionToBase(amount + fee, tx, context);
+    case 'sell':
+    case 'transfer_out':
+      return transactionToBase(fee - amount, tx, context);
+    default:
+      return transactionToBase(fee - amount + (tx.withholding_tax || 0), tx, context);
+  }
+}
+
+// ===== Performance =====
+function scopeValue(summary: WealthSummary, symbol?: string): { value: number; cost: number } {
+  if (!symbol) return { value: summary.total_wealth, cost: summary.total_cost };
+  const holdings = summary.holdings.filter(h => h.symbol === symbol);
+  return {
+    value: holdings.reduce((sum, h) => sum + h.market_value, 0),
+    cost: holdings.reduce((sum, h) => sum + h.cost_basis, 0)
+  };
+}
+
+// Values of a scope at the end of the day before a period and of later days, with each day's flows
+export interface ValueSeries {
+  context: WealthContext;
+  start: string;
+  end: string;
+  start_value: number;
+  points: ValuePoint[];
+  // Cost of the positions held at the end
+  end_cost: number;
+  unconverted: number;
+}
+
+// Values positions with historical closes on the day before the period, on every day with
+// transactions and on `end`; with `daily`, also on every day with a close of a held symbol
+export async function getValueSeries(period: PerformancePeriod, scope: PerformanceScope = {}, end: string = todayKey(), daily: boolean = false): Promise<ValueSeries> {
+  const context = loadWealthContext(scope.accountId);
+  // A symbol's own returns leave cash out
+  const transactions = loadPositionTransactions(scope.accountId)
+    .filter(t => !scope.symbol || (t.symbol === scope.symbol && !CASH_TYPES.includes(t.type)));
+  const day = (tx: PositionTransaction) => tx.date.split('T')[0];
+  const start = periodStart(period, end, transactions.length ? day(transactions[0]) : undefined);
+  const before = addDays(start, -1);
+
+  let unconverted = 0;
+  const flows = new Map<string, number>();
+  for (const tx of transactions) {
+    if (day(tx) < start || day(tx) > end) continue;
+    const flow = externalFlow(tx, context, !scope.symbol);
+    if (flow === undefined) {
+      unconverted++;
+      continue;
+    }
+    flows.set(day(tx), (flows.get(day(tx)) || 0) + flow);
+  }
+
+  const manual = getManuallyValuedSymbols(context.valuations);
+  const held = [...new Set(transactions.filter(t => day(t) <= end && !CASH_TYPES.includes(t.type)).map(t => t.symbol))];
+  const symbols = held.filter(s => !manual.includes(s));
+  const histories: Record<string, HistoricalPrice[]> = {};
+  const dates = new Set([...flows.keys(), end]);
+  for (const symbol of symbols) {
+    histories[symbol] = (await getPriceHistory(symbol, addDays(before, -PRICE_LOOKBACK_DAYS), end)).prices;
+    if (daily) histories[symbol].filter(p => p.date >= start && p.date <= end).forEach(p => dates.add(p.date));
+  }
+  if (daily) {
+    // Manual valuations change the value on their own days
+    const valuations = [
+      ...held.filter(s => manual.includes(s)).map(s => context.valuations.symbols[s]),
+      ...(scope.symbol ? [] : context.accounts.map(a => context.valuations.accounts[a.id] || []))
+    ];
+    valuations.flat().filter(v => v.date >= start && v.date <= end).forEach(v => dates.add(v.date));
+  }
+  const fallback = loadCachedPrices();
+
+  const ledger: PositionLedger = {};
+  const cash: CashLedger = {};
+  let txIndex = 0;
+  const valueOn = (date: string) => {
+    while (txIndex < transactions.length && day(transactions[txIndex]) <= date) {
+      applyTransaction(ledger, transactions[txIndex], context, cash);
+      txIndex++;
+    }
+    const prices: Record<string, PricePoint> = {};
+    for (const symbol of symbols) {
+      const close = closeOnOrBefore(histories[symbol], date);
+      if (close) prices[symbol] = { price: close.close, currency: close.currency || 'USD' };
+      else if (fallback[symbol]) prices[symbol] = fallback[symbol];
+    }
+    return scopeValue(valuePositions(date, toPositions(ledger), prices, context, toCashBalances(cash)), scope.symbol);
+  };
+
+  const startValue = valueOn(before).value;
+  const points: ValuePoint[] = [];
+  let last = { value: startValue, cost: 0 };
+  for (const date of [...dates].sort()) {
+    last = valueOn(date);
+    points.push({ date, value: last.value, flow: flows.get(date) || 0 });
+  }
+
+  return { context, start, end, start_value: startValue, points, end_cost: last.cost, unconverted };
+}
+
+// Time- and money-weighted returns of a scope over a period ending on `end`
+export async function getPerformance(period: PerformancePeriod = '1y', scope: PerformanceScope = {}, end: string = todayKey()): Promise<PerformanceResult> {
+  const series = await getValueSeries(period, scope, end);
+  const { start, start_value: startValue, points, end_cost: endCost } = series;
+  const endValue = points[points.length - 1].value;
+  const before = addDays(start, -1);
+
+  const netFlows = points.reduce((sum, p) => sum + p.flow, 0);
+  const twr = timeWeightedReturn(startValue, points);
+  const days = daysBetween(before, end);
+  return {
+    period,
+    start,
+    end,
+    base_currency: series.context.base_currency,
+    account_id: scope.accountId !== undefined ? Number(scope.accountId) : null,
+    symbol: scope.symbol || null,
+    start_value: startValue,
+    end_value: endValue,
+    net_flows: netFlows,
+    gain: endValue - startValue - netFlows,
+    simple_return: endCost > 0 ? (endValue - endCost) / endCost : null,
+    twr,
+    twr_annualized: twr !== null && days >= 365 ? Math.pow(1 + twr, 365 / days) - 1 : null,
+    xirr: xirr([
+      { date: before, amount: -startValue },
+      ...points.map(p => ({ date: p.date, amount: -p.flow })),
+      { date: end, amount: endValue }
+    ]),
+    unconverted: series.unconverted
+  };
+}
@@ -0,0 +1,163 @@
+import db from '../db/database';
+import { HistoricalPrice, PriceHistoryRow } from '../types';
+import { toDateKey, todayKey as today } from './dates';
+import { getProviderForSymbol } from './providers';
+
+// How long the most recent (still moving) day is trusted before it is refetched
+export const HISTORY_REFRESH_MINUTES = 60;
+
+export interface DateRange {
+  start: string;
+  end: string;
+}
+
+export interface HistoryCoverage extends DateRange {
+  symbol: string;
+  updated_at: string;
+}
+
+// ===== Coverage =====
+// price_history_coverage stores the contiguous date range already requested from a provider,
+// so symbols without data on some days (weekends, pre-listing) are not fetched again
+export function getCoverage(symbol: string): HistoryCoverage | undefined {
+  return db.prepare(`
+    SELECT symbol, start_date AS start, end_date AS end, updated_at
+    FROM price_history_coverage WHERE symbol = ?
+  `).get(symbol) as HistoryCoverage | undefined;
+}
+
+function extendCoverage(symbol: string, range: DateRange): void {
+  const current = getCoverage(symbol);
+  const start = current && current.start < range.start ? current.start : range.start;
+  const end = current && current.end > range.end ? current.end : range.end;
+  db.prepare(`
+    INSERT OR REPLACE INTO price_history_coverage (symbol, start_date, end_date, updated_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+  `).run(symbol, start, end);
+}
+
+function isCoverageStale(coverage: HistoryCoverage): boolean {
+  const updated = new Date(coverage.updated_at.replace(' ', 'T') + 'Z').getTime();
+  return Date.now() - updated > HISTORY_REFRESH_MINUTES * 60 * 1000;
+}
+
+// Ranges of [start, end] that still need to be fetched. The tail always overlaps the last
+// covered day so a close recorded mid-session is replaced by the final one.
+export function findMissingRanges(coverage: DateRange | undefined, start: string, end: string, currentDay: string = today(), tailStale: boolean = true): DateRange[] {
+  if (!coverage) return [{ start, end }];
+
+  const ranges: DateRange[] = [];
+  if (start < coverage.start) {
+    ranges.push({ start, end: coverage.start });
+  }
+  if (end >= coverage.end && (coverage.end < currentDay || tailStale)) {
+    ranges.push({ start: coverage.end, end });
+  }
+  return ranges;
+}
+
+// ===== Sync =====
+function saveHistory(symbol: string, source: string, rows: HistoricalPrice[], fallbackCurrency: string): number {
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO price_history (symbol, date, open, high, low, close, volume, currency, source, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `);
+  const insertAll = db.transaction((items: HistoricalPrice[]) => {
+    for (const r of items) {
+      insert.run(symbol, toDateKey(r.date), r.open ?? null, r.high ?? null, r.low ?? null, r.close, r.volume ?? null, r.currency || fallbackCurrency, source);
+    }
+  });
+  insertAll(rows);
+  return rows.length;
+}
+
+// Fetches only the parts of [start, end] not yet stored. Provider errors are reported,
+// not thrown, so callers can still serve whatever is already in price_history.
+export async function syncPriceHistory(symbol: string, start: string, end: string = today()): Promise<{ fetched: number; error?: string }> {
+  const coverage = getCoverage(symbol);
+  const ranges = findMissingRanges(coverage, start, end, today(), !coverage || isCoverageStale(coverage));
+  if (!ranges.length) return { fetched: 0 };
+
+  const provider = getProviderForSymbol(symbol);
+  const cached = db.prepare('SELECT currency FROM price_cache WHERE symbol = ?').get(symbol) as { currency: string } | undefined;
+  let fetched = 0;
+
+  for (const range of ranges) {
+    try {
+      const rows = await provider.history(symbol, {
+        period1: range.start,
+        period2: range.end < today() ? range.end : undefined,
+        interval: '1d'
+      });
+      fetched += saveHistory(symbol, provider.name, rows, cached?.currency || 'USD');
+      extendCoverage(symbol, range);
+    } catch (e) {
+      return { fetched, error: (e as Error).message };
+    }
+  }
+
+  return { fetched };
+}
+
+// ===== Reads =====
+export function getStoredHistory(symbol: string, start: string, end: string = today()): PriceHistoryRow[] {
+  return db.prepare(`
+    SELECT * FROM price_history WHERE symbol = ? AND date >= ? AND date <= ? ORDER BY date ASC
+  `).all(symbol, start, end) as PriceHistoryRow[];
+}
+
+export function toHistoricalPrice(row: PriceHistoryRow): HistoricalPrice {
+  return {
+    date: row.date,
+    open: row.open ?? undefined,
+    high: row.high ?? undefined,
+    low: row.low ?? undefined,
+    close: row.close,
+    volume: row.volume ?? undefined,
+    currency: row.currency
+  };
+}
+
+// Daily closes for a symbol, filling missing ranges from its provider first
+export async function getPriceHistory(symbol: string, start: string, end?: string): Promise<{ prices: HistoricalPrice[]; error?: string }> {
+  const { error } = await syncPriceHistory(symbol, start, end);
+  const prices = getStoredHistory(symbol, start, end).map(toHistoricalPrice);
+  return { prices, error };
+}
+
+// Weekly bars labelled with the Monday of each week, like the provider's 1wk interval
+export function downsampleWeekly(prices: HistoricalPrice[]): HistoricalPrice[] {
+  const weeks = new Map<string, HistoricalPrice>();
+  for (const p of prices) {
+    const d = new Date(p.date);
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    const week = toDateKey(d);
+    const bar = weeks.get(week);
+    if (!bar) {
+      weeks.set(week, { ...p, date: week });
+      continue;
+    }
+    if (p.high !== undefined) bar.high = Math.max(bar.high ?? p.high, p.high);
+    if (p.low !== undefined) bar.low = Math.min(bar.low ?? p.low, p.low);
+    if (p.volume !== undefined) bar.volume = (bar.volume || 0) + p.volume;
+    bar.close = p.close;
+  }
+  return [...weeks.values()];
+}
+
+// Close on or before `date` from an ascending series (binary search)
+export function closeOnOrBefore(prices: HistoricalPrice[], date: string): HistoricalPrice | undefined {
+  let lo = 0;
+  let hi = prices.length - 1;
+  let found: HistoricalPrice | undefined;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (prices[mid].date <= date) {
+      found = prices[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
@@ -0,0 +1,104 @@
+import { AssetClass, PriceProvider, PriceProviderConfig } from '../../types';
+import { getAppSetting, setAppSetting } from '../settings';
+import yahooProvider from './yahoo';
+
+export const ASSET_CLASSES: AssetClass[] = ['equity', 'crypto', 'commodity', 'currency'];
+
+const CONFIG_KEY = 'price_providers';
+const DEFAULT_CONFIG: PriceProviderConfig = { default: 'yahoo', asset_classes: {}, symbols: {} };
+
+// ===== Registry =====
+const providers = new Map<string, PriceProvider>();
+
+export function registerProvider(provider: PriceProvider): void {
+  providers.set(provider.name, provider);
+}
+
+export function getProvider(name: string): PriceProvider | undefined {
+  return providers.get(name);
+}
+
+export function listProviders(): Array<{ name: string; label: string }> {
+  return [...providers.values()].map(p => ({ name: p.name, label: p.label }));
+}
+
+registerProvider(yahooProvider);
+
+// ===== Asset Class Detection =====
+// Based on Yahoo-style symbol conventions: EURUSD=X, GC=F, BTC-USD
+export function getAssetClass(symbol: string): AssetClass {
+  const s = symbol.toUpperCase();
+  if (s.endsWith('=X')) return 'currency';
+  if (s.endsWith('=F')) return 'commodity';
+  if (/^[A-Z0-9]+-(USD|EUR|GBP|USDT|USDC|BTC|ETH)$/.test(s)) return 'crypto';
+  return 'equity';
+}
+
+// ===== Configuration =====
+export function getProviderConfig(): PriceProviderConfig {
+  const saved = getAppSetting<Partial<PriceProviderConfig>>(CONFIG_KEY, {});
+  return {
+    default: saved.default || DEFAULT_CONFIG.default,
+    asset_classes: { ...(saved.asset_classes || {}) },
+    symbols: { ...(saved.symbols || {}) }
+  };
+}
+
+// Validates provider names and asset classes, returns the merged config
+export function saveProviderConfig(update: Partial<PriceProviderConfig>): PriceProviderConfig {
+  const config = getProviderConfig();
+
+  if (update.default !== undefined) {
+    if (!providers.has(update.default)) throw new Error(`Unknown price provider: ${update.default}`);
+    config.default = update.default;
+  }
+
+  if (update.asset_classes !== undefined) {
+    const assetClasses: Partial<Record<AssetClass, string>> = {};
+    for (const [assetClass, name] of Object.entries(update.asset_classes)) {
+      if (!ASSET_CLASSES.includes(assetClass as AssetClass)) throw new Error(`Unknown asset class: ${assetClass}`);
+      if (!name) continue;
+      if (!providers.has(name)) throw new Error(`Unknown price provider: ${name}`);
+      assetClasses[assetClass as AssetClass] = name;
+    }
+    config.asset_classes = assetClasses;
+  }
+
+  if (update.symbols !== undefined) {
+    const symbols: Record<string, string> = {};
+    for (const [symbol, name] of Object.entries(update.symbols)) {
+      if (!name) continue;
+      if (!providers.has(name)) throw new Error(`Unknown price provider: ${name}`);
+      symbols[symbol.toUpperCase()] = name;
+    }
+    config.symbols = symbols;
+  }
+
+  setAppSetting(CONFIG_KEY, config);
+  return config;
+}
+
+// ===== Resolution =====
+// Per-symbol override > per-asset-class choice > default provider
+export function getProviderForSymbol(symbol: string, config: PriceProviderConfig = getProviderConfig()): PriceProvider {
+  const s = symbol.toUpperCase();
+  const name = config.symbols[s] || config.asset_classes[getAssetClass(s)] || config.default;
+  return providers.get(name) || providers.get(config.default) || yahooProvider;
+}
+
+export function getDefaultProvider(): PriceProvider {
+  const config = getProviderConfig();
+  return providers.get(config.default) || yahooProvider;
+}
+
+// Groups symbols by the provider responsible for them so batch quotes stay batched
+export function groupByProvider(symbols: string[]): Map<PriceProvider, string[]> {
+  const config = getProviderConfig();
+  const groups = new Map<PriceProvider, string[]>();
+  for (const symbol of symbols) {
+    const provider = getProviderForSymbol(symbol, config);
+    if (!groups.has(provider)) groups.set(provider, []);
+    groups.get(provider)!.push(symbol);
+  }
+  return groups;
+}
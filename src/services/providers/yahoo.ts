@@ -0,0 +1,81 @@
+import { HistoricalPrice, HistoryOptions, PriceProvider, PriceQuote, SymbolSearchResult } from '../../types';
+
+let yahooFinance: any = null;
+
+async function getYahooFinance(): Promise<any> {
+  if (!yahooFinance) {
+    const yf = await import('yahoo-finance2');
+    yahooFinance = new yf.default();
+  }
+  return yahooFinance;
+}
+
+function toPriceQuote(symbol: string, quote: any): PriceQuote {
+  return {
+    symbol,
+    price: quote.regularMarketPrice || 0,
+    currency: quote.currency || 'USD',
+    name: quote.shortName || quote.longName || symbol,
+    change_percent: quote.regularMarketChangePercent || 0,
+    regularMarketTime: quote.regularMarketTime
+  };
+}
+
+const yahooProvider: PriceProvider = {
+  name: 'yahoo',
+  label: 'Yahoo Finance',
+
+  async quote(symbol: string): Promise<PriceQuote> {
+    const yf = await getYahooFinance();
+    const quote = await yf.quote(symbol);
+    return toPriceQuote(symbol, quote);
+  },
+
+  async quotes(symbols: string[]): Promise<Record<string, PriceQuote>> {
+    const yf = await getYahooFinance();
+    const results: Record<string, PriceQuote> = {};
+    // Fetch one by one so a single unknown symbol doesn't fail the whole batch
+    for (const symbol of symbols) {
+      try {
+        const quote = await yf.quote(symbol);
+        results[symbol] = toPriceQuote(symbol, quote);
+      } catch {
+        // Missing symbols are left out; callers fall back to the cache
+      }
+    }
+    return results;
+  },
+
+  async history(symbol: string, options: HistoryOptions): Promise<HistoricalPrice[]> {
+    const yf = await getYahooFinance();
+    const chartOptions: Record<string, string> = { period1: options.period1, interval: options.interval };
+    if (options.period2) chartOptions.period2 = options.period2;
+    const result = await yf.chart(symbol, chartOptions);
+    const currency = result.meta?.currency;
+
+    return (result.quotes || [])
+      .filter((q: any) => q.close !== null && q.close !== undefined)
+      .map((q: any) => ({
+        date: new Date(q.date).toISOString(),
+        open: q.open,
+        high: q.high,
+        low: q.low,
+        close: q.close,
+        volume: q.volume,
+        currency
+      }));
+  },
+
+  async search(query: string): Promise<SymbolSearchResult[]> {
+    const yf = await getYahooFinance();
+    const result = await yf.search(query);
+    return (result.quotes || []).map((q: any) => ({
+      symbol: q.symbol,
+      name: q.shortname || q.longname || q.symbol,
+      type: q.quoteType,
+      exchange: q.exchDisp || q.exchange
+    }));
+  }
+};
+
+export default yahooProvider;
@@ -0,0 +1,121 @@
+import db from '../db/database';
+import { PriceCache, PriceQuote, Valuation } from '../types';
+import { getProviderForSymbol, groupByProvider } from './providers';
+import { ValuationBook, getSymbolValuation, loadValuations } from './valuations';
+
+export type CachedQuote = Omit<PriceCache, 'updated_at'> & {
+  updated_at?: string;
+  stale?: boolean;
+  error?: string;
+  manual?: boolean;
+  valuation_date?: string;
+};
+
+// ===== price_cache access =====
+export function getCachedQuote(symbol: string, maxAgeMinutes?: number): PriceCache | undefined {
+  if (maxAgeMinutes === undefined) {
+    return db.prepare('SELECT * FROM price_cache WHERE symbol = ?').get(symbol) as PriceCache | undefined;
+  }
+  return db.prepare(`SELECT * FROM price_cache WHERE symbol = ? AND updated_at > datetime('now', ?)`)
+    .get(symbol, `-${maxAgeMinutes} minutes`) as PriceCache | undefined;
+}
+
+export function saveQuote(quote: PriceQuote): void {
+  db.prepare(`
+    INSERT OR REPLACE INTO price_cache (symbol, price, currency, name, change_percent, updated_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `).run(quote.symbol, quote.price, quote.currency, quote.name, quote.change_percent);
+}
+
+function toCachedQuote(quote: PriceQuote): CachedQuote {
+  return {
+    symbol: quote.symbol,
+    price: quote.price,
+    currency: quote.currency,
+    name: quote.name,
+    change_percent: quote.change_percent
+  };
+}
+
+// ===== Manual valuations =====
+// Symbols with manual valuations are priced from the latest one and never sent to a provider
+function manualQuote(valuation: Valuation): CachedQuote {
+  return {
+    symbol: valuation.symbol as string,
+    price: valuation.value,
+    currency: valuation.currency,
+    name: valuation.symbol as string,
+    change_percent: 0,
+    manual: true,
+    valuation_date: valuation.date
+  };
+}
+
+function findManualQuote(book: ValuationBook, symbol: string): CachedQuote | undefined {
+  const valuation = getSymbolValuation(book, symbol, new Date().toISOString().split('T')[0]);
+  return valuation ? manualQuote(valuation) : undefined;
+}
+
+// ===== Quotes with a short-lived cache =====
+export const QUOTE_CACHE_MINUTES = 5;
+
+// Manual valuation > fresh cache > provider > stale cache. Throws if nothing is available.
+export async function getQuote(symbol: string): Promise<CachedQuote> {
+  const manual = findManualQuote(loadValuations(), symbol);
+  if (manual) return manual;
+
+  const cached = getCachedQuote(symbol, QUOTE_CACHE_MINUTES);
+  if (cached) return cached;
+
+  try {
+    const quote = await getProviderForSymbol(symbol).quote(symbol);
+    saveQuote(quote);
+    return toCachedQuote(quote);
+  } catch (e) {
+    const stale = getCachedQuote(symbol);
+    if (stale) return { ...stale, stale: true };
+    throw e;
+  }
+}
+
+// Batch variant; symbols that cannot be priced get price 0 and an error message
+export async function getQuotes(symbols: string[], maxAgeMinutes: number = QUOTE_CACHE_MINUTES): Promise<Record<string, CachedQuote>> {
+  const results: Record<string, CachedQuote> = {};
+  const toFetch: string[] = [];
+  const valuations = loadValuations();
+
+  for (const symbol of symbols) {
+    const manual = findManualQuote(valuations, symbol);
+    if (manual) {
+      results[symbol] = manual;
+      continue;
+    }
+    const cached = getCachedQuote(symbol, maxAgeMinutes);
+    if (cached) results[symbol] = cached;
+    else toFetch.push(symbol);
+  }
+
+  for (const [provider, group] of groupByProvider(toFetch)) {
+    let fetched: Record<string, PriceQuote> = {};
+    let failure = `No quote from ${provider.label}`;
+    try {
+      fetched = await provider.quotes(group);
+    } catch (e) {
+      failure = (e as Error).message;
+    }
+
+    for (const symbol of group) {
+      const quote = fetched[symbol];
+      if (quote) {
+        saveQuote(quote);
+        results[symbol] = toCachedQuote(quote);
+        continue;
+      }
+      const stale = getCachedQuote(symbol);
+      if (stale) results[symbol] = { ...stale, stale: true };
+      else results[symbol] = { symbol, price: 0, currency: 'USD', name: symbol, change_percent: 0, error: failure };
+    }
+  }
+
+  return results;
+}
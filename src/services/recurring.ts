@@ -0,0 +1,353 @@
+import db from '../db/database';
+import { Account, ExecutionStatus, RecurringExecution, RecurringFrequency, RecurringTransaction, RecurringType, Transaction } from '../types';
+import { addDays } from './dates';
+import { closeOnOrBefore, getPriceHistory } from './price-history';
+import { getQuote } from './quotes';
+import { markSnapshotsDirty } from './snapshots';
+import { CASH_TYPES, convertAmount, loadWealthContext } from './wealth';
+
+export const RECURRING_TYPES: RecurringType[] = ['buy', 'sell', 'deposit', 'withdrawal'];
+
+export const RECURRING_FREQUENCIES: RecurringFrequency[] = ['weekly', 'monthly', 'quarterly'];
+
+const MONTHS_PER_PERIOD: Record<Exclude<RecurringFrequency, 'weekly'>, number> = { monthly: 1, quarterly: 3 };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A past execution without a close of its own (weekend, holiday) takes the last one this many days before
+const PRICE_LOOKBACK_DAYS = 7;
+
+// An execution that has not been materialized yet, or one waiting to be confirmed
+export interface UpcomingExecution {
+  recurring_id: number;
+  execution_id: number | null;
+  account_id: number;
+  symbol: string;
+  type: RecurringType;
+  date: string;
+  quantity: number | null;
+  price: number | null;
+  // Money moved, when known: the fixed amount, or quantity * price
+  amount: number | null;
+  fee: number;
+  currency: string;
+  status: 'scheduled' | 'pending';
+}
+
+export interface ConfirmedExecution {
+  execution: RecurringExecution;
+  transaction: Transaction;
+}
+
+type RecurringFields = Omit<RecurringTransaction, 'id' | 'last_run_date' | 'created_at' | 'updated_at'>;
+
+export type RecurringInput = Partial<Record<keyof RecurringFields, unknown>>;
+
+// Quantity, price, fee and date of a pending execution, as adjusted before it is confirmed
+export type ExecutionInput = Partial<Record<'date' | 'quantity' | 'price' | 'fee', unknown>>;
+
+// ===== Storage =====
+export function getRecurring(id: number | string | bigint): RecurringTransaction | undefined {
+  return db.prepare('SELECT * FROM recurring_transactions WHERE id = ?').get(id) as RecurringTransaction | undefined;
+}
+
+export function loadRecurring(): RecurringTransaction[] {
+  return db.prepare('SELECT * FROM recurring_transactions ORDER BY active DESC, symbol ASC, id ASC').all() as RecurringTransaction[];
+}
+
+function isEmpty(value: unknown): boolean {
+  return value === undefined || value === null || value === '';
+}
+
+function optionalNumber(value: unknown, name: string, allowZero: boolean = false): number | null {
+  if (isEmpty(value)) return null;
+  const number = Number(value);
+  if (!isFinite(number) || number < 0 || (!allowZero && number === 0)) {
+    throw new Error(`${name} must be a ${allowZero ? 'non-negative' : 'positive'} number`);
+  }
+  return number;
+}
+
+// ISO weekday: 1 = Monday ... 7 = Sunday
+function weekday(date: string): number {
+  return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7 + 1;
+}
+
+// Validated fields from `input` on top of `existing`. A plan fixes either the amount of money or
+// the quantity; deposits and withdrawals always move an amount of their currency.
+export function parseRecurring(input: RecurringInput, existing?: RecurringTransaction): RecurringFields {
+  const pick = <K extends keyof RecurringFields>(key: K): unknown => input[key] !== undefined ? input[key] : existing?.[key];
+
+  const account = db.prepare('SELECT * FROM accounts WHERE id = ?').get(pick('account_id')) as Account | undefined;
+  if (!account) throw new Error('account_id must be an existing account');
+  const type = (pick('type') || 'buy') as RecurringType;
+  if (!RECURRING_TYPES.includes(type)) throw new Error(`type must be one of: ${RECURRING_TYPES.join(', ')}`);
+  const currency = String(pick('currency') || account.currency || 'EUR').trim().toUpperCase();
+  const isCash = CASH_TYPES.includes(type);
+  const symbol = isCash ? currency : String(pick('symbol') || '').trim().toUpperCase();
+  if (!symbol) throw new Error('symbol is required');
+
+  // A changed amount replaces the saved quantity and the other way round
+  const amountInput = input.amount !== undefined || input.quantity !== undefined;
+  const amount = optionalNumber(amountInput ? input.amount : existing?.amount, 'amount');
+  const quantity = isCash ? null : optionalNumber(amountInput ? input.quantity : existing?.quantity, 'quantity');
+  if (isCash && amount === null) throw new Error('amount is required for deposits and withdrawals');
+  if (!isCash && (amount === null) === (quantity === null)) throw new Error('Set either amount or quantity');
+
+  const frequency = (pick('frequency') || 'monthly') as RecurringFrequency;
+  if (!RECURRING_FREQUENCIES.includes(frequency)) throw new Error(`frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}`);
+  const startDate = pick('start_date');
+  if (typeof startDate !== 'string' || !DATE_PATTERN.test(startDate)) throw new Error('start_date required (YYYY-MM-DD)');
+  const endDate = isEmpty(pick('end_date')) ? null : pick('end_date');
+  if (endDate !== null && (typeof endDate !== 'string' || !DATE_PATTERN.test(endDate) || endDate < startDate)) {
+    throw new Error('end_date must be a date (YYYY-MM-DD) on or after start_date');
+  }
+  // The plan runs on the start date's weekday or day of the month unless told otherwise
+  const day = isEmpty(pick('day')) ? (frequency === 'weekly' ? weekday(startDate) : Number(startDate.slice(8))) : Number(pick('day'));
+  const lastDay = frequency === 'weekly' ? 7 : 31;
+  if (!Number.isInteger(day) || day < 1 || day > lastDay) throw new Error(`day must be a whole number from 1 to ${lastDay}`);
+
+  return {
+    account_id: account.id,
+    symbol,
+    type,
+    amount,
+    quantity,
+    price: isCash ? null : optionalNumber(pick('price'), 'price'),
+    fee: optionalNumber(pick('fee'), 'fee', true) ?? 0,
+    currency,
+    frequency,
+    day,
+    start_date: startDate,
+    end_date: endDate,
+    active: pick('active') === undefined || pick('active') ? 1 : 0,
+    notes: String(pick('notes') ?? '')
+  };
+}
+
+export function createRecurring(input: RecurringInput): RecurringTransaction {
+  const fields = parseRecurring(input);
+  const result = db.prepare(`
+    INSERT INTO recurring_transactions (account_id, symbol, type, amount, quantity, price, fee, currency, frequency, day, start_date, end_date, active, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    fields.account_id, fields.symbol, fields.type, fields.amount, fields.quantity, fields.price, fields.fee, fields.currency,
+    fields.frequency, fields.day, fields.start_date, fields.end_date, fields.active, fields.notes
+  );
+  return getRecurring(result.lastInsertRowid) as RecurringTransaction;
+}
+
+// Executions already materialized stay as they are. Moving the start date looks for due dates
+// again on the next run; dates materialized before are not repeated.
+export function updateRecurring(existing: RecurringTransaction, input: RecurringInput): RecurringTransaction {
+  const fields = parseRecurring(input, existing);
+  const lastRunDate = fields.start_date === existing.start_date ? existing.last_run_date : null;
+  db.prepare(`
+    UPDATE recurring_transactions SET account_id = ?, symbol = ?, type = ?, amount = ?, quantity = ?, price = ?, fee = ?, currency = ?,
+      frequency = ?, day = ?, start_date = ?, end_date = ?, active = ?, notes = ?, last_run_date = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    fields.account_id, fields.symbol, fields.type, fields.amount, fields.quantity, fields.price, fields.fee, fields.currency,
+    fields.frequency, fields.day, fields.start_date, fields.end_date, fields.active, fields.notes, lastRunDate, existing.id
+  );
+  return getRecurring(existing.id) as RecurringTransaction;
+}
+
+// Pending executions go with the plan; confirmed ones are ordinary transactions by then
+export function deleteRecurring(existing: RecurringTransaction): void {
+  db.prepare('DELETE FROM recurring_transactions WHERE id = ?').run(existing.id);
+}
+
+// ===== Schedule =====
+// The plan's day in the month of `date`, or that month's last day when it is shorter
+function dayInMonth(year: number, month: number, day: number): string {
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return `${year}-${String(month).padStart(2, '0')}-${String(Math.min(day, lastDay)).padStart(2, '0')}`;
+}
+
+// Execution dates from `start` to `end`, both included, within the plan's start and end dates
+export function executionDates(recurring: RecurringTransaction, start: string, end: string): string[] {
+  const from = start > recurring.start_date ? start : recurring.start_date;
+  const to = recurring.end_date && recurring.end_date < end ? recurring.end_date : end;
+  const dates: string[] = [];
+  if (from > to) return dates;
+
+  if (recurring.frequency === 'weekly') {
+    for (let date = addDays(from, (recurring.day - weekday(from) + 7) % 7); date <= to; date = addDays(date, 7)) dates.push(date);
+    return dates;
+  }
+
+  // Quarterly plans run every third month counted from the start date's month
+  const step = MONTHS_PER_PERIOD[recurring.frequency];
+  const [startYear, startMonth] = recurring.start_date.split('-').map(Number);
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const elapsed = (fromYear - startYear) * 12 + fromMonth - startMonth;
+  for (let months = Math.floor(elapsed / step) * step; ; months += step) {
+    const monthIndex = startMonth - 1 + months;
+    const date = dayInMonth(startYear + Math.floor(monthIndex / 12), monthIndex % 12 + 1, recurring.day);
+    if (date > to) break;
+    if (date >= from) dates.push(date);
+  }
+  return dates;
+}
+
+// First execution after `date`, or null when the plan has ended
+export function nextExecutionDate(recurring: RecurringTransaction, date: string): string | null {
+  return executionDates(recurring, addDays(date, 1), addDays(date, 100))[0] ?? null;
+}
+
+// ===== Materialization =====
+// Market price of the symbol in the plan's currency on `date`: the live quote for today, the
+// stored or fetched close for past dates
+async function lookupPrice(recurring: RecurringTransaction, date: string, today: string): Promise<{ price?: number; error?: string }> {
+  let price: number | undefined;
+  let currency: string | undefined;
+  let error: string | undefined;
+  try {
+    if (date >= today) {
+      const quote = await getQuote(recurring.symbol);
+      if (quote.price > 0) ({ price, currency } = quote);
+    } else {
+      const history = await getPriceHistory(recurring.symbol, addDays(date, -PRICE_LOOKBACK_DAYS), date);
+      const close = closeOnOrBefore(history.prices, date);
+      if (close) ({ close: price, currency } = close);
+      error = history.error;
+    }
+  } catch (e) {
+    error = (e as Error).message;
+  }
+  if (price === undefined) return { error: `No price for ${recurring.symbol} on ${date}${error ? `: ${error}` : ''}` };
+
+  // Priced in another currency than the plan's: convert at that day's rate
+  if (currency && currency.toUpperCase() !== recurring.currency) {
+    const converted = convertAmount(price, currency.toUpperCase(), recurring.currency, loadWealthContext().fx, date);
+    if (converted === undefined) return { error: `No ${currency}/${recurring.currency} rate for ${date}` };
+    price = converted;
+  }
+  return { price };
+}
+
+// The transaction an execution proposes. A fixed amount buys amount / price units, with the fee on top.
+async function proposeExecution(recurring: RecurringTransaction, date: string, today: string): Promise<Pick<RecurringExecution, 'quantity' | 'price' | 'error'>> {
+  if (CASH_TYPES.includes(recurring.type)) return { quantity: recurring.amount, price: 1, error: null };
+  const { price, error } = recurring.price !== null ? { price: recurring.price, error: undefined } : await lookupPrice(recurring, date, today);
+  if (price === undefined) return { quantity: recurring.quantity, price: null, error: error || null };
+  return { quantity: recurring.quantity ?? (recurring.amount as number) / price, price, error: null };
+}
+
+// Adds the executions of every active plan that are due up to `today` as pending executions.
+// Each scheduled date is materialized once, so a skipped or moved execution does not come back.
+export async function materializeRecurring(today: string): Promise<RecurringExecution[]> {
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO recurring_executions (recurring_id, account_id, symbol, type, date, scheduled_date, quantity, price, fee, currency, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const created: RecurringExecution[] = [];
+
+  for (const recurring of loadRecurring().filter(r => r.active)) {
+    const from = recurring.last_run_date ? addDays(recurring.last_run_date, 1) : recurring.start_date;
+    for (const date of executionDates(recurring, from, today)) {
+      const proposal = await proposeExecution(recurring, date, today);
+      const result = insert.run(
+        recurring.id, recurring.account_id, recurring.symbol, recurring.type, date, date, proposal.quantity, proposal.price, recurring.fee,
+        recurring.currency, proposal.error
+      );
+      if (result.changes) created.push(getExecution(result.lastInsertRowid) as RecurringExecution);
+    }
+    db.prepare('UPDATE recurring_transactions SET last_run_date = ? WHERE id = ?').run(today, recurring.id);
+  }
+  return created;
+}
+
+// ===== Executions =====
+export function getExecution(id: number | string | bigint): RecurringExecution | undefined {
+  return db.prepare('SELECT * FROM recurring_executions WHERE id = ?').get(id) as RecurringExecution | undefined;
+}
+
+export function loadExecutions(status: ExecutionStatus = 'pending'): Array<RecurringExecution & { account_name: string }> {
+  return db.prepare(`
+    SELECT e.*, a.name AS account_name FROM recurring_executions e JOIN accounts a ON e.account_id = a.id
+    WHERE e.status = ? ORDER BY e.date ASC, e.id ASC
+  `).all(status) as Array<RecurringExecution & { account_name: string }>;
+}
+
+function pendingOnly(execution: RecurringExecution): void {
+  if (execution.status !== 'pending') throw new Error(`This execution is already ${execution.status}`);
+}
+
+// Whether the plan already runs on `date` apart from `execution`: another execution is on it or was
+// scheduled for it, or the plan is still to run on it
+function dateTaken(execution: RecurringExecution, date: string): boolean {
+  if (date === execution.date || date === execution.scheduled_date) return false;
+  const other = db.prepare('SELECT id FROM recurring_executions WHERE recurring_id = ? AND id != ? AND (date = ? OR scheduled_date = ?)')
+    .get(execution.recurring_id, execution.id, date, date);
+  const recurring = getRecurring(execution.recurring_id);
+  return !!other || (!!recurring && executionDates(recurring, date, date).length > 0);
+}
+
+// Adjusts the date, quantity, price or fee of a pending execution. Deposits and withdrawals keep a price of 1.
+export function updateExecution(execution: RecurringExecution, input: ExecutionInput): RecurringExecution {
+  pendingOnly(execution);
+  const date = input.date !== undefined ? input.date : execution.date;
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) throw new Error('date required (YYYY-MM-DD)');
+  if (dateTaken(execution, date)) throw new Error(`This plan already runs on ${date}`);
+  const quantity = input.quantity !== undefined ? optionalNumber(input.quantity, 'quantity') : execution.quantity;
+  const price = CASH_TYPES.includes(execution.type) ? 1
+    : input.price !== undefined ? optionalNumber(input.price, 'price') : execution.price;
+  const fee = input.fee !== undefined ? optionalNumber(input.fee, 'fee', true) ?? 0 : execution.fee;
+  db.prepare('UPDATE recurring_executions SET date = ?, quantity = ?, price = ?, fee = ?, error = NULL WHERE id = ?')
+    .run(date, quantity, price, fee, execution.id);
+  return getExecution(execution.id) as RecurringExecution;
+}
+
+// Books a pending execution, with any adjustments, as a transaction. A rejected confirmation
+// keeps none of the adjustments.
+export function confirmExecution(execution: RecurringExecution, input: ExecutionInput = {}): ConfirmedExecution {
+  const notes = getRecurring(execution.recurring_id)?.notes || `Recurring ${execution.type}`;
+
+  const { adjusted, transactionId } = db.transaction(() => {
+    const adjusted = updateExecution(execution, input);
+    if (!adjusted.quantity || !adjusted.price) throw new Error('Set the quantity and price before confirming');
+    const result = db.prepare(`
+      INSERT INTO transactions (account_id, symbol, type, quantity, price, fee, currency, date, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(adjusted.account_id, adjusted.symbol, adjusted.type, adjusted.quantity, adjusted.price, adjusted.fee, adjusted.currency, adjusted.date, notes);
+    db.prepare("UPDATE recurring_executions SET status = 'confirmed', transaction_id = ? WHERE id = ?").run(result.lastInsertRowid, adjusted.id);
+    return { adjusted, transactionId: result.lastInsertRowid };
+  })();
+
+  markSnapshotsDirty(adjusted.date);
+  return {
+    execution: getExecution(adjusted.id) as RecurringExecution,
+    transaction: db.prepare('SELECT * FROM transactions WHERE id = ?').get(transactionId) as Transaction
+  };
+}
+
+export function skipExecution(execution: RecurringExecution): RecurringExecution {
+  pendingOnly(execution);
+  db.prepare("UPDATE recurring_executions SET status = 'skipped' WHERE id = ?").run(execution.id);
+  return getExecution(execution.id) as RecurringExecution;
+}
+
+// ===== Upcoming =====
+// Pending executions and the ones still to be materialized from `start` to `end`, by date
+export function upcomingExecutions(start: string, end: string): UpcomingExecution[] {
+  const amountOf = (quantity: number | null, price: number | null) => quantity !== null && price !== null ? quantity * price : null;
+  const pending: UpcomingExecution[] = (db.prepare(`
+    SELECT * FROM recurring_executions WHERE status = 'pending' AND date >= ? AND date <= ?
+  `).all(start, end) as RecurringExecution[]).map(e => ({
+    recurring_id: e.recurring_id, execution_id: e.id, account_id: e.account_id, symbol: e.symbol, type: e.type, date: e.date,
+    quantity: e.quantity, price: e.price, amount: amountOf(e.quantity, e.price), fee: e.fee, currency: e.currency, status: 'pending'
+  }));
+
+  const scheduled = loadRecurring().filter(r => r.active).flatMap(r => {
+    const from = r.last_run_date && addDays(r.last_run_date, 1) > start ? addDays(r.last_run_date, 1) : start;
+    return executionDates(r, from, end).map((date): UpcomingExecution => ({
+      recurring_id: r.id, execution_id: null, account_id: r.account_id, symbol: r.symbol, type: r.type, date,
+      quantity: CASH_TYPES.includes(r.type) ? r.amount : r.quantity, price: CASH_TYPES.includes(r.type) ? 1 : r.price,
+      amount: r.amount ?? amountOf(r.quantity, r.price), fee: r.fee, currency: r.currency, status: 'scheduled'
+    }));
+  });
+
+  return [...pending, ...scheduled].sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol));
+}
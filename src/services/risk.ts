@@ -0,0 +1,294 @@
+import { RiskSettings } from '../types';
+import { getBenchmarks } from './benchmarks';
+import { addDays, daysBetween, todayKey } from './dates';
+import { PerformancePeriod, PerformanceScope, ValuePoint, getValueSeries, periodStart } from './performance';
+import { closeOnOrBefore, getPriceHistory } from './price-history';
+import { getAppSetting, setAppSetting } from './settings';
+import { getManuallyValuedSymbols } from './valuations';
+import { convertAmount, getPositions, loadWealthContext } from './wealth';
+
+const SETTINGS_KEY = 'risk';
+
+export const DEFAULT_RISK_SETTINGS: RiskSettings = { risk_free_rate: 0 };
+
+// Extra benchmark history loaded before the period so its first day has a previous close
+const PRICE_LOOKBACK_DAYS = 10;
+
+// Return from the end of `from` to the end of `date`, net of the flows of `date`
+export interface PeriodReturn {
+  from: string;
+  date: string;
+  value: number;
+}
+
+export interface Drawdown {
+  // Largest decline from a peak, e.g. -0.25 for 25% below it
+  value: number;
+  peak_date: string | null;
+  trough_date: string | null;
+  // First day back at the peak; null while still below it
+  recovery_date: string | null;
+}
+
+export interface RiskReport {
+  period: PerformancePeriod;
+  start: string;
+  end: string;
+  base_currency: string;
+  account_id: number | null;
+  symbol: string | null;
+  // Number of daily returns the measures are computed from
+  observations: number;
+  // Time-weighted return over the period, as a yearly rate
+  annualized_return: number | null;
+  // Standard deviation of the daily returns, annualized
+  volatility: number | null;
+  // Like volatility, counting only returns below the risk-free rate
+  downside_deviation: number | null;
+  max_drawdown: Drawdown;
+  risk_free_rate: number;
+  sharpe: number | null;
+  sortino: number | null;
+  benchmark: { symbol: string; beta: number | null; correlation: number | null } | null;
+  // Decline of the time-weighted index from its running peak at the end of each day
+  drawdown: Array<{ date: string; value: number }>;
+}
+
+export interface RiskOptions {
+  benchmark?: string;
+  riskFreeRate?: number;
+}
+
+// ===== Settings =====
+export function getRiskSettings(): RiskSettings {
+  return { ...DEFAULT_RISK_SETTINGS, ...getAppSetting<Partial<RiskSettings>>(SETTINGS_KEY, {}) };
+}
+
+export function parseRiskFreeRate(value: unknown): number {
+  const rate = Number(value);
+  if (value === '' || value === null || !isFinite(rate) || rate <= -1 || rate >= 1) {
+    throw new Error('Risk-free rate must be a yearly rate between -100% and 100%');
+  }
+  return rate;
+}
+
+export function saveRiskSettings(update: Partial<RiskSettings>): RiskSettings {
+  const settings = getRiskSettings();
+  if (update.risk_free_rate !== undefined) settings.risk_free_rate = parseRiskFreeRate(update.risk_free_rate);
+  setAppSetting(SETTINGS_KEY, settings);
+  return settings;
+}
+
+// ===== Measures =====
+// Daily returns net of flows, as in the time-weighted return; days starting from nothing are skipped
+export function periodReturns(before: string, startValue: number, points: ValuePoint[]): PeriodReturn[] {
+  const returns: PeriodReturn[] = [];
+  let previous = { date: before, value: startValue };
+  for (const point of points) {
+    if (previous.value > 0) returns.push({ from: previous.date, date: point.date, value: (point.value - point.flow) / previous.value - 1 });
+    previous = point;
+  }
+  return returns;
+}
+
+// Running decline of the compounded returns from their peak, and the largest one. The
+// recovery is the first day after the trough back at the peak.
+export function drawdowns(returns: PeriodReturn[]): { max: Drawdown; series: Array<{ date: string; value: number }> } {
+  const max: Drawdown = { value: 0, peak_date: null, trough_date: null, recovery_date: null };
+  const series: Array<{ date: string; value: number }> = [];
+  let index = 1;
+  let peak = 1;
+  let peakDate = returns.length ? returns[0].from : null;
+  for (const r of returns) {
+    index *= 1 + r.value;
+    if (index >= peak) {
+      peak = index;
+      peakDate = r.date;
+    }
+    const drawdown = index / peak - 1;
+    series.push({ date: r.date, value: drawdown });
+    if (drawdown < max.value) Object.assign(max, { value: drawdown, peak_date: peakDate, trough_date: r.date });
+  }
+  const trough = max.trough_date;
+  if (trough) max.recovery_date = series.find(p => p.date > trough && p.value === 0)?.date || null;
+  return { max, series };
+}
+
+// Sample standard deviation scaled to a year; null with fewer than two returns
+export function volatility(returns: number[], periodsPerYear: number): number | null {
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * periodsPerYear);
+}
+
+// Root mean square of the shortfalls below `minimum` (a per-period rate), scaled to a year
+export function downsideDeviation(returns: number[], minimum: number, periodsPerYear: number): number | null {
+  if (returns.length < 2) return null;
+  const squares = returns.reduce((sum, r) => sum + Math.min(0, r - minimum) ** 2, 0);
+  return Math.sqrt(squares / returns.length * periodsPerYear);
+}
+
+// Sensitivity of the returns to the benchmark's returns, and how closely they move together
+export function beta(returns: number[], benchmarkReturns: number[]): { beta: number | null; correlation: number | null } {
+  const n = Math.min(returns.length, benchmarkReturns.length);
+  if (n < 2) return { beta: null, correlation: null };
+  const mean = (values: number[]) => values.slice(0, n).reduce((sum, v) => sum + v, 0) / n;
+  const meanR = mean(returns);
+  const meanB = mean(benchmarkReturns);
+  let covariance = 0;
+  let varianceR = 0;
+  let varianceB = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (returns[i] - meanR) * (benchmarkReturns[i] - meanB);
+    varianceR += (returns[i] - meanR) ** 2;
+    varianceB += (benchmarkReturns[i] - meanB) ** 2;
+  }
+  return {
+    beta: varianceB > 0 ? covariance / varianceB : null,
+    correlation: varianceB > 0 && varianceR > 0 ? covariance / Math.sqrt(varianceR * varianceB) : null
+  };
+}
+
+// ===== Report =====
+// Risk measures of a scope from its daily values over a period ending on `end`. Beta compares the
+// returns with the given benchmark, otherwise the first benchmark of the account (or the default).
+export async function getRiskReport(period: PerformancePeriod = '1y', scope: PerformanceScope = {}, options: RiskOptions = {}, end: string = todayKey()): Promise<RiskReport> {
+  const series = await getValueSeries(period, scope, end, true);
+  const { context, start } = series;
+  const before = addDays(start, -1);
+  const returns = periodReturns(before, series.start_value, series.points);
+  const values = returns.map(r => r.value);
+
+  const riskFreeRate = options.riskFreeRate ?? getRiskSettings().risk_free_rate;
+  const days = returns.length ? daysBetween(returns[0].from, end) : 0;
+  const periodsPerYear = days > 0 ? returns.length * 365 / days : 0;
+  const growth = values.reduce((product, r) => product * (1 + r), 1);
+  const annualizedReturn = days > 0 ? Math.pow(growth, 365 / days) - 1 : null;
+  const vol = volatility(values, periodsPerYear);
+  const downside = downsideDeviation(values, periodsPerYear > 0 ? Math.pow(1 + riskFreeRate, 1 / periodsPerYear) - 1 : 0, periodsPerYear);
+  const excess = annualizedReturn !== null ? annualizedReturn - riskFreeRate : null;
+  const { max, series: drawdown } = drawdowns(returns);
+
+  let benchmark: RiskReport['benchmark'] = null;
+  const benchmarkSymbol = options.benchmark || getBenchmarks(scope.accountId)[0];
+  if (benchmarkSymbol && returns.length) {
+    const { prices } = await getPriceHistory(benchmarkSymbol, addDays(returns[0].from, -PRICE_LOOKBACK_DAYS), end);
+    const priceOn = (date: string) => {
+      const close = closeOnOrBefore(prices, date);
+      return close ? convertAmount(close.close, close.currency || 'USD', context.base_currency, context.fx, date) : undefined;
+    };
+    const paired: number[] = [];
+    const benchmarkReturns: number[] = [];
+    for (const r of returns) {
+      const from = priceOn(r.from);
+      const to = priceOn(r.date);
+      if (!from || to === undefined) continue;
+      paired.push(r.value);
+      benchmarkReturns.push(to / from - 1);
+    }
+    benchmark = { symbol: benchmarkSymbol, ...beta(paired, benchmarkReturns) };
+  }
+
+  return {
+    period,
+    start,
+    end,
+    base_currency: context.base_currency,
+    account_id: scope.accountId !== undefined ? Number(scope.accountId) : null,
+    symbol: scope.symbol || null,
+    observations: returns.length,
+    annualized_return: annualizedReturn,
+    volatility: vol,
+    downside_deviation: downside,
+    max_drawdown: max,
+    risk_free_rate: riskFreeRate,
+    sharpe: excess !== null && vol ? excess / vol : null,
+    sortino: excess !== null && downside ? excess / downside : null,
+    benchmark,
+    drawdown
+  };
+}
+
+// ===== Correlation =====
+// Fewer common returns than this leave a pair's correlation undefined
+const MIN_CORRELATION_OBSERVATIONS = 5;
+
+export interface CorrelationPair {
+  symbols: [string, string];
+  correlation: number;
+  observations: number;
+}
+
+export interface CorrelationMatrix {
+  period: PerformancePeriod;
+  start: string;
+  end: string;
+  base_currency: string;
+  symbols: string[];
+  // matrix[i][j] correlates the returns of symbols i and j; null with too few common days
+  matrix: Array<Array<number | null>>;
+  // Pairs with a correlation, most correlated first
+  pairs: CorrelationPair[];
+  // Held symbols left out of the matrix and why
+  skipped: Array<{ symbol: string; reason: string }>;
+}
+
+// Returns of two close series between the days both have a close, so a crypto asset's weekend
+// moves fall into the same Friday-to-Monday return as a stock's
+export function alignedReturns(a: Map<string, number>, b: Map<string, number>): [number[], number[]] {
+  const common = [...a.keys()].filter(date => b.has(date)).sort().map(date => [a.get(date) as number, b.get(date) as number]);
+  const returnsA: number[] = [];
+  const returnsB: number[] = [];
+  for (let i = 1; i < common.length; i++) {
+    if (!common[i - 1][0] || !common[i - 1][1]) continue;
+    returnsA.push(common[i][0] / common[i - 1][0] - 1);
+    returnsB.push(common[i][1] / common[i - 1][1] - 1);
+  }
+  return [returnsA, returnsB];
+}
+
+// Pairwise correlation of the daily returns, in the base currency, of the symbols held on `end`
+// (in one account or all of them) over a period, from the stored price history
+export async function getCorrelationMatrix(period: PerformancePeriod = '1y', accountId?: number | string, end: string = todayKey()): Promise<CorrelationMatrix> {
+  const context = loadWealthContext(accountId);
+  const positions = getPositions(end, accountId, context);
+  const start = periodStart(period, end, positions.length ? positions.map(p => (p.lots[0]?.date || end).split('T')[0]).sort()[0] : undefined);
+  const manual = getManuallyValuedSymbols(context.valuations);
+
+  const symbols: string[] = [];
+  const closes: Array<Map<string, number>> = [];
+  const skipped: CorrelationMatrix['skipped'] = [];
+  for (const symbol of [...new Set(positions.map(p => p.symbol))].sort()) {
+    if (manual.includes(symbol)) {
+      skipped.push({ symbol, reason: 'Manually valued' });
+      continue;
+    }
+    const { prices } = await getPriceHistory(symbol, start, end);
+    const series = new Map<string, number>();
+    for (const p of prices) {
+      const close = convertAmount(p.close, p.currency || 'USD', context.base_currency, context.fx, p.date);
+      if (close !== undefined) series.set(p.date, close);
+    }
+    if (series.size < 2) {
+      skipped.push({ symbol, reason: prices.length < 2 ? 'No price history' : `No rate to ${context.base_currency}` });
+      continue;
+    }
+    symbols.push(symbol);
+    closes.push(series);
+  }
+
+  const matrix: CorrelationMatrix['matrix'] = symbols.map((_, i) => symbols.map((__, j) => i === j ? 1 : null));
+  const pairs: CorrelationPair[] = [];
+  for (let i = 0; i < symbols.length; i++) {
+    for (let j = i + 1; j < symbols.length; j++) {
+      const [a, b] = alignedReturns(closes[i], closes[j]);
+      const { correlation } = a.length >= MIN_CORRELATION_OBSERVATIONS ? beta(a, b) : { correlation: null };
+      matrix[i][j] = matrix[j][i] = correlation;
+      if (correlation !== null) pairs.push({ symbols: [symbols[i], symbols[j]], correlation, observations: a.length });
+    }
+  }
+  pairs.sort((a, b) => b.correlation - a.correlation);
+
+  return { period, start, end, base_currency: context.base_currency, symbols, matrix, pairs, skipped };
+}
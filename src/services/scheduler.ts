@@ -0,0 +1,197 @@
+import { SchedulerConfig } from '../types';
+import { toDateKey } from './dates';
+import { refreshFxRates } from './fx';
+import { getAssetClass } from './providers';
+import { getQuotes } from './quotes';
+import { materializeRecurring } from './recurring';
+import { getAppSetting, setAppSetting } from './settings';
+import { markSnapshotsDirty, recomputeDirtySnapshots, writeDailySnapshot } from './snapshots';
+import { getManuallyValuedSymbols } from './valuations';
+import { getBaseCurrency, getPositions } from './wealth';
+
+const CONFIG_KEY = 'scheduler';
+const TICK_MS = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const DEFAULT_SCHEDULER_CONFIG: SchedulerConfig = {
+  enabled: true,
+  crypto_interval_minutes: 15,
+  market_interval_minutes: 60,
+  market_weekdays_only: true,
+  snapshot_enabled: true,
+  snapshot_time: '23:50',
+  fx_enabled: false,
+  fx_interval_minutes: 360,
+  recurring_enabled: true
+};
+
+// ===== Configuration =====
+export function getSchedulerConfig(): SchedulerConfig {
+  return { ...DEFAULT_SCHEDULER_CONFIG, ...getAppSetting<Partial<SchedulerConfig>>(CONFIG_KEY, {}) };
+}
+
+export function saveSchedulerConfig(update: Partial<SchedulerConfig>): SchedulerConfig {
+  const config = getSchedulerConfig();
+
+  for (const key of ['crypto_interval_minutes', 'market_interval_minutes', 'fx_interval_minutes'] as const) {
+    if (update[key] === undefined) continue;
+    const minutes = Number(update[key]);
+    if (!Number.isInteger(minutes) || minutes < 1) throw new Error(`${key} must be a whole number of minutes`);
+    config[key] = minutes;
+  }
+  for (const key of ['enabled', 'market_weekdays_only', 'snapshot_enabled', 'fx_enabled', 'recurring_enabled'] as const) {
+    if (update[key] !== undefined) config[key] = Boolean(update[key]);
+  }
+  if (update.snapshot_time !== undefined) {
+    if (!TIME_PATTERN.test(update.snapshot_time)) throw new Error('snapshot_time must be HH:MM');
+    config.snapshot_time = update.snapshot_time;
+  }
+
+  setAppSetting(CONFIG_KEY, config);
+  return config;
+}
+
+// ===== Timing =====
+// Snapshot time, weekdays and dates are in UTC, like the date keys used everywhere else
+export function isDue(lastRun: Date | null, intervalMinutes: number, now: Date): boolean {
+  return !lastRun || now.getTime() - lastRun.getTime() >= intervalMinutes * 60 * 1000;
+}
+
+export function isSnapshotDue(now: Date, snapshotTime: string, lastSnapshotDate: string | null): boolean {
+  const pad = (n: number) => String(n).padStart(2, '0');
+  const time = `${pad(now.getUTCHours())}:${pad(now.getUTCMinutes())}`;
+  return time >= snapshotTime && lastSnapshotDate !== toDateKey(now);
+}
+
+function isWeekday(now: Date): boolean {
+  const day = now.getUTCDay();
+  return day !== 0 && day !== 6;
+}
+
+// ===== Jobs =====
+const status = {
+  timer: null as NodeJS.Timeout | null,
+  running: false,
+  last_crypto_refresh: null as Date | null,
+  last_market_refresh: null as Date | null,
+  last_fx_refresh: null as Date | null,
+  last_snapshot_date: null as string | null,
+  last_recurring_run: null as Date | null,
+  last_error: null as string | null
+};
+
+// Held symbols that have a market price, split by trading calendar
+export function getHeldSymbols(): { crypto: string[]; market: string[] } {
+  const manual = getManuallyValuedSymbols();
+  const symbols = [...new Set(getPositions().map(p => p.symbol))].filter(s => !manual.includes(s));
+  return {
+    crypto: symbols.filter(s => getAssetClass(s) === 'crypto'),
+    market: symbols.filter(s => getAssetClass(s) !== 'crypto')
+  };
+}
+
+async function refreshPrices(symbols: string[]): Promise<void> {
+  // maxAge 0 bypasses the quote cache so every symbol is fetched again
+  const results = await getQuotes(symbols, 0);
+  const failed = Object.values(results).filter(q => q.error || q.stale).map(q => q.symbol);
+  if (failed.length) status.last_error = `Could not refresh: ${failed.join(', ')}`;
+}
+
+// Rates are stored for the day the snapshot is written under; that snapshot is only rebuilt
+// when one of them moved
+async function refreshRates(date: string): Promise<void> {
+  const result = await refreshFxRates(getBaseCurrency(), date);
+  if (result.changed.length) markSnapshotsDirty(date);
+  if (result.failed.length) {
+    const message = `Could not refresh rates: ${result.failed.map(k => k.replace('_', '/')).join(', ')}`;
+    status.last_error = status.last_error ? `${status.last_error}; ${message}` : message;
+  }
+}
+
+// One scheduler pass. With `force`, every job runs regardless of cadence and calendar.
+export async function runSchedulerTick(now: Date = new Date(), force: boolean = false): Promise<void> {
+  if (status.running) return;
+  status.running = true;
+
+  try {
+    const config = getSchedulerConfig();
+    if (!config.enabled && !force) return;
+    status.last_error = null;
+
+    const { crypto, market } = getHeldSymbols();
+
+    if (crypto.length && (force || isDue(status.last_crypto_refresh, config.crypto_interval_minutes, now))) {
+      await refreshPrices(crypto);
+      status.last_crypto_refresh = now;
+    }
+
+    const marketOpen = !config.market_weekdays_only || isWeekday(now);
+    if (market.length && (force || (marketOpen && isDue(status.last_market_refresh, config.market_interval_minutes, now)))) {
+      await refreshPrices(market);
+      status.last_market_refresh = now;
+    }
+
+    // Currency rates follow their own cadence and are only refreshed when enabled
+    if (config.fx_enabled && (force || isDue(status.last_fx_refresh, config.fx_interval_minutes, now))) {
+      await refreshRates(toDateKey(now));
+      status.last_fx_refresh = now;
+    }
+
+    if (force || (config.snapshot_enabled && isSnapshotDue(now, config.snapshot_time, status.last_snapshot_date))) {
+      writeDailySnapshot(toDateKey(now));
+      status.last_snapshot_date = toDateKey(now);
+    }
+
+    // Due savings plan executions wait as pending transactions until they are confirmed
+    if (force || config.recurring_enabled) {
+      await materializeRecurring(toDateKey(now));
+      status.last_recurring_run = now;
+    }
+
+    // Rebuild snapshots invalidated by edited or imported transactions
+    recomputeDirtySnapshots();
+  } catch (e) {
+    status.last_error = (e as Error).message;
+    console.warn('Scheduler tick failed:', (e as Error).message);
+  } finally {
+    status.running = false;
+  }
+}
+
+export function startScheduler(intervalMs: number = TICK_MS): void {
+  if (status.timer) return;
+  status.timer = setInterval(() => { void runSchedulerTick(); }, intervalMs);
+  status.timer.unref();
+  setTimeout(() => { void runSchedulerTick(); }, 5000).unref();
+}
+
+export function stopScheduler(): void {
+  if (status.timer) clearInterval(status.timer);
+  status.timer = null;
+}
+
+export interface SchedulerStatus {
+  config: SchedulerConfig;
+  active: boolean;
+  running: boolean;
+  last_crypto_refresh: string | null;
+  last_market_refresh: string | null;
+  last_fx_refresh: string | null;
+  last_snapshot_date: string | null;
+  last_recurring_run: string | null;
+  last_error: string | null;
+}
+
+export function getSchedulerStatus(): SchedulerStatus {
+  return {
+    config: getSchedulerConfig(),
+    active: status.timer !== null,
+    running: status.running,
+    last_crypto_refresh: status.last_crypto_refresh?.toISOString() || null,
+    last_market_refresh: status.last_market_refresh?.toISOString() || null,
+    last_fx_refresh: status.last_fx_refresh?.toISOString() || null,
+    last_snapshot_date: status.last_snapshot_date,
+    last_recurring_run: status.last_recurring_run?.toISOString() || null,
+    last_error: status.last_error
+  };
+}
@@ -0,0 +1,19 @@
+import db from '../db/database';
+
+// ===== app_settings key/value store (JSON encoded values) =====
+export function getAppSetting<T>(key: string, fallback: T): T {
+  const row = db.prepare('SELECT value FROM app_settings WHERE key = ?').get(key) as { value: string } | undefined;
+  if (!row) return fallback;
+  try {
+    return JSON.parse(row.value) as T;
+  } catch {
+    return fallback;
+  }
+}
+
+export function setAppSetting<T>(key: string, value: T): void {
+  db.prepare(`
+    INSERT OR REPLACE INTO app_settings (key, value, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+  `).run(key, JSON.stringify(value));
+}
@@ -0,0 +1,249 @@
+import db from '../db/database';
+import { BackfillJob, HistoricalPrice, PriceCache } from '../types';
+import { addDays, daysBetween, todayKey } from './dates';
+import { LiabilityBalance, getLiabilityBalances, liabilityBalancesUntil, netWorth } from './liabilities';
+import { closeOnOrBefore, getPriceHistory } from './price-history';
+import { getManuallyValuedSymbols } from './valuations';
+import {
+  CASH_TYPES, CashLedger, PositionLedger, PricePoint, WealthSummary, applyTransaction, buildLedger, loadPositionTransactions, loadWealthContext,
+  toCashBalances, toPositions, valuePositions
+} from './wealth';
+
+export interface SnapshotResult {
+  date: string;
+  total_wealth: number;
+  total_cost: number;
+  base_currency: string;
+}
+
+// ===== Daily wealth snapshots =====
+// Stores the net worth: the assets of the summary less the debts outstanding
+function storeSnapshot(summary: WealthSummary, liabilities: LiabilityBalance[]): SnapshotResult {
+  const worth = netWorth(summary.total_wealth, summary.total_cost, liabilities);
+  const details = JSON.stringify({
+    accounts: summary.accounts.map(a => ({
+      account_id: a.account_id, name: a.account_name, market_value: a.market_value, cost_basis: a.cost_basis, cash: a.cash
+    })),
+    holdings_count: summary.holdings_count,
+    cash: summary.cash,
+    assets: worth.assets,
+    liabilities: worth.liabilities
+  });
+
+  db.prepare(`
+    INSERT OR REPLACE INTO daily_wealth (date, total_wealth, total_cost, base_currency, details, updated_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `).run(summary.date, worth.net_worth, worth.cost, summary.base_currency, details);
+
+  return { date: summary.date, total_wealth: worth.net_worth, total_cost: worth.cost, base_currency: summary.base_currency };
+}
+
+export function loadCachedPrices(): Record<string, PricePoint> {
+  const prices: Record<string, PricePoint> = {};
+  const rows = db.prepare('SELECT * FROM price_cache').all() as PriceCache[];
+  for (const row of rows) prices[row.symbol] = row;
+  return prices;
+}
+
+// Today's snapshot, valued with whatever is in price_cache
+export function writeDailySnapshot(date: string = todayKey()): SnapshotResult {
+  const context = loadWealthContext();
+  const cash: CashLedger = {};
+  const ledger = buildLedger(date, undefined, context, cash);
+  return storeSnapshot(valuePositions(date, toPositions(ledger), loadCachedPrices(), context, toCashBalances(cash)), getLiabilityBalances(date, context));
+}
+
+// ===== Backfill =====
+// Days written per database transaction; progress is saved after each chunk
+const BACKFILL_CHUNK_DAYS = 31;
+// Extra history loaded before the start date so weekends and holidays have a previous close
+const PRICE_LOOKBACK_DAYS = 10;
+// How long a failed rebuild of the dirty range waits before it is tried again
+const BACKFILL_RETRY_MINUTES = 15;
+
+const activeJobs = new Set<number>();
+// Bumped on every invalidation so running jobs know their transactions are out of date
+let invalidations = 0;
+
+export function getBackfillJob(id: number | string): BackfillJob | undefined {
+  return db.prepare('SELECT * FROM backfill_jobs WHERE id = ?').get(id) as BackfillJob | undefined;
+}
+
+export function listBackfillJobs(limit: number = 10): BackfillJob[] {
+  return db.prepare('SELECT * FROM backfill_jobs ORDER BY id DESC LIMIT ?').all(limit) as BackfillJob[];
+}
+
+// Earliest transaction, valuation or liability date, the natural start of a full backfill
+export function getFirstActivityDate(): string | undefined {
+  const row = db.prepare(`
+    SELECT MIN(d) AS first FROM (
+      SELECT MIN(substr(date, 1, 10)) AS d FROM transactions
+      UNION ALL SELECT MIN(date) AS d FROM valuations
+      UNION ALL SELECT MIN(start_date) AS d FROM liabilities
+    )
+  `).get() as { first: string | null };
+  return row.first || undefined;
+}
+
+export function createBackfillJob(start: string, end: string): BackfillJob {
+  const result = db.prepare(`
+    INSERT INTO backfill_jobs (start_date, end_date, next_date, status, processed_days, total_days)
+    VALUES (?, ?, ?, 'running', 0, ?)
+  `).run(start, end, start, daysBetween(start, end) + 1);
+  return getBackfillJob(result.lastInsertRowid as number) as BackfillJob;
+}
+
+function updateJob(id: number, fields: Partial<Pick<BackfillJob, 'status' | 'next_date' | 'processed_days' | 'error'>>): void {
+  const sets = Object.keys(fields).map(k => `${k} = ?`);
+  db.prepare(`UPDATE backfill_jobs SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+    .run(...Object.values(fields), id);
+}
+
+export function pauseBackfillJob(id: number): BackfillJob | undefined {
+  const job = getBackfillJob(id);
+  if (job && job.status === 'running') updateJob(id, { status: 'paused' });
+  return getBackfillJob(id);
+}
+
+// Transactions and histories needed to value days from `from` onwards
+async function prepareBackfill(from: string, end: string) {
+  const version = invalidations;
+  const context = loadWealthContext();
+  const transactions = loadPositionTransactions();
+  // Debts outstanding on each day, from schedules built once for the range
+  const liabilityBalances = liabilityBalancesUntil(end, context);
+  const manual = getManuallyValuedSymbols(context.valuations);
+
+  // Historical closes for every symbol that could be held during the range
+  const symbols = [...new Set(transactions.filter(t => t.date.split('T')[0] <= end && !CASH_TYPES.includes(t.type)).map(t => t.symbol))]
+    .filter(s => !manual.includes(s));
+  const histories: Record<string, HistoricalPrice[]> = {};
+  for (const symbol of symbols) {
+    const { prices } = await getPriceHistory(symbol, addDays(from, -PRICE_LOOKBACK_DAYS), end);
+    histories[symbol] = prices;
+  }
+
+  // Replay transactions before the resume point
+  const ledger: PositionLedger = {};
+  const cash: CashLedger = {};
+  let txIndex = 0;
+  while (txIndex < transactions.length && transactions[txIndex].date.split('T')[0] < from) {
+    applyTransaction(ledger, transactions[txIndex], context, cash);
+    txIndex++;
+  }
+
+  return { context, transactions, liabilityBalances, symbols, histories, ledger, cash, txIndex, version };
+}
+
+// Rebuilds daily_wealth from job.next_date to job.end_date using the transactions as of each
+// day and historical closes. Safe to call again after a pause, failure or restart.
+export async function runBackfillJob(id: number): Promise<BackfillJob | undefined> {
+  const job = getBackfillJob(id);
+  if (!job || job.status === 'completed' || activeJobs.has(id)) return job;
+
+  activeJobs.add(id);
+  updateJob(id, { status: 'running', error: null });
+
+  try {
+    let date = job.next_date;
+    let processed = job.processed_days;
+    let state = await prepareBackfill(date, job.end_date);
+    const fallback = loadCachedPrices();
+
+    while (date <= job.end_date) {
+      const current = getBackfillJob(id);
+      if (!current || current.status !== 'running') return current;
+
+      // Transactions changed while running: start again from the current day with fresh data
+      if (state.version !== invalidations) state = await prepareBackfill(date, job.end_date);
+      const { context, transactions, liabilityBalances, symbols, histories, ledger, cash } = state;
+
+      const writeChunk = db.transaction(() => {
+        for (let i = 0; i < BACKFILL_CHUNK_DAYS && date <= job.end_date; i++) {
+          while (state.txIndex < transactions.length && transactions[state.txIndex].date.split('T')[0] <= date) {
+            applyTransaction(ledger, transactions[state.txIndex], context, cash);
+            state.txIndex++;
+          }
+
+          const prices: Record<string, PricePoint> = {};
+          for (const symbol of symbols) {
+            const close = closeOnOrBefore(histories[symbol], date);
+            if (close) prices[symbol] = { price: close.close, currency: close.currency || 'USD' };
+            else if (fallback[symbol]) prices[symbol] = fallback[symbol];
+          }
+
+          storeSnapshot(valuePositions(date, toPositions(ledger), prices, context, toCashBalances(cash)), liabilityBalances(date));
+          date = addDays(date, 1);
+          processed++;
+        }
+        updateJob(id, { next_date: date, processed_days: processed });
+      });
+      writeChunk();
+
+      // Yield to the event loop between chunks so requests are still served
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    updateJob(id, { status: 'completed' });
+  } catch (e) {
+    updateJob(id, { status: 'failed', error: (e as Error).message });
+  } finally {
+    activeJobs.delete(id);
+  }
+
+  return getBackfillJob(id);
+}
+
+// Continues jobs that were running when the server stopped
+export function resumeBackfillJobs(): void {
+  const jobs = db.prepare("SELECT id FROM backfill_jobs WHERE status = 'running'").all() as Array<{ id: number }>;
+  for (const job of jobs) {
+    void runBackfillJob(job.id);
+  }
+}
+
+// ===== Invalidation =====
+// A change dated `date` alters holdings from that day on, so every later snapshot is stale
+export function markSnapshotsDirty(...dates: Array<string | null | undefined>): number {
+  const keys = dates.filter((d): d is string => !!d).map(d => d.split('T')[0].split(' ')[0]).sort();
+  if (!keys.length) return 0;
+  invalidations++;
+  return db.prepare('UPDATE daily_wealth SET dirty = 1 WHERE date >= ?').run(keys[0]).changes;
+}
+
+export function getDirtyRange(): { start: string; end: string; days: number } | undefined {
+  const row = db.prepare(
+    'SELECT MIN(date) AS start, MAX(date) AS end, COUNT(*) AS days FROM daily_wealth WHERE dirty = 1'
+  ).get() as { start: string | null; end: string | null; days: number };
+  if (!row.start || !row.end) return undefined;
+  return { start: row.start, end: row.end, days: row.days };
+}
+
+function isRetryDue(job: BackfillJob): boolean {
+  const failed = new Date(job.updated_at.replace(' ', 'T') + 'Z').getTime();
+  return Date.now() - failed >= BACKFILL_RETRY_MINUTES * 60 * 1000;
+}
+
+// Rebuilds dirty snapshots with a backfill over their range. Waits while another backfill
+// is running; that job already picks up the change for the days it has not written yet.
+// A job already made for the same range is reused: left alone while paused, and retried
+// from its first day once BACKFILL_RETRY_MINUTES have passed since it failed.
+export function recomputeDirtySnapshots(): BackfillJob | undefined {
+  const range = getDirtyRange();
+  if (!range) return undefined;
+  const running = db.prepare("SELECT id FROM backfill_jobs WHERE status = 'running'").get();
+  if (running) return undefined;
+
+  const previous = db.prepare('SELECT * FROM backfill_jobs WHERE start_date = ? AND end_date = ? ORDER BY id DESC LIMIT 1')
+    .get(range.start, range.end) as BackfillJob | undefined;
+  if (previous && previous.status !== 'completed') {
+    if (previous.status === 'paused' || !isRetryDue(previous)) return undefined;
+    updateJob(previous.id, { next_date: previous.start_date, processed_days: 0 });
+    void runBackfillJob(previous.id);
+    return getBackfillJob(previous.id);
+  }
+
+  const job = createBackfillJob(range.start, range.end);
+  void runBackfillJob(job.id);
+  return job;
+}
@@ -0,0 +1,356 @@
+import db from '../db/database';
+import { Account, TaxAssetClass, TaxProfile } from '../types';
+import { addDays, addMonths, daysBetween, todayKey } from './dates';
+import { getAppSetting, setAppSetting } from './settings';
+import { getSymbolValuation } from './valuations';
+import {
+  Disposal, MIN_QUANTITY, Position, PricePoint, TaxLot, WealthContext, buildLedger, convertAmount, loadWealthContext, orderLots,
+  previewSale, toDisposals, toPositions
+} from './wealth';
+
+const PROFILE_KEY = 'tax_profile';
+
+export type HoldingTerm = 'short' | 'long';
+
+export interface RealizedGainRow extends Disposal {
+  tax_year: number;
+  term: HoldingTerm;
+  holding_days: number | null;
+  // Held past the tax-free holding period of the account's asset class
+  tax_free: boolean;
+}
+
+export interface RealizedTotals {
+  count: number;
+  proceeds: number;
+  cost_basis: number;
+  fees: number;
+  gain: number;
+}
+
+export interface TaxYearSummary {
+  year: number;
+  short_term: RealizedTotals;
+  long_term: RealizedTotals;
+  total: RealizedTotals;
+  // Gain of the closing trades that were not tax-free, before any allowance
+  taxable_gain: number;
+}
+
+export interface RealizedGainsReport {
+  base_currency: string;
+  years: TaxYearSummary[];
+  disposals: RealizedGainRow[];
+  // Disposals left out of the totals because some amount could not be converted
+  unconverted: number;
+}
+
+export interface TaxLotStatus extends TaxLot {
+  // First day the lot can be sold tax-free; null when its gains are always taxable
+  tax_free_from: string | null;
+  tax_free: boolean;
+}
+
+export interface PositionTaxStatus {
+  tax_class: string | null;
+  lots: TaxLotStatus[];
+  // Units in lots past their holding period
+  tax_free_quantity: number;
+  // Units a sale today can close before the account's cost basis method reaches a taxable lot
+  sellable_tax_free_quantity: number;
+}
+
+export interface SaleEstimateLot extends Omit<Disposal, 'symbol' | 'account_id' | 'account_name' | 'currency' | 'disposed'> {
+  tax_free_from: string | null;
+  tax_free: boolean;
+}
+
+// Tax on selling part of a position on a date, with amounts in the base currency
+export interface SaleEstimate {
+  account_id: number;
+  symbol: string;
+  date: string;
+  quantity: number;
+  price: number;
+  currency: string;
+  base_currency: string;
+  tax_class: string | null;
+  tax_rate: number;
+  proceeds: number;
+  gain: number | null;
+  tax_free_gain: number | null;
+  taxable_gain: number | null;
+  // Allowance of the asset class not yet used by this tax year's taxable gains
+  allowance_remaining: number;
+  taxable_after_allowance: number | null;
+  estimated_tax: number | null;
+  lots: SaleEstimateLot[];
+}
+
+// ===== Profiles =====
+export const TAX_PROFILE_PRESETS: Record<string, TaxProfile> = {
+  none: {
+    name: 'No tax rules',
+    long_term_months: 12,
+    asset_classes: [
+      { name: 'All assets', account_types: [], tax_free_after_months: null, annual_allowance: 0, tax_rate: 0 }
+    ]
+  },
+  // Private sales (crypto, physical metals, property) are tax-free after a holding period;
+  // securities are always taxed at the flat rate including solidarity surcharge
+  de: {
+    name: 'Germany',
+    long_term_months: 12,
+    asset_classes: [
+      { name: 'Private sales', account_types: ['crypto', 'commodity'], tax_free_after_months: 12, annual_allowance: 1000, tax_rate: 0.42 },
+      { name: 'Real estate', account_types: ['real_estate'], tax_free_after_months: 120, annual_allowance: 0, tax_rate: 0.42 },
+      { name: 'Securities', account_types: [], tax_free_after_months: null, annual_allowance: 1000, tax_rate: 0.26375 }
+    ]
+  }
+};
+
+export const DEFAULT_TAX_PROFILE = TAX_PROFILE_PRESETS.none;
+
+export function getTaxProfile(): TaxProfile {
+  return getAppSetting<TaxProfile>(PROFILE_KEY, DEFAULT_TAX_PROFILE);
+}
+
+function validateAssetClass(input: Partial<TaxAssetClass>, index: number): TaxAssetClass {
+  const label = `asset_classes[${index}]`;
+  if (!input || typeof input.name !== 'string' || !input.name.trim()) throw new Error(`${label}.name required`);
+  if (input.account_types !== undefined && !Array.isArray(input.account_types)) throw new Error(`${label}.account_types must be a list`);
+  const months = input.tax_free_after_months;
+  if (months !== undefined && months !== null && (!Number.isInteger(months) || months < 0)) {
+    throw new Error(`${label}.tax_free_after_months must be a whole number of months or null`);
+  }
+  const allowance = input.annual_allowance === undefined ? 0 : Number(input.annual_allowance);
+  if (!isFinite(allowance) || allowance < 0) throw new Error(`${label}.annual_allowance must be a non-negative number`);
+  const rate = input.tax_rate === undefined ? 0 : Number(input.tax_rate);
+  if (!isFinite(rate) || rate < 0 || rate > 1) throw new Error(`${label}.tax_rate must be between 0 and 1`);
+
+  return {
+    name: input.name.trim(),
+    account_types: (input.account_types || []).map(t => String(t).trim().toLowerCase()).filter(Boolean),
+    tax_free_after_months: months === undefined ? null : months,
+    annual_allowance: allowance,
+    tax_rate: rate
+  };
+}
+
+export function saveTaxProfile(update: Partial<TaxProfile>): TaxProfile {
+  const profile = getTaxProfile();
+
+  if (update.name !== undefined) {
+    if (typeof update.name !== 'string' || !update.name.trim()) throw new Error('name required');
+    profile.name = update.name.trim();
+  }
+  if (update.long_term_months !== undefined) {
+    if (!Number.isInteger(update.long_term_months) || update.long_term_months < 1) {
+      throw new Error('long_term_months must be a whole number of months');
+    }
+    profile.long_term_months = update.long_term_months;
+  }
+  if (update.asset_classes !== undefined) {
+    if (!Array.isArray(update.asset_classes) || !update.asset_classes.length) throw new Error('asset_classes must be a non-empty list');
+    const classes = update.asset_classes.map(validateAssetClass);
+    const types = classes.flatMap(c => c.account_types);
+    const duplicate = types.find((t, i) => types.indexOf(t) !== i);
+    if (duplicate) throw new Error(`Account type ${duplicate} belongs to more than one asset class`);
+    if (classes.filter(c => !c.account_types.length).length > 1) throw new Error('Only one asset class can cover the remaining account types');
+    profile.asset_classes = classes;
+  }
+
+  setAppSetting(PROFILE_KEY, profile);
+  return profile;
+}
+
+// ===== Classification =====
+// The class covering an account type, else the catch-all class. Without either, gains are
+// taxable with no allowance.
+export function findTaxClass(profile: TaxProfile, accountType: string): TaxAssetClass | undefined {
+  const match = profile.asset_classes.find(c => c.account_types.includes(accountType));
+  if (match) return match;
+  return profile.asset_classes.find(c => !c.account_types.length);
+}
+
+// Lots are tax-free once held longer than the holding period, i.e. from the day after it ends
+export function taxFreeFrom(acquired: string | null, taxClass: TaxAssetClass | undefined): string | null {
+  if (!acquired || !taxClass || taxClass.tax_free_after_months === null) return null;
+  return addDays(addMonths(acquired, taxClass.tax_free_after_months), 1);
+}
+
+function isTaxFree(acquired: string | null, date: string, taxClass: TaxAssetClass | undefined): boolean {
+  const from = taxFreeFrom(acquired, taxClass);
+  return from !== null && date >= from;
+}
+
+// Quantity sold beyond the open lots has no acquisition date and counts as short-term
+export function holdingTerm(acquired: string | null, disposed: string, longTermMonths: number = DEFAULT_TAX_PROFILE.long_term_months): HoldingTerm {
+  return acquired && disposed > addMonths(acquired, longTermMonths) ? 'long' : 'short';
+}
+
+function loadAccountTypes(): Record<number, string> {
+  const types: Record<number, string> = {};
+  for (const a of db.prepare('SELECT id, type FROM accounts').all() as Pick<Account, 'id' | 'type'>[]) types[a.id] = a.type;
+  return types;
+}
+
+export function toRealizedGainRow(d: Disposal, taxClass?: TaxAssetClass, longTermMonths?: number): RealizedGainRow {
+  return {
+    ...d,
+    tax_year: parseInt(d.disposed.slice(0, 4)),
+    term: holdingTerm(d.acquired, d.disposed, longTermMonths),
+    holding_days: d.acquired ? daysBetween(d.acquired, d.disposed) : null,
+    tax_free: isTaxFree(d.acquired, d.disposed, taxClass)
+  };
+}
+
+// ===== Open lots =====
+// Open lots of a position annotated with the day each becomes tax-free
+export function getTaxStatus(p: Position, taxClass: TaxAssetClass | undefined, date: string = todayKey()): PositionTaxStatus {
+  const lots: TaxLotStatus[] = p.lots.map(l => ({
+    ...l,
+    tax_free_from: taxFreeFrom(l.date, taxClass),
+    tax_free: isTaxFree(l.date, date, taxClass)
+  }));
+  const taxFreeQuantity = lots.filter(l => l.tax_free).reduce((sum, l) => sum + l.quantity, 0);
+
+  // Average cost closes part of every lot, so a sale is only tax-free when every lot is
+  let sellable = 0;
+  if (p.cost_basis_method === 'average') {
+    sellable = lots.every(l => l.tax_free) ? taxFreeQuantity : 0;
+  } else {
+    for (const lot of orderLots(lots, p.cost_basis_method)) {
+      if (!lot.tax_free) break;
+      sellable += lot.quantity;
+    }
+  }
+  return { tax_class: taxClass ? taxClass.name : null, lots, tax_free_quantity: taxFreeQuantity, sellable_tax_free_quantity: sellable };
+}
+
+// ===== Report =====
+function emptyTotals(): RealizedTotals {
+  return { count: 0, proceeds: 0, cost_basis: 0, fees: 0, gain: 0 };
+}
+
+function addToTotals(totals: RealizedTotals, row: RealizedGainRow): void {
+  totals.count++;
+  totals.proceeds += row.proceeds as number;
+  totals.cost_basis += row.cost_basis as number;
+  totals.fees += row.fees as number;
+  totals.gain += row.gain as number;
+}
+
+// Groups closing trades by tax year (the calendar year of the disposal) and holding period
+export function summarizeByTaxYear(rows: RealizedGainRow[]): TaxYearSummary[] {
+  const years: Record<number, TaxYearSummary> = {};
+  for (const row of rows) {
+    if (row.gain === null) continue;
+    if (!years[row.tax_year]) {
+      years[row.tax_year] = { year: row.tax_year, short_term: emptyTotals(), long_term: emptyTotals(), total: emptyTotals(), taxable_gain: 0 };
+    }
+    const summary = years[row.tax_year];
+    addToTotals(row.term === 'long' ? summary.long_term : summary.short_term, row);
+    addToTotals(summary.total, row);
+    if (!row.tax_free) summary.taxable_gain += row.gain;
+  }
+  return Object.values(years).sort((a, b) => b.year - a.year);
+}
+
+function loadRealizedGainRows(profile: TaxProfile, context: WealthContext, accountId?: number | string): RealizedGainRow[] {
+  const accountTypes = loadAccountTypes();
+  return toDisposals(buildLedger(undefined, accountId, context))
+    .map(d => toRealizedGainRow(d, findTaxClass(profile, accountTypes[d.account_id]), profile.long_term_months));
+}
+
+// Every closing trade with its cost from the lots it closed, optionally for one tax year or account
+export function getRealizedGainsReport(year?: number, accountId?: number | string, profile: TaxProfile = getTaxProfile()): RealizedGainsReport {
+  const context = loadWealthContext(accountId);
+  const rows = loadRealizedGainRows(profile, context, accountId).filter(r => year === undefined || r.tax_year === year);
+  return {
+    base_currency: context.base_currency,
+    years: summarizeByTaxYear(rows),
+    disposals: rows,
+    unconverted: rows.filter(r => r.gain === null).length
+  };
+}
+
+// ===== Sale estimate =====
+// Sum of the gains of some lots; null when any is unknown
+function sumGains(lots: SaleEstimateLot[]): number | null {
+  return lots.reduce<number | null>((sum, l) => sum === null || l.gain === null ? null : sum + l.gain, 0);
+}
+
+// Estimates the tax on selling `quantity` units on `date` at `price` (by default the symbol's
+// manual valuation or cached quote; a price without currency is in the position's currency).
+// Lots are picked by the account's cost basis method; lots past their holding period are
+// tax-free and the rest is reduced by the allowance left after this tax year's taxable gains in
+// the same asset class. Sale fees are not included.
+export function estimateSale(
+  accountId: number | string, symbol: string, quantity: number, price?: PricePoint, date: string = todayKey(), profile: TaxProfile = getTaxProfile()
+): SaleEstimate {
+  const accountTypes = loadAccountTypes();
+  const taxClass = findTaxClass(profile, accountTypes[Number(accountId)]);
+  const context = loadWealthContext(accountId);
+  const position = toPositions(buildLedger(date, accountId, context)).find(p => p.symbol === symbol);
+  if (!position) throw new Error(`No open position in ${symbol}`);
+  if (quantity > position.quantity + MIN_QUANTITY) throw new Error(`Only ${position.quantity} units of ${symbol} are held`);
+
+  if (!price) {
+    const manual = getSymbolValuation(context.valuations, symbol, date);
+    const cached = db.prepare('SELECT price, currency FROM price_cache WHERE symbol = ?').get(symbol) as PricePoint | undefined;
+    price = manual ? { price: manual.value, currency: manual.currency } : cached;
+  }
+  if (!price) throw new Error(`No price for ${symbol}`);
+  const currency = price.currency || position.currency;
+  const proceeds = convertAmount(quantity * price.price, currency, context.base_currency, context.fx, date);
+  if (proceeds === undefined) throw new Error(`No exchange rate from ${currency} to ${context.base_currency}`);
+
+  const lots: SaleEstimateLot[] = previewSale(position, quantity).map(lot => {
+    const lotProceeds = proceeds * (lot.quantity / quantity);
+    const costBasis = lot.unit_cost_base === null ? null : lot.quantity * lot.unit_cost_base;
+    const fees = lot.unit_fee_base === null ? null : lot.quantity * lot.unit_fee_base;
+    return {
+      acquired: lot.date,
+      quantity: lot.quantity,
+      proceeds: lotProceeds,
+      cost_basis: costBasis,
+      fees,
+      gain: costBasis === null || fees === null ? null : lotProceeds - costBasis - fees,
+      tax_free_from: taxFreeFrom(lot.date, taxClass),
+      tax_free: isTaxFree(lot.date, date, taxClass)
+    };
+  });
+
+  // Taxable gains already realized this tax year by accounts in the same asset class
+  const year = parseInt(date.slice(0, 4));
+  const used = loadRealizedGainRows(profile, loadWealthContext())
+    .filter(r => r.tax_year === year && r.disposed <= date && !r.tax_free && r.gain !== null)
+    .filter(r => findTaxClass(profile, accountTypes[r.account_id]) === taxClass)
+    .reduce((sum, r) => sum + (r.gain as number), 0);
+  const allowanceRemaining = taxClass ? Math.max(0, taxClass.annual_allowance - Math.max(0, used)) : 0;
+
+  const taxableGain = sumGains(lots.filter(l => !l.tax_free));
+  const taxableAfterAllowance = taxableGain === null ? null : Math.max(0, taxableGain - allowanceRemaining);
+  const taxRate = taxClass ? taxClass.tax_rate : 0;
+
+  return {
+    account_id: position.account_id,
+    symbol,
+    date,
+    quantity,
+    price: price.price,
+    currency,
+    base_currency: context.base_currency,
+    tax_class: taxClass ? taxClass.name : null,
+    tax_rate: taxRate,
+    proceeds,
+    gain: sumGains(lots),
+    tax_free_gain: sumGains(lots.filter(l => l.tax_free)),
+    taxable_gain: taxableGain,
+    allowance_remaining: allowanceRemaining,
+    taxable_after_allowance: taxableAfterAllowance,
+    estimated_tax: taxableAfterAllowance === null ? null : taxableAfterAllowance * taxRate,
+    lots
+  };
+}
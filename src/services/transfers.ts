@@ -0,0 +1,121 @@
+import db from '../db/database';
+import { Account, Transaction } from '../types';
+import { markSnapshotsDirty } from './snapshots';
+import { MIN_QUANTITY, getPositions } from './wealth';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Units of `symbol` moved between two accounts. The destination receives quantity - fee_quantity;
+// price defaults to the average cost of the units sent.
+export interface TransferInput {
+  from_account_id: number | string;
+  to_account_id: number | string;
+  symbol: string;
+  quantity: number;
+  fee_quantity?: number;
+  price?: number;
+  date: string;
+  notes?: string;
+}
+
+export interface Transfer {
+  transfer_out: Transaction;
+  transfer_in: Transaction;
+}
+
+// Fields both legs of a transfer share
+const SHARED_FIELDS = ['symbol', 'price', 'currency', 'fx_rate', 'date'] as const;
+
+function getTransaction(id: number | bigint): Transaction {
+  return db.prepare('SELECT * FROM transactions WHERE id = ?').get(id) as Transaction;
+}
+
+function getAccount(id: number | string, label: string): Account {
+  const account = db.prepare('SELECT * FROM accounts WHERE id = ?').get(id) as Account | undefined;
+  if (!account) throw new Error(`Unknown ${label} account: ${id}`);
+  return account;
+}
+
+function positiveNumber(value: unknown, name: string): number {
+  const number = Number(value);
+  if (value === null || value === '' || !isFinite(number) || number <= 0) throw new Error(`${name} must be a positive number`);
+  return number;
+}
+
+// ===== Create =====
+// Books both legs at once: the transfer out closes lots in the source account in its cost basis
+// order, and the transfer in opens them in the destination with their dates and costs
+export function createTransfer(input: TransferInput): Transfer {
+  const from = getAccount(input.from_account_id, 'source');
+  const to = getAccount(input.to_account_id, 'destination');
+  if (from.id === to.id) throw new Error('A transfer needs two different accounts');
+  const symbol = String(input.symbol || '').trim().toUpperCase();
+  if (!symbol) throw new Error('symbol is required');
+  if (!input.date || !DATE_PATTERN.test(input.date)) throw new Error('date required (YYYY-MM-DD)');
+  const quantity = positiveNumber(input.quantity, 'quantity');
+  const feeQuantity = input.fee_quantity ? Number(input.fee_quantity) : 0;
+  if (!isFinite(feeQuantity) || feeQuantity < 0 || feeQuantity >= quantity) {
+    throw new Error('fee_quantity must be at least 0 and less than quantity');
+  }
+
+  const position = getPositions(input.date, from.id).find(p => p.symbol === symbol);
+  if (!position || position.quantity + MIN_QUANTITY < quantity) {
+    throw new Error(`Only ${position ? position.quantity : 0} ${symbol} held in ${from.name} on ${input.date}`);
+  }
+  const price = input.price !== undefined && input.price !== null ? positiveNumber(input.price, 'price') : position.avg_cost;
+
+  const insert = db.prepare(`
+    INSERT INTO transactions (account_id, symbol, type, quantity, price, fee, currency, date, notes)
+    VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?)
+  `);
+  const link = db.prepare('UPDATE transactions SET linked_id = ? WHERE id = ?');
+  const fee = feeQuantity ? ` (network fee ${feeQuantity} ${symbol})` : '';
+  const ids = db.transaction(() => {
+    const outId = insert.run(from.id, symbol, 'transfer_out', quantity, price, position.currency, input.date, input.notes || `Transfer to ${to.name}${fee}`).lastInsertRowid;
+    const inId = insert.run(to.id, symbol, 'transfer_in', quantity - feeQuantity, price, position.currency, input.date, input.notes || `Transfer from ${from.name}${fee}`).lastInsertRowid;
+    link.run(inId, outId);
+    link.run(outId, inId);
+    return { outId, inId };
+  })();
+
+  markSnapshotsDirty(input.date);
+  return { transfer_out: getTransaction(ids.outId), transfer_in: getTransaction(ids.inId) };
+}
+
+// ===== Linked legs =====
+export function getLinkedLeg(tx: Pick<Transaction, 'linked_id'>): Transaction | undefined {
+  if (!tx.linked_id) return undefined;
+  return db.prepare('SELECT * FROM transactions WHERE id = ?').get(tx.linked_id) as Transaction | undefined;
+}
+
+// Throws unless the source account of an edited transfer out holds the units it now sends on its
+// date. The units the leg sent before its edit are still booked, so they are counted back in.
+function checkUnitsHeld(leg: Transaction, edited: Transaction, quantity: number): void {
+  const from = getAccount(edited.account_id, 'source');
+  const date = String(edited.date).split('T')[0];
+  const position = getPositions(date, from.id).find(p => p.symbol === edited.symbol);
+  const booked = leg.account_id === from.id && leg.symbol === edited.symbol && leg.date.split('T')[0] <= date;
+  const held = (position ? position.quantity : 0) + (booked ? leg.quantity : 0);
+  if (held + MIN_QUANTITY < quantity) throw new Error(`Only ${held} ${edited.symbol} held in ${from.name} on ${date}`);
+}
+
+// The update an edit of one leg makes to the other: the shared fields follow, and a changed
+// quantity sent changes the quantity received by as much, so the network fee stays the same.
+// Throws for edits that would break the pair.
+export function linkedLegUpdate(leg: Transaction, edited: Transaction): Partial<Transaction> | undefined {
+  const other = getLinkedLeg(leg);
+  if (!other) return undefined;
+  if (edited.type !== leg.type) throw new Error('The legs of a transfer keep their types; delete the transfer instead');
+  if (Number(edited.account_id) === other.account_id) throw new Error('A transfer needs two different accounts');
+
+  const update: Partial<Transaction> = {};
+  for (const field of SHARED_FIELDS) (update as Record<string, unknown>)[field] = edited[field];
+  const quantity = Number(edited.quantity);
+  const sent = leg.type === 'transfer_out' ? quantity : other.quantity;
+  const received = leg.type === 'transfer_in' ? quantity : other.quantity + quantity - leg.quantity;
+  if (leg.type === 'transfer_out') update.quantity = received;
+  if (!(received > 0)) throw new Error('A transfer must receive some units; lower the network fee');
+  if (received > sent + MIN_QUANTITY) throw new Error('A transfer cannot receive more units than it sends');
+  if (leg.type === 'transfer_out' && quantity > leg.quantity) checkUnitsHeld(leg, edited, quantity);
+  return update;
+}
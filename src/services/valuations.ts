@@ -0,0 +1,66 @@
+import db from '../db/database';
+import { HistoricalPrice, Valuation } from '../types';
+
+// All valuations grouped by what they value, each series sorted by date ascending
+export interface ValuationBook {
+  symbols: Record<string, Valuation[]>;
+  accounts: Record<number, Valuation[]>;
+}
+
+// ===== Loading =====
+export function loadValuations(): ValuationBook {
+  const rows = db.prepare('SELECT * FROM valuations ORDER BY date ASC, id ASC').all() as Valuation[];
+  const book: ValuationBook = { symbols: {}, accounts: {} };
+  for (const v of rows) {
+    if (v.account_id !== null && v.account_id !== undefined) {
+      if (!book.accounts[v.account_id]) book.accounts[v.account_id] = [];
+      book.accounts[v.account_id].push(v);
+    } else if (v.symbol) {
+      if (!book.symbols[v.symbol]) book.symbols[v.symbol] = [];
+      book.symbols[v.symbol].push(v);
+    }
+  }
+  return book;
+}
+
+// ===== Lookup =====
+// Latest valuation dated on or before `date`; later entries on the same date win
+export function latestValuation(series: Valuation[] | undefined, date: string): Valuation | undefined {
+  if (!series) return undefined;
+  let found: Valuation | undefined;
+  for (const v of series) {
+    if (v.date > date) break;
+    found = v;
+  }
+  return found;
+}
+
+export function getSymbolValuation(book: ValuationBook, symbol: string, date: string): Valuation | undefined {
+  return latestValuation(book.symbols[symbol], date);
+}
+
+export function getAccountValuation(book: ValuationBook, accountId: number, date: string): Valuation | undefined {
+  return latestValuation(book.accounts[accountId], date);
+}
+
+// Symbols whose price comes from manual valuations instead of a price provider
+export function getManuallyValuedSymbols(book: ValuationBook = loadValuations()): string[] {
+  return Object.keys(book.symbols);
+}
+
+// Step series for charting: the value carried into `start`, every change in range, and `end`
+export function valuationTimeline(series: Valuation[], start: string, end: string): HistoricalPrice[] {
+  const points: HistoricalPrice[] = [];
+  const opening = latestValuation(series, start);
+  if (opening) points.push({ date: start, close: opening.value, currency: opening.currency });
+  for (const v of series) {
+    if (v.date <= start || v.date > end) continue;
+    if (points.length && points[points.length - 1].date === v.date) points.pop();
+    points.push({ date: v.date, close: v.value, currency: v.currency });
+  }
+  const closing = latestValuation(series, end);
+  if (closing && points.length && points[points.length - 1].date < end) {
+    points.push({ date: end, close: closing.value, currency: closing.currency });
+  }
+  return points;
+}
@@ -0,0 +1,640 @@
+import db from '../db/database';
+import { CostBasisMethod, Transaction, User } from '../types';
+import { FxBook, findConversion, loadFxBook } from './fx';
+import { ValuationBook, getAccountValuation, getSymbolValuation, loadValuations } from './valuations';
+
+export const MIN_QUANTITY = 0.00000001;
+
+export interface PositionTransaction extends Pick<Transaction, 'account_id' | 'symbol' | 'type' | 'quantity' | 'price' | 'fee' | 'currency' | 'fx_rate' | 'withholding_tax' | 'date'> {
+  account_name: string;
+  account_currency: string;
+  cost_basis_method: CostBasisMethod;
+  id?: number;
+  // The other leg of a linked transfer and its account
+  linked_id?: number | null;
+  linked_account_id?: number | null;
+}
+
+export const COST_BASIS_METHODS: CostBasisMethod[] = ['fifo', 'lifo', 'hifo', 'average'];
+
+// The open part of a buy or transfer_in. Unit costs exclude fees, like avg_cost.
+export interface TaxLot {
+  date: string;
+  quantity: number;
+  // In the position's local currency
+  unit_cost: number;
+  // In the base currency at the execution rate or the rate on the lot's date; null when unconvertible
+  unit_cost_base: number | null;
+  // Acquisition fee per unit in the base currency
+  unit_fee_base: number | null;
+}
+
+// The part of a sale that closed one lot, in the base currency. Fees are the lot's share of its
+// acquisition fee plus the matching share of the sale fee, and gain is proceeds - cost - fees.
+// Amounts are null when unconvertible.
+export interface Disposal {
+  symbol: string;
+  account_id: number;
+  account_name: string;
+  currency: string;
+  // Null for quantity sold beyond the open lots
+  acquired: string | null;
+  disposed: string;
+  quantity: number;
+  proceeds: number | null;
+  cost_basis: number | null;
+  fees: number | null;
+  gain: number | null;
+}
+
+export interface Position {
+  symbol: string;
+  account_id: number;
+  account_name: string;
+  account_currency: string;
+  // Local currency: the settlement currency of the first trade. avg_cost is in this currency,
+  // with trades settled in other currencies converted at the rate on their date.
+  currency: string;
+  quantity: number;
+  // Average unit cost of the open lots
+  avg_cost: number;
+  // The same in the base currency; null when some open lot could not be converted
+  avg_cost_base: number | null;
+  // Fees paid and dividends or interest received net of withholding tax, in the base currency
+  // (null when unconvertible)
+  fees_base: number | null;
+  income_base: number | null;
+  // Gains from sales so far, against the cost of the lots each sale closed
+  realized: GainSplit | null;
+  cost_basis_method: CostBasisMethod;
+  lots: TaxLot[];
+}
+
+// A gain in the base currency split into the move of the asset in its local currency (price)
+// and the move of the local currency against the base currency since purchase (fx)
+export interface GainSplit {
+  total: number;
+  price: number;
+  fx: number;
+}
+
+export interface PricePoint {
+  price: number;
+  currency: string;
+}
+
+export interface AccountWealth {
+  account_id: number;
+  account_name: string;
+  // Including cash, which also counts at its value in cost_basis
+  market_value: number;
+  cost_basis: number;
+  cash: number;
+  holdings_count: number;
+  unrealized: GainSplit;
+  valuation_date?: string;
+}
+
+export interface HoldingGain {
+  symbol: string;
+  account_id: number;
+  currency: string;
+  market_value: number;
+  cost_basis: number;
+  unrealized: GainSplit;
+}
+
+export interface RealizedGain {
+  symbol: string;
+  account_id: number;
+  account_name: string;
+  currency: string;
+  sold_quantity: number;
+  realized: GainSplit | null;
+}
+
+// A holding or account valuation left out of the totals because no rate converts it
+export interface UnconvertedHolding {
+  symbol: string | null;
+  account_id: number;
+  account_name: string;
+  currency: string;
+  base_currency: string;
+}
+
+export interface WealthSummary {
+  date: string;
+  total_wealth: number;
+  total_cost: number;
+  cash: number;
+  base_currency: string;
+  accounts: AccountWealth[];
+  holdings_count: number;
+  holdings: HoldingGain[];
+  unrealized: GainSplit;
+  unconverted: UnconvertedHolding[];
+}
+
+// Everything besides positions and market prices that valuing a portfolio depends on
+export interface WealthContext {
+  base_currency: string;
+  fx: FxBook;
+  valuations: ValuationBook;
+  accounts: Array<{ id: number; name: string; currency: string }>;
+  // Day of each account's first deposit or withdrawal, from which on it keeps a cash balance
+  cash_since: Record<number, string>;
+}
+
+// ===== Positions =====
+// Running per-account, per-symbol totals. Buys and transfers in open lots; sales and transfers
+// out close them in the order of the account's cost basis method.
+interface PositionTotals extends Omit<Position, 'avg_cost' | 'avg_cost_base'> {
+  sold_quantity: number;
+  disposals: Disposal[];
+}
+
+export type PositionLedger = Record<string, PositionTotals>;
+
+// Lots closed by each linked transfer out (by transaction id), for its transfer in to open
+const transferredLots = new WeakMap<PositionLedger, Map<number, TaxLot[]>>();
+// The same for every account, replayed once per context for ledgers of a single account, whose
+// transfers in come from accounts they do not replay
+const carriedLots = new WeakMap<WealthContext, Map<number, TaxLot[]>>();
+
+// Adds an amount to a base-currency running total; one unconvertible amount makes it unknown
+function addBase(total: number | null, amount: number | undefined): number | null {
+  return total === null || amount === undefined ? null : total + amount;
+}
+
+// ===== Gain decomposition =====
+export const ZERO_GAIN: GainSplit = { total: 0, price: 0, fx: 0 };
+
+// Splits value - cost (both in base currency) using the purchase rate implied by the cost.
+// The price effect is the local gain at that rate; the rest is the FX effect. Without a local
+// value or cost to compare, the whole gain counts as price effect.
+export function splitGain(valueLocal: number | undefined, costLocal: number, valueBase: number, costBase: number): GainSplit {
+  const total = valueBase - costBase;
+  if (valueLocal === undefined || costLocal <= 0) return { total, price: total, fx: 0 };
+  const price = (valueLocal - costLocal) * (costBase / costLocal);
+  return { total, price, fx: total - price };
+}
+
+export function addGains(a: GainSplit, b: GainSplit): GainSplit {
+  return { total: a.total + b.total, price: a.price + b.price, fx: a.fx + b.fx };
+}
+
+// Amount of a trade in the position's local currency, undefined when no rate connects them
+function toLocal(amount: number, tx: PositionTransaction, p: PositionTotals, context: WealthContext): number | undefined {
+  return convertAmount(amount, tx.currency || tx.account_currency, p.currency, context.fx, tx.date.split('T')[0]);
+}
+
+// ===== Tax lots =====
+// Takes `quantity` off a lot and returns the closed part
+function closeLot(lot: TaxLot, quantity: number): TaxLot {
+  lot.quantity -= quantity;
+  return { ...lot, quantity };
+}
+
+// Lots in the order a method closes them. HIFO ranks by base-currency cost when every lot has one.
+export function orderLots<T extends TaxLot>(lots: T[], method: CostBasisMethod): T[] {
+  if (method === 'lifo') return [...lots].reverse();
+  if (method === 'hifo') {
+    const inBase = lots.every(l => l.unit_cost_base !== null);
+    return [...lots].sort((a, b) => inBase ? (b.unit_cost_base as number) - (a.unit_cost_base as number) : b.unit_cost - a.unit_cost);
+  }
+  return lots;
+}
+
+// Closes `quantity` from the open lots and returns the closed parts. Average cost takes the same
+// share of every lot, which keeps each remaining lot at its own cost while the position's average
+// stays unchanged.
+function closeLots(p: Pick<PositionTotals, 'lots' | 'cost_basis_method'>, quantity: number): TaxLot[] {
+  const closed: TaxLot[] = [];
+  if (p.cost_basis_method === 'average') {
+    const held = p.lots.reduce((sum, l) => sum + l.quantity, 0);
+    const share = held > 0 ? Math.min(quantity / held, 1) : 0;
+    for (const lot of p.lots) closed.push(closeLot(lot, lot.quantity * share));
+  } else {
+    let remaining = quantity;
+    for (const lot of orderLots(p.lots, p.cost_basis_method)) {
+      if (remaining <= MIN_QUANTITY) break;
+      const part = Math.min(lot.quantity, remaining);
+      closed.push(closeLot(lot, part));
+      remaining -= part;
+    }
+  }
+  p.lots = p.lots.filter(l => l.quantity > MIN_QUANTITY);
+  return closed;
+}
+
+// Lots a sale of `quantity` would close, leaving the position itself unchanged
+export function previewSale(p: Pick<Position, 'lots' | 'cost_basis_method'>, quantity: number): TaxLot[] {
+  return closeLots({ lots: p.lots.map(l => ({ ...l })), cost_basis_method: p.cost_basis_method }, quantity);
+}
+
+// Base-currency total of a per-unit amount over lots; null when any lot lacks it
+function sumLots(lots: TaxLot[], unit: (l: TaxLot) => number | null): number | null {
+  return lots.reduce<number | null>((sum, l) => {
+    const value = unit(l);
+    return addBase(sum, value === null ? undefined : l.quantity * value);
+  }, 0);
+}
+
+// Average unit cost of the open lots, in local currency or (null when unconvertible) base currency
+function lotAverages(lots: TaxLot[]): { avg_cost: number; avg_cost_base: number | null } {
+  const quantity = lots.reduce((sum, l) => sum + l.quantity, 0);
+  if (quantity <= 0) return { avg_cost: 0, avg_cost_base: 0 };
+  const cost = lots.reduce((sum, l) => sum + l.quantity * l.unit_cost, 0);
+  const costBase = sumLots(lots, l => l.unit_cost_base);
+  return { avg_cost: cost / quantity, avg_cost_base: costBase === null ? null : costBase / quantity };
+}
+
+// ===== Ledger =====
+// Records the disposal of each closed lot and adds the sale to the realized gain. Quantity sold
+// beyond the open lots has no known cost and counts at zero.
+function realizeSale(p: PositionTotals, tx: PositionTransaction, closed: TaxLot[], context: WealthContext): void {
+  p.sold_quantity += tx.quantity;
+  const uncovered = tx.quantity - closed.reduce((sum, l) => sum + l.quantity, 0);
+  if (uncovered > MIN_QUANTITY) closed.push({ date: '', quantity: uncovered, unit_cost: 0, unit_cost_base: 0, unit_fee_base: 0 });
+
+  const proceedsBase = transactionToBase(tx.quantity * tx.price, tx, context);
+  const feeBase = transactionToBase(tx.fee || 0, tx, context);
+  for (const lot of closed) {
+    const share = lot.quantity / tx.quantity;
+    const proceeds = proceedsBase === undefined ? null : proceedsBase * share;
+    const costBasis = lot.unit_cost_base === null ? null : lot.quantity * lot.unit_cost_base;
+    const fees = lot.unit_fee_base === null || feeBase === undefined ? null : lot.quantity * lot.unit_fee_base + feeBase * share;
+    p.disposals.push({
+      symbol: p.symbol,
+      account_id: p.account_id,
+      account_name: p.account_name,
+      currency: p.currency,
+      acquired: lot.date || null,
+      disposed: tx.date.split('T')[0],
+      quantity: lot.quantity,
+      proceeds,
+      cost_basis: costBasis,
+      fees,
+      gain: proceeds === null || costBasis === null || fees === null ? null : proceeds - costBasis - fees
+    });
+  }
+
+  if (p.realized === null) return;
+  const costBase = sumLots(closed, l => l.unit_cost_base);
+  if (costBase === null || proceedsBase === undefined) {
+    p.realized = null;
+    return;
+  }
+  const cost = closed.reduce((sum, l) => sum + l.quantity * l.unit_cost, 0);
+  const proceedsLocal = toLocal(tx.quantity * tx.price, tx, p, context);
+  p.realized = addGains(p.realized, splitGain(proceedsLocal, cost, proceedsBase, costBase));
+}
+
+// Opens a lot of `quantity` units at the transaction's price
+function openLot(p: PositionTotals, tx: PositionTransaction, quantity: number, feeBase: number | undefined, context: WealthContext): void {
+  const local = toLocal(tx.price, tx, p, context);
+  const base = transactionToBase(tx.price, tx, context);
+  p.lots.push({
+    date: tx.date.split('T')[0],
+    quantity,
+    unit_cost: local === undefined ? tx.price : local,
+    unit_cost_base: base === undefined ? null : base,
+    unit_fee_base: feeBase === undefined ? null : quantity > 0 ? feeBase / quantity : 0
+  });
+}
+
+// Opens the lots a linked transfer out closed, keeping their dates and costs. Units lost to a
+// network fee take the same share of every lot, and their cost becomes a fee of the position.
+// Units received beyond the lots sent open at the transfer's price.
+function receiveLots(p: PositionTotals, tx: PositionTransaction, lots: TaxLot[], context: WealthContext): void {
+  const sent = lots.reduce((sum, l) => sum + l.quantity, 0);
+  const share = sent > 0 ? Math.min(tx.quantity / sent, 1) : 0;
+  const lost = lots.map(l => ({ ...l, quantity: l.quantity * (1 - share) }));
+  p.fees_base = addBase(p.fees_base, sumLots(lost, l => l.unit_cost_base === null || l.unit_fee_base === null ? null : l.unit_cost_base + l.unit_fee_base) ?? undefined);
+  for (const lot of lots) {
+    if (lot.quantity * share > MIN_QUANTITY) p.lots.push({ ...lot, quantity: lot.quantity * share });
+  }
+  p.quantity += tx.quantity;
+  const uncovered = tx.quantity - sent * share;
+  if (uncovered > MIN_QUANTITY) openLot(p, tx, uncovered, 0, context);
+}
+
+// With a cash ledger, also moves the cash of accounts that keep one
+export function applyTransaction(ledger: PositionLedger, tx: PositionTransaction, context: WealthContext, cash?: CashLedger): void {
+  if (cash) applyCash(cash, tx, context);
+  if (CASH_TYPES.includes(tx.type)) return;
+  const key = `${tx.account_id}:${tx.symbol}`;
+  if (!ledger[key]) {
+    ledger[key] = {
+      symbol: tx.symbol,
+      account_id: tx.account_id,
+      account_name: tx.account_name,
+      account_currency: tx.account_currency,
+      currency: tx.currency || tx.account_currency,
+      quantity: 0,
+      sold_quantity: 0,
+      fees_base: 0,
+      income_base: 0,
+      realized: { ...ZERO_GAIN },
+      disposals: [],
+      cost_basis_method: COST_BASIS_METHODS.includes(tx.cost_basis_method) ? tx.cost_basis_method : 'fifo',
+      lots: []
+    };
+  }
+  const p = ledger[key];
+  const feeBase = transactionToBase(tx.fee || 0, tx, context);
+  if (tx.fee) p.fees_base = addBase(p.fees_base, feeBase);
+
+  if (tx.type === 'buy' || (tx.type === 'transfer_in' && !tx.linked_id)) {
+    p.quantity += tx.quantity;
+    openLot(p, tx, tx.quantity, feeBase, context);
+  } else if (tx.type === 'transfer_in' && tx.linked_id) {
+    receiveLots(p, tx, transferredLots.get(ledger)?.get(tx.linked_id) || lotsCarried(context).get(tx.linked_id) || [], context);
+  } else if (['sell', 'transfer_out'].includes(tx.type)) {
+    const closed = closeLots(p, tx.quantity);
+    if (tx.type === 'sell') realizeSale(p, tx, closed, context);
+    if (tx.type === 'transfer_out' && tx.linked_id && tx.id !== undefined) {
+      if (!transferredLots.has(ledger)) transferredLots.set(ledger, new Map());
+      (transferredLots.get(ledger) as Map<number, TaxLot[]>).set(tx.id, closed);
+    }
+    p.quantity -= tx.quantity;
+  } else if (['dividend', 'interest'].includes(tx.type)) {
+    p.income_base = addBase(p.income_base, transactionToBase(tx.quantity * tx.price - (tx.withholding_tax || 0), tx, context));
+  } else if (tx.type === 'fee') {
+    p.fees_base = addBase(p.fees_base, transactionToBase(tx.quantity * tx.price, tx, context));
+  }
+}
+
+export function toPositions(ledger: PositionLedger): Position[] {
+  return Object.values(ledger)
+    .filter(p => p.quantity > MIN_QUANTITY)
+    .map(p => ({
+      symbol: p.symbol,
+      account_id: p.account_id,
+      account_name: p.account_name,
+      account_currency: p.account_currency,
+      currency: p.currency,
+      quantity: p.quantity,
+      ...lotAverages(p.lots),
+      fees_base: p.fees_base,
+      income_base: p.income_base,
+      realized: p.realized,
+      cost_basis_method: p.cost_basis_method,
+      lots: p.lots.map(l => ({ ...l }))
+    }));
+}
+
+// Every closing trade in the ledger, in the order of the sales
+export function toDisposals(ledger: PositionLedger): Disposal[] {
+  return Object.values(ledger).flatMap(p => p.disposals).sort((a, b) => a.disposed.localeCompare(b.disposed));
+}
+
+// Realized gains of every position with sales, including positions sold off completely
+export function toRealizedGains(ledger: PositionLedger): RealizedGain[] {
+  return Object.values(ledger)
+    .filter(p => p.sold_quantity > 0)
+    .map(p => ({
+      symbol: p.symbol,
+      account_id: p.account_id,
+      account_name: p.account_name,
+      currency: p.currency,
+      sold_quantity: p.sold_quantity,
+      realized: p.realized
+    }));
+}
+
+export function loadPositionTransactions(accountId?: number | string): PositionTransaction[] {
+  let query = `
+    SELECT t.id, t.account_id, t.symbol, t.type, t.quantity, t.price, t.fee, t.currency, t.fx_rate, t.withholding_tax, t.date,
+      t.linked_id, l.account_id as linked_account_id, a.name as account_name, a.currency as account_currency, a.cost_basis_method
+    FROM transactions t
+    JOIN accounts a ON t.account_id = a.id
+    LEFT JOIN transactions l ON l.id = t.linked_id`;
+  const params: (string | number)[] = [];
+  if (accountId !== undefined) {
+    query += ' WHERE t.account_id = ?';
+    params.push(accountId);
+  }
+  query += ' ORDER BY t.date ASC, t.id ASC';
+  return db.prepare(query).all(...params) as PositionTransaction[];
+}
+
+// Replays every account the first time a context needs lots from another account. The map is
+// stored first, so a transfer in replayed before its transfer out finds none instead of recursing.
+function lotsCarried(context: WealthContext): Map<number, TaxLot[]> {
+  let lots = carriedLots.get(context);
+  if (lots) return lots;
+  lots = new Map();
+  carriedLots.set(context, lots);
+  for (const [id, closed] of transferredLots.get(buildLedger(undefined, undefined, context)) || []) lots.set(id, closed);
+  return lots;
+}
+
+// Ledger of every position as of the end of `date` (or now), filling `cash` when given
+export function buildLedger(date?: string, accountId?: number | string, context: WealthContext = loadWealthContext(accountId), cash?: CashLedger): PositionLedger {
+  const ledger: PositionLedger = {};
+  for (const tx of loadPositionTransactions(accountId)) {
+    if (date && tx.date.split('T')[0] > date) break;
+    applyTransaction(ledger, tx, context, cash);
+  }
+  return ledger;
+}
+
+// Open positions as of the end of `date` (or now)
+export function getPositions(date?: string, accountId?: number | string, context: WealthContext = loadWealthContext(accountId)): Position[] {
+  return toPositions(buildLedger(date, accountId, context));
+}
+
+// ===== Cash =====
+// An account keeps cash from its first deposit or withdrawal on. Trades before it, and in accounts
+// without any, are paid from outside the account as before cash was tracked.
+export const CASH_TYPES: Array<Transaction['type']> = ['deposit', 'withdrawal'];
+
+export interface CashBalance {
+  account_id: number;
+  account_name: string;
+  currency: string;
+  // Negative when the account is overdrawn
+  balance: number;
+}
+
+// Balances per account and currency
+export type CashLedger = Record<string, CashBalance>;
+
+export function tracksCash(tx: Pick<PositionTransaction, 'account_id' | 'date'>, context: WealthContext): boolean {
+  const since = context.cash_since[tx.account_id];
+  return since !== undefined && tx.date.split('T')[0] >= since;
+}
+
+// Cash a transaction adds to its account in the settlement currency (negative when it takes cash):
+// sales, income and deposits net of fees and withholding tax, less buys, fees and withdrawals.
+// Transfers move units, so only their fee is paid in cash.
+export function cashMovement(tx: PositionTransaction): number {
+  const amount = tx.quantity * tx.price;
+  const fee = tx.fee || 0;
+  switch (tx.type) {
+    case 'buy':
+    case 'fee':
+    case 'withdrawal':
+      return -amount - fee;
+    case 'sell':
+    case 'deposit':
+      return amount - fee;
+    case 'dividend':
+    case 'interest':
+      return amount - fee - (tx.withholding_tax || 0);
+    default:
+      return -fee;
+  }
+}
+
+export function applyCash(cash: CashLedger, tx: PositionTransaction, context: WealthContext): void {
+  if (!tracksCash(tx, context)) return;
+  const currency = tx.currency || tx.account_currency;
+  const key = `${tx.account_id}:${currency}`;
+  if (!cash[key]) cash[key] = { account_id: tx.account_id, account_name: tx.account_name, currency, balance: 0 };
+  cash[key].balance += cashMovement(tx);
+}
+
+// Non-zero balances by account, then currency
+export function toCashBalances(cash: CashLedger): CashBalance[] {
+  return Object.values(cash)
+    .filter(c => Math.abs(c.balance) > MIN_QUANTITY)
+    .sort((a, b) => a.account_id - b.account_id || a.currency.localeCompare(b.currency))
+    .map(c => ({ ...c }));
+}
+
+// Cash of every account that keeps it, as of the end of `date` (or now)
+export function getCashBalances(date?: string, accountId?: number | string, context: WealthContext = loadWealthContext(accountId)): CashBalance[] {
+  const cash: CashLedger = {};
+  buildLedger(date, accountId, context, cash);
+  return toCashBalances(cash);
+}
+
+// ===== Currency =====
+export function getBaseCurrency(): string {
+  const user = db.prepare('SELECT base_currency FROM users LIMIT 1').get() as User | undefined;
+  return user ? user.base_currency : 'EUR';
+}
+
+// Converts at the rate in effect on `date` (the current rate without one), through inverse or
+// intermediate rates when needed. Undefined when no rate connects the currencies.
+export function convertAmount(amount: number, from: string, to: string, fx: FxBook, date?: string): number | undefined {
+  if (!from || from === to) return amount;
+  const conversion = findConversion(fx, from, to, date);
+  return conversion ? amount * conversion.rate : undefined;
+}
+
+// An amount in a transaction's settlement currency (the account currency when unset) in the base
+// currency: at the recorded execution rate, otherwise at the rate in effect on its date
+export function transactionToBase(amount: number, tx: PositionTransaction, context: WealthContext): number | undefined {
+  const currency = tx.currency || tx.account_currency;
+  if (currency === context.base_currency) return amount;
+  if (tx.fx_rate && tx.fx_rate > 0) return amount * tx.fx_rate;
+  return convertAmount(amount, currency, context.base_currency, context.fx, tx.date.split('T')[0]);
+}
+
+export function loadWealthContext(accountId?: number | string): WealthContext {
+  let accounts = db.prepare('SELECT id, name, currency FROM accounts').all() as WealthContext['accounts'];
+  if (accountId !== undefined) accounts = accounts.filter(a => String(a.id) === String(accountId));
+  const firstCash = db.prepare(`
+    SELECT account_id, MIN(substr(date, 1, 10)) AS since FROM transactions
+    WHERE type IN (${CASH_TYPES.map(() => '?').join(', ')}) GROUP BY account_id
+  `).all(...CASH_TYPES) as Array<{ account_id: number; since: string }>;
+  return {
+    base_currency: getBaseCurrency(),
+    fx: loadFxBook(),
+    valuations: loadValuations(),
+    accounts,
+    cash_since: Object.fromEntries(firstCash.map(c => [c.account_id, c.since]))
+  };
+}
+
+// ===== Valuation =====
+// Values positions and cash on `date`. A symbol's latest manual valuation on or before the date
+// replaces its market price, and an account's latest valuation replaces the market value of the
+// account. Holdings that cannot be converted to the base currency are left out of the totals and
+// listed in `unconverted`.
+export function valuePositions(date: string, positions: Position[], prices: Record<string, PricePoint>, context: WealthContext, cash: CashBalance[] = []): WealthSummary {
+  const { base_currency: baseCurrency, fx, valuations } = context;
+  const accountSummaries: Record<number, AccountWealth> = {};
+  const holdings: HoldingGain[] = [];
+  const unconverted: UnconvertedHolding[] = [];
+  const accountSummary = (id: number, name: string): AccountWealth => {
+    if (!accountSummaries[id]) {
+      accountSummaries[id] = { account_id: id, account_name: name, market_value: 0, cost_basis: 0, cash: 0, holdings_count: 0, unrealized: { ...ZERO_GAIN } };
+    }
+    return accountSummaries[id];
+  };
+
+  for (const p of positions) {
+    const manual = getSymbolValuation(valuations, p.symbol, date);
+    const priceData = manual ? { price: manual.value, currency: manual.currency } : prices[p.symbol] || { price: 0, currency: 'USD' };
+    const priceCurrency = priceData.currency || 'USD';
+    const marketValue = convertAmount(p.quantity * priceData.price, priceCurrency, baseCurrency, fx, date);
+
+    if (marketValue === undefined || p.avg_cost_base === null) {
+      unconverted.push({
+        symbol: p.symbol,
+        account_id: p.account_id,
+        account_name: p.account_name,
+        currency: marketValue === undefined ? priceCurrency : p.currency,
+        base_currency: baseCurrency
+      });
+      continue;
+    }
+    const costBasis = p.quantity * p.avg_cost_base;
+    const valueLocal = convertAmount(p.quantity * priceData.price, priceCurrency, p.currency, fx, date);
+    const unrealized = splitGain(valueLocal, p.quantity * p.avg_cost, marketValue, costBasis);
+    holdings.push({ symbol: p.symbol, account_id: p.account_id, currency: p.currency, market_value: marketValue, cost_basis: costBasis, unrealized });
+
+    const account = accountSummary(p.account_id, p.account_name);
+    account.market_value += marketValue;
+    account.cost_basis += costBasis;
+    account.holdings_count++;
+    account.unrealized = addGains(account.unrealized, unrealized);
+  }
+
+  // Cash has no gain of its own: it counts at its current value in both value and cost
+  for (const c of cash) {
+    const value = convertAmount(c.balance, c.currency, baseCurrency, fx, date);
+    if (value === undefined) {
+      unconverted.push({ symbol: c.currency, account_id: c.account_id, account_name: c.account_name, currency: c.currency, base_currency: baseCurrency });
+      continue;
+    }
+    const account = accountSummary(c.account_id, c.account_name);
+    account.market_value += value;
+    account.cost_basis += value;
+    account.cash += value;
+  }
+
+  for (const account of context.accounts) {
+    const valuation = getAccountValuation(valuations, account.id, date);
+    if (!valuation) continue;
+    const currency = valuation.currency || account.currency;
+    const value = convertAmount(valuation.value, currency, baseCurrency, fx, date);
+    if (value === undefined) {
+      unconverted.push({ symbol: null, account_id: account.id, account_name: account.name, currency, base_currency: baseCurrency });
+      continue;
+    }
+    // A valuation of the whole account replaces its holdings and cash, so its gain cannot be split
+    const summary = accountSummary(account.id, account.name);
+    summary.market_value = value;
+    summary.unrealized = splitGain(undefined, 0, value, summary.cost_basis);
+    summary.valuation_date = valuation.date;
+  }
+
+  const accounts = Object.values(accountSummaries);
+  return {
+    date,
+    total_wealth: accounts.reduce((sum, a) => sum + a.market_value, 0),
+    total_cost: accounts.reduce((sum, a) => sum + a.cost_basis, 0),
+    cash: accounts.reduce((sum, a) => sum + a.cash, 0),
+    base_currency: baseCurrency,
+    accounts,
+    holdings_count: positions.length,
+    holdings,
+    unrealized: accounts.reduce((sum, a) => addGains(sum, a.unrealized), ZERO_GAIN),
+    unconverted
+  };
+}
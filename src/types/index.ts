@@ -26,22 +26,57 @@ export interface Account {
   description: string;
   icon: string;
   color: string;
+  // How sales pick the lots they close: oldest first, newest first, most expensive first or pro rata
+  cost_basis_method: CostBasisMethod;
   created_at: string;
   updated_at: string;
   tags?: Tag[];
 }
 
+export type CostBasisMethod = 'fifo' | 'lifo' | 'hifo' | 'average';
+
+// Tax treatment of the accounts of some types
+export interface TaxAssetClass {
+  name: string;
+  // Account types the class covers; an empty list covers every type no other class claims
+  account_types: string[];
+  // Gains are tax-free once a lot has been held longer than this; null when never
+  tax_free_after_months: number | null;
+  // Taxable gains per tax year that stay untaxed, in the base currency
+  annual_allowance: number;
+  // Rate used to estimate the tax on taxable gains (0.25 = 25%)
+  tax_rate: number;
+}
+
+export interface TaxProfile {
+  name: string;
+  // Holding period after which the realized gains report counts a lot as long-term
+  long_term_months: number;
+  asset_classes: TaxAssetClass[];
+}
+
 export interface Transaction {
   id: number;
   account_id: number;
   symbol: string;
-  type: 'buy' | 'sell' | 'transfer_in' | 'transfer_out' | 'dividend' | 'interest' | 'fee';
+  type: 'buy' | 'sell' | 'transfer_in' | 'transfer_out' | 'dividend' | 'interest' | 'fee' | 'deposit' | 'withdrawal';
+  // Dividends and interest are cash income of quantity * price (the importers record the amount
+  // with price 1); they never change the units held. Deposits and withdrawals move quantity * price
+  // of cash in `currency`, and their symbol is that currency.
   quantity: number;
   price: number;
   fee: number;
+  // Settlement currency of price and fee
   currency: string;
+  // Execution rate from `currency` into the base currency; the market rate on `date` is used without one
+  fx_rate: number | null;
+  // Tax withheld at source from a dividend or interest payment, in `currency`
+  withholding_tax: number;
   date: string;
   notes: string;
+  // The other leg of a transfer between accounts: the transfer_out leg's lots move to the
+  // transfer_in leg, which may receive fewer units after a network fee
+  linked_id: number | null;
   created_at: string;
 }
 
@@ -80,6 +115,20 @@ export interface CurrencyRate {
   from_currency: string;
   to_currency: string;
   rate: number;
+  // 'manual', 'seed' or the name of the provider that last updated it
+  source: string;
+  // Pinned rates are never replaced by automatic updates
+  pinned: number;
+  updated_at: string;
+}
+
+export interface FxRate {
+  id: number;
+  from_currency: string;
+  to_currency: string;
+  date: string;
+  rate: number;
+  source: string;
   updated_at: string;
 }
 
@@ -101,6 +150,109 @@ export interface DailyWealth {
   updated_at: string;
 }
 
+// A dated manual value: per unit for a symbol, or the whole account's value
+export interface Valuation {
+  id: number;
+  symbol: string | null;
+  account_id: number | null;
+  date: string;
+  value: number;
+  currency: string;
+  notes: string;
+  created_at: string;
+}
+
+export type LiabilityType = 'mortgage' | 'loan' | 'credit_card' | 'other';
+
+export type PaymentFrequency = 'weekly' | 'monthly' | 'quarterly' | 'yearly';
+
+// Annuity loans pay the same amount every period; linear loans repay the same principal every
+// period, with the interest on top
+export type Amortization = 'annuity' | 'linear';
+
+// Debt owed: the principal borrowed on start_date at an annual interest rate (in percent), paid
+// down every period from one period after start_date
+export interface Liability {
+  id: number;
+  name: string;
+  type: LiabilityType;
+  currency: string;
+  principal: number;
+  interest_rate: number;
+  start_date: string;
+  payment_amount: number;
+  payment_frequency: PaymentFrequency;
+  amortization: Amortization;
+  notes: string;
+  created_at: string;
+  updated_at: string;
+  repayments?: LiabilityRepayment[];
+}
+
+// A one-off repayment on top of the schedule
+export interface LiabilityRepayment {
+  id: number;
+  liability_id: number;
+  date: string;
+  amount: number;
+  notes: string;
+  created_at: string;
+}
+
+export type RecurringFrequency = 'weekly' | 'monthly' | 'quarterly';
+
+export type RecurringType = 'buy' | 'sell' | 'deposit' | 'withdrawal';
+
+// A transaction booked on a schedule, such as a monthly ETF savings plan or a weekly crypto buy.
+// Either `amount` (money in `currency`) or `quantity` is fixed; without a price the market price
+// on the execution date is looked up.
+export interface RecurringTransaction {
+  id: number;
+  account_id: number;
+  symbol: string;
+  type: RecurringType;
+  amount: number | null;
+  quantity: number | null;
+  price: number | null;
+  fee: number;
+  currency: string;
+  frequency: RecurringFrequency;
+  // Weekday (1 = Monday ... 7 = Sunday) for weekly plans, day of the month for the others; days
+  // past the end of a short month fall on its last day
+  day: number;
+  start_date: string;
+  end_date: string | null;
+  active: number;
+  notes: string;
+  // Executions up to this date have been materialized
+  last_run_date: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export type ExecutionStatus = 'pending' | 'confirmed' | 'skipped';
+
+// One scheduled execution of a recurring transaction. It waits as pending until it is confirmed
+// into a transaction or skipped; quantity and price stay empty when no price could be found.
+export interface RecurringExecution {
+  id: number;
+  recurring_id: number;
+  account_id: number;
+  symbol: string;
+  type: RecurringType;
+  date: string;
+  // Date the plan scheduled it on; `date` changes when the execution is moved
+  scheduled_date: string;
+  quantity: number | null;
+  price: number | null;
+  fee: number;
+  currency: string;
+  status: ExecutionStatus;
+  transaction_id: number | null;
+  error: string | null;
+  created_at: string;
+}
+
 // API request types
 export interface AuthenticatedRequest extends Request {
   session: Session & Partial<SessionData> & {
@@ -115,9 +267,15 @@ export interface Holding {
   quantity: number;
   avg_cost: number;
   total_cost: number;
-  transactions: number;
-  first_date: string;
-  last_date: string;
+  currency?: string;
+  avg_cost_base?: number | null;
+  fees_base?: number | null;
+  income_base?: number | null;
+  transaction_count: number;
+  first_transaction: string;
+  last_transaction: string;
+  // A cash balance: symbol is the currency, quantity the balance and avg_cost 1
+  cash?: boolean;
 }
 
 export interface AccountHolding extends Holding {
@@ -167,6 +325,8 @@ export interface ImportedTransaction {
   price: number;
   fee: number;
   currency: string;
+  fx_rate?: number | null;
+  withholding_tax?: number;
   date: string;
   notes: string;
 }
@@ -194,6 +354,91 @@ export interface HistoricalPrice {
   high?: number;
   low?: number;
   volume?: number;
+  currency?: string;
+}
+
+export interface PriceHistoryRow {
+  symbol: string;
+  date: string;
+  open: number | null;
+  high: number | null;
+  low: number | null;
+  close: number;
+  volume: number | null;
+  currency: string;
+  source: string;
+  updated_at?: string;
+}
+
+export interface SymbolSearchResult {
+  symbol: string;
+  name: string;
+  type: string;
+  exchange: string;
+}
+
+// Price provider types
+export type AssetClass = 'equity' | 'crypto' | 'commodity' | 'currency';
+
+export interface HistoryOptions {
+  period1: string;
+  period2?: string;
+  interval: '1h' | '1d' | '1wk';
+}
+
+export interface PriceProvider {
+  name: string;
+  label: string;
+  quote(symbol: string): Promise<PriceQuote>;
+  quotes(symbols: string[]): Promise<Record<string, PriceQuote>>;
+  history(symbol: string, options: HistoryOptions): Promise<HistoricalPrice[]>;
+  search(query: string): Promise<SymbolSearchResult[]>;
+}
+
+export interface PriceProviderConfig {
+  default: string;
+  asset_classes: Partial<Record<AssetClass, string>>;
+  symbols: Record<string, string>;
+}
+
+// Index symbols the portfolio history is compared against; accounts without a list of their own
+// use the default one
+export interface BenchmarkConfig {
+  default: string[];
+  accounts: Record<string, string[]>;
+}
+
+export interface RiskSettings {
+  // Yearly rate (0.03 = 3%) the Sharpe and Sortino ratios measure excess returns against
+  risk_free_rate: number;
+}
+
+// Background job types
+export interface SchedulerConfig {
+  enabled: boolean;
+  crypto_interval_minutes: number;
+  market_interval_minutes: number;
+  market_weekdays_only: boolean;
+  snapshot_enabled: boolean;
+  snapshot_time: string;
+  fx_enabled: boolean;
+  fx_interval_minutes: number;
+  recurring_enabled: boolean;
+}
+
+export type BackfillStatus = 'running' | 'paused' | 'completed' | 'failed';
+
+export interface BackfillJob {
+  id: number;
+  start_date: string;
+  end_date: string;
+  next_date: string;
+  status: BackfillStatus;
+  processed_days: number;
+  total_days: number;
+  error: string | null;
+  created_at: string;
+  updated_at: string;
 }
 
 // Settings types
@@ -30,6 +30,7 @@ mockDb.exec(`
     description TEXT DEFAULT '',
     icon TEXT DEFAULT 'wallet',
     color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
@@ -37,13 +38,16 @@ mockDb.exec(`
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     account_id INTEGER NOT NULL,
     symbol TEXT NOT NULL,
-    type TEXT NOT NULL CHECK(type IN ('buy','sell','transfer_in','transfer_out','dividend','interest','fee')),
+    type TEXT NOT NULL CHECK(type IN ('buy','sell','transfer_in','transfer_out','dividend','interest','fee','deposit','withdrawal')),
     quantity REAL NOT NULL DEFAULT 0,
     price REAL NOT NULL DEFAULT 0,
     fee REAL DEFAULT 0,
     currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
     date TEXT NOT NULL,
     notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
   );
@@ -107,9 +111,31 @@ mockDb.exec(`
     from_currency TEXT NOT NULL,
     to_currency TEXT NOT NULL,
     rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(from_currency, to_currency)
   );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
   CREATE TABLE IF NOT EXISTS price_cache (
     symbol TEXT PRIMARY KEY,
     price REAL NOT NULL,
@@ -118,6 +144,86 @@ mockDb.exec(`
     change_percent REAL DEFAULT 0,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
+  CREATE TABLE IF NOT EXISTS daily_wealth (
+    date TEXT NOT NULL,
+    total_wealth REAL NOT NULL DEFAULT 0,
+    total_cost REAL NOT NULL DEFAULT 0,
+    base_currency TEXT DEFAULT 'EUR',
+    details TEXT DEFAULT '{}',
+    dirty INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (date)
+  );
+  CREATE TABLE IF NOT EXISTS liabilities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'loan' CHECK(type IN ('mortgage','loan','credit_card','other')),
+    currency TEXT DEFAULT 'EUR',
+    principal REAL NOT NULL DEFAULT 0,
+    interest_rate REAL NOT NULL DEFAULT 0,
+    start_date TEXT NOT NULL,
+    payment_amount REAL NOT NULL DEFAULT 0,
+    payment_frequency TEXT NOT NULL DEFAULT 'monthly' CHECK(payment_frequency IN ('weekly','monthly','quarterly','yearly')),
+    amortization TEXT NOT NULL DEFAULT 'annuity' CHECK(amortization IN ('annuity','linear')),
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS liability_repayments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    liability_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    amount REAL NOT NULL,
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (liability_id) REFERENCES liabilities(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS recurring_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'buy' CHECK(type IN ('buy','sell','deposit','withdrawal')),
+    amount REAL DEFAULT NULL,
+    quantity REAL DEFAULT NULL,
+    price REAL DEFAULT NULL,
+    fee REAL NOT NULL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    frequency TEXT NOT NULL DEFAULT 'monthly' CHECK(frequency IN ('weekly','monthly','quarterly')),
+    day INTEGER NOT NULL DEFAULT 1,
+    start_date TEXT NOT NULL,
+    end_date TEXT DEFAULT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    notes TEXT DEFAULT '',
+    last_run_date TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS recurring_executions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recurring_id INTEGER NOT NULL,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    date TEXT NOT NULL,
+    scheduled_date TEXT NOT NULL,
+    quantity REAL DEFAULT NULL,
+    price REAL DEFAULT NULL,
+    fee REAL NOT NULL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','confirmed','skipped')),
+    transaction_id INTEGER DEFAULT NULL,
+    error TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(recurring_id, scheduled_date),
+    FOREIGN KEY (recurring_id) REFERENCES recurring_transactions(id) ON DELETE CASCADE,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
   CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions(account_id);
   CREATE INDEX IF NOT EXISTS idx_transactions_symbol ON transactions(symbol);
   CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
@@ -156,6 +262,9 @@ beforeAll(async () => {
   const categoriesRoutes = require('../dist/routes/categories').default;
   const tagsRoutes = require('../dist/routes/tags').default;
   const currenciesRoutes = require('../dist/routes/currencies').default;
+  const reportsRoutes = require('../dist/routes/reports').default;
+  const liabilitiesRoutes = require('../dist/routes/liabilities').default;
+  const recurringRoutes = require('../dist/routes/recurring').default;
 
   app.use('/api/auth', authRoutes);
   app.use('/api/accounts', requireAuth, accountsRoutes);
@@ -164,6 +273,9 @@ beforeAll(async () => {
   app.use('/api/categories', requireAuth, categoriesRoutes);
   app.use('/api/tags', requireAuth, tagsRoutes);
   app.use('/api/currencies', requireAuth, currenciesRoutes);
+  app.use('/api/reports', requireAuth, reportsRoutes);
+  app.use('/api/liabilities', requireAuth, liabilitiesRoutes);
+  app.use('/api/recurring', requireAuth, recurringRoutes);
 
   await new Promise((resolve) => {
     server = app.listen(0, resolve);
@@ -263,12 +375,41 @@ describe('Accounts API', () => {
     expect(body.name).toBe('Updated Stock');
   });
 
+  test('PUT /api/accounts/:id validates the cost basis method', async () => {
+    const res = await authFetch(`/api/accounts/${accountId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ cost_basis_method: 'random' })
+    });
+    expect(res.status).toBe(400);
+
+    const updated = await authFetch(`/api/accounts/${accountId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ cost_basis_method: 'hifo' })
+    });
+    expect(await updated.json()).toMatchObject({ name: 'Updated Stock', cost_basis_method: 'hifo' });
+  });
+
   test('DELETE /api/accounts/:id deletes account', async () => {
     const res = await authFetch(`/api/accounts/${accountId}`, { method: 'DELETE' });
     expect(res.status).toBe(200);
     const check = await authFetch(`/api/accounts/${accountId}`);
     expect(check.status).toBe(404);
   });
+
+  test('deleting an account marks snapshots from its first transaction dirty', async () => {
+    const account = await (await authFetch('/api/accounts', { method: 'POST', body: JSON.stringify({ name: 'Closed' }) })).json();
+    await authFetch('/api/transactions', {
+      method: 'POST',
+      body: JSON.stringify({ account_id: account.id, symbol: 'OLD', type: 'buy', quantity: 1, price: 10, date: '2023-03-01' })
+    });
+    const insert = mockDb.prepare('INSERT OR REPLACE INTO daily_wealth (date, total_wealth, dirty) VALUES (?, 1000, 0)');
+    for (const date of ['2023-02-01', '2023-03-01', '2023-04-01']) insert.run(date);
+
+    expect((await authFetch(`/api/accounts/${account.id}`, { method: 'DELETE' })).status).toBe(200);
+    const dirty = mockDb.prepare("SELECT date FROM daily_wealth WHERE dirty = 1 AND date < '2024-01-01' ORDER BY date").all().map(r => r.date);
+    expect(dirty).toEqual(['2023-03-01', '2023-04-01']);
+    mockDb.prepare('DELETE FROM daily_wealth').run();
+  });
 });
 
 describe('Transactions API', () => {
@@ -331,6 +472,228 @@ describe('Transactions API', () => {
     expect(body.quantity).toBe(15);
   });
 
+  test('editing a past transaction marks later snapshots dirty', async () => {
+    const insert = mockDb.prepare('INSERT OR REPLACE INTO daily_wealth (date, total_wealth, dirty) VALUES (?, 1000, 0)');
+    for (const date of ['2024-01-10', '2024-01-20', '2024-02-01']) insert.run(date);
+
+    const res = await authFetch(`/api/transactions/${txId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ quantity: 20 })
+    });
+    expect(res.status).toBe(200);
+
+    const dirty = mockDb.prepare('SELECT date FROM daily_wealth WHERE dirty = 1 ORDER BY date').all().map(r => r.date);
+    expect(dirty).toEqual(['2024-01-20', '2024-02-01']);
+  });
+
+  test('PUT /api/transactions/:id records an execution FX rate', async () => {
+    const res = await authFetch(`/api/transactions/${txId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ fx_rate: 0.91 })
+    });
+    expect(res.status).toBe(200);
+    expect(await res.json()).toMatchObject({ currency: 'USD', fx_rate: 0.91 });
+
+    const invalid = await authFetch(`/api/transactions/${txId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ fx_rate: -1 })
+    });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('GET /api/accounts/:id/holdings reports book values in the base currency', async () => {
+    const res = await authFetch(`/api/accounts/${accountId}/holdings`);
+    const [aapl] = await res.json();
+    expect(aapl).toMatchObject({ symbol: 'AAPL', currency: 'USD' });
+    expect(aapl.avg_cost_base).toBeCloseTo(190 * 0.91);
+  });
+
+  test('POST /api/transactions settles in the account currency by default', async () => {
+    const res = await authFetch('/api/transactions', {
+      method: 'POST',
+      body: JSON.stringify({ account_id: accountId, symbol: 'SAP', type: 'buy', quantity: 1, price: 150, date: '2024-02-01' })
+    });
+    expect(res.status).toBe(201);
+    expect(await res.json()).toMatchObject({ currency: 'EUR', fx_rate: null });
+  });
+
+  test('holdings and lots are costed from the lots left after a partial sale', async () => {
+    for (const tx of [
+      { type: 'buy', quantity: 1, price: 100, date: '2024-03-01' },
+      { type: 'sell', quantity: 1, price: 160, date: '2024-04-01' }
+    ]) {
+      await authFetch('/api/transactions', { method: 'POST', body: JSON.stringify({ account_id: accountId, symbol: 'SAP', ...tx }) });
+    }
+
+    const holdings = await (await authFetch(`/api/accounts/${accountId}/holdings`)).json();
+    expect(holdings.find(h => h.symbol === 'SAP')).toMatchObject({ quantity: 1, avg_cost: 100, total_cost: 100 });
+
+    await authFetch(`/api/accounts/${accountId}`, { method: 'PUT', body: JSON.stringify({ cost_basis_method: 'lifo' }) });
+    const res = await authFetch(`/api/accounts/${accountId}/lots?symbol=SAP`);
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.cost_basis_method).toBe('lifo');
+    expect(body.symbols).toHaveLength(1);
+    expect(body.symbols[0].lots).toEqual([
+      { date: '2024-02-01', quantity: 1, unit_cost: 150, unit_cost_base: 150, unit_fee_base: 0, cost_basis: 150, cost_basis_base: 150, tax_free_from: null, tax_free: false }
+    ]);
+
+    const lower = await (await authFetch(`/api/accounts/${accountId}/lots?symbol=sap`)).json();
+    expect(lower.symbols.map(s => s.symbol)).toEqual(['SAP']);
+    expect((await authFetch(`/api/accounts/${accountId}/lots?symbol=SAP&symbol=BAS`)).status).toBe(400);
+  });
+
+  test('deposits are booked under their currency and holdings list the cash balance', async () => {
+    const account = await (await authFetch('/api/accounts', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'Cash Test Account', type: 'stock', currency: 'EUR' })
+    })).json();
+    const deposit = await authFetch('/api/transactions', {
+      method: 'POST',
+      body: JSON.stringify({ account_id: account.id, type: 'deposit', quantity: 1000, price: 1, date: '2024-01-02' })
+    });
+    expect(deposit.status).toBe(201);
+    expect(await deposit.json()).toMatchObject({ symbol: 'EUR', type: 'deposit', currency: 'EUR' });
+    await authFetch('/api/transactions', {
+      method: 'POST',
+      body: JSON.stringify({ account_id: account.id, symbol: 'SAP', type: 'buy', quantity: 2, price: 150, fee: 5, date: '2024-01-03' })
+    });
+
+    const holdings = await (await authFetch(`/api/accounts/${account.id}/holdings`)).json();
+    expect(holdings.map(h => h.symbol)).toEqual(['SAP', 'EUR']);
+    expect(holdings[1]).toMatchObject({ cash: true, quantity: 695, avg_cost: 1, avg_cost_base: 1, transaction_count: 1 });
+  });
+
+  test('POST /api/transactions/transfer books linked legs that are edited and deleted together', async () => {
+    const create = async (name) => (await (await authFetch('/api/accounts', {
+      method: 'POST',
+      body: JSON.stringify({ name, type: 'crypto', currency: 'EUR' })
+    })).json()).id;
+    const exchange = await create('Transfer Exchange');
+    const wallet = await create('Transfer Wallet');
+    await authFetch('/api/transactions', {
+      method: 'POST',
+      body: JSON.stringify({ account_id: exchange, symbol: 'ETH', type: 'buy', quantity: 2, price: 1000, date: '2024-01-02' })
+    });
+    const transfer = (body) => authFetch('/api/transactions/transfer', {
+      method: 'POST',
+      body: JSON.stringify({ from_account_id: exchange, to_account_id: wallet, symbol: 'ETH', date: '2024-01-10', ...body })
+    });
+
+    expect((await transfer({ quantity: 1, to_account_id: exchange })).status).toBe(400);
+    const tooMuch = await transfer({ quantity: 3 });
+    expect(tooMuch.status).toBe(400);
+    expect((await tooMuch.json()).error).toContain('Only 2 ETH held');
+
+    const res = await transfer({ quantity: 1, fee_quantity: 0.01 });
+    expect(res.status).toBe(201);
+    const { transfer_out: out, transfer_in: into } = await res.json();
+    expect(into).toMatchObject({ account_id: wallet, quantity: 0.99, price: 1000, linked_id: out.id });
+
+    const lots = (await (await authFetch(`/api/accounts/${wallet}/lots`)).json()).symbols[0].lots;
+    expect(lots).toHaveLength(1);
+    expect(lots[0]).toMatchObject({ date: '2024-01-02', unit_cost: 1000 });
+
+    const edit = await authFetch(`/api/transactions/${out.id}`, { method: 'PUT', body: JSON.stringify({ quantity: 1.5, date: '2024-01-11' }) });
+    expect(edit.status).toBe(200);
+    const moved = await (await authFetch(`/api/transactions/${into.id}`)).json();
+    expect(moved.quantity).toBeCloseTo(1.49);
+    expect(moved.date).toBe('2024-01-11');
+    const badEdit = await authFetch(`/api/transactions/${into.id}`, { method: 'PUT', body: JSON.stringify({ quantity: 2 }) });
+    expect(badEdit.status).toBe(400);
+
+    await authFetch(`/api/transactions/${into.id}`, { method: 'DELETE' });
+    expect((await authFetch(`/api/transactions/${out.id}`)).status).toBe(404);
+  });
+
+  test('GET /api/reports/realized-gains/export/csv lists closing trades of a tax year', async () => {
+    const invalid = await authFetch('/api/reports/realized-gains?year=24');
+    expect(invalid.status).toBe(400);
+
+    const res = await authFetch('/api/reports/realized-gains/export/csv?year=2024');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toContain('text/csv');
+    const lines = (await res.text()).trim().split('\n');
+    expect(lines[0]).toBe('tax_year,term,account_name,symbol,quantity,acquired,disposed,holding_days,proceeds,cost_basis,fees,gain,base_currency');
+    expect(lines[1]).toBe('2024,short,TX Test Account,SAP,1,2024-03-01,2024-04-01,31,160,100,0,60,EUR');
+  });
+
+  test('GET /api/reports/tax-estimate estimates the tax on a hypothetical sale', async () => {
+    const invalid = await authFetch(`/api/reports/tax-estimate?account_id=${accountId}&symbol=SAP&quantity=-1`);
+    expect(invalid.status).toBe(400);
+    const tooLarge = await authFetch(`/api/reports/tax-estimate?account_id=${accountId}&symbol=SAP&quantity=5&price=200`);
+    expect(tooLarge.status).toBe(404);
+
+    const res = await authFetch(`/api/reports/tax-estimate?account_id=${accountId}&symbol=SAP&quantity=1&price=200&currency=EUR&date=2024-06-01`);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toMatchObject({ proceeds: 200, gain: 50, taxable_gain: 50, estimated_tax: 0, tax_class: 'All assets' });
+
+    const lowercase = await authFetch(`/api/reports/tax-estimate?account_id=${accountId}&symbol=sap&quantity=1&price=200&currency=EUR&date=2024-06-01`);
+    expect(lowercase.status).toBe(200);
+    expect((await lowercase.json()).symbol).toBe('SAP');
+  });
+
+  test('GET /api/reports/income reports dividends with withholding tax', async () => {
+    const invalid = await authFetch('/api/transactions', {
+      method: 'POST',
+      body: JSON.stringify({ account_id: accountId, symbol: 'SAP', type: 'dividend', quantity: 10, price: 1, withholding_tax: -1, date: '2024-05-15' })
+    });
+    expect(invalid.status).toBe(400);
+
+    const created = await authFetch('/api/transactions', {
+      method: 'POST',
+      body: JSON.stringify({ account_id: accountId, symbol: 'SAP', type: 'dividend', quantity: 10, price: 1, withholding_tax: 2.5, date: '2024-05-15' })
+    });
+    expect(created.status).toBe(201);
+    expect((await created.json()).withholding_tax).toBe(2.5);
+
+    expect((await authFetch('/api/reports/income?start=2024-5-1')).status).toBe(400);
+    expect((await authFetch('/api/reports/income?symbol=SAP&symbol=BAS')).status).toBe(400);
+    const res = await authFetch(`/api/reports/income?year=2024&account_id=${accountId}`);
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.start).toBe('2024-01-01');
+    expect(body.by_symbol).toEqual([expect.objectContaining({ symbol: 'SAP', count: 1, gross: 10, withholding_tax: 2.5, net: 7.5 })]);
+  });
+
+  test('GET /api/reports/income/forecast projects dividends of the open positions', async () => {
+    const res = await authFetch(`/api/reports/income/forecast?account_id=${accountId}`);
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.base_currency).toBe('EUR');
+    expect(Array.isArray(body.payouts)).toBe(true);
+    expect(typeof body.annual_income).toBe('number');
+  });
+
+  test('GET /api/reports/performance validates the period and symbol', async () => {
+    const invalid = await authFetch('/api/reports/performance?period=2w');
+    expect(invalid.status).toBe(400);
+    expect((await authFetch('/api/reports/performance?symbol=A&symbol=B')).status).toBe(400);
+
+    const res = await authFetch(`/api/reports/performance?period=ytd&account_id=${accountId}&symbol=none`);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toMatchObject({ period: 'ytd', symbol: 'NONE', start_value: 0, end_value: 0, twr: null, xirr: null });
+  });
+
+  test('GET /api/reports/risk validates the period, symbol, benchmark and risk-free rate', async () => {
+    expect((await authFetch('/api/reports/risk?period=2w')).status).toBe(400);
+    expect((await authFetch('/api/reports/risk?benchmark=a%20b')).status).toBe(400);
+    expect((await authFetch('/api/reports/risk?risk_free_rate=5')).status).toBe(400);
+    expect((await authFetch('/api/reports/risk?symbol[]=A')).status).toBe(400);
+
+    const res = await authFetch(`/api/reports/risk?period=1m&account_id=${accountId}&symbol=none&risk_free_rate=0.02`);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toMatchObject({ observations: 0, volatility: null, sharpe: null, risk_free_rate: 0.02, benchmark: null, drawdown: [] });
+  });
+
+  test('GET /api/reports/correlation validates the period', async () => {
+    expect((await authFetch('/api/reports/correlation?period=2w')).status).toBe(400);
+
+    const res = await authFetch('/api/reports/correlation?period=6m&account_id=999999');
+    expect(res.status).toBe(200);
+    expect(await res.json()).toMatchObject({ period: '6m', symbols: [], matrix: [], pairs: [], skipped: [] });
+  });
+
   test('DELETE /api/transactions/:id deletes a transaction', async () => {
     const res = await authFetch(`/api/transactions/${txId}`, { method: 'DELETE' });
     expect(res.status).toBe(200);
@@ -619,12 +982,259 @@ describe('Currency Rates API', () => {
     expect(res.status).toBe(200);
   });
 
+  test('PUT /api/currencies/:id pins a rate as manual', async () => {
+    const res = await authFetch(`/api/currencies/${rateId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ pinned: true })
+    });
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({ rate: 1.18, source: 'manual', pinned: 1 });
+  });
+
+  test('GET /api/currencies/convert uses the dated rate for a date', async () => {
+    const res = await authFetch('/api/currencies/history', {
+      method: 'POST',
+      body: JSON.stringify({ from_currency: 'GBP', to_currency: 'EUR', date: '2020-01-02', rate: 1.15 })
+    });
+    expect(res.status).toBe(201);
+
+    const dated = await (await authFetch('/api/currencies/convert?from=GBP&to=EUR&amount=100&date=2020-06-01')).json();
+    expect(dated.rate).toBe(1.15);
+    expect(dated.result).toBeCloseTo(115);
+
+    const current = await (await authFetch('/api/currencies/convert?from=GBP&to=EUR&amount=100')).json();
+    expect(current.rate).toBe(1.18);
+  });
+
+  test('GET /api/currencies/convert reports the path through inverse rates', async () => {
+    const res = await authFetch('/api/currencies/convert?from=EUR&to=GBP&amount=118');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.path).toEqual(['EUR', 'GBP']);
+    expect(body.steps[0]).toMatchObject({ inverse: true });
+    expect(body.result).toBeCloseTo(100);
+
+    const missing = await authFetch('/api/currencies/convert?from=EUR&to=JPY&amount=1');
+    expect(missing.status).toBe(404);
+  });
+
+  test('POST /api/currencies/history validates the rate', async () => {
+    const res = await authFetch('/api/currencies/history', {
+      method: 'POST',
+      body: JSON.stringify({ from_currency: 'GBP', to_currency: 'EUR', date: '2020-01-02', rate: -1 })
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test('POST /api/currencies/history/fetch validates the pair and dates', async () => {
+    const fetchWith = (body) => authFetch('/api/currencies/history/fetch', { method: 'POST', body: JSON.stringify(body) });
+    expect((await fetchWith({ from_currency: ['GBP'], to_currency: 'EUR' })).status).toBe(400);
+    expect((await fetchWith({ from_currency: 'GBP', to_currency: 7 })).status).toBe(400);
+    const badStart = await fetchWith({ from_currency: 'GBP', to_currency: 'EUR', start: '01/02/2020' });
+    expect(badStart.status).toBe(400);
+    expect((await badStart.json()).error).toBe('start and end must be YYYY-MM-DD');
+    expect((await fetchWith({ from_currency: 'GBP', to_currency: 'EUR', end: 20200102 })).status).toBe(400);
+  });
+
   test('DELETE /api/currencies/:id deletes a rate', async () => {
     const res = await authFetch(`/api/currencies/${rateId}`, { method: 'DELETE' });
     expect(res.status).toBe(200);
   });
 });
 
+describe('Liabilities API', () => {
+  let liabilityId;
+
+  test('POST /api/liabilities validates and returns the balance owed today', async () => {
+    const invalid = await authFetch('/api/liabilities', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'Card', type: 'lease', start_date: '2024-01-01' })
+    });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).error).toContain('type must be one of');
+
+    const res = await authFetch('/api/liabilities', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'Credit Card', type: 'credit_card', principal: 1200, start_date: '2024-01-01' })
+    });
+    expect(res.status).toBe(201);
+    const body = await res.json();
+    expect(body).toMatchObject({ name: 'Credit Card', type: 'credit_card', currency: 'EUR', payment_frequency: 'monthly', balance: 1200, balance_base: 1200 });
+    liabilityId = body.id;
+  });
+
+  test('PUT /api/liabilities/:id changes the schedule', async () => {
+    const res = await authFetch(`/api/liabilities/${liabilityId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ payment_amount: 100, payment_frequency: 'yearly' })
+    });
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({ name: 'Credit Card', payment_amount: 100, payment_frequency: 'yearly' });
+    expect(body.balance).toBeLessThan(1200);
+
+    const list = await (await authFetch('/api/liabilities')).json();
+    expect(list.map(l => l.id)).toContain(liabilityId);
+  });
+
+  test('GET /api/liabilities/:id/schedule runs to payoff, faster with extra payments', async () => {
+    const schedule = await (await authFetch(`/api/liabilities/${liabilityId}/schedule`)).json();
+    expect(schedule).toMatchObject({ liability_id: liabilityId, currency: 'EUR', total_interest: 0, total_paid: 1200, payoff_date: '2036-01-01' });
+    expect(schedule.rows).toHaveLength(12);
+
+    const faster = await (await authFetch(`/api/liabilities/${liabilityId}/schedule?extra=100`)).json();
+    expect(faster.payoff_date).toBe('2030-01-01');
+    expect((await authFetch(`/api/liabilities/${liabilityId}/schedule?extra=-5`)).status).toBe(400);
+    expect((await authFetch('/api/liabilities/99999/schedule')).status).toBe(404);
+  });
+
+  test('POST and DELETE /api/liabilities/:id/repayments', async () => {
+    const invalid = await authFetch(`/api/liabilities/${liabilityId}/repayments`, {
+      method: 'POST',
+      body: JSON.stringify({ date: '2023-12-31', amount: 200 })
+    });
+    expect(invalid.status).toBe(400);
+
+    const res = await authFetch(`/api/liabilities/${liabilityId}/repayments`, {
+      method: 'POST',
+      body: JSON.stringify({ date: '2024-06-01', amount: 200 })
+    });
+    expect(res.status).toBe(201);
+    const repayment = await res.json();
+    expect(repayment).toMatchObject({ liability_id: liabilityId, date: '2024-06-01', amount: 200 });
+
+    const liability = await (await authFetch(`/api/liabilities/${liabilityId}`)).json();
+    expect(liability.repayments).toHaveLength(1);
+    const schedule = await (await authFetch(`/api/liabilities/${liabilityId}/schedule`)).json();
+    expect(schedule.rows[0]).toMatchObject({ date: '2024-06-01', kind: 'extra', balance: 1000 });
+    expect(schedule.payoff_date).toBe('2034-01-01');
+
+    expect((await authFetch(`/api/liabilities/${liabilityId}/repayments/${repayment.id}`, { method: 'DELETE' })).status).toBe(200);
+    expect((await authFetch(`/api/liabilities/${liabilityId}/repayments/${repayment.id}`, { method: 'DELETE' })).status).toBe(404);
+  });
+
+  test('GET /api/liabilities/payoff compares avalanche and snowball', async () => {
+    expect((await authFetch('/api/liabilities/payoff?extra=abc')).status).toBe(400);
+    const res = await authFetch('/api/liabilities/payoff?extra=50');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({ base_currency: 'EUR', extra: 50, interest_saved: 0 });
+    expect(body.avalanche.debts.map(d => d.liability_id)).toEqual([liabilityId]);
+    expect(body.avalanche.monthly_budget).toBeCloseTo(100 / 12 + 50);
+    expect(body.snowball.total_interest).toBe(0);
+  });
+
+  test('GET /api/liabilities/payments and /projection follow the schedule', async () => {
+    expect((await authFetch('/api/liabilities/payments?start=2025-01-01')).status).toBe(400);
+    const payments = await (await authFetch('/api/liabilities/payments?start=2025-01-01&end=2025-12-31')).json();
+    expect(payments).toEqual([expect.objectContaining({ liability_id: liabilityId, name: 'Credit Card', date: '2025-01-01', payment: 100, balance: 1100 })]);
+
+    expect((await authFetch('/api/liabilities/projection?dates=2040-1-1')).status).toBe(400);
+    const projection = await (await authFetch('/api/liabilities/projection?dates=2030-06-01,2040-01-01')).json();
+    expect(projection.base_currency).toBe('EUR');
+    expect(projection.balances).toMatchObject({ '2030-06-01': 600, '2040-01-01': 0 });
+    expect(projection.today).toBeGreaterThan(600);
+  });
+
+  test('DELETE /api/liabilities/:id', async () => {
+    expect((await authFetch(`/api/liabilities/${liabilityId}`, { method: 'DELETE' })).status).toBe(200);
+    expect((await authFetch(`/api/liabilities/${liabilityId}`)).status).toBe(404);
+  });
+});
+
+describe('Recurring API', () => {
+  let accountId;
+  let recurringId;
+
+  beforeAll(async () => {
+    const account = await (await authFetch('/api/accounts', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'Savings Plan Account', currency: 'EUR' })
+    })).json();
+    accountId = account.id;
+  });
+
+  test('POST /api/recurring validates and returns the next date', async () => {
+    const invalid = await authFetch('/api/recurring', {
+      method: 'POST',
+      body: JSON.stringify({ account_id: accountId, symbol: 'ETF', amount: 100, quantity: 2, start_date: '2024-01-01' })
+    });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).error).toContain('either amount or quantity');
+
+    const res = await authFetch('/api/recurring', {
+      method: 'POST',
+      body: JSON.stringify({ account_id: accountId, type: 'deposit', amount: 250, start_date: '2024-01-10', end_date: '2024-03-31' })
+    });
+    expect(res.status).toBe(201);
+    const body = await res.json();
+    expect(body).toMatchObject({ symbol: 'EUR', frequency: 'monthly', day: 10, active: 1, next_date: null });
+    recurringId = body.id;
+  });
+
+  test('PUT /api/recurring/:id updates the plan', async () => {
+    const res = await authFetch(`/api/recurring/${recurringId}`, { method: 'PUT', body: JSON.stringify({ day: 15 }) });
+    expect(res.status).toBe(200);
+    expect((await res.json()).day).toBe(15);
+    expect((await authFetch(`/api/recurring/${recurringId}`, { method: 'PUT', body: JSON.stringify({ frequency: 'daily' }) })).status).toBe(400);
+    expect((await authFetch('/api/recurring/99999')).status).toBe(404);
+  });
+
+  test('GET /api/recurring/upcoming lists scheduled executions', async () => {
+    expect((await authFetch('/api/recurring/upcoming?start=2024-01-01')).status).toBe(400);
+    const upcoming = await (await authFetch('/api/recurring/upcoming?start=2024-01-01&end=2024-02-29')).json();
+    expect(upcoming.map(e => [e.date, e.status])).toEqual([['2024-01-15', 'scheduled'], ['2024-02-15', 'scheduled']]);
+  });
+
+  test('POST /api/recurring/run creates pending executions once', async () => {
+    const res = await authFetch('/api/recurring/run', { method: 'POST' });
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.created).toBe(3);
+    expect(body.executions[0]).toMatchObject({ date: '2024-01-15', quantity: 250, price: 1, status: 'pending' });
+    expect((await (await authFetch('/api/recurring/run', { method: 'POST' })).json()).created).toBe(0);
+
+    const failing = jest.spyOn(require('../dist/services/recurring'), 'materializeRecurring').mockRejectedValueOnce(new Error('database is locked'));
+    const failed = await authFetch('/api/recurring/run', { method: 'POST' });
+    expect(failed.status).toBe(500);
+    expect((await failed.json()).error).toBe('database is locked');
+    failing.mockRestore();
+
+    expect((await authFetch('/api/recurring/executions?status=done')).status).toBe(400);
+    const pending = await (await authFetch('/api/recurring/executions')).json();
+    expect(pending).toHaveLength(3);
+    expect(pending[0].account_name).toBe('Savings Plan Account');
+  });
+
+  test('confirm and skip pending executions', async () => {
+    const [first, second] = await (await authFetch('/api/recurring/executions')).json();
+    const collision = await authFetch(`/api/recurring/executions/${first.id}`, { method: 'PUT', body: JSON.stringify({ date: second.date }) });
+    expect(collision.status).toBe(400);
+    expect((await collision.json()).error).toBe(`This plan already runs on ${second.date}`);
+    const confirmed = await authFetch(`/api/recurring/executions/${first.id}/confirm`, {
+      method: 'POST',
+      body: JSON.stringify({ quantity: 300, price: 2 })
+    });
+    expect(confirmed.status).toBe(201);
+    const { execution, transaction } = await confirmed.json();
+    expect(execution.status).toBe('confirmed');
+    expect(transaction).toMatchObject({ account_id: accountId, symbol: 'EUR', type: 'deposit', quantity: 300, price: 1, date: '2024-01-15' });
+    expect((await authFetch(`/api/recurring/executions/${first.id}/skip`, { method: 'POST' })).status).toBe(400);
+
+    const skipped = await authFetch(`/api/recurring/executions/${second.id}/skip`, { method: 'POST' });
+    expect((await skipped.json()).status).toBe('skipped');
+    expect((await authFetch('/api/recurring/executions/99999/confirm', { method: 'POST' })).status).toBe(404);
+    expect(await (await authFetch('/api/recurring/executions')).json()).toHaveLength(1);
+  });
+
+  test('DELETE /api/recurring/:id', async () => {
+    expect((await authFetch(`/api/recurring/${recurringId}`, { method: 'DELETE' })).status).toBe(200);
+    expect((await authFetch(`/api/recurring/${recurringId}`)).status).toBe(404);
+    expect((await authFetch(`/api/recurring/${recurringId}`, { method: 'DELETE' })).status).toBe(404);
+  });
+});
+
 describe('Auth Protection', () => {
   test('unauthenticated request to protected route returns 401', async () => {
     const res = await fetch(getUrl('/api/accounts'));
@@ -0,0 +1,202 @@
+/**
+ * Tests for benchmark comparison: default and per-account benchmark
+ * configuration, and the value of the portfolio's cash flows invested in a
+ * benchmark instead.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_history (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL NOT NULL,
+    volume REAL,
+    currency TEXT DEFAULT 'USD',
+    source TEXT DEFAULT '',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_history_coverage (
+    symbol TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const providers = require('../src/services/providers');
+const benchmarks = require('../src/services/benchmarks');
+const { loadPositionTransactions, loadWealthContext } = require('../src/services/wealth');
+
+const CLOSES = {
+  IDX: { '2024-01-01': 50, '2024-07-01': 60, '2024-12-31': 66 },
+  LATE: { '2024-07-01': 10, '2024-12-31': 11 }
+};
+providers.registerProvider({
+  name: 'fake',
+  label: 'Fake',
+  async quote() { throw new Error('not used'); },
+  async quotes() { return {}; },
+  async search() { return []; },
+  async history(symbol) {
+    return Object.entries(CLOSES[symbol] || {}).map(([date, close]) => ({ date, close, currency: 'EUR' }));
+  }
+});
+
+beforeAll(() => {
+  providers.saveProviderConfig({ default: 'fake' });
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Growth', 'EUR'), (2, 'Income', 'EUR')").run();
+  const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, date) VALUES (?, ?, ?, ?, ?, ?)');
+  tx.run(1, 'AAPL', 'buy', 10, 100, '2024-01-01');
+  tx.run(1, 'AAPL', 'buy', 10, 120, '2024-07-01');
+});
+
+// The account's own history: 10 units at 100, 10 more at 120, then the price falls to 110
+const POINTS = [
+  { date: '2024-01-01', value: 1000, cost: 1000, gain: 0 },
+  { date: '2024-07-01', value: 2400, cost: 2200, gain: 200 },
+  { date: '2024-12-31', value: 2200, cost: 2200, gain: 0 }
+];
+
+describe('Benchmark Configuration', () => {
+  test('accounts fall back to the default benchmarks', () => {
+    expect(benchmarks.getBenchmarks()).toEqual([]);
+    benchmarks.saveBenchmarkConfig({ default: [' spy', 'URTH', 'SPY'], accounts: { 2: ['qqq'] } });
+    expect(benchmarks.getBenchmarks()).toEqual(['SPY', 'URTH']);
+    expect(benchmarks.getBenchmarks(1)).toEqual(['SPY', 'URTH']);
+    expect(benchmarks.getBenchmarks('2')).toEqual(['QQQ']);
+
+    const config = benchmarks.saveBenchmarkConfig({ accounts: { 2: [] } });
+    expect(config).toEqual({ default: ['SPY', 'URTH'], accounts: {} });
+  });
+
+  test('validates symbols, the number of benchmarks and accounts', () => {
+    expect(() => benchmarks.saveBenchmarkConfig({ default: 'SPY' })).toThrow('list of symbols');
+    expect(() => benchmarks.saveBenchmarkConfig({ default: ['S P Y'] })).toThrow('Invalid benchmark symbol');
+    expect(() => benchmarks.saveBenchmarkConfig({ default: ['A', 'B', 'C', 'D'] })).toThrow('At most 3');
+    expect(() => benchmarks.saveBenchmarkConfig({ accounts: { 99: ['SPY'] } })).toThrow('Unknown account');
+    expect(benchmarks.getBenchmarkConfig().default).toEqual(['SPY', 'URTH']);
+  });
+});
+
+describe('Benchmark Comparison', () => {
+  test('invests the first value and every later flow at the benchmark price', () => {
+    const prices = { '2024-01-01': 50, '2024-03-01': 55, '2024-12-31': 66 };
+    const series = benchmarks.benchmarkSeries(
+      [{ date: '2024-01-01', value: 1000 }, { date: '2024-06-01', value: 1500 }, { date: '2024-12-31', value: 1200 }],
+      [{ date: '2024-01-01', amount: 1000 }, { date: '2024-03-01', amount: 550 }, { date: '2024-12-31', amount: -660 }],
+      (date) => prices[date] || 55
+    );
+    // 20 units, 10 more in March, 10 sold on the last day
+    expect(series).toEqual([1000, 30 * 55, 20 * 66]);
+  });
+
+  test('adds the invested amount and benchmark values to the history', async () => {
+    const points = POINTS.map(p => ({ ...p }));
+    await benchmarks.addBenchmarks(points, loadPositionTransactions(1), loadWealthContext(1), ['IDX', 'LATE']);
+
+    expect(points.map(p => p.invested)).toEqual([1000, 2200, 2200]);
+    // 20 units at 50, 20 more at 60, worth 66 each at the end
+    expect(points.map(p => p.benchmarks.IDX)).toEqual([1000, 2400, 2640]);
+    // No price yet on the first date: starts with the portfolio's value on 2024-07-01
+    expect(points.map(p => p.benchmarks.LATE)).toEqual([null, 2400, 2640]);
+  });
+
+  test('leaves the history untouched without benchmarks', async () => {
+    const points = POINTS.map(p => ({ ...p }));
+    await benchmarks.addBenchmarks(points, loadPositionTransactions(1), loadWealthContext(1), []);
+    expect(points).toEqual(POINTS);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for the cash ledger: deposits, withdrawals and the cash moved by
+ * trades, income and fees, its value in the account totals and its effect on
+ * the flows of the performance measures.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_history (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL NOT NULL,
+    volume REAL,
+    currency TEXT DEFAULT 'USD',
+    source TEXT DEFAULT '',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_history_coverage (
+    symbol TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+const providers = require('../src/services/providers');
+const { externalFlow, getPerformance } = require('../src/services/performance');
+const wealth = require('../src/services/wealth');
+
+providers.registerProvider({
+  name: 'fake',
+  label: 'Fake',
+  async quote() { throw new Error('not used'); },
+  async quotes() { return {}; },
+  async search() { return []; },
+  async history(symbol) {
+    return symbol === 'AAPL' ? [{ date: '2024-01-01', close: 100, currency: 'EUR' }, { date: '2024-01-10', close: 110, currency: 'EUR' }] : [];
+  }
+});
+
+beforeAll(() => {
+  providers.saveProviderConfig({ default: 'fake' });
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Broker', 'EUR'), (2, 'Legacy', 'EUR'), (3, 'Late', 'EUR')").run();
+  mockDb.prepare("INSERT INTO fx_rates (from_currency, to_currency, date, rate) VALUES ('USD', 'EUR', '2024-01-01', 0.9)").run();
+  const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, fee, currency, withholding_tax, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)');
+  tx.run(1, 'EUR', 'deposit', 1000, 1, 0, 'EUR', 0, '2024-01-02');
+  tx.run(1, 'AAPL', 'buy', 5, 100, 1, 'EUR', 0, '2024-01-03');
+  tx.run(1, 'AAPL', 'dividend', 10, 1, 0, 'EUR', 1.5, '2024-01-04');
+  tx.run(1, 'AAPL', 'sell', 2, 120, 0, 'EUR', 0, '2024-01-05');
+  tx.run(1, 'EUR', 'withdrawal', 100, 1, 0, 'EUR', 0, '2024-01-06');
+  tx.run(1, 'USD', 'deposit', 50, 1, 0, 'USD', 0, '2024-01-06');
+  // No deposits: trades are paid from outside the account
+  tx.run(2, 'AAPL', 'buy', 1, 100, 0, 'EUR', 0, '2024-01-03');
+  // Trades before the first deposit are too
+  tx.run(3, 'AAPL', 'buy', 1, 100, 0, 'EUR', 0, '2024-01-01');
+  tx.run(3, 'EUR', 'deposit', 200, 1, 0, 'EUR', 0, '2024-01-02');
+  tx.run(3, 'AAPL', 'buy', 1, 100, 0, 'EUR', 0, '2024-01-03');
+});
+
+describe('Cash Ledger', () => {
+  test('cash moved by each transaction type', () => {
+    const tx = { quantity: 10, price: 2, fee: 1, withholding_tax: 3 };
+    expect(wealth.cashMovement({ ...tx, type: 'deposit' })).toBe(19);
+    expect(wealth.cashMovement({ ...tx, type: 'withdrawal' })).toBe(-21);
+    expect(wealth.cashMovement({ ...tx, type: 'buy' })).toBe(-21);
+    expect(wealth.cashMovement({ ...tx, type: 'sell' })).toBe(19);
+    expect(wealth.cashMovement({ ...tx, type: 'dividend' })).toBe(16);
+    expect(wealth.cashMovement({ ...tx, type: 'fee' })).toBe(-21);
+    expect(wealth.cashMovement({ ...tx, type: 'transfer_in' })).toBe(-1);
+  });
+
+  test('balances per account and currency from the first deposit on', () => {
+    const balances = wealth.getCashBalances();
+    expect(balances).toEqual([
+      { account_id: 1, account_name: 'Broker', currency: 'EUR', balance: 1000 - 501 + 8.5 + 240 - 100 },
+      { account_id: 1, account_name: 'Broker', currency: 'USD', balance: 50 },
+      { account_id: 3, account_name: 'Late', currency: 'EUR', balance: 100 }
+    ]);
+    expect(wealth.getCashBalances('2024-01-03', 1)).toEqual([{ account_id: 1, account_name: 'Broker', currency: 'EUR', balance: 499 }]);
+  });
+
+  test('deposits and withdrawals never become positions', () => {
+    expect(wealth.getPositions(undefined, 1).map(p => [p.symbol, p.quantity])).toEqual([['AAPL', 3]]);
+  });
+
+  test('cash counts in the account value and cost without a gain', () => {
+    const context = wealth.loadWealthContext(1);
+    const summary = wealth.valuePositions('2024-01-10', wealth.getPositions('2024-01-10', 1, context), { AAPL: { price: 110, currency: 'EUR' } }, context, wealth.getCashBalances('2024-01-10', 1, context));
+    const cash = 647.5 + 50 * 0.9;
+    expect(summary.cash).toBeCloseTo(cash);
+    expect(summary.total_wealth).toBeCloseTo(330 + cash);
+    expect(summary.total_cost).toBeCloseTo(300 + cash);
+    expect(summary.accounts[0].cash).toBeCloseTo(cash);
+    expect(summary.unrealized.total).toBeCloseTo(30);
+  });
+});
+
+describe('Cash Flows', () => {
+  test('only deposits and withdrawals cross the boundary of an account that keeps cash', () => {
+    const context = wealth.loadWealthContext();
+    const [deposit, buy, dividend] = wealth.loadPositionTransactions(1);
+    expect(externalFlow(deposit, context)).toBe(1000);
+    expect(externalFlow(buy, context)).toBe(0);
+    expect(externalFlow(dividend, context)).toBe(0);
+    // A symbol's own returns still count the buy
+    expect(externalFlow(buy, context, false)).toBe(501);
+
+    const [earlyBuy] = wealth.loadPositionTransactions(3);
+    expect(externalFlow(earlyBuy, context)).toBe(100);
+  });
+
+  test('account returns are measured against deposits and withdrawals', async () => {
+    const perf = await getPerformance('all', { accountId: 1 }, '2024-01-10');
+    expect(perf.net_flows).toBeCloseTo(1000 - 100 + 45);
+    expect(perf.end_value).toBeCloseTo(3 * 110 + 647.5 + 45);
+    expect(perf.gain).toBeCloseTo(perf.end_value - perf.net_flows);
+  });
+});
@@ -0,0 +1,406 @@
+/**
+ * Tests for dated FX rates: rate lookup by date, manual rates taking precedence
+ * over fetched ones, CSV import, provider fetches, conversion through inverse and
+ * intermediate rates, date-aware valuation, price / FX gain decomposition and
+ * automatic rate updates.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const providers = require('../src/services/providers');
+const fx = require('../src/services/fx');
+const {
+  buildLedger, getPositions, loadWealthContext, splitGain, toPositions, toRealizedGains, valuePositions
+} = require('../src/services/wealth');
+
+const fetchedSymbols = [];
+// Spot rates returned by the fake provider, keyed by FROMTO=X symbol
+let spotRates = {};
+providers.registerProvider({
+  name: 'fake',
+  label: 'Fake',
+  async quote() { throw new Error('not used'); },
+  async quotes(symbols) {
+    const result = {};
+    for (const s of symbols) {
+      fetchedSymbols.push(s);
+      if (spotRates[s]) result[s] = { symbol: s, price: spotRates[s], currency: 'EUR', name: s, change_percent: 0 };
+    }
+    return result;
+  },
+  async search() { return []; },
+  async history(symbol) {
+    fetchedSymbols.push(symbol);
+    return [
+      { date: '2024-01-02T00:00:00.000Z', close: 1.10 },
+      { date: '2024-01-03T00:00:00.000Z', close: 1.12 },
+      { date: '2024-01-04T00:00:00.000Z', close: 1.09 }
+    ];
+  }
+});
+
+const setCurrent = (from, to, rate, updatedAt) => mockDb.prepare(
+  'INSERT OR REPLACE INTO currency_rates (from_currency, to_currency, rate, updated_at) VALUES (?, ?, ?, ?)'
+).run(from, to, rate, updatedAt);
+
+beforeAll(() => {
+  providers.saveProviderConfig({ default: 'fake' });
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Brokerage', 'USD')").run();
+});
+
+beforeEach(() => {
+  mockDb.exec('DELETE FROM fx_rates; DELETE FROM currency_rates; DELETE FROM transactions; DELETE FROM price_cache;');
+  fetchedSymbols.length = 0;
+  spotRates = {};
+});
+
+describe('Rate Lookup', () => {
+  test('uses the latest dated rate on or before the date', () => {
+    fx.saveFxRate('USD', 'EUR', '2020-01-01', 0.89);
+    fx.saveFxRate('USD', 'EUR', '2022-01-01', 0.88);
+    const book = fx.loadFxBook();
+
+    expect(fx.rateOn(book, 'USD', 'EUR', '2021-06-30')).toBe(0.89);
+    expect(fx.rateOn(book, 'USD', 'EUR', '2022-01-01')).toBe(0.88);
+    // Before the history starts the earliest known rate is closest
+    expect(fx.rateOn(book, 'USD', 'EUR', '2019-01-01')).toBe(0.89);
+  });
+
+  test('the current rate counts from its last update', () => {
+    fx.saveFxRate('USD', 'EUR', '2020-01-01', 0.89);
+    setCurrent('USD', 'EUR', 0.92, '2024-05-01 10:00:00');
+    const book = fx.loadFxBook();
+
+    expect(fx.rateOn(book, 'USD', 'EUR', '2024-04-30')).toBe(0.89);
+    expect(fx.rateOn(book, 'USD', 'EUR', '2024-05-01')).toBe(0.92);
+    expect(fx.rateOn(book, 'USD', 'EUR')).toBe(0.92);
+  });
+
+  test('pairs without history use the current rate for any date', () => {
+    setCurrent('GBP', 'EUR', 1.17, '2024-05-01 10:00:00');
+    const book = fx.loadFxBook();
+    expect(fx.rateOn(book, 'GBP', 'EUR', '2010-01-01')).toBe(1.17);
+    expect(fx.rateOn(book, 'CHF', 'EUR', '2010-01-01')).toBeUndefined();
+    expect(fx.rateOn(book, 'EUR', 'EUR', '2010-01-01')).toBe(1);
+  });
+});
+
+describe('Conversion Paths', () => {
+  test('uses the inverse of the opposite pair', () => {
+    setCurrent('EUR', 'USD', 1.25, '2024-05-01 10:00:00');
+    const conversion = fx.findConversion(fx.loadFxBook(), 'USD', 'EUR');
+    expect(conversion.rate).toBeCloseTo(0.8);
+    expect(conversion.steps).toEqual([{ from: 'USD', to: 'EUR', rate: 0.8, inverse: true }]);
+  });
+
+  test('triangulates through an intermediate currency', () => {
+    setCurrent('GBP', 'EUR', 1.2, '2024-05-01 10:00:00');
+    setCurrent('EUR', 'USD', 1.1, '2024-05-01 10:00:00');
+    const conversion = fx.findConversion(fx.loadFxBook(), 'GBP', 'USD');
+    expect(conversion.path).toEqual(['GBP', 'EUR', 'USD']);
+    expect(conversion.rate).toBeCloseTo(1.32);
+    expect(conversion.steps.map(step => step.inverse)).toEqual([false, false]);
+  });
+
+  test('prefers a direct rate and uses dated rates on each leg', () => {
+    fx.saveFxRate('GBP', 'EUR', '2020-01-01', 1.1);
+    setCurrent('USD', 'EUR', 0.5, '2024-05-01 10:00:00');
+    setCurrent('GBP', 'USD', 3, '2024-05-01 10:00:00');
+    const book = fx.loadFxBook();
+
+    expect(fx.findConversion(book, 'GBP', 'USD').path).toEqual(['GBP', 'USD']);
+    // EUR -> GBP only exists as the inverse of a dated GBP -> EUR rate
+    expect(fx.findConversion(book, 'EUR', 'GBP', '2021-01-01').rate).toBeCloseTo(1 / 1.1);
+  });
+
+  test('returns undefined when no chain of rates exists', () => {
+    setCurrent('GBP', 'EUR', 1.2, '2024-05-01 10:00:00');
+    expect(fx.findConversion(fx.loadFxBook(), 'GBP', 'JPY')).toBeUndefined();
+  });
+});
+
+describe('Rate Storage', () => {
+  test('validates pairs, dates and rates', () => {
+    expect(() => fx.saveFxRate('USD', 'USD', '2024-01-01', 1)).toThrow('must differ');
+    expect(() => fx.saveFxRate('USD', 'EUR', '01/02/2024', 1)).toThrow('YYYY-MM-DD');
+    expect(() => fx.saveFxRate('USD', 'EUR', '2024-01-01', 0)).toThrow('positive');
+  });
+
+  test('fetched rates never replace manual ones', () => {
+    fx.saveFxRate('USD', 'EUR', '2024-01-01', 0.9);
+    expect(fx.saveFxRate('USD', 'EUR', '2024-01-01', 0.95, 'fake')).toMatchObject({ rate: 0.9, source: 'manual' });
+    expect(fx.saveFxRate('USD', 'EUR', '2024-01-02', 0.95, 'fake')).toMatchObject({ rate: 0.95, source: 'fake' });
+    expect(fx.saveFxRate('USD', 'EUR', '2024-01-02', 0.94)).toMatchObject({ rate: 0.94, source: 'manual' });
+  });
+
+  test('imports CSV rows for a pair and reports bad rows', () => {
+    const result = fx.importFxRatesCSV('Date,Rate\n2023-01-02,0.93\n2023-01-03,0.94\nnot a date,1\n2023-01-04,abc', { from: 'usd', to: 'eur' });
+    expect(result).toMatchObject({ imported: 2, skipped: 0, earliest: '2023-01-02' });
+    expect(result.errors).toHaveLength(2);
+    expect(fx.getFxRates('USD', 'EUR').map(r => r.date)).toEqual(['2023-01-03', '2023-01-02']);
+    expect(mockDb.prepare("SELECT rate FROM currency_rates WHERE from_currency = 'USD'").get().rate).toBe(0.94);
+  });
+
+  test('fetches FROMTO=X history from the default provider', async () => {
+    const result = await fx.fetchFxHistory('eur', 'usd', '2024-01-01', '2024-01-05');
+    expect(result).toEqual({ fetched: 3 });
+    expect(fetchedSymbols).toEqual(['EURUSD=X']);
+
+    const rates = fx.getFxRates('EUR', 'USD');
+    expect(rates[0]).toMatchObject({ date: '2024-01-04', rate: 1.09, source: 'fake' });
+  });
+
+  test('a newer current rate is not overwritten by older history', async () => {
+    setCurrent('EUR', 'USD', 1.2, '2025-01-01 00:00:00');
+    await fx.fetchFxHistory('EUR', 'USD', '2024-01-01', '2024-01-05');
+    expect(mockDb.prepare("SELECT rate FROM currency_rates WHERE from_currency = 'EUR'").get().rate).toBe(1.2);
+  });
+});
+
+describe('Date-aware Valuation', () => {
+  test('cost basis uses the rate on each buy date, market value the rate on the valuation date', () => {
+    fx.saveFxRate('USD', 'EUR', '2020-01-01', 0.8);
+    fx.saveFxRate('USD', 'EUR', '2022-01-01', 1.0);
+    fx.saveFxRate('USD', 'EUR', '2024-01-01', 0.9);
+
+    const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, currency, date) VALUES (?, ?, ?, ?, ?, ?, ?)');
+    tx.run(1, 'AAPL', 'buy', 10, 100, 'USD', '2020-06-01');
+    tx.run(1, 'AAPL', 'buy', 10, 100, 'USD', '2022-06-01T12:00:00');
+
+    const context = loadWealthContext();
+    const prices = { AAPL: { price: 150, currency: 'USD' } };
+
+    const summary = valuePositions('2024-06-01', getPositions('2024-06-01', undefined, context), prices, context);
+    expect(summary.total_cost).toBeCloseTo(10 * 100 * 0.8 + 10 * 100 * 1.0);
+    expect(summary.total_wealth).toBeCloseTo(20 * 150 * 0.9);
+
+    const earlier = valuePositions('2022-06-30', getPositions('2022-06-30', undefined, context), prices, context);
+    expect(earlier.total_wealth).toBeCloseTo(20 * 150 * 1.0);
+  });
+
+  test('holdings without any rate are flagged instead of counted at 1:1', () => {
+    mockDb.prepare("INSERT OR IGNORE INTO accounts (id, name, currency) VALUES (2, 'Japan', 'JPY')").run();
+    const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, date) VALUES (?, ?, ?, ?, ?, ?)');
+    tx.run(2, '7203.T', 'buy', 100, 2000, '2024-01-10');
+    tx.run(1, 'AAPL', 'buy', 1, 100, '2024-01-10');
+    setCurrent('USD', 'EUR', 0.9, '2024-01-01 00:00:00');
+
+    const context = loadWealthContext();
+    const prices = { '7203.T': { price: 2500, currency: 'JPY' }, AAPL: { price: 100, currency: 'USD' } };
+    const summary = valuePositions('2024-06-01', getPositions('2024-06-01', undefined, context), prices, context);
+
+    expect(summary.total_wealth).toBeCloseTo(90);
+    expect(summary.unconverted).toEqual([
+      { symbol: '7203.T', account_id: 2, account_name: 'Japan', currency: 'JPY', base_currency: 'EUR' }
+    ]);
+    expect(summary.accounts.map(a => a.account_id)).toEqual([1]);
+  });
+});
+
+describe('Settlement Currency', () => {
+  test('each trade is converted in its own currency, at its execution rate when recorded', () => {
+    mockDb.prepare("INSERT OR IGNORE INTO accounts (id, name, currency) VALUES (4, 'Euro Broker', 'EUR')").run();
+    fx.saveFxRate('USD', 'EUR', '2024-01-01', 0.9);
+    const tx = mockDb.prepare(
+      'INSERT INTO transactions (account_id, symbol, type, quantity, price, fee, currency, fx_rate, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    );
+    tx.run(4, 'MSFT', 'buy', 10, 100, 2, 'USD', 0.95, '2024-02-01');
+    tx.run(4, 'MSFT', 'buy', 10, 100, 0, 'USD', null, '2024-03-01');
+    tx.run(4, 'MSFT', 'dividend', 1, 8, 0, 'USD', null, '2024-04-01');
+    tx.run(4, 'MSFT', 'buy', 5, 90, 1, 'EUR', 1.2, '2024-05-01');
+
+    const [msft] = getPositions('2024-06-01', 4);
+    expect(msft.currency).toBe('USD');
+    expect(msft.avg_cost).toBeCloseTo((1000 + 1000 + 450 / 0.9) / 25);
+    expect(msft.avg_cost_base).toBeCloseTo((10 * 100 * 0.95 + 10 * 100 * 0.9 + 5 * 90) / 25);
+    expect(msft.fees_base).toBeCloseTo(2 * 0.95 + 1);
+    expect(msft.income_base).toBeCloseTo(8 * 0.9);
+  });
+
+  test('an unconvertible settlement currency leaves the cost basis unknown', () => {
+    mockDb.prepare("INSERT OR IGNORE INTO accounts (id, name, currency) VALUES (4, 'Euro Broker', 'EUR')").run();
+    mockDb.prepare(
+      "INSERT INTO transactions (account_id, symbol, type, quantity, price, currency, date) VALUES (4, 'SONY', 'buy', 1, 10000, 'JPY', '2024-01-10')"
+    ).run();
+
+    const context = loadWealthContext(4);
+    const summary = valuePositions('2024-06-01', getPositions('2024-06-01', 4, context), { SONY: { price: 90, currency: 'EUR' } }, context);
+    expect(summary.unconverted).toEqual([
+      { symbol: 'SONY', account_id: 4, account_name: 'Euro Broker', currency: 'JPY', base_currency: 'EUR' }
+    ]);
+  });
+});
+
+describe('Gain Decomposition', () => {
+  test('splits a gain into the local price move and the currency move', () => {
+    expect(splitGain(1200, 1000, 960, 900)).toEqual({ total: 60, price: 180, fx: -120 });
+    expect(splitGain(undefined, 1000, 960, 900)).toEqual({ total: 60, price: 60, fx: 0 });
+  });
+
+  test('unrealized and realized gains use the purchase rate and the current rate', () => {
+    fx.saveFxRate('USD', 'EUR', '2024-01-01', 0.9);
+    fx.saveFxRate('USD', 'EUR', '2024-03-01', 0.85);
+    fx.saveFxRate('USD', 'EUR', '2024-05-01', 0.8);
+    const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, currency, date) VALUES (?, ?, ?, ?, ?, ?, ?)');
+    tx.run(1, 'AAPL', 'buy', 10, 100, 'USD', '2024-01-10');
+    tx.run(1, 'AAPL', 'sell', 5, 110, 'USD', '2024-03-10');
+
+    const context = loadWealthContext();
+    const ledger = buildLedger('2024-06-01', undefined, context);
+    const summary = valuePositions('2024-06-01', toPositions(ledger), { AAPL: { price: 120, currency: 'USD' } }, context);
+
+    const [holding] = summary.holdings;
+    expect(holding.unrealized.total).toBeCloseTo(5 * 120 * 0.8 - 5 * 100 * 0.9);
+    expect(holding.unrealized.price).toBeCloseTo(5 * (120 - 100) * 0.9);
+    expect(holding.unrealized.fx).toBeCloseTo(5 * 120 * (0.8 - 0.9));
+    expect(summary.unrealized.total).toBeCloseTo(holding.unrealized.total);
+
+    const [sale] = toRealizedGains(ledger);
+    expect(sale).toMatchObject({ symbol: 'AAPL', sold_quantity: 5 });
+    expect(sale.realized.total).toBeCloseTo(5 * 110 * 0.85 - 5 * 100 * 0.9);
+    expect(sale.realized.price).toBeCloseTo(5 * (110 - 100) * 0.9);
+    expect(sale.realized.fx).toBeCloseTo(5 * 110 * (0.85 - 0.9));
+  });
+});
+
+describe('Automatic Updates', () => {
+  test('tracks every currency in use against the base currency', () => {
+    mockDb.prepare("INSERT OR IGNORE INTO accounts (id, name, currency) VALUES (3, 'UK', 'GBP')").run();
+    mockDb.prepare("INSERT INTO transactions (account_id, symbol, type, quantity, price, currency, date) VALUES (1, 'X', 'buy', 1, 1, 'CHF', '2024-01-01')").run();
+    mockDb.prepare("INSERT INTO price_cache (symbol, price, currency) VALUES ('7203.T', 2500, 'JPY')").run();
+    setCurrent('EUR', 'USD', 1.1, '2024-01-01 00:00:00');
+
+    expect(fx.getTrackedPairs('EUR')).toEqual([
+      { from: 'CHF', to: 'EUR' },
+      { from: 'EUR', to: 'USD' },
+      { from: 'GBP', to: 'EUR' },
+      { from: 'JPY', to: 'EUR' },
+      { from: 'USD', to: 'EUR' }
+    ]);
+  });
+
+  test('stores quoted rates with their source and skips pinned pairs', async () => {
+    mockDb.prepare("INSERT OR IGNORE INTO accounts (id, name, currency) VALUES (2, 'Japan', 'JPY')").run();
+    mockDb.prepare(
+      "INSERT INTO currency_rates (from_currency, to_currency, rate, source, pinned, updated_at) VALUES ('GBP', 'EUR', 1.5, 'manual', 1, '2024-01-01 00:00:00')"
+    ).run();
+    spotRates = { 'USDEUR=X': 0.91, 'GBPEUR=X': 1.17 };
+
+    const result = await fx.refreshFxRates('EUR');
+    expect(result.updated).toEqual(['USD_EUR']);
+    expect(result.changed).toEqual(['USD_EUR']);
+    expect(result.pinned).toEqual(['GBP_EUR']);
+    expect(result.failed).toEqual(['JPY_EUR']);
+    expect(fetchedSymbols).not.toContain('GBPEUR=X');
+
+    const usd = mockDb.prepare("SELECT * FROM currency_rates WHERE from_currency = 'USD'").get();
+    expect(usd).toMatchObject({ rate: 0.91, source: 'fake', pinned: 0 });
+    expect(usd.updated_at.slice(0, 10)).toBe(new Date().toISOString().slice(0, 10));
+    expect(fx.getFxRates('USD', 'EUR')[0]).toMatchObject({ rate: 0.91, source: 'fake' });
+    expect(mockDb.prepare("SELECT rate FROM currency_rates WHERE from_currency = 'GBP'").get().rate).toBe(1.5);
+
+    // The same quote again leaves the day's rates as they were
+    const again = await fx.refreshFxRates('EUR');
+    expect(again.updated).toEqual(['USD_EUR']);
+    expect(again.changed).toEqual([]);
+  });
+
+  test('history syncs leave pinned current rates alone', async () => {
+    mockDb.prepare(
+      "INSERT INTO currency_rates (from_currency, to_currency, rate, pinned, updated_at) VALUES ('EUR', 'USD', 1.3, 1, '2020-01-01 00:00:00')"
+    ).run();
+    await fx.fetchFxHistory('EUR', 'USD', '2024-01-01', '2024-01-05');
+    expect(mockDb.prepare("SELECT rate FROM currency_rates WHERE from_currency = 'EUR'").get().rate).toBe(1.3);
+  });
+});
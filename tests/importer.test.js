@@ -19,6 +19,7 @@ mockDb.exec(`
     description TEXT DEFAULT '',
     icon TEXT DEFAULT 'wallet',
     color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
@@ -26,16 +27,29 @@ mockDb.exec(`
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     account_id INTEGER NOT NULL,
     symbol TEXT NOT NULL,
-    type TEXT NOT NULL CHECK(type IN ('buy','sell','transfer_in','transfer_out','dividend','interest','fee')),
+    type TEXT NOT NULL CHECK(type IN ('buy','sell','transfer_in','transfer_out','dividend','interest','fee','deposit','withdrawal')),
     quantity REAL NOT NULL DEFAULT 0,
     price REAL NOT NULL DEFAULT 0,
     fee REAL DEFAULT 0,
     currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
     date TEXT NOT NULL,
     notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
   );
+  CREATE TABLE IF NOT EXISTS daily_wealth (
+    date TEXT NOT NULL,
+    total_wealth REAL NOT NULL DEFAULT 0,
+    total_cost REAL NOT NULL DEFAULT 0,
+    base_currency TEXT DEFAULT 'EUR',
+    details TEXT DEFAULT '{}',
+    dirty INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (date)
+  );
   CREATE TABLE IF NOT EXISTS price_cache (
     symbol TEXT PRIMARY KEY,
     price REAL NOT NULL,
@@ -255,3 +269,32 @@ AAPL,buy,10,185.50,0,USD,2024-01-15`;
     expect(result.skipped).toBe(1);
   });
 });
+
+describe('Snapshot Invalidation', () => {
+  beforeEach(() => {
+    mockDb.exec('DELETE FROM transactions; DELETE FROM daily_wealth;');
+    const insert = mockDb.prepare('INSERT INTO daily_wealth (date, total_wealth) VALUES (?, 1000)');
+    for (const date of ['2024-01-01', '2024-02-01', '2024-03-01']) insert.run(date);
+  });
+
+  const dirtyDates = () => mockDb.prepare('SELECT date FROM daily_wealth WHERE dirty = 1 ORDER BY date').all().map(r => r.date);
+
+  test('imported rows mark snapshots from their earliest date onwards', () => {
+    const csv = `symbol,type,quantity,price,fee,currency,date
+AAPL,buy,10,185.50,0,USD,2024-02-20
+MSFT,buy,5,400.00,0,USD,2024-01-15`;
+
+    importCSV(csv, 1);
+    expect(dirtyDates()).toEqual(['2024-02-01', '2024-03-01']);
+  });
+
+  test('a fully deduplicated import leaves snapshots untouched', () => {
+    const csv = `symbol,type,quantity,price,fee,currency,date
+AAPL,buy,10,185.50,0,USD,2024-01-15`;
+
+    importCSV(csv, 1);
+    mockDb.prepare('UPDATE daily_wealth SET dirty = 0').run();
+    importCSV(csv, 1);
+    expect(dirtyDates()).toEqual([]);
+  });
+});
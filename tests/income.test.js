@@ -0,0 +1,193 @@
+/**
+ * Tests for the income ledger: dividends and interest as cash income,
+ * withholding tax, totals per symbol, account and month, yields and the
+ * projection of future dividends.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const { getIncomeReport, inferPayoutFrequency, projectDividends } = require('../src/services/income');
+const { getPositions } = require('../src/services/wealth');
+
+beforeAll(() => {
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Brokerage', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (2, 'Savings', 'USD')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (3, 'Tokyo', 'JPY')").run();
+
+  const tx = mockDb.prepare(`
+    INSERT INTO transactions (account_id, symbol, type, quantity, price, currency, fx_rate, withholding_tax, date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  tx.run(1, 'ACME', 'buy', 10, 100, 'EUR', null, 0, '2023-01-10');
+  // Imported dividends record the amount as quantity with price 1
+  tx.run(1, 'ACME', 'dividend', 30, 1, 'EUR', null, 4.5, '2023-06-15');
+  tx.run(1, 'ACME', 'dividend', 30, 1, 'EUR', null, 4.5, '2023-12-15');
+  tx.run(1, 'ACME', 'dividend', 40, 1, 'EUR', null, 6, '2024-06-15');
+  tx.run(1, 'ACME', 'buy', 10, 120, 'EUR', null, 0, '2024-08-01');
+  tx.run(2, 'CASH', 'interest', 20, 1, 'USD', 0.9, 0, '2024-03-31');
+  tx.run(3, '7203.T', 'dividend', 5000, 1, 'JPY', null, 0, '2024-04-01');
+  mockDb.prepare("INSERT INTO price_cache (symbol, price, currency) VALUES ('ACME', 125, 'EUR')").run();
+});
+
+describe('Income Transactions', () => {
+  test('dividends are cash income net of withholding tax, not units', () => {
+    const [position] = getPositions('2024-06-30', 1);
+    expect(position.quantity).toBe(10);
+    expect(position.avg_cost).toBe(100);
+    expect(position.income_base).toBeCloseTo(25.5 + 25.5 + 34);
+  });
+});
+
+describe('Income Report', () => {
+  test('totals gross income, withholding tax and net income in the base currency', () => {
+    const report = getIncomeReport({ end: '2024-06-30' });
+    expect(report.base_currency).toBe('EUR');
+    expect(report.total).toMatchObject({ count: 4, gross: 118, withholding_tax: 15, net: 103 });
+    expect(report.unconverted).toBe(1);
+    expect(report.payments[0]).toMatchObject({ symbol: 'ACME', date: '2024-06-15', gross: 40, withholding_tax: 6, net: 34 });
+    expect(report.payments.find(p => p.symbol === 'CASH')).toMatchObject({ currency: 'USD', gross: 20, gross_base: 18 });
+  });
+
+  test('yields use trailing 12-month income against the positions held', () => {
+    const report = getIncomeReport({ end: '2024-06-30' });
+    const acme = report.by_symbol.find(s => s.symbol === 'ACME');
+    expect(acme).toMatchObject({ count: 3, gross: 100, trailing_12m: 70, cost_basis: 1000, market_value: 1250 });
+    expect(acme.yield_on_cost).toBeCloseTo(0.07);
+    expect(acme.trailing_yield).toBeCloseTo(0.056);
+
+    // Interest without a position has no yield
+    expect(report.by_symbol.find(s => s.symbol === 'CASH')).toMatchObject({ trailing_12m: 18, yield_on_cost: null, trailing_yield: null });
+    expect(report.by_account.map(a => [a.account_name, a.net])).toEqual([['Brokerage', 85], ['Savings', 18]]);
+  });
+
+  test('months without income are filled between the first and last payment', () => {
+    const { by_month: months } = getIncomeReport({ end: '2024-06-30' });
+    expect(months.map(m => m.month)).toEqual([
+      '2023-06', '2023-07', '2023-08', '2023-09', '2023-10', '2023-11', '2023-12',
+      '2024-01', '2024-02', '2024-03', '2024-04', '2024-05', '2024-06'
+    ]);
+    expect(months[1]).toMatchObject({ count: 0, gross: 0 });
+    expect(months[9]).toMatchObject({ dividend: 0, interest: 18 });
+  });
+
+  test('filters by period, account and symbol', () => {
+    const report = getIncomeReport({ start: '2024-01-01', end: '2024-12-31', accountId: 1 });
+    expect(report.total).toMatchObject({ count: 1, gross: 40, trailing_12m: 40 });
+    expect(report.by_month.map(m => m.month)).toEqual(['2024-06']);
+
+    expect(getIncomeReport({ symbol: 'CASH', end: '2024-06-30' }).total).toMatchObject({ count: 1, gross: 18, cost_basis: null });
+  });
+});
+
+describe('Dividend Projection', () => {
+  test('payout frequency follows the gaps between payments', () => {
+    expect(inferPayoutFrequency(['2024-01-31', '2024-02-29', '2024-03-29', '2024-04-30'])).toBe('monthly');
+    expect(inferPayoutFrequency(['2023-03-15', '2023-06-14', '2023-09-15', '2023-12-13'])).toBe('quarterly');
+    expect(inferPayoutFrequency(['2023-05-02', '2023-11-02'])).toBe('semiannual');
+    expect(inferPayoutFrequency(['2024-05-10'])).toBe('annual');
+  });
+
+  test('projects the last amount per share onto the units held now', () => {
+    const projection = projectDividends('2024-09-01', 1);
+    expect(projection).toMatchObject({ base_currency: 'EUR', start: '2024-09-01', end: '2025-09-01', annual_income: 160, unconverted: 0 });
+    expect(projection.holdings).toEqual([expect.objectContaining({
+      symbol: 'ACME', frequency: 'semiannual', quantity: 20, amount_per_share: 4, last_payment: '2024-06-15', annual_amount: 160
+    })]);
+    expect(projection.payouts.map(p => [p.date, p.amount, p.amount_base])).toEqual([['2024-12-15', 80, 80], ['2025-06-15', 80, 80]]);
+  });
+
+  test('holdings whose payments stopped are not projected', () => {
+    expect(projectDividends('2025-07-01', 1).holdings).toEqual([]);
+  });
+});
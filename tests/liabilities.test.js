@@ -0,0 +1,365 @@
+/**
+ * Tests for liabilities: the outstanding balance of a payment schedule, its
+ * value in the base currency, net worth in the daily snapshots and the
+ * portfolio history, amortization schedules with extra repayments, and the
+ * avalanche and snowball payoff plans.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS daily_wealth (
+    date TEXT NOT NULL,
+    total_wealth REAL NOT NULL DEFAULT 0,
+    total_cost REAL NOT NULL DEFAULT 0,
+    base_currency TEXT DEFAULT 'EUR',
+    details TEXT DEFAULT '{}',
+    dirty INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (date)
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_history (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL NOT NULL,
+    volume REAL,
+    currency TEXT DEFAULT 'USD',
+    source TEXT DEFAULT '',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_history_coverage (
+    symbol TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    next_date TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running',
+    processed_days INTEGER NOT NULL DEFAULT 0,
+    total_days INTEGER NOT NULL DEFAULT 0,
+    error TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS liabilities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'loan' CHECK(type IN ('mortgage','loan','credit_card','other')),
+    currency TEXT DEFAULT 'EUR',
+    principal REAL NOT NULL DEFAULT 0,
+    interest_rate REAL NOT NULL DEFAULT 0,
+    start_date TEXT NOT NULL,
+    payment_amount REAL NOT NULL DEFAULT 0,
+    payment_frequency TEXT NOT NULL DEFAULT 'monthly' CHECK(payment_frequency IN ('weekly','monthly','quarterly','yearly')),
+    amortization TEXT NOT NULL DEFAULT 'annuity' CHECK(amortization IN ('annuity','linear')),
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS liability_repayments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    liability_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    amount REAL NOT NULL,
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (liability_id) REFERENCES liabilities(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+const liabilities = require('../src/services/liabilities');
+const snapshots = require('../src/services/snapshots');
+const wealth = require('../src/services/wealth');
+
+const loan = (fields) => ({ id: 1, name: 'Loan', type: 'loan', currency: 'EUR', principal: 0, interest_rate: 0, payment_amount: 0, payment_frequency: 'monthly', amortization: 'annuity', ...fields });
+
+let mortgage;
+
+beforeAll(() => {
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Savings', 'EUR')").run();
+  mockDb.prepare("INSERT INTO fx_rates (from_currency, to_currency, date, rate) VALUES ('USD', 'EUR', '2024-01-01', 0.9)").run();
+  mockDb.prepare("INSERT INTO transactions (account_id, symbol, type, quantity, price, currency, date) VALUES (1, 'EUR', 'deposit', 20000, 1, 'EUR', '2024-01-02')").run();
+  mortgage = liabilities.createLiability({ name: 'Mortgage', type: 'mortgage', principal: 10000, interest_rate: 12, start_date: '2024-01-31', payment_amount: 500 });
+  liabilities.createLiability({ name: 'Car Loan', currency: 'usd', principal: 1000, start_date: '2024-06-01', payment_amount: 100 });
+});
+
+afterAll(() => {
+  mockDb.close();
+});
+
+describe('Payment Schedule', () => {
+  test('interest is added on each payment date before the payment', () => {
+    expect(liabilities.outstandingBalance(mortgage, '2024-01-30')).toBe(0);
+    expect(liabilities.outstandingBalance(mortgage, '2024-01-31')).toBe(10000);
+    expect(liabilities.outstandingBalance(mortgage, '2024-02-29')).toBeCloseTo(9600);
+    expect(liabilities.outstandingBalance(mortgage, '2024-03-30')).toBeCloseTo(9600);
+    expect(liabilities.outstandingBalance(mortgage, '2024-03-31')).toBeCloseTo(9600 * 1.01 - 500);
+  });
+
+  test('payment dates keep month ends and stop once the debt is paid off', () => {
+    expect(liabilities.balanceChangeDates(mortgage, '2024-04-30')).toEqual(['2024-02-29', '2024-03-31', '2024-04-30']);
+    const short = loan({ principal: 1000, start_date: '2024-01-15', payment_amount: 400 });
+    expect(liabilities.balanceChangeDates(short, '2025-01-01')).toEqual(['2024-02-15', '2024-03-15', '2024-04-15']);
+    expect(liabilities.outstandingBalance(short, '2024-04-15')).toBe(0);
+    expect(liabilities.balanceChangeDates(loan({ principal: 100, start_date: '2024-01-01', payment_amount: 10, payment_frequency: 'weekly' }), '2024-01-15'))
+      .toEqual(['2024-01-08', '2024-01-15']);
+  });
+
+  test('without payments the principal stays owed; payments below the interest let it grow', () => {
+    expect(liabilities.outstandingBalance(loan({ principal: 750, interest_rate: 20, start_date: '2024-01-01' }), '2030-01-01')).toBe(750);
+    const growing = loan({ principal: 1000, interest_rate: 120, start_date: '2024-01-01', payment_amount: 50 });
+    expect(liabilities.outstandingBalance(growing, '2024-03-01')).toBeCloseTo((1000 * 1.1 - 50) * 1.1 - 50);
+  });
+
+  test('balances looked up in one longer schedule match the schedule up to each date', () => {
+    const withRepayment = loan({ principal: 2000, interest_rate: 6, start_date: '2024-01-31', payment_amount: 150, repayments: [{ id: 1, date: '2024-03-31', amount: 300 }] });
+    const balanceOn = liabilities.balanceLookup(withRepayment, '2025-12-31');
+    for (const date of ['2024-01-01', '2024-01-31', '2024-02-28', '2024-02-29', '2024-03-31', '2024-06-15', '2025-06-30', '2025-12-31']) {
+      expect(balanceOn(date)).toBe(liabilities.outstandingBalance(withRepayment, date));
+    }
+    expect(balanceOn('2024-01-01')).toBe(0);
+    expect(balanceOn('2025-12-31')).toBe(0);
+  });
+
+  test('rejects invalid liabilities', () => {
+    const valid = { name: 'Card', start_date: '2024-01-01' };
+    expect(liabilities.parseLiability(valid)).toMatchObject({ type: 'loan', currency: 'EUR', payment_frequency: 'monthly', principal: 0 });
+    expect(() => liabilities.parseLiability({ ...valid, name: ' ' })).toThrow('name is required');
+    expect(() => liabilities.parseLiability({ ...valid, type: 'lease' })).toThrow('type must be one of');
+    expect(() => liabilities.parseLiability({ ...valid, payment_frequency: 'daily' })).toThrow('payment_frequency must be one of');
+    expect(() => liabilities.parseLiability({ ...valid, start_date: '2024-1-1' })).toThrow('start_date required');
+    expect(() => liabilities.parseLiability({ ...valid, principal: -5 })).toThrow('principal must be a non-negative number');
+    // Changes are applied on top of the saved liability
+    expect(liabilities.parseLiability({ payment_amount: 600 }, mortgage)).toMatchObject({ name: 'Mortgage', principal: 10000, payment_amount: 600 });
+  });
+});
+
+describe('Net Worth', () => {
+  test('balances are converted to the base currency', () => {
+    const context = wealth.loadWealthContext();
+    const balances = liabilities.getLiabilityBalances('2024-07-01', context);
+    expect(balances.map(b => [b.name, b.currency])).toEqual([['Car Loan', 'USD'], ['Mortgage', 'EUR']]);
+    expect(balances[0].balance).toBe(900);
+    expect(balances[0].balance_base).toBeCloseTo(810);
+  });
+
+  test('debts lower the net worth but not the cost', () => {
+    const worth = liabilities.netWorth(1000, 800, [{ balance_base: 300 }, { balance_base: null }]);
+    expect(worth).toEqual({ assets: 1000, liabilities: 300, net_worth: 700, cost: 800 });
+  });
+
+  test('daily snapshots store the net worth', () => {
+    const owed = 9600 * 1.01 - 500;
+    const result = snapshots.writeDailySnapshot('2024-03-31');
+    expect(result.total_wealth).toBeCloseTo(20000 - owed);
+    expect(result.total_cost).toBe(20000);
+    const details = JSON.parse(mockDb.prepare("SELECT details FROM daily_wealth WHERE date = '2024-03-31'").get().details);
+    expect(details.assets).toBe(20000);
+    expect(details.liabilities).toBeCloseTo(owed);
+    expect(snapshots.getFirstActivityDate()).toBe('2024-01-02');
+  });
+
+  test('debts come off the history value only', () => {
+    const points = [
+      { date: '2024-01-15', value: 100, cost: 100, gain: 0 },
+      { date: '2024-02-29', value: 20000, cost: 19000, gain: 1000, invested: 19000, benchmarks: { SPY: 21000, QQQ: null } }
+    ];
+    liabilities.subtractLiabilities(points, wealth.loadWealthContext(), liabilities.loadLiabilities());
+    expect(points[0]).toEqual({ date: '2024-01-15', value: 100, cost: 100, gain: 0 });
+    expect(points[1]).toEqual({ date: '2024-02-29', value: 10400, cost: 19000, gain: 1000, invested: 19000, benchmarks: { SPY: 21000, QQQ: null } });
+  });
+});
+
+describe('Amortization Schedule', () => {
+  test('an annuity pays interest first; a linear loan repays a fixed principal with the interest on top', () => {
+    const terms = { principal: 1200, interest_rate: 12, start_date: '2024-01-01', payment_amount: 100 };
+    const annuity = liabilities.amortizationSchedule(loan(terms));
+    expect(annuity.rows[0]).toEqual({ date: '2024-02-01', kind: 'payment', payment: 100, interest: 12, principal: 88, balance: 1112 });
+    expect(annuity.rows).toHaveLength(13);
+    expect(annuity.rows[12].payment).toBeLessThan(100);
+
+    const linear = liabilities.amortizationSchedule(loan({ ...terms, amortization: 'linear' }));
+    expect(linear.rows.map(r => r.payment)).toEqual([112, 111, 110, 109, 108, 107, 106, 105, 104, 103, 102, 101]);
+    expect(linear.total_interest).toBe(78);
+    expect(linear.total_paid).toBe(1278);
+    expect(linear.payoff_date).toBe('2025-01-01');
+    expect(annuity.total_interest).toBeGreaterThan(linear.total_interest);
+  });
+
+  test('extra payments shorten the schedule and save interest', () => {
+    const terms = loan({ principal: 1200, interest_rate: 12, start_date: '2024-01-01', payment_amount: 100 });
+    const plain = liabilities.amortizationSchedule(terms);
+    const faster = liabilities.amortizationSchedule(terms, { extra: 100 });
+    expect(faster.rows[0]).toMatchObject({ payment: 200, principal: 188, balance: 1012 });
+    expect(faster.rows.length).toBeLessThan(plain.rows.length);
+    expect(faster.total_interest).toBeLessThan(plain.total_interest);
+    // Without payments the schedule never ends
+    expect(liabilities.amortizationSchedule(loan({ principal: 500, start_date: '2024-01-01' })).payoff_date).toBeNull();
+  });
+
+  test('extra repayments lower the balance the next payment charges interest on', () => {
+    const withRepayment = loan({ principal: 1000, interest_rate: 12, start_date: '2024-01-01', payment_amount: 100, repayments: [{ id: 1, date: '2024-01-15', amount: 500 }] });
+    const { rows } = liabilities.amortizationSchedule(withRepayment, { end: '2024-02-01' });
+    expect(rows).toEqual([
+      { date: '2024-01-15', kind: 'extra', payment: 500, interest: 0, principal: 500, balance: 500 },
+      { date: '2024-02-01', kind: 'payment', payment: 100, interest: 5, principal: 95, balance: 405 }
+    ]);
+    expect(liabilities.outstandingBalance(withRepayment, '2024-01-20')).toBe(500);
+    // A repayment larger than the balance only clears what is owed
+    const cleared = liabilities.amortizationSchedule(loan({ ...withRepayment, repayments: [{ id: 1, date: '2024-01-15', amount: 5000 }] }));
+    expect(cleared.rows).toHaveLength(1);
+    expect(cleared.rows[0].payment).toBe(1000);
+    expect(cleared.payoff_date).toBe('2024-01-15');
+  });
+
+  test('stores extra repayments and rejects invalid ones', () => {
+    const card = liabilities.createLiability({ name: 'Card', type: 'credit_card', principal: 300, start_date: '2024-05-01', amortization: 'linear' });
+    expect(card.amortization).toBe('linear');
+    expect(() => liabilities.addRepayment(card, { date: '2024-04-30', amount: 100 })).toThrow('cannot be dated before');
+    expect(() => liabilities.addRepayment(card, { date: '2024-05-10', amount: 0 })).toThrow('amount must be a positive number');
+    const repayment = liabilities.addRepayment(card, { date: '2024-05-10', amount: 100 });
+    const stored = liabilities.getLiabilityWithRepayments(card.id);
+    expect(stored.repayments).toEqual([repayment]);
+    expect(liabilities.outstandingBalance(stored, '2024-05-10')).toBe(200);
+    liabilities.deleteRepayment(repayment);
+    liabilities.deleteLiability(card);
+    expect(liabilities.getLiabilityWithRepayments(card.id)).toBeUndefined();
+  });
+
+  test('lists the payments due in a range and the total owed on given dates', () => {
+    const payments = liabilities.scheduledPayments('2024-03-01', '2024-04-30');
+    expect(payments.map(p => [p.name, p.date])).toEqual([['Mortgage', '2024-03-31'], ['Mortgage', '2024-04-30']]);
+    expect(payments[0]).toMatchObject({ liability_id: mortgage.id, currency: 'EUR', interest: 96, principal: 404 });
+    expect(liabilities.projectedDebt(['2024-01-15', '2024-02-29'], wealth.loadWealthContext())).toEqual({ '2024-01-15': 0, '2024-02-29': 9600 });
+  });
+});
+
+describe('Payoff Planner', () => {
+  const context = () => wealth.loadWealthContext();
+  const card = loan({ id: 10, name: 'Card', principal: 1000, interest_rate: 20, start_date: '2024-01-01', payment_amount: 50 });
+  const car = loan({ id: 11, name: 'Car', principal: 800, interest_rate: 5, start_date: '2024-01-01', payment_amount: 50 });
+
+  test('the avalanche pays the highest rate first, the snowball the smallest balance', () => {
+    const comparison = liabilities.comparePayoffStrategies('2024-01-01', context(), 100, [card, car]);
+    expect(comparison.avalanche.debts.map(d => d.name)).toEqual(['Card', 'Car']);
+    expect(comparison.snowball.debts.map(d => d.name)).toEqual(['Car', 'Card']);
+    expect(comparison.avalanche.monthly_budget).toBe(200);
+    expect(comparison.snowball.monthly_budget).toBe(200);
+    expect(comparison.avalanche.total_interest).toBeLessThan(comparison.snowball.total_interest);
+    expect(comparison.interest_saved).toBeCloseTo(comparison.snowball.total_interest - comparison.avalanche.total_interest);
+    // The snowball clears the car first; the avalanche clears the card before the car
+    expect(comparison.snowball.debts[0].months).toBeLessThan(comparison.snowball.debts[1].months);
+    expect(comparison.avalanche.debts[0].months).toBeLessThan(comparison.avalanche.debts[1].months);
+    expect(comparison.avalanche.payoff_date).toBe(`2024-${String(1 + comparison.avalanche.months).padStart(2, '0')}-01`);
+  });
+
+  test('payments roll over once a debt is paid off', () => {
+    const free = loan({ principal: 1200, start_date: '2024-01-01', payment_amount: 100 });
+    const plan = liabilities.comparePayoffStrategies('2024-01-01', context(), 100, [free]).avalanche;
+    expect(plan).toMatchObject({ monthly_budget: 200, total_interest: 0, total_paid: 1200, months: 6, payoff_date: '2024-07-01' });
+    const both = liabilities.comparePayoffStrategies('2024-01-01', context(), 0, [free, { ...free, id: 2, principal: 600 }]).snowball;
+    // The smaller debt is gone after 6 months, then its 100 a month goes to the other
+    expect(both.debts.map(d => d.months)).toEqual([6, 9]);
+  });
+
+  test('debts with no way to be paid off and debts in unknown currencies', () => {
+    const stuck = liabilities.comparePayoffStrategies('2024-01-01', context(), 0, [loan({ principal: 100, interest_rate: 10, start_date: '2024-01-01' })]);
+    expect(stuck.avalanche.months).toBeNull();
+    expect(stuck.avalanche.payoff_date).toBeNull();
+    const foreign = liabilities.comparePayoffStrategies('2024-01-01', context(), 0, [loan({ principal: 100, currency: 'GBP', start_date: '2024-01-01' })]);
+    expect(foreign.avalanche.debts).toEqual([]);
+    expect(foreign.avalanche.months).toBe(0);
+  });
+});
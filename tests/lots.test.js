@@ -0,0 +1,184 @@
+/**
+ * Tests for tax-lot accounting: buys and transfers in opening lots, sales closing
+ * them by FIFO, LIFO, HIFO or average cost, and holdings and realized gains
+ * computed from the lots.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const { buildLedger, getPositions, toRealizedGains } = require('../src/services/wealth');
+
+const insertTx = mockDb.prepare(
+  'INSERT INTO transactions (account_id, symbol, type, quantity, price, currency, fx_rate, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+);
+
+// Three buys at different prices, then a sale of half the position
+function addAccount(id, method) {
+  mockDb.prepare("INSERT INTO accounts (id, name, currency, cost_basis_method) VALUES (?, ?, 'EUR', ?)").run(id, method, method);
+  insertTx.run(id, 'ACME', 'buy', 10, 100, 'EUR', null, '2024-01-10');
+  insertTx.run(id, 'ACME', 'buy', 10, 150, 'EUR', null, '2024-02-10');
+  insertTx.run(id, 'ACME', 'buy', 10, 120, 'EUR', null, '2024-03-10');
+  insertTx.run(id, 'ACME', 'sell', 15, 200, 'EUR', null, '2024-04-10');
+}
+
+const realizedOf = (accountId) => toRealizedGains(buildLedger(undefined, accountId))[0].realized;
+const lotsOf = (position) => position.lots.map(l => [l.date, l.quantity, l.unit_cost]);
+
+beforeAll(() => {
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  addAccount(1, 'fifo');
+  addAccount(2, 'lifo');
+  addAccount(3, 'hifo');
+  addAccount(4, 'average');
+});
+
+describe('Lot Selection', () => {
+  test('FIFO closes the oldest lots first', () => {
+    const [acme] = getPositions(undefined, 1);
+    expect(acme.quantity).toBe(15);
+    expect(lotsOf(acme)).toEqual([['2024-02-10', 5, 150], ['2024-03-10', 10, 120]]);
+    expect(acme.avg_cost).toBeCloseTo((5 * 150 + 10 * 120) / 15);
+    expect(realizedOf(1).total).toBeCloseTo(15 * 200 - (10 * 100 + 5 * 150));
+  });
+
+  test('LIFO closes the newest lots first', () => {
+    const [acme] = getPositions(undefined, 2);
+    expect(lotsOf(acme)).toEqual([['2024-01-10', 10, 100], ['2024-02-10', 5, 150]]);
+    expect(acme.avg_cost).toBeCloseTo((10 * 100 + 5 * 150) / 15);
+    expect(realizedOf(2).total).toBeCloseTo(15 * 200 - (10 * 120 + 5 * 150));
+  });
+
+  test('HIFO closes the most expensive lots first', () => {
+    const [acme] = getPositions(undefined, 3);
+    expect(lotsOf(acme)).toEqual([['2024-01-10', 10, 100], ['2024-03-10', 5, 120]]);
+    expect(realizedOf(3).total).toBeCloseTo(15 * 200 - (10 * 150 + 5 * 120));
+  });
+
+  test('average cost closes every lot pro rata', () => {
+    const [acme] = getPositions(undefined, 4);
+    expect(lotsOf(acme)).toEqual([['2024-01-10', 5, 100], ['2024-02-10', 5, 150], ['2024-03-10', 5, 120]]);
+    expect(acme.avg_cost).toBeCloseTo(370 / 3);
+    expect(realizedOf(4).total).toBeCloseTo(15 * 200 - 15 * (370 / 3));
+  });
+
+  test('positions as of a date before the sale still hold every lot', () => {
+    const [acme] = getPositions('2024-03-31', 1);
+    expect(acme.lots).toHaveLength(3);
+    expect(acme.avg_cost).toBeCloseTo(370 / 3);
+  });
+});
+
+describe('Lot Bookkeeping', () => {
+  test('transfers out close lots without realizing a gain', () => {
+    mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (5, 'Transfers', 'EUR')").run();
+    insertTx.run(5, 'XYZ', 'buy', 4, 50, 'EUR', null, '2024-01-01');
+    insertTx.run(5, 'XYZ', 'transfer_in', 6, 80, 'EUR', null, '2024-02-01');
+    insertTx.run(5, 'XYZ', 'transfer_out', 5, 0, 'EUR', null, '2024-03-01');
+
+    const [xyz] = getPositions(undefined, 5);
+    expect(lotsOf(xyz)).toEqual([['2024-02-01', 5, 80]]);
+    expect(toRealizedGains(buildLedger(undefined, 5))).toEqual([]);
+  });
+
+  test('a position sold off completely has no open lots', () => {
+    mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (6, 'Closed', 'EUR')").run();
+    insertTx.run(6, 'OLD', 'buy', 3, 10, 'EUR', null, '2024-01-01');
+    insertTx.run(6, 'OLD', 'sell', 3, 12, 'EUR', null, '2024-02-01');
+
+    expect(getPositions(undefined, 6)).toEqual([]);
+    expect(realizedOf(6).total).toBeCloseTo(6);
+  });
+
+  test('HIFO ranks lots by their cost in the base currency', () => {
+    mockDb.prepare("INSERT INTO accounts (id, name, currency, cost_basis_method) VALUES (7, 'US', 'USD', 'hifo')").run();
+    insertTx.run(7, 'SPY', 'buy', 10, 100, 'USD', 1.0, '2024-01-01');
+    insertTx.run(7, 'SPY', 'buy', 10, 105, 'USD', 0.8, '2024-02-01');
+    insertTx.run(7, 'SPY', 'sell', 10, 110, 'USD', 0.9, '2024-03-01');
+
+    const [spy] = getPositions(undefined, 7);
+    expect(lotsOf(spy)).toEqual([['2024-02-01', 10, 105]]);
+    expect(spy.avg_cost_base).toBeCloseTo(84);
+
+    const realized = realizedOf(7);
+    expect(realized.total).toBeCloseTo(10 * 110 * 0.9 - 1000);
+    expect(realized.price).toBeCloseTo(100);
+    expect(realized.fx).toBeCloseTo(-110);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Tests for performance measures: time-weighted returns chained across
+ * deposits, money-weighted returns (XIRR), period start dates and the returns
+ * of the portfolio, an account and a symbol valued with historical closes.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_history (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL NOT NULL,
+    volume REAL,
+    currency TEXT DEFAULT 'USD',
+    source TEXT DEFAULT '',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_history_coverage (
+    symbol TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const providers = require('../src/services/providers');
+const { getPerformance, periodStart, timeWeightedReturn, xirr } = require('../src/services/performance');
+
+const CLOSES = {
+  AAPL: { '2024-01-01': 100, '2024-06-28': 100, '2024-07-01': 120, '2024-12-31': 110 },
+  MSFT: { '2024-01-01': 200, '2024-06-28': 220, '2024-12-31': 240 }
+};
+providers.registerProvider({
+  name: 'fake',
+  label: 'Fake',
+  async quote() { throw new Error('not used'); },
+  async quotes() { return {}; },
+  async search() { return []; },
+  async history(symbol) {
+    return Object.entries(CLOSES[symbol] || {}).map(([date, close]) => ({ date, close, currency: 'EUR' }));
+  }
+});
+
+beforeAll(() => {
+  providers.saveProviderConfig({ default: 'fake' });
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Growth', 'EUR'), (2, 'Income', 'EUR')").run();
+  const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, withholding_tax, date) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  // A second deposit after the price rose: the investment gained 10% but the money put in broke even
+  tx.run(1, 'AAPL', 'buy', 10, 100, 0, '2024-01-01');
+  tx.run(1, 'AAPL', 'buy', 10, 120, 0, '2024-07-01');
+  tx.run(2, 'MSFT', 'buy', 5, 200, 0, '2024-01-01');
+  tx.run(2, 'MSFT', 'dividend', 5, 2.5, 2.5, '2024-06-30');
+});
+
+describe('Return Measures', () => {
+  test('time-weighted return chains daily returns net of flows', () => {
+    const points = [
+      { date: '2024-01-01', value: 1000, flow: 1000 },
+      { date: '2024-07-01', value: 2400, flow: 1200 },
+      { date: '2024-12-31', value: 2200, flow: 0 }
+    ];
+    expect(timeWeightedReturn(0, points)).toBeCloseTo(0.1);
+    expect(timeWeightedReturn(0, [{ date: '2024-01-01', value: 0, flow: 0 }])).toBeNull();
+  });
+
+  test('xirr solves for the annual rate with a zero net present value', () => {
+    expect(xirr([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: 1100 }])).toBeCloseTo(0.1, 8);
+    expect(xirr([
+      { date: '2024-01-01', amount: -1000 },
+      { date: '2024-07-01', amount: -1200 },
+      { date: '2024-12-31', amount: 2200 }
+    ])).toBeCloseTo(0, 8);
+    expect(xirr([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: 100 }])).toBeCloseTo(-0.9, 8);
+  });
+
+  test('xirr is undefined without both investments and returns', () => {
+    expect(xirr([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: -100 }])).toBeNull();
+    expect(xirr([{ date: '2024-01-01', amount: -1000 }, { date: '2024-01-01', amount: 1000 }])).toBeNull();
+  });
+
+  test('periods end on the given day', () => {
+    expect(periodStart('1m', '2024-03-31')).toBe('2024-02-29');
+    expect(periodStart('ytd', '2024-03-31')).toBe('2024-01-01');
+    expect(periodStart('5y', '2024-03-31')).toBe('2019-03-31');
+    expect(periodStart('all', '2024-03-31', '2023-05-01')).toBe('2023-05-01');
+    expect(periodStart('all', '2024-03-31')).toBe('2024-03-31');
+  });
+});
+
+describe('Performance', () => {
+  test('account returns separate investment growth from the timing of deposits', async () => {
+    const perf = await getPerformance('all', { accountId: 1 }, '2024-12-31');
+    expect(perf).toMatchObject({ start: '2024-01-01', start_value: 0, end_value: 2200, net_flows: 2200, account_id: 1, symbol: null });
+    expect(perf.gain).toBeCloseTo(0);
+    expect(perf.simple_return).toBeCloseTo(0);
+    expect(perf.twr).toBeCloseTo(0.1);
+    expect(perf.twr_annualized).toBeCloseTo(Math.pow(1.1, 365 / 366) - 1);
+    expect(perf.xirr).toBeCloseTo(0, 6);
+  });
+
+  test('periods start from the value held the day before', async () => {
+    const perf = await getPerformance('6m', { accountId: 1 }, '2024-12-31');
+    expect(perf).toMatchObject({ start: '2024-06-30', start_value: 1000, net_flows: 1200, twr_annualized: null });
+    expect(perf.twr).toBeCloseTo(0.1);
+  });
+
+  test('income net of withholding tax counts as money taken out', async () => {
+    const perf = await getPerformance('all', { accountId: 2 }, '2024-12-31');
+    expect(perf.net_flows).toBeCloseTo(1000 - 10);
+    expect(perf.gain).toBeCloseTo(1200 - 990);
+    // 1000 -> 1100 plus the 10 paid out, then 1100 -> 1200
+    expect(perf.twr).toBeCloseTo(1.11 * 1200 / 1100 - 1);
+    expect(perf.xirr).toBeGreaterThan(0.2);
+  });
+
+  test('portfolio and symbol scopes', async () => {
+    const portfolio = await getPerformance('all', {}, '2024-12-31');
+    expect(portfolio).toMatchObject({ end_value: 3400, account_id: null });
+    expect(portfolio.net_flows).toBeCloseTo(2200 + 990);
+
+    const symbol = await getPerformance('all', { symbol: 'AAPL' }, '2024-12-31');
+    expect(symbol).toMatchObject({ symbol: 'AAPL', end_value: 2200, net_flows: 2200 });
+    expect(symbol.twr).toBeCloseTo(0.1);
+  });
+});
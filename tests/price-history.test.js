@@ -0,0 +1,194 @@
+/**
+ * Tests for the persistent price history store: missing range detection,
+ * incremental syncing from a provider and weekly downsampling.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_history (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL NOT NULL,
+    volume REAL,
+    currency TEXT DEFAULT 'USD',
+    source TEXT DEFAULT '',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_history_coverage (
+    symbol TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const providers = require('../src/services/providers');
+const {
+  findMissingRanges, syncPriceHistory, getPriceHistory, downsampleWeekly, closeOnOrBefore
+} = require('../src/services/price-history');
+const { toDateKey } = require('../src/services/dates');
+
+// Provider returning one bar per calendar day between period1 and period2 (or today)
+const requests = [];
+let offline = false;
+providers.registerProvider({
+  name: 'fake',
+  label: 'Fake',
+  async quote() { throw new Error('not used'); },
+  async quotes() { return {}; },
+  async search() { return []; },
+  async history(symbol, options) {
+    requests.push({ ...options });
+    if (offline) throw new Error('network down');
+    const rows = [];
+    const end = options.period2 || toDateKey(new Date());
+    for (let d = new Date(options.period1); toDateKey(d) <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+      rows.push({ date: d.toISOString(), close: 100 + d.getUTCDate(), currency: 'EUR' });
+    }
+    return rows;
+  }
+});
+
+function daysAgo(days) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() - days);
+  return toDateKey(d);
+}
+
+beforeEach(() => {
+  mockDb.exec('DELETE FROM price_history; DELETE FROM price_history_coverage; DELETE FROM app_settings;');
+  providers.saveProviderConfig({ default: 'fake' });
+  requests.length = 0;
+  offline = false;
+});
+
+describe('Missing Range Detection', () => {
+  test('everything is missing without coverage', () => {
+    expect(findMissingRanges(undefined, '2024-01-01', '2024-02-01')).toEqual([{ start: '2024-01-01', end: '2024-02-01' }]);
+  });
+
+  test('finalized history inside coverage needs no fetch', () => {
+    const coverage = { start: '2023-01-01', end: '2024-06-01' };
+    expect(findMissingRanges(coverage, '2023-06-01', '2024-01-01', '2024-06-10', false)).toEqual([]);
+  });
+
+  test('head and tail gaps are fetched, overlapping the covered edges', () => {
+    const coverage = { start: '2024-01-01', end: '2024-03-01' };
+    expect(findMissingRanges(coverage, '2023-10-01', '2024-03-10', '2024-03-10', false)).toEqual([
+      { start: '2023-10-01', end: '2024-01-01' },
+      { start: '2024-03-01', end: '2024-03-10' }
+    ]);
+  });
+
+  test('today is refetched only once it is stale', () => {
+    const coverage = { start: '2024-01-01', end: '2024-03-10' };
+    expect(findMissingRanges(coverage, '2024-02-01', '2024-03-10', '2024-03-10', false)).toEqual([]);
+    expect(findMissingRanges(coverage, '2024-02-01', '2024-03-10', '2024-03-10', true)).toEqual([{ start: '2024-03-10', end: '2024-03-10' }]);
+  });
+});
+
+describe('Incremental Sync', () => {
+  test('stores daily rows with currency and source', async () => {
+    const result = await syncPriceHistory('AAPL', daysAgo(10));
+    expect(result.fetched).toBe(11);
+
+    const rows = mockDb.prepare('SELECT * FROM price_history WHERE symbol = ? ORDER BY date').all('AAPL');
+    expect(rows).toHaveLength(11);
+    expect(rows[0]).toMatchObject({ date: daysAgo(10), currency: 'EUR', source: 'fake' });
+  });
+
+  test('only the missing head range is fetched on a longer request', async () => {
+    await syncPriceHistory('AAPL', daysAgo(10));
+    requests.length = 0;
+
+    await syncPriceHistory('AAPL', daysAgo(30));
+    expect(requests).toEqual([{ period1: daysAgo(30), period2: daysAgo(10), interval: '1d' }]);
+
+    const { count } = mockDb.prepare('SELECT COUNT(*) AS count FROM price_history WHERE symbol = ?').get('AAPL');
+    expect(count).toBe(31);
+  });
+
+  test('a repeated request within the refresh window does not hit the provider', async () => {
+    await syncPriceHistory('AAPL', daysAgo(10));
+    requests.length = 0;
+
+    await syncPriceHistory('AAPL', daysAgo(5));
+    expect(requests).toEqual([]);
+  });
+
+  test('serves stored history when the provider is unreachable', async () => {
+    await syncPriceHistory('AAPL', daysAgo(10));
+    mockDb.prepare("UPDATE price_history_coverage SET updated_at = datetime('now', '-1 day')").run();
+    offline = true;
+
+    const { prices, error } = await getPriceHistory('AAPL', daysAgo(10));
+    expect(error).toBe('network down');
+    expect(prices).toHaveLength(11);
+    expect(prices[0].date).toBe(daysAgo(10));
+  });
+
+  test('coverage is not extended when a fetch fails', async () => {
+    offline = true;
+    const { prices, error } = await getPriceHistory('MSFT', daysAgo(10));
+    expect(error).toBe('network down');
+    expect(prices).toEqual([]);
+    expect(mockDb.prepare('SELECT * FROM price_history_coverage WHERE symbol = ?').get('MSFT')).toBeUndefined();
+  });
+});
+
+describe('Close Lookup', () => {
+  test('finds the latest close on or before a date', () => {
+    const prices = [
+      { date: '2024-03-01', close: 1 },
+      { date: '2024-03-04', close: 2 },
+      { date: '2024-03-05', close: 3 }
+    ];
+    expect(closeOnOrBefore(prices, '2024-02-29')).toBeUndefined();
+    expect(closeOnOrBefore(prices, '2024-03-03').close).toBe(1);
+    expect(closeOnOrBefore(prices, '2024-03-04').close).toBe(2);
+    expect(closeOnOrBefore(prices, '2024-12-31').close).toBe(3);
+  });
+});
+
+describe('Weekly Downsampling', () => {
+  test('groups days into Monday-labelled bars with the last close', () => {
+    const weekly = downsampleWeekly([
+      { date: '2024-03-04', open: 10, high: 12, low: 9, close: 11, volume: 100 },
+      { date: '2024-03-06', open: 11, high: 15, low: 10, close: 14, volume: 50 },
+      { date: '2024-03-10', open: 14, high: 14, low: 8, close: 9, volume: 25 },
+      { date: '2024-03-11', open: 9, high: 10, low: 9, close: 10, volume: 10 }
+    ]);
+
+    expect(weekly).toEqual([
+      { date: '2024-03-04', open: 10, high: 15, low: 8, close: 9, volume: 175 },
+      { date: '2024-03-11', open: 9, high: 10, low: 9, close: 10, volume: 10 }
+    ]);
+  });
+});
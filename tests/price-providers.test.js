@@ -0,0 +1,168 @@
+/**
+ * Tests for the price provider layer: registry, asset class detection,
+ * per-symbol / per-asset-class provider resolution and the cached quote service.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const providers = require('../src/services/providers');
+const { getQuote, getQuotes } = require('../src/services/quotes');
+
+function fakeProvider(name, prices, { failing = false } = {}) {
+  const calls = [];
+  return {
+    name,
+    label: `Fake ${name}`,
+    calls,
+    async quote(symbol) {
+      calls.push(symbol);
+      if (failing || prices[symbol] === undefined) throw new Error(`${name} cannot price ${symbol}`);
+      return { symbol, price: prices[symbol], currency: 'USD', name: symbol, change_percent: 0 };
+    },
+    async quotes(symbols) {
+      if (failing) throw new Error(`${name} is offline`);
+      const result = {};
+      for (const s of symbols) {
+        calls.push(s);
+        if (prices[s] !== undefined) result[s] = { symbol: s, price: prices[s], currency: 'USD', name: s, change_percent: 0 };
+      }
+      return result;
+    },
+    async history() { return []; },
+    async search() { return []; }
+  };
+}
+
+const local = fakeProvider('local', { HOUSE: 350000, 'BTC-USD': 60000, AAPL: 190 });
+const offline = fakeProvider('offline', {}, { failing: true });
+providers.registerProvider(local);
+providers.registerProvider(offline);
+
+beforeEach(() => {
+  mockDb.prepare('DELETE FROM app_settings').run();
+  mockDb.prepare('DELETE FROM price_cache').run();
+  local.calls.length = 0;
+});
+
+describe('Provider Registry', () => {
+  test('yahoo is registered by default', () => {
+    const names = providers.listProviders().map(p => p.name);
+    expect(names).toEqual(expect.arrayContaining(['yahoo', 'local', 'offline']));
+  });
+
+  test('getProvider returns undefined for unknown names', () => {
+    expect(providers.getProvider('nope')).toBeUndefined();
+  });
+});
+
+describe('Asset Class Detection', () => {
+  test('detects currencies, commodities, crypto and equities', () => {
+    expect(providers.getAssetClass('EURUSD=X')).toBe('currency');
+    expect(providers.getAssetClass('GC=F')).toBe('commodity');
+    expect(providers.getAssetClass('BTC-USD')).toBe('crypto');
+    expect(providers.getAssetClass('eth-eur')).toBe('crypto');
+    expect(providers.getAssetClass('AAPL')).toBe('equity');
+    expect(providers.getAssetClass('VWCE.DE')).toBe('equity');
+  });
+});
+
+describe('Provider Resolution', () => {
+  test('falls back to yahoo without configuration', () => {
+    expect(providers.getProviderForSymbol('AAPL').name).toBe('yahoo');
+  });
+
+  test('per-symbol choice beats asset class and default', () => {
+    providers.saveProviderConfig({ default: 'yahoo', asset_classes: { crypto: 'offline' }, symbols: { 'btc-usd': 'local' } });
+    expect(providers.getProviderForSymbol('BTC-USD').name).toBe('local');
+    expect(providers.getProviderForSymbol('ETH-USD').name).toBe('offline');
+    expect(providers.getProviderForSymbol('AAPL').name).toBe('yahoo');
+  });
+
+  test('rejects unknown providers and asset classes', () => {
+    expect(() => providers.saveProviderConfig({ default: 'nope' })).toThrow('Unknown price provider');
+    expect(() => providers.saveProviderConfig({ asset_classes: { bonds: 'local' } })).toThrow('Unknown asset class');
+    expect(() => providers.saveProviderConfig({ symbols: { AAPL: 'nope' } })).toThrow('Unknown price provider');
+  });
+
+  test('config persists in app_settings', () => {
+    providers.saveProviderConfig({ default: 'local' });
+    const row = mockDb.prepare('SELECT value FROM app_settings WHERE key = ?').get('price_providers');
+    expect(JSON.parse(row.value).default).toBe('local');
+    expect(providers.getDefaultProvider().name).toBe('local');
+  });
+});
+
+describe('Cached Quotes', () => {
+  test('getQuote fetches from the configured provider and caches the result', async () => {
+    providers.saveProviderConfig({ default: 'local' });
+    const quote = await getQuote('HOUSE');
+    expect(quote.price).toBe(350000);
+
+    const cached = mockDb.prepare('SELECT * FROM price_cache WHERE symbol = ?').get('HOUSE');
+    expect(cached.price).toBe(350000);
+
+    // Second call is served from cache
+    await getQuote('HOUSE');
+    expect(local.calls).toEqual(['HOUSE']);
+  });
+
+  test('getQuote falls back to stale cache when the provider fails', async () => {
+    providers.saveProviderConfig({ default: 'offline' });
+    mockDb.prepare("INSERT INTO price_cache (symbol, price, currency, updated_at) VALUES (?, ?, ?, datetime('now', '-1 day'))").run('AAPL', 150, 'USD');
+
+    const quote = await getQuote('AAPL');
+    expect(quote.price).toBe(150);
+    expect(quote.stale).toBe(true);
+  });
+
+  test('getQuote throws when nothing is available', async () => {
+    providers.saveProviderConfig({ default: 'offline' });
+    await expect(getQuote('MSFT')).rejects.toThrow('offline cannot price MSFT');
+  });
+
+  test('getQuotes routes each symbol to its own provider', async () => {
+    providers.saveProviderConfig({ default: 'offline', asset_classes: { crypto: 'local' }, symbols: { AAPL: 'local' } });
+    mockDb.prepare("INSERT INTO price_cache (symbol, price, currency, updated_at) VALUES (?, ?, ?, datetime('now', '-1 day'))").run('MSFT', 400, 'USD');
+
+    const results = await getQuotes(['BTC-USD', 'AAPL', 'MSFT', 'TSLA']);
+    expect(results['BTC-USD'].price).toBe(60000);
+    expect(results['AAPL'].price).toBe(190);
+    expect(results['MSFT']).toMatchObject({ price: 400, stale: true });
+    expect(results['TSLA']).toMatchObject({ price: 0, error: 'offline is offline' });
+  });
+});
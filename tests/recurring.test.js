@@ -0,0 +1,359 @@
+/**
+ * Tests for recurring transactions: plan validation, execution dates, materializing pending
+ * executions with looked-up prices, confirming / skipping them and the upcoming calendar feed.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+mockDb.pragma('foreign_keys = ON');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_history (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL NOT NULL,
+    volume REAL,
+    currency TEXT DEFAULT 'USD',
+    source TEXT DEFAULT '',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_history_coverage (
+    symbol TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS daily_wealth (
+    date TEXT NOT NULL,
+    total_wealth REAL NOT NULL DEFAULT 0,
+    total_cost REAL NOT NULL DEFAULT 0,
+    base_currency TEXT DEFAULT 'EUR',
+    details TEXT DEFAULT '{}',
+    dirty INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (date)
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS recurring_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'buy' CHECK(type IN ('buy','sell','deposit','withdrawal')),
+    amount REAL DEFAULT NULL,
+    quantity REAL DEFAULT NULL,
+    price REAL DEFAULT NULL,
+    fee REAL NOT NULL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    frequency TEXT NOT NULL DEFAULT 'monthly' CHECK(frequency IN ('weekly','monthly','quarterly')),
+    day INTEGER NOT NULL DEFAULT 1,
+    start_date TEXT NOT NULL,
+    end_date TEXT DEFAULT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    notes TEXT DEFAULT '',
+    last_run_date TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS recurring_executions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recurring_id INTEGER NOT NULL,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    date TEXT NOT NULL,
+    scheduled_date TEXT NOT NULL,
+    quantity REAL DEFAULT NULL,
+    price REAL DEFAULT NULL,
+    fee REAL NOT NULL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','confirmed','skipped')),
+    transaction_id INTEGER DEFAULT NULL,
+    error TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(recurring_id, scheduled_date),
+    FOREIGN KEY (recurring_id) REFERENCES recurring_transactions(id) ON DELETE CASCADE,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const providers = require('../src/services/providers');
+const recurring = require('../src/services/recurring');
+
+providers.registerProvider({
+  name: 'fake',
+  label: 'Fake',
+  async quote(symbol) {
+    if (symbol === 'NOPE') throw new Error('unknown symbol');
+    return { symbol, price: 60, currency: 'EUR', name: symbol, change_percent: 0 };
+  },
+  async quotes() { return {}; },
+  async history(symbol, options) {
+    if (symbol === 'NOPE') throw new Error('unknown symbol');
+    const rows = [];
+    const end = options.period2 || new Date().toISOString().slice(0, 10);
+    for (let d = new Date(options.period1); d.toISOString().slice(0, 10) <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+      rows.push({ date: d.toISOString(), close: 50, currency: 'EUR' });
+    }
+    return rows;
+  },
+  async search() { return []; }
+});
+
+function plan(fields) {
+  return { account_id: 1, symbol: 'ETF', type: 'buy', amount: 100, frequency: 'monthly', start_date: '2024-01-15', ...fields };
+}
+
+beforeAll(() => {
+  providers.saveProviderConfig({ default: 'fake' });
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Broker', 'EUR')").run();
+});
+
+beforeEach(() => {
+  mockDb.exec('DELETE FROM recurring_executions; DELETE FROM recurring_transactions; DELETE FROM transactions;');
+});
+
+describe('Plan Validation', () => {
+  test('requires an existing account and either an amount or a quantity', () => {
+    expect(() => recurring.parseRecurring(plan({ account_id: 99 }))).toThrow('existing account');
+    expect(() => recurring.parseRecurring(plan({ amount: null }))).toThrow('either amount or quantity');
+    expect(() => recurring.parseRecurring(plan({ quantity: 2 }))).toThrow('either amount or quantity');
+    expect(() => recurring.parseRecurring(plan({ amount: -5 }))).toThrow('positive number');
+  });
+
+  test('validates type, frequency, dates and day', () => {
+    expect(() => recurring.parseRecurring(plan({ type: 'dividend' }))).toThrow('type must be one of');
+    expect(() => recurring.parseRecurring(plan({ frequency: 'daily' }))).toThrow('frequency must be one of');
+    expect(() => recurring.parseRecurring(plan({ start_date: 'soon' }))).toThrow('start_date required');
+    expect(() => recurring.parseRecurring(plan({ end_date: '2023-12-31' }))).toThrow('on or after start_date');
+    expect(() => recurring.parseRecurring(plan({ frequency: 'weekly', day: 8 }))).toThrow('from 1 to 7');
+  });
+
+  test('defaults the day to the start date and uses the currency for cash plans', () => {
+    expect(recurring.parseRecurring(plan({})).day).toBe(15);
+    // 2024-01-15 is a Monday
+    expect(recurring.parseRecurring(plan({ frequency: 'weekly' })).day).toBe(1);
+    const deposit = recurring.parseRecurring(plan({ type: 'deposit', symbol: 'IGNORED', currency: 'usd' }));
+    expect(deposit).toMatchObject({ symbol: 'USD', currency: 'USD', amount: 100, quantity: null, price: null });
+    expect(() => recurring.parseRecurring(plan({ type: 'withdrawal', amount: '' }))).toThrow('amount is required');
+  });
+
+  test('a new quantity replaces the saved amount', () => {
+    const created = recurring.createRecurring(plan({}));
+    const updated = recurring.updateRecurring(created, { quantity: 3 });
+    expect(updated).toMatchObject({ amount: null, quantity: 3 });
+  });
+});
+
+describe('Execution Dates', () => {
+  test('weekly plans run on their weekday', () => {
+    const r = recurring.createRecurring(plan({ frequency: 'weekly', day: 5 }));
+    expect(recurring.executionDates(r, '2024-01-01', '2024-01-31')).toEqual(['2024-01-19', '2024-01-26']);
+  });
+
+  test('monthly plans clamp the day to the end of shorter months', () => {
+    const r = recurring.createRecurring(plan({ start_date: '2024-01-31' }));
+    expect(recurring.executionDates(r, '2024-01-01', '2024-04-30')).toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+  });
+
+  test('quarterly plans count from the start month and stop at the end date', () => {
+    const r = recurring.createRecurring(plan({ frequency: 'quarterly', end_date: '2024-10-01' }));
+    expect(recurring.executionDates(r, '2024-03-01', '2025-12-31')).toEqual(['2024-04-15', '2024-07-15']);
+    expect(recurring.nextExecutionDate(r, '2024-04-15')).toBe('2024-07-15');
+    expect(recurring.nextExecutionDate(r, '2024-07-15')).toBeNull();
+  });
+});
+
+describe('Materialization', () => {
+  test('creates pending executions priced from history, once per date', async () => {
+    recurring.createRecurring(plan({ fee: 1 }));
+    const created = await recurring.materializeRecurring('2024-03-20');
+    expect(created.map(e => e.date)).toEqual(['2024-01-15', '2024-02-15', '2024-03-15']);
+    expect(created[0]).toMatchObject({ status: 'pending', price: 50, quantity: 2, fee: 1, error: null });
+    // Nothing is booked until the execution is confirmed
+    expect(mockDb.prepare('SELECT COUNT(*) AS n FROM transactions').get().n).toBe(0);
+
+    expect(await recurring.materializeRecurring('2024-03-20')).toEqual([]);
+    const next = await recurring.materializeRecurring('2024-04-15');
+    expect(next).toHaveLength(1);
+    // Due today: priced from the live quote
+    expect(next[0]).toMatchObject({ date: '2024-04-15', price: 60 });
+  });
+
+  test('keeps a fixed price and records a missing one as an error', async () => {
+    recurring.createRecurring(plan({ amount: null, quantity: 4, price: 25 }));
+    recurring.createRecurring(plan({ symbol: 'NOPE' }));
+    const created = await recurring.materializeRecurring('2024-01-15');
+    const bySymbol = Object.fromEntries(created.map(e => [e.symbol, e]));
+    expect(bySymbol.ETF).toMatchObject({ quantity: 4, price: 25 });
+    expect(bySymbol.NOPE).toMatchObject({ quantity: null, price: null });
+    expect(bySymbol.NOPE.error).toContain('No price for NOPE on 2024-01-15');
+  });
+
+  test('skips inactive plans', async () => {
+    recurring.createRecurring(plan({ active: false }));
+    expect(await recurring.materializeRecurring('2024-03-20')).toEqual([]);
+  });
+});
+
+describe('Executions', () => {
+  test('confirming books a transaction with the adjustments', async () => {
+    recurring.createRecurring(plan({ notes: 'ETF plan' }));
+    const [execution] = await recurring.materializeRecurring('2024-01-15');
+    const { execution: confirmed, transaction } = recurring.confirmExecution(execution, { price: 40, quantity: 2.5 });
+    expect(confirmed).toMatchObject({ status: 'confirmed', transaction_id: transaction.id });
+    expect(transaction).toMatchObject({ account_id: 1, symbol: 'ETF', type: 'buy', quantity: 2.5, price: 40, date: '2024-01-15', notes: 'ETF plan' });
+    expect(() => recurring.confirmExecution(confirmed)).toThrow('already confirmed');
+  });
+
+  test('an execution without a price cannot be confirmed until one is set', async () => {
+    recurring.createRecurring(plan({ symbol: 'NOPE' }));
+    const [execution] = await recurring.materializeRecurring('2024-01-15');
+    expect(() => recurring.confirmExecution(execution)).toThrow('Set the quantity and price');
+    // The rejected confirmation keeps none of its adjustments
+    expect(() => recurring.confirmExecution(execution, { date: '2024-01-16', fee: 3 })).toThrow('Set the quantity and price');
+    expect(recurring.getExecution(execution.id)).toMatchObject({ date: '2024-01-15', fee: 0 });
+    const updated = recurring.updateExecution(execution, { price: 20, quantity: 5 });
+    expect(updated.error).toBeNull();
+    expect(recurring.confirmExecution(updated).transaction).toMatchObject({ quantity: 5, price: 20 });
+  });
+
+  test('a moved execution keeps its scheduled date and is not materialized again', async () => {
+    const r = recurring.createRecurring(plan({}));
+    const [january, february] = await recurring.materializeRecurring('2024-02-15');
+    expect(() => recurring.updateExecution(january, { date: '2024-02-15' })).toThrow('already runs on 2024-02-15');
+
+    const moved = recurring.updateExecution(january, { date: '2024-01-20' });
+    expect(moved).toMatchObject({ date: '2024-01-20', scheduled_date: '2024-01-15' });
+    // Changing the start date looks for due dates again
+    recurring.updateRecurring(r, { start_date: '2024-01-01', day: 15 });
+    expect(await recurring.materializeRecurring('2024-02-15')).toEqual([]);
+    expect(recurring.loadExecutions('pending').map(e => e.id)).toEqual([january.id, february.id]);
+  });
+
+  test('an execution cannot be moved onto a date the plan is still to run on', async () => {
+    recurring.createRecurring(plan({}));
+    const [january] = await recurring.materializeRecurring('2024-01-15');
+    expect(() => recurring.updateExecution(january, { date: '2024-02-15' })).toThrow('already runs on 2024-02-15');
+    recurring.updateExecution(january, { date: '2024-02-14' });
+
+    const [february] = await recurring.materializeRecurring('2024-02-15');
+    expect(february).toMatchObject({ date: '2024-02-15', scheduled_date: '2024-02-15' });
+    expect(recurring.loadExecutions('pending').map(e => e.date)).toEqual(['2024-02-14', '2024-02-15']);
+  });
+
+  test('skipped executions stay skipped', async () => {
+    recurring.createRecurring(plan({}));
+    const [execution] = await recurring.materializeRecurring('2024-01-15');
+    expect(recurring.skipExecution(execution).status).toBe('skipped');
+    expect(() => recurring.updateExecution(recurring.getExecution(execution.id), { price: 1 })).toThrow('already skipped');
+    expect(recurring.loadExecutions('pending')).toEqual([]);
+    expect(recurring.loadExecutions('skipped')[0]).toMatchObject({ id: execution.id, account_name: 'Broker' });
+  });
+});
+
+describe('Upcoming Executions', () => {
+  test('lists pending executions and scheduled dates after the last run', async () => {
+    recurring.createRecurring(plan({}));
+    recurring.createRecurring(plan({ type: 'deposit', amount: 500, day: 1 }));
+    await recurring.materializeRecurring('2024-01-20');
+    const upcoming = recurring.upcomingExecutions('2024-01-01', '2024-02-29');
+    expect(upcoming.map(e => [e.date, e.symbol, e.status])).toEqual([
+      ['2024-01-15', 'ETF', 'pending'],
+      ['2024-02-01', 'EUR', 'scheduled'],
+      ['2024-02-15', 'ETF', 'scheduled']
+    ]);
+    expect(upcoming[0]).toMatchObject({ quantity: 2, price: 50, amount: 100 });
+    expect(upcoming[1]).toMatchObject({ execution_id: null, quantity: 500, price: 1, amount: 500 });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests for risk analytics: daily returns net of flows, volatility and
+ * downside deviation, maximum drawdown with peak, trough and recovery dates,
+ * Sharpe and Sortino ratios, beta against a benchmark and the risk settings.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_history (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL NOT NULL,
+    volume REAL,
+    currency TEXT DEFAULT 'USD',
+    source TEXT DEFAULT '',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_history_coverage (
+    symbol TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const providers = require('../src/services/providers');
+const risk = require('../src/services/risk');
+
+// Up 10%, down 10%, up 10%, up to 121: the benchmark moves half as much each day
+const CLOSES = { AAPL: { '2024-01-01': 100, '2024-01-02': 110, '2024-01-03': 99, '2024-01-04': 108.9, '2024-01-05': 121 }, IDX: {} };
+let idx = 100;
+Object.keys(CLOSES.AAPL).forEach((date, i, dates) => {
+  if (i > 0) idx *= 1 + (CLOSES.AAPL[date] / CLOSES.AAPL[dates[i - 1]] - 1) / 2;
+  CLOSES.IDX[date] = idx;
+});
+// Crypto trades every day; ETH moves opposite to BTC
+CLOSES.BTC = { '2024-01-01': 100, '2024-01-02': 104, '2024-01-03': 101, '2024-01-04': 106, '2024-01-05': 103, '2024-01-06': 108, '2024-01-07': 102, '2024-01-08': 107 };
+CLOSES.ETH = Object.fromEntries(Object.entries(CLOSES.BTC).map(([date, close]) => [date, 300 - close]));
+providers.registerProvider({
+  name: 'fake',
+  label: 'Fake',
+  async quote() { throw new Error('not used'); },
+  async quotes() { return {}; },
+  async search() { return []; },
+  async history(symbol) {
+    return Object.entries(CLOSES[symbol] || {}).map(([date, close]) => ({ date, close, currency: 'EUR' }));
+  }
+});
+
+beforeAll(() => {
+  providers.saveProviderConfig({ default: 'fake' });
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Main', 'EUR'), (2, 'Property', 'EUR'), (3, 'Crypto', 'EUR')").run();
+  const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, date) VALUES (?, ?, ?, ?, ?, ?)');
+  tx.run(1, 'AAPL', 'buy', 10, 100, '2024-01-01');
+  tx.run(2, 'HOUSE', 'buy', 1, 1000, '2024-01-01');
+  tx.run(3, 'BTC', 'buy', 1, 100, '2024-01-01');
+  tx.run(3, 'ETH', 'buy', 1, 200, '2024-01-01');
+  const valuation = mockDb.prepare("INSERT INTO valuations (symbol, date, value, currency) VALUES ('HOUSE', ?, ?, 'EUR')");
+  valuation.run('2024-01-01', 1000);
+  valuation.run('2024-01-03', 900);
+  valuation.run('2024-01-05', 1100);
+});
+
+describe('Risk Measures', () => {
+  test('daily returns exclude the day flows and start once there is a value', () => {
+    const returns = risk.periodReturns('2024-01-01', 0, [
+      { date: '2024-01-02', value: 1000, flow: 1000 },
+      { date: '2024-01-03', value: 2100, flow: 1000 },
+      { date: '2024-01-04', value: 1890, flow: 0 }
+    ]);
+    expect(returns.map(r => r.from)).toEqual(['2024-01-02', '2024-01-03']);
+    expect(returns[0].value).toBeCloseTo(0.1);
+    expect(returns[1].value).toBeCloseTo(-0.1);
+  });
+
+  test('volatility and downside deviation are annualized', () => {
+    expect(risk.volatility([0.01, -0.01], 252)).toBeCloseTo(Math.sqrt(0.0002 * 252));
+    expect(risk.volatility([0.01], 252)).toBeNull();
+    expect(risk.downsideDeviation([0.02, -0.02], 0, 1)).toBeCloseTo(Math.sqrt(0.0002));
+  });
+
+  test('beta and correlation against the benchmark returns', () => {
+    expect(risk.beta([0.02, -0.04, 0.06], [0.01, -0.02, 0.03])).toEqual({ beta: 2, correlation: 1 });
+    expect(risk.beta([0.02, -0.04], [0.01, 0.01])).toEqual({ beta: null, correlation: null });
+  });
+
+  test('maximum drawdown keeps its peak, trough and recovery dates', () => {
+    const returns = [['01-02', 0.1], ['01-03', -0.2], ['01-04', 0.1], ['01-05', 0.2], ['01-06', -0.05]]
+      .map(([day, value], i, all) => ({ from: `2024-${i ? all[i - 1][0] : '01-01'}`, date: `2024-${day}`, value }));
+    const { max, series } = risk.drawdowns(returns);
+    expect(max).toMatchObject({ peak_date: '2024-01-02', trough_date: '2024-01-03', recovery_date: '2024-01-05' });
+    expect(max.value).toBeCloseTo(-0.2);
+    expect(series.map(p => p.value)).toEqual([0, expect.closeTo(-0.2), expect.closeTo(-0.12), 0, expect.closeTo(-0.05)]);
+  });
+});
+
+describe('Risk Report', () => {
+  test('measures the account from its daily values', async () => {
+    const report = await risk.getRiskReport('all', { accountId: 1 }, { benchmark: 'IDX', riskFreeRate: 0.02 }, '2024-01-05');
+    expect(report).toMatchObject({ start: '2024-01-01', observations: 4, risk_free_rate: 0.02, account_id: 1 });
+    expect(report.max_drawdown).toMatchObject({ peak_date: '2024-01-02', trough_date: '2024-01-03', recovery_date: '2024-01-05' });
+    expect(report.max_drawdown.value).toBeCloseTo(-0.1);
+    expect(report.annualized_return).toBeCloseTo(Math.pow(1.21, 365 / 4) - 1);
+    expect(report.sharpe).toBeCloseTo((report.annualized_return - 0.02) / report.volatility);
+    expect(report.sortino).toBeCloseTo((report.annualized_return - 0.02) / report.downside_deviation);
+    expect(report.benchmark.symbol).toBe('IDX');
+    expect(report.benchmark.beta).toBeCloseTo(2);
+    expect(report.benchmark.correlation).toBeCloseTo(1);
+    expect(report.drawdown.map(p => p.date)).toEqual(['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05']);
+  });
+
+  test('manually valued assets change value on their valuation days', async () => {
+    const report = await risk.getRiskReport('all', { accountId: 2 }, {}, '2024-01-05');
+    expect(report.drawdown.map(p => p.date)).toEqual(['2024-01-03', '2024-01-05']);
+    expect(report.max_drawdown).toMatchObject({ peak_date: '2024-01-01', trough_date: '2024-01-03', recovery_date: '2024-01-05' });
+    expect(report.max_drawdown.value).toBeCloseTo(-0.1);
+  });
+
+  test('uses the saved risk-free rate and no benchmark by default', async () => {
+    expect(() => risk.saveRiskSettings({ risk_free_rate: 3 })).toThrow('between -100% and 100%');
+    expect(() => risk.saveRiskSettings({ risk_free_rate: 'abc' })).toThrow('between -100% and 100%');
+    expect(risk.saveRiskSettings({ risk_free_rate: 0.03 })).toEqual({ risk_free_rate: 0.03 });
+
+    const report = await risk.getRiskReport('all', { accountId: 1 }, {}, '2024-01-05');
+    expect(report.risk_free_rate).toBe(0.03);
+    expect(report.benchmark).toBeNull();
+  });
+});
+
+describe('Correlation', () => {
+  test('aligns returns on the days both series have a close', () => {
+    const weekdays = new Map([['2024-01-05', 100], ['2024-01-08', 110]]);
+    const daily = new Map([['2024-01-05', 50], ['2024-01-06', 60], ['2024-01-07', 40], ['2024-01-08', 45]]);
+    const [a, b] = risk.alignedReturns(weekdays, daily);
+    expect(a).toEqual([expect.closeTo(0.1)]);
+    expect(b).toEqual([expect.closeTo(-0.1)]);
+  });
+
+  test('correlates the held symbols of an account', async () => {
+    const result = await risk.getCorrelationMatrix('all', 3, '2024-01-08');
+    expect(result).toMatchObject({ start: '2024-01-01', symbols: ['BTC', 'ETH'], skipped: [] });
+    expect(result.matrix[0][0]).toBe(1);
+    expect(result.matrix[0][1]).toBeLessThan(-0.9);
+    expect(result.matrix[1][0]).toBe(result.matrix[0][1]);
+    expect(result.pairs).toEqual([{ symbols: ['BTC', 'ETH'], correlation: result.matrix[0][1], observations: 7 }]);
+  });
+
+  test('skips manually valued symbols and leaves pairs with too few common days empty', async () => {
+    const result = await risk.getCorrelationMatrix('all', undefined, '2024-01-08');
+    expect(result.symbols).toEqual(['AAPL', 'BTC', 'ETH']);
+    expect(result.skipped).toEqual([{ symbol: 'HOUSE', reason: 'Manually valued' }]);
+    // AAPL has four returns in common with the crypto assets
+    expect(result.matrix[0][1]).toBeNull();
+    expect(result.pairs.map(p => p.symbols)).toEqual([['BTC', 'ETH']]);
+  });
+});
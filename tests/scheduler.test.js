@@ -0,0 +1,352 @@
+/**
+ * Tests for the background scheduler: configuration, cadence checks,
+ * separate crypto / exchange refreshes, currency rate updates and the scheduled
+ * daily snapshot and recurring executions.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS daily_wealth (
+    date TEXT NOT NULL,
+    total_wealth REAL NOT NULL DEFAULT 0,
+    total_cost REAL NOT NULL DEFAULT 0,
+    base_currency TEXT DEFAULT 'EUR',
+    details TEXT DEFAULT '{}',
+    dirty INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (date)
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_history (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL NOT NULL,
+    volume REAL,
+    currency TEXT DEFAULT 'USD',
+    source TEXT DEFAULT '',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_history_coverage (
+    symbol TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    next_date TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running',
+    processed_days INTEGER NOT NULL DEFAULT 0,
+    total_days INTEGER NOT NULL DEFAULT 0,
+    error TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS liabilities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'loan' CHECK(type IN ('mortgage','loan','credit_card','other')),
+    currency TEXT DEFAULT 'EUR',
+    principal REAL NOT NULL DEFAULT 0,
+    interest_rate REAL NOT NULL DEFAULT 0,
+    start_date TEXT NOT NULL,
+    payment_amount REAL NOT NULL DEFAULT 0,
+    payment_frequency TEXT NOT NULL DEFAULT 'monthly' CHECK(payment_frequency IN ('weekly','monthly','quarterly','yearly')),
+    amortization TEXT NOT NULL DEFAULT 'annuity' CHECK(amortization IN ('annuity','linear')),
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS liability_repayments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    liability_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    amount REAL NOT NULL,
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (liability_id) REFERENCES liabilities(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS recurring_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'buy' CHECK(type IN ('buy','sell','deposit','withdrawal')),
+    amount REAL DEFAULT NULL,
+    quantity REAL DEFAULT NULL,
+    price REAL DEFAULT NULL,
+    fee REAL NOT NULL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    frequency TEXT NOT NULL DEFAULT 'monthly' CHECK(frequency IN ('weekly','monthly','quarterly')),
+    day INTEGER NOT NULL DEFAULT 1,
+    start_date TEXT NOT NULL,
+    end_date TEXT DEFAULT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    notes TEXT DEFAULT '',
+    last_run_date TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS recurring_executions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recurring_id INTEGER NOT NULL,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    date TEXT NOT NULL,
+    scheduled_date TEXT NOT NULL,
+    quantity REAL DEFAULT NULL,
+    price REAL DEFAULT NULL,
+    fee REAL NOT NULL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','confirmed','skipped')),
+    transaction_id INTEGER DEFAULT NULL,
+    error TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(recurring_id, scheduled_date),
+    FOREIGN KEY (recurring_id) REFERENCES recurring_transactions(id) ON DELETE CASCADE,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const providers = require('../src/services/providers');
+const scheduler = require('../src/services/scheduler');
+
+const fetched = [];
+providers.registerProvider({
+  name: 'fake',
+  label: 'Fake',
+  async quote(symbol) { return { symbol, price: 1, currency: 'EUR', name: symbol, change_percent: 0 }; },
+  async quotes(symbols) {
+    const result = {};
+    for (const s of symbols) {
+      fetched.push(s);
+      result[s] = { symbol: s, price: s === 'BTC-USD' ? 50000 : 100, currency: 'EUR', name: s, change_percent: 0 };
+    }
+    return result;
+  },
+  async history() { return []; },
+  async search() { return []; }
+});
+
+beforeAll(() => {
+  providers.saveProviderConfig({ default: 'fake' });
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Main', 'EUR')").run();
+  const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, date) VALUES (?, ?, ?, ?, ?, ?)');
+  tx.run(1, 'BTC-USD', 'buy', 0.5, 30000, '2024-01-01');
+  tx.run(1, 'AAPL', 'buy', 10, 90, '2024-01-01');
+  tx.run(1, 'HOUSE', 'buy', 1, 200000, '2024-01-01');
+  mockDb.prepare("INSERT INTO valuations (symbol, date, value, currency) VALUES ('HOUSE', '2024-01-01', 250000, 'EUR')").run();
+});
+
+beforeEach(() => {
+  fetched.length = 0;
+});
+
+describe('Scheduler Configuration', () => {
+  test('returns defaults when nothing is saved', () => {
+    expect(scheduler.getSchedulerConfig()).toEqual(scheduler.DEFAULT_SCHEDULER_CONFIG);
+  });
+
+  test('validates intervals and snapshot time', () => {
+    expect(() => scheduler.saveSchedulerConfig({ crypto_interval_minutes: 0 })).toThrow('whole number');
+    expect(() => scheduler.saveSchedulerConfig({ market_interval_minutes: 2.5 })).toThrow('whole number');
+    expect(() => scheduler.saveSchedulerConfig({ snapshot_time: '25:00' })).toThrow('HH:MM');
+    expect(() => scheduler.saveSchedulerConfig({ fx_interval_minutes: -5 })).toThrow('whole number');
+  });
+
+  test('merges partial updates into the saved config', () => {
+    scheduler.saveSchedulerConfig({ crypto_interval_minutes: 10 });
+    const config = scheduler.saveSchedulerConfig({ snapshot_time: '22:00' });
+    expect(config).toMatchObject({ crypto_interval_minutes: 10, snapshot_time: '22:00', market_interval_minutes: 60 });
+  });
+});
+
+describe('Cadence Checks', () => {
+  test('isDue compares against the interval', () => {
+    const last = new Date(Date.UTC(2024, 0, 1, 12, 0));
+    expect(scheduler.isDue(null, 15, last)).toBe(true);
+    expect(scheduler.isDue(last, 15, new Date(Date.UTC(2024, 0, 1, 12, 14)))).toBe(false);
+    expect(scheduler.isDue(last, 15, new Date(Date.UTC(2024, 0, 1, 12, 15)))).toBe(true);
+  });
+
+  test('snapshot is due once per day after the configured time', () => {
+    const evening = new Date(Date.UTC(2024, 0, 1, 22, 30));
+    expect(scheduler.isSnapshotDue(new Date(Date.UTC(2024, 0, 1, 21, 59)), '22:00', null)).toBe(false);
+    expect(scheduler.isSnapshotDue(evening, '22:00', null)).toBe(true);
+    expect(scheduler.isSnapshotDue(evening, '22:00', '2024-01-01')).toBe(false);
+    expect(scheduler.isSnapshotDue(evening, '22:00', '2023-12-31')).toBe(true);
+  });
+
+  test('held symbols are split by trading calendar, skipping manual valuations', () => {
+    expect(scheduler.getHeldSymbols()).toEqual({ crypto: ['BTC-USD'], market: ['AAPL'] });
+  });
+});
+
+describe('Scheduler Tick', () => {
+  test('refreshes only crypto on a weekend morning', async () => {
+    await scheduler.runSchedulerTick(new Date(Date.UTC(2024, 5, 1, 9, 0))); // Saturday
+    expect(fetched).toEqual(['BTC-USD']);
+    expect(mockDb.prepare('SELECT COUNT(*) AS count FROM daily_wealth').get().count).toBe(0);
+  });
+
+  test('respects cadences and writes the snapshot after the configured time', async () => {
+    await scheduler.runSchedulerTick(new Date(Date.UTC(2024, 5, 3, 22, 5))); // Monday
+    expect(fetched).toEqual(['BTC-USD', 'AAPL']);
+
+    fetched.length = 0;
+    await scheduler.runSchedulerTick(new Date(Date.UTC(2024, 5, 3, 22, 10)));
+    expect(fetched).toEqual([]);
+
+    const snapshot = mockDb.prepare('SELECT * FROM daily_wealth WHERE date = ?').get('2024-06-03');
+    expect(snapshot.total_wealth).toBeCloseTo(0.5 * 50000 + 10 * 100 + 250000);
+
+    const status = scheduler.getSchedulerStatus();
+    expect(status.last_snapshot_date).toBe('2024-06-03');
+    expect(status.active).toBe(false);
+  });
+
+  test('disabled scheduler does nothing unless forced', async () => {
+    scheduler.saveSchedulerConfig({ enabled: false });
+    await scheduler.runSchedulerTick(new Date(Date.UTC(2024, 5, 10, 12, 0)));
+    expect(fetched).toEqual([]);
+
+    await scheduler.runSchedulerTick(new Date(Date.UTC(2024, 5, 10, 12, 1)), true);
+    expect(fetched).toEqual(['BTC-USD', 'AAPL']);
+    expect(mockDb.prepare('SELECT * FROM daily_wealth WHERE date = ?').get('2024-06-10')).toBeDefined();
+    scheduler.saveSchedulerConfig({ enabled: true });
+  });
+
+  test('currency rates are refreshed only when enabled', async () => {
+    mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (2, 'US', 'USD')").run();
+
+    await scheduler.runSchedulerTick(new Date(Date.UTC(2024, 5, 11, 12, 0)), true);
+    expect(fetched).not.toContain('USDEUR=X');
+    expect(scheduler.getSchedulerStatus().last_fx_refresh).toBeNull();
+
+    scheduler.saveSchedulerConfig({ fx_enabled: true, fx_interval_minutes: 60 });
+    fetched.length = 0;
+    await scheduler.runSchedulerTick(new Date(Date.UTC(2024, 5, 11, 12, 30)));
+    expect(fetched).toContain('USDEUR=X');
+    expect(mockDb.prepare("SELECT * FROM currency_rates WHERE from_currency = 'USD'").get()).toMatchObject({ rate: 100, source: 'fake' });
+
+    fetched.length = 0;
+    await scheduler.runSchedulerTick(new Date(Date.UTC(2024, 5, 11, 13, 0)));
+    expect(fetched).not.toContain('USDEUR=X');
+    expect(scheduler.getSchedulerStatus().last_fx_refresh).toBe(new Date(Date.UTC(2024, 5, 11, 12, 30)).toISOString());
+
+    // An unchanged rate leaves the day's snapshot alone and queues no rebuild
+    while (mockDb.prepare("SELECT id FROM backfill_jobs WHERE status = 'running'").get()) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    expect(mockDb.prepare("SELECT dirty FROM daily_wealth WHERE date = '2024-06-11'").get().dirty).toBe(0);
+    const jobs = mockDb.prepare('SELECT COUNT(*) AS count FROM backfill_jobs').get().count;
+    await scheduler.runSchedulerTick(new Date(Date.UTC(2024, 5, 11, 13, 30)));
+    expect(scheduler.getSchedulerStatus().last_fx_refresh).toBe(new Date(Date.UTC(2024, 5, 11, 13, 30)).toISOString());
+    expect(mockDb.prepare('SELECT COUNT(*) AS count FROM backfill_jobs').get().count).toBe(jobs);
+    expect(mockDb.prepare("SELECT dirty FROM daily_wealth WHERE date = '2024-06-11'").get().dirty).toBe(0);
+    scheduler.saveSchedulerConfig({ fx_enabled: false });
+  });
+
+  test('materializes due recurring executions', async () => {
+    mockDb.prepare("INSERT INTO recurring_transactions (account_id, symbol, type, amount, frequency, day, start_date) VALUES (1, 'EUR', 'deposit', 200, 'monthly', 1, '2024-06-01')").run();
+    await scheduler.runSchedulerTick(new Date(Date.UTC(2024, 6, 2, 12, 0)));
+    const executions = mockDb.prepare('SELECT date, status FROM recurring_executions ORDER BY date').all();
+    expect(executions).toEqual([{ date: '2024-06-01', status: 'pending' }, { date: '2024-07-01', status: 'pending' }]);
+    expect(scheduler.getSchedulerStatus().last_recurring_run).toBe(new Date(Date.UTC(2024, 6, 2, 12, 0)).toISOString());
+  });
+});
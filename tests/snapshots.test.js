@@ -0,0 +1,349 @@
+/**
+ * Tests for daily wealth snapshots and the backfill job: replaying transactions
+ * as of each day, carrying closes over non-trading days, progress and resuming,
+ * and recomputing snapshots invalidated by transaction changes.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS daily_wealth (
+    date TEXT NOT NULL,
+    total_wealth REAL NOT NULL DEFAULT 0,
+    total_cost REAL NOT NULL DEFAULT 0,
+    base_currency TEXT DEFAULT 'EUR',
+    details TEXT DEFAULT '{}',
+    dirty INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (date)
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_history (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL NOT NULL,
+    volume REAL,
+    currency TEXT DEFAULT 'USD',
+    source TEXT DEFAULT '',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_history_coverage (
+    symbol TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    next_date TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running',
+    processed_days INTEGER NOT NULL DEFAULT 0,
+    total_days INTEGER NOT NULL DEFAULT 0,
+    error TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS liabilities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'loan' CHECK(type IN ('mortgage','loan','credit_card','other')),
+    currency TEXT DEFAULT 'EUR',
+    principal REAL NOT NULL DEFAULT 0,
+    interest_rate REAL NOT NULL DEFAULT 0,
+    start_date TEXT NOT NULL,
+    payment_amount REAL NOT NULL DEFAULT 0,
+    payment_frequency TEXT NOT NULL DEFAULT 'monthly' CHECK(payment_frequency IN ('weekly','monthly','quarterly','yearly')),
+    amortization TEXT NOT NULL DEFAULT 'annuity' CHECK(amortization IN ('annuity','linear')),
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS liability_repayments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    liability_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    amount REAL NOT NULL,
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (liability_id) REFERENCES liabilities(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const providers = require('../src/services/providers');
+const snapshots = require('../src/services/snapshots');
+
+// Closes on trading days only; 2024-01-04 is missing to exercise carry-over
+const CLOSES = { '2024-01-02': 100, '2024-01-03': 110, '2024-01-05': 120 };
+let offline = false;
+providers.registerProvider({
+  name: 'fake',
+  label: 'Fake',
+  async quote() { throw new Error('not used'); },
+  async quotes() { return {}; },
+  async search() { return []; },
+  async history() {
+    if (offline) throw new Error('network down');
+    return Object.entries(CLOSES).map(([date, close]) => ({ date, close, currency: 'EUR' }));
+  }
+});
+
+async function waitForJob(id) {
+  let job = snapshots.getBackfillJob(id);
+  while (job.status === 'running') {
+    await new Promise(resolve => setImmediate(resolve));
+    job = snapshots.getBackfillJob(id);
+  }
+  return job;
+}
+
+function wealthOn(date) {
+  const row = mockDb.prepare('SELECT total_wealth FROM daily_wealth WHERE date = ?').get(date);
+  return row ? row.total_wealth : undefined;
+}
+
+beforeAll(() => {
+  providers.saveProviderConfig({ default: 'fake' });
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Main', 'EUR')").run();
+  const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, date) VALUES (?, ?, ?, ?, ?, ?)');
+  tx.run(1, 'AAPL', 'buy', 10, 90, '2024-01-02');
+  tx.run(1, 'AAPL', 'sell', 5, 110, '2024-01-04T15:30:00');
+});
+
+beforeEach(() => {
+  mockDb.exec('DELETE FROM daily_wealth; DELETE FROM backfill_jobs; DELETE FROM price_history; DELETE FROM price_history_coverage;');
+  offline = false;
+});
+
+describe('Backfill Jobs', () => {
+  test('first activity date comes from transactions', () => {
+    expect(snapshots.getFirstActivityDate()).toBe('2024-01-02');
+  });
+
+  test('creates a job covering every calendar day', () => {
+    const job = snapshots.createBackfillJob('2024-01-01', '2024-01-31');
+    expect(job).toMatchObject({ status: 'running', next_date: '2024-01-01', processed_days: 0, total_days: 31 });
+  });
+
+  test('values each day with the holdings and close as of that day', async () => {
+    const job = snapshots.createBackfillJob('2024-01-01', '2024-01-06');
+    const done = await snapshots.runBackfillJob(job.id);
+
+    expect(done).toMatchObject({ status: 'completed', processed_days: 6, next_date: '2024-01-07' });
+    expect(wealthOn('2024-01-01')).toBe(0);
+    expect(wealthOn('2024-01-02')).toBeCloseTo(1000);
+    expect(wealthOn('2024-01-03')).toBeCloseTo(1100);
+    // Sold half; no close on the 4th so the 3rd carries over
+    expect(wealthOn('2024-01-04')).toBeCloseTo(550);
+    expect(wealthOn('2024-01-05')).toBeCloseTo(600);
+    expect(wealthOn('2024-01-06')).toBeCloseTo(600);
+  });
+
+  test('pausing stops the job before the next chunk', async () => {
+    const job = snapshots.createBackfillJob('2024-01-01', '2024-01-06');
+    const running = snapshots.runBackfillJob(job.id);
+    snapshots.pauseBackfillJob(job.id);
+
+    const paused = await running;
+    expect(paused.status).toBe('paused');
+    expect(paused.processed_days).toBe(0);
+    expect(wealthOn('2024-01-02')).toBeUndefined();
+  });
+
+  test('resumes from next_date with holdings replayed up to it', async () => {
+    const job = snapshots.createBackfillJob('2024-01-01', '2024-01-06');
+    mockDb.prepare("UPDATE backfill_jobs SET status = 'paused', next_date = '2024-01-05', processed_days = 4 WHERE id = ?").run(job.id);
+
+    const done = await snapshots.runBackfillJob(job.id);
+    expect(done).toMatchObject({ status: 'completed', processed_days: 6 });
+    expect(wealthOn('2024-01-04')).toBeUndefined();
+    expect(wealthOn('2024-01-05')).toBeCloseTo(600);
+  });
+
+  test('falls back to cached prices when history is unavailable', async () => {
+    offline = true;
+    mockDb.prepare("INSERT OR REPLACE INTO price_cache (symbol, price, currency) VALUES ('AAPL', 130, 'EUR')").run();
+
+    const job = snapshots.createBackfillJob('2024-01-05', '2024-01-05');
+    await snapshots.runBackfillJob(job.id);
+    expect(wealthOn('2024-01-05')).toBeCloseTo(650);
+    mockDb.exec('DELETE FROM price_cache');
+  });
+
+  test('a completed job is not run again', async () => {
+    const job = snapshots.createBackfillJob('2024-01-05', '2024-01-05');
+    await snapshots.runBackfillJob(job.id);
+    mockDb.exec('DELETE FROM daily_wealth');
+
+    const again = await snapshots.runBackfillJob(job.id);
+    expect(again.status).toBe('completed');
+    expect(wealthOn('2024-01-05')).toBeUndefined();
+  });
+});
+
+describe('Snapshot Invalidation', () => {
+  const dirtyDates = () => mockDb.prepare('SELECT date FROM daily_wealth WHERE dirty = 1 ORDER BY date').all().map(r => r.date);
+
+  test('marks every snapshot from the earliest changed date', () => {
+    const insert = mockDb.prepare('INSERT INTO daily_wealth (date, total_wealth) VALUES (?, 1)');
+    for (const date of ['2024-01-01', '2024-01-03', '2024-01-05']) insert.run(date);
+
+    expect(snapshots.markSnapshotsDirty('2024-01-05', '2024-01-02T10:00:00', null)).toBe(2);
+    expect(dirtyDates()).toEqual(['2024-01-03', '2024-01-05']);
+    expect(snapshots.getDirtyRange()).toEqual({ start: '2024-01-03', end: '2024-01-05', days: 2 });
+  });
+
+  test('recompute rebuilds the dirty range and clears the flag', async () => {
+    const insert = mockDb.prepare('INSERT INTO daily_wealth (date, total_wealth, dirty) VALUES (?, 1, 1)');
+    for (const date of ['2024-01-03', '2024-01-05']) insert.run(date);
+
+    const job = snapshots.recomputeDirtySnapshots();
+    expect(job).toMatchObject({ start_date: '2024-01-03', end_date: '2024-01-05' });
+    expect((await waitForJob(job.id)).status).toBe('completed');
+
+    expect(dirtyDates()).toEqual([]);
+    expect(wealthOn('2024-01-03')).toBeCloseTo(1100);
+    expect(wealthOn('2024-01-05')).toBeCloseTo(600);
+    expect(snapshots.getDirtyRange()).toBeUndefined();
+  });
+
+  test('waits while another backfill is running', () => {
+    mockDb.prepare("INSERT INTO daily_wealth (date, total_wealth, dirty) VALUES ('2024-01-03', 1, 1)").run();
+    snapshots.createBackfillJob('2024-01-01', '2024-01-02');
+    expect(snapshots.recomputeDirtySnapshots()).toBeUndefined();
+  });
+
+  test('a failed job for the dirty range is retried after a while instead of repeated', async () => {
+    mockDb.prepare("INSERT INTO daily_wealth (date, total_wealth, dirty) VALUES ('2024-01-05', 1, 1)").run();
+    const failed = snapshots.createBackfillJob('2024-01-05', '2024-01-05');
+    mockDb.prepare("UPDATE backfill_jobs SET status = 'failed', next_date = '2024-01-06', error = 'Provider down' WHERE id = ?").run(failed.id);
+    const jobCount = () => mockDb.prepare('SELECT COUNT(*) AS n FROM backfill_jobs').get().n;
+    const count = jobCount();
+
+    expect(snapshots.recomputeDirtySnapshots()).toBeUndefined();
+    expect(jobCount()).toBe(count);
+
+    mockDb.prepare("UPDATE backfill_jobs SET updated_at = datetime('now', '-1 hour') WHERE id = ?").run(failed.id);
+    const retried = snapshots.recomputeDirtySnapshots();
+    expect(retried).toMatchObject({ id: failed.id, status: 'running', next_date: '2024-01-05', error: null });
+    expect((await waitForJob(failed.id)).status).toBe('completed');
+    expect(jobCount()).toBe(count);
+    expect(wealthOn('2024-01-05')).toBeCloseTo(600);
+  });
+
+  test('a paused job for the dirty range is left for the user to resume', () => {
+    mockDb.prepare("INSERT INTO daily_wealth (date, total_wealth, dirty) VALUES ('2024-01-04', 1, 1)").run();
+    const job = snapshots.createBackfillJob('2024-01-04', '2024-01-04');
+    snapshots.pauseBackfillJob(job.id);
+
+    expect(snapshots.recomputeDirtySnapshots()).toBeUndefined();
+    expect(snapshots.getBackfillJob(job.id).status).toBe('paused');
+  });
+
+  test('a running job reloads transactions changed mid-run', async () => {
+    const job = snapshots.createBackfillJob('2024-01-05', '2024-01-05');
+    const running = snapshots.runBackfillJob(job.id);
+
+    // Another buy arrives while the job is fetching history
+    const { lastInsertRowid } = mockDb.prepare(
+      "INSERT INTO transactions (account_id, symbol, type, quantity, price, date) VALUES (1, 'AAPL', 'buy', 5, 100, '2024-01-03')"
+    ).run();
+    snapshots.markSnapshotsDirty('2024-01-03');
+
+    await running;
+    expect(wealthOn('2024-01-05')).toBeCloseTo(1200);
+    mockDb.prepare('DELETE FROM transactions WHERE id = ?').run(lastInsertRowid);
+  });
+});
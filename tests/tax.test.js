@@ -0,0 +1,241 @@
+/**
+ * Tests for the realized gains report: closing trades per lot with proceeds,
+ * cost basis and fees in the base currency, short- and long-term holding
+ * periods and totals per tax year.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const {
+  holdingTerm, getRealizedGainsReport, taxFreeFrom, findTaxClass, getTaxStatus, estimateSale,
+  getTaxProfile, saveTaxProfile, TAX_PROFILE_PRESETS
+} = require('../src/services/tax');
+const { getPositions } = require('../src/services/wealth');
+
+const GERMANY = TAX_PROFILE_PRESETS.de;
+
+beforeAll(() => {
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Brokerage', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (2, 'Tokyo', 'JPY')").run();
+
+  const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, fee, currency, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+  tx.run(1, 'ACME', 'buy', 10, 100, 10, 'EUR', '2022-01-15');
+  tx.run(1, 'ACME', 'buy', 10, 120, 0, 'EUR', '2023-06-01');
+  tx.run(1, 'ACME', 'sell', 15, 150, 15, 'EUR', '2023-07-01');
+  tx.run(1, 'ACME', 'sell', 5, 90, 0, 'EUR', '2024-02-01');
+  tx.run(2, '7203.T', 'buy', 100, 2000, 0, 'JPY', '2024-01-10');
+  tx.run(2, '7203.T', 'sell', 50, 2500, 0, 'JPY', '2024-05-10');
+
+  mockDb.prepare("INSERT INTO accounts (id, name, type, currency) VALUES (3, 'Wallet', 'crypto', 'EUR')").run();
+  tx.run(3, 'BTC-EUR', 'buy', 1, 20000, 0, 'EUR', '2023-01-10');
+  tx.run(3, 'BTC-EUR', 'buy', 1, 30000, 0, 'EUR', '2024-03-01');
+  mockDb.prepare("INSERT INTO price_cache (symbol, price, currency) VALUES ('BTC-EUR', 40000, 'EUR')").run();
+});
+
+describe('Holding Period', () => {
+  test('lots held for more than a year are long-term', () => {
+    expect(holdingTerm('2023-01-01', '2024-01-01')).toBe('short');
+    expect(holdingTerm('2023-01-01', '2024-01-02')).toBe('long');
+    expect(holdingTerm(null, '2024-01-02')).toBe('short');
+  });
+});
+
+describe('Closing Trades', () => {
+  test('a sale closing two lots is reported once per lot, with fees shared by quantity', () => {
+    const { disposals } = getRealizedGainsReport(2023, 1);
+    expect(disposals).toHaveLength(2);
+    expect(disposals[0]).toMatchObject({
+      symbol: 'ACME', acquired: '2022-01-15', disposed: '2023-07-01', quantity: 10, term: 'long', tax_year: 2023,
+      proceeds: 1500, cost_basis: 1000, fees: 20, gain: 480
+    });
+    expect(disposals[1]).toMatchObject({
+      acquired: '2023-06-01', quantity: 5, term: 'short', holding_days: 30,
+      proceeds: 750, cost_basis: 600, fees: 5, gain: 145
+    });
+  });
+
+  test('unconvertible closing trades are listed but left out of the totals', () => {
+    const report = getRealizedGainsReport(2024);
+    expect(report.unconverted).toBe(1);
+    expect(report.disposals.find(d => d.symbol === '7203.T')).toMatchObject({ proceeds: null, gain: null });
+    expect(report.years).toEqual([
+      expect.objectContaining({ year: 2024, total: { count: 1, proceeds: 450, cost_basis: 600, fees: 0, gain: -150 } })
+    ]);
+  });
+});
+
+describe('Tax Year Summary', () => {
+  test('totals are grouped by year of disposal and holding period, newest year first', () => {
+    const report = getRealizedGainsReport(undefined, 1);
+    expect(report.base_currency).toBe('EUR');
+    expect(report.years.map(y => y.year)).toEqual([2024, 2023]);
+
+    const [y2024, y2023] = report.years;
+    expect(y2024.short_term.gain).toBeCloseTo(-150);
+    expect(y2024.long_term.count).toBe(0);
+    expect(y2023.short_term.gain).toBeCloseTo(145);
+    expect(y2023.long_term.gain).toBeCloseTo(480);
+    expect(y2023.total).toEqual({ count: 2, proceeds: 2250, cost_basis: 1600, fees: 25, gain: 625 });
+  });
+});
+
+describe('Holding-Period Rules', () => {
+  test('asset classes are matched by account type, falling back to the catch-all class', () => {
+    expect(findTaxClass(GERMANY, 'crypto').name).toBe('Private sales');
+    expect(findTaxClass(GERMANY, 'general').name).toBe('Securities');
+  });
+
+  test('a lot becomes tax-free the day after its holding period ends', () => {
+    const privateSales = findTaxClass(GERMANY, 'crypto');
+    expect(taxFreeFrom('2023-01-10', privateSales)).toBe('2024-01-11');
+    expect(taxFreeFrom('2024-02-29', privateSales)).toBe('2025-03-01');
+    expect(taxFreeFrom('2023-01-10', findTaxClass(GERMANY, 'general'))).toBeNull();
+  });
+
+  test('tax-free units are sellable today only when the cost basis method closes them first', () => {
+    const [position] = getPositions('2024-06-01', 3);
+    const privateSales = findTaxClass(GERMANY, 'crypto');
+
+    const fifo = getTaxStatus(position, privateSales, '2024-06-01');
+    expect(fifo.lots.map(l => l.tax_free)).toEqual([true, false]);
+    expect(fifo.tax_free_quantity).toBe(1);
+    expect(fifo.sellable_tax_free_quantity).toBe(1);
+
+    expect(getTaxStatus({ ...position, cost_basis_method: 'lifo' }, privateSales, '2024-06-01').sellable_tax_free_quantity).toBe(0);
+    expect(getTaxStatus({ ...position, cost_basis_method: 'average' }, privateSales, '2024-06-01').sellable_tax_free_quantity).toBe(0);
+    expect(getTaxStatus({ ...position, cost_basis_method: 'average' }, privateSales, '2025-03-02').sellable_tax_free_quantity).toBe(2);
+  });
+});
+
+describe('Sale Estimate', () => {
+  test('splits the gain into tax-free and taxable lots and applies the allowance', () => {
+    const estimate = estimateSale(3, 'BTC-EUR', 1.5, undefined, '2024-06-01', GERMANY);
+    expect(estimate).toMatchObject({
+      tax_class: 'Private sales', price: 40000, proceeds: 60000, gain: 25000,
+      tax_free_gain: 20000, taxable_gain: 5000, allowance_remaining: 1000, taxable_after_allowance: 4000
+    });
+    expect(estimate.estimated_tax).toBeCloseTo(1680);
+    expect(estimate.lots.map(l => [l.acquired, l.quantity, l.tax_free])).toEqual([['2023-01-10', 1, true], ['2024-03-01', 0.5, false]]);
+  });
+
+  test('the allowance is reduced by taxable gains already realized this year', () => {
+    const estimate = estimateSale(1, 'ACME', 5, { price: 100, currency: 'EUR' }, '2023-12-31', { ...GERMANY, asset_classes: GERMANY.asset_classes.map(c => ({ ...c, annual_allowance: 1000 })) });
+    expect(estimate.allowance_remaining).toBe(375);
+  });
+
+  test('rejects sales larger than the position', () => {
+    expect(() => estimateSale(3, 'BTC-EUR', 3, undefined, '2024-06-01', GERMANY)).toThrow('Only 2 units');
+    expect(() => estimateSale(3, 'ETH-EUR', 1, undefined, '2024-06-01', GERMANY)).toThrow('No open position');
+  });
+});
+
+describe('Tax Profile', () => {
+  test('defaults to no tax rules', () => {
+    expect(getTaxProfile()).toEqual(TAX_PROFILE_PRESETS.none);
+  });
+
+  test('validates asset classes', () => {
+    expect(() => saveTaxProfile({ asset_classes: [] })).toThrow();
+    expect(() => saveTaxProfile({ asset_classes: [{ name: 'Stocks', tax_rate: 26 }] })).toThrow('between 0 and 1');
+    expect(() => saveTaxProfile({ asset_classes: [{ name: 'A', tax_free_after_months: 1.5 }] })).toThrow('whole number');
+    expect(() => saveTaxProfile({ asset_classes: [{ name: 'A' }, { name: 'B' }] })).toThrow();
+  });
+
+  test('saved profiles drive the realized gains report', () => {
+    const saved = saveTaxProfile(GERMANY);
+    expect(saved).toEqual(GERMANY);
+    const [y2023] = getRealizedGainsReport(2023, 1).years;
+    expect(y2023.taxable_gain).toBeCloseTo(625);
+  });
+});
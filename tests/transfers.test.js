@@ -0,0 +1,251 @@
+/**
+ * Tests for transfers between accounts: both legs booked and linked at once,
+ * lots carried over with their dates and costs, network fees, flows that stay
+ * inside the portfolio, and edits and deletes that keep the pair together.
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_cache (
+    symbol TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    name TEXT DEFAULT '',
+    change_percent REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS price_history (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL NOT NULL,
+    volume REAL,
+    currency TEXT DEFAULT 'USD',
+    source TEXT DEFAULT '',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, date)
+  );
+  CREATE TABLE IF NOT EXISTS price_history_coverage (
+    symbol TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS daily_wealth (
+    date TEXT NOT NULL,
+    total_wealth REAL NOT NULL DEFAULT 0,
+    total_cost REAL NOT NULL DEFAULT 0,
+    base_currency TEXT DEFAULT 'EUR',
+    details TEXT DEFAULT '{}',
+    dirty INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (date)
+  );
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+const { createTransfer, getLinkedLeg, linkedLegUpdate } = require('../src/services/transfers');
+const { externalFlow } = require('../src/services/performance');
+const wealth = require('../src/services/wealth');
+
+const getTx = (id) => mockDb.prepare('SELECT * FROM transactions WHERE id = ?').get(id);
+const lotsOf = (accountId) => wealth.getPositions(undefined, accountId).find(p => p.symbol === 'BTC').lots;
+
+let transfer;
+
+beforeAll(() => {
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Exchange', 'EUR'), (2, 'Wallet', 'EUR')").run();
+  const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, fee, currency, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+  tx.run(1, 'BTC', 'buy', 1, 100, 2, 'EUR', '2024-01-01');
+  tx.run(1, 'BTC', 'buy', 1, 200, 0, 'EUR', '2024-01-05');
+  transfer = createTransfer({ from_account_id: 1, to_account_id: 2, symbol: 'btc', quantity: 1.5, fee_quantity: 0.1, date: '2024-02-01' });
+});
+
+afterAll(() => {
+  mockDb.close();
+});
+
+describe('Create Transfer', () => {
+  test('books both legs linked to each other', () => {
+    const { transfer_out: out, transfer_in: into } = transfer;
+    expect(out).toMatchObject({ account_id: 1, symbol: 'BTC', type: 'transfer_out', quantity: 1.5, linked_id: into.id, date: '2024-02-01' });
+    expect(into).toMatchObject({ account_id: 2, symbol: 'BTC', type: 'transfer_in', quantity: 1.4, linked_id: out.id, date: '2024-02-01' });
+    // The average cost of the units held, without fees
+    expect(out.price).toBeCloseTo(150);
+    expect(into.price).toBe(out.price);
+    expect(out.notes).toBe('Transfer to Wallet (network fee 0.1 BTC)');
+    expect(into.notes).toBe('Transfer from Exchange (network fee 0.1 BTC)');
+    expect(getLinkedLeg(out).id).toBe(into.id);
+  });
+
+  test('rejects invalid transfers', () => {
+    const valid = { from_account_id: 1, to_account_id: 2, symbol: 'BTC', quantity: 0.1, date: '2024-02-01' };
+    expect(() => createTransfer({ ...valid, to_account_id: 1 })).toThrow('two different accounts');
+    expect(() => createTransfer({ ...valid, to_account_id: 9 })).toThrow('Unknown destination account');
+    expect(() => createTransfer({ ...valid, quantity: 0 })).toThrow('quantity must be a positive number');
+    expect(() => createTransfer({ ...valid, fee_quantity: 0.1 })).toThrow('fee_quantity');
+    expect(() => createTransfer({ ...valid, date: '01/02/2024' })).toThrow('date required');
+    expect(() => createTransfer({ ...valid, quantity: 1 })).toThrow('Only 0.5 BTC held in Exchange on 2024-02-01');
+    expect(() => createTransfer({ ...valid, date: '2023-12-31' })).toThrow('Only 0 BTC');
+  });
+});
+
+describe('Carried Lots', () => {
+  const expectCarried = (lots) => {
+    expect(lots.map(l => l.date)).toEqual(['2024-01-01', '2024-01-05']);
+    expect(lots[0].quantity).toBeCloseTo(1 * 1.4 / 1.5);
+    expect(lots[1].quantity).toBeCloseTo(0.5 * 1.4 / 1.5);
+    expect(lots[0].unit_cost).toBe(100);
+    expect(lots[0].unit_fee_base).toBe(2);
+    expect(lots[1].unit_cost).toBe(200);
+  };
+
+  test('the destination keeps the acquisition dates and costs', () => {
+    const ledger = wealth.buildLedger();
+    expectCarried(ledger['2:BTC'].lots);
+    expect(ledger['1:BTC'].lots).toEqual([{ date: '2024-01-05', quantity: 0.5, unit_cost: 200, unit_cost_base: 200, unit_fee_base: 0 }]);
+  });
+
+  test('an account on its own receives the same lots', () => {
+    expectCarried(lotsOf(2));
+    const wallet = wealth.getPositions(undefined, 2)[0];
+    expect(wallet.quantity).toBeCloseTo(1.4);
+  });
+
+  test('a context replays the other accounts once for all ledgers of an account', () => {
+    const prepare = jest.spyOn(mockDb, 'prepare');
+    const replays = () => prepare.mock.calls.filter(([sql]) => sql.includes('FROM transactions t')).length;
+    const context = wealth.loadWealthContext(2);
+    expectCarried(wealth.getPositions(undefined, 2, context)[0].lots);
+    expect(replays()).toBe(2);
+    expectCarried(wealth.getPositions('2024-03-01', 2, context)[0].lots);
+    expect(replays()).toBe(3);
+    prepare.mockRestore();
+  });
+
+  test('the units lost to the network fee become a fee at their cost', () => {
+    const lost = (1 / 15) * (100 + 2) + (0.5 / 15) * 200;
+    expect(wealth.getPositions(undefined, 2)[0].fees_base).toBeCloseTo(lost);
+    // Nothing is realized: the units never left the portfolio
+    expect(wealth.getPositions(undefined, 1)[0].realized.total).toBe(0);
+  });
+});
+
+describe('Transfer Flows', () => {
+  test('no flow for the whole portfolio, a flow for each account', () => {
+    const portfolio = wealth.loadWealthContext();
+    const [, , out, into] = wealth.loadPositionTransactions();
+    expect(externalFlow(out, portfolio)).toBe(0);
+    expect(externalFlow(into, portfolio)).toBe(0);
+
+    const [walletIn] = wealth.loadPositionTransactions(2);
+    expect(externalFlow(walletIn, wealth.loadWealthContext(2))).toBeCloseTo(1.4 * 150);
+  });
+});
+
+describe('Linked Leg Updates', () => {
+  test('shared fields follow and the network fee stays the same', () => {
+    const out = getTx(transfer.transfer_out.id);
+    const update = linkedLegUpdate(out, { ...out, quantity: 1.2, price: 160, date: '2024-02-02' });
+    expect(update).toMatchObject({ symbol: 'BTC', price: 160, date: '2024-02-02', currency: 'EUR' });
+    expect(update.quantity).toBeCloseTo(1.1);
+
+    const into = getTx(transfer.transfer_in.id);
+    expect(linkedLegUpdate(into, { ...into, quantity: 1.5 }).quantity).toBeUndefined();
+  });
+
+  test('rejects edits that break the pair', () => {
+    const out = getTx(transfer.transfer_out.id);
+    const into = getTx(transfer.transfer_in.id);
+    expect(() => linkedLegUpdate(out, { ...out, type: 'sell' })).toThrow('keep their types');
+    expect(() => linkedLegUpdate(out, { ...out, account_id: 2 })).toThrow('two different accounts');
+    expect(() => linkedLegUpdate(into, { ...into, quantity: 2 })).toThrow('cannot receive more units');
+    expect(() => linkedLegUpdate(out, { ...out, quantity: 0.1 })).toThrow('must receive some units');
+    expect(() => linkedLegUpdate(out, { ...out, quantity: 2.5 })).toThrow('Only 2 BTC held in Exchange on 2024-02-01');
+    expect(() => linkedLegUpdate(out, { ...out, quantity: 1.6, date: '2024-01-03' })).toThrow('Only 1 BTC held in Exchange on 2024-01-03');
+    expect(linkedLegUpdate(out, { ...out, quantity: 2 }).quantity).toBeCloseTo(1.9);
+  });
+
+  test('unlinked transactions need no update', () => {
+    const buy = getTx(1);
+    expect(linkedLegUpdate(buy, { ...buy, quantity: 2 })).toBeUndefined();
+  });
+});
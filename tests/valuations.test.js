@@ -0,0 +1,186 @@
+/**
+ * Tests for manual valuations and the shared valuation engine:
+ * - Latest valuation on or before a date
+ * - Symbol valuations replacing market prices
+ * - Account valuations replacing an account's market value
+ * - Valuation timeline for charts
+ */
+
+const Database = require('better-sqlite3');
+
+// Create the mock database at module level (variable name must start with 'mock')
+const mockDb = new Database(':memory:');
+
+mockDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'general',
+    currency TEXT DEFAULT 'EUR',
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT 'wallet',
+    color TEXT DEFAULT '#6366f1',
+    cost_basis_method TEXT DEFAULT 'fifo',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    type TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    price REAL NOT NULL DEFAULT 0,
+    fee REAL DEFAULT 0,
+    currency TEXT DEFAULT 'EUR',
+    fx_rate REAL DEFAULT NULL,
+    withholding_tax REAL DEFAULT 0,
+    date TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    linked_id INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS currency_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency)
+  );
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(from_currency, to_currency, date)
+  );
+  CREATE TABLE IF NOT EXISTS valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT DEFAULT NULL,
+    account_id INTEGER DEFAULT NULL,
+    date TEXT NOT NULL,
+    value REAL NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+jest.mock('../src/db/database', () => mockDb);
+
+afterAll(() => {
+  mockDb.close();
+});
+
+const { loadValuations, latestValuation, valuationTimeline } = require('../src/services/valuations');
+const { getPositions, loadWealthContext, valuePositions } = require('../src/services/wealth');
+
+beforeAll(() => {
+  mockDb.prepare("INSERT INTO users (username, password_hash, base_currency) VALUES ('admin', 'x', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (1, 'Brokerage', 'USD')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (2, 'Real Estate', 'EUR')").run();
+  mockDb.prepare("INSERT INTO accounts (id, name, currency) VALUES (3, 'Pension', 'EUR')").run();
+  mockDb.prepare("INSERT INTO currency_rates (from_currency, to_currency, rate) VALUES ('USD', 'EUR', 0.9)").run();
+
+  const tx = mockDb.prepare('INSERT INTO transactions (account_id, symbol, type, quantity, price, currency, date) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  tx.run(1, 'AAPL', 'buy', 10, 100, 'USD', '2024-01-10');
+  tx.run(1, 'AAPL', 'sell', 4, 150, 'USD', '2024-03-01');
+  tx.run(2, 'HOUSE', 'buy', 1, 300000, 'EUR', '2020-06-01');
+
+  const val = mockDb.prepare('INSERT INTO valuations (symbol, account_id, date, value, currency, notes) VALUES (?, ?, ?, ?, ?, ?)');
+  val.run('HOUSE', null, '2020-06-01', 300000, 'EUR', 'Purchase');
+  val.run('HOUSE', null, '2023-05-01', 340000, 'EUR', 'Appraisal');
+  val.run('HOUSE', null, '2024-05-01', 355000, 'EUR', 'Appraisal');
+  val.run(null, 3, '2023-12-31', 42000, 'EUR', 'Annual statement');
+});
+
+describe('Valuation Lookup', () => {
+  test('latest valuation on or before a date', () => {
+    const book = loadValuations();
+    expect(latestValuation(book.symbols.HOUSE, '2019-01-01')).toBeUndefined();
+    expect(latestValuation(book.symbols.HOUSE, '2023-05-01').value).toBe(340000);
+    expect(latestValuation(book.symbols.HOUSE, '2024-04-30').value).toBe(340000);
+    expect(latestValuation(book.symbols.HOUSE, '2025-01-01').value).toBe(355000);
+  });
+
+  test('account and symbol valuations are grouped separately', () => {
+    const book = loadValuations();
+    expect(Object.keys(book.symbols)).toEqual(['HOUSE']);
+    expect(book.accounts[3]).toHaveLength(1);
+  });
+});
+
+describe('Valuation Engine', () => {
+  test('positions are replayed up to a date', () => {
+    const early = getPositions('2024-02-01');
+    expect(early.find(p => p.symbol === 'AAPL').quantity).toBe(10);
+
+    const later = getPositions('2024-03-01');
+    const aapl = later.find(p => p.symbol === 'AAPL');
+    expect(aapl.quantity).toBe(6);
+    expect(aapl.avg_cost).toBe(100);
+  });
+
+  test('symbol valuations replace market prices as of the date', () => {
+    const context = loadWealthContext();
+    const prices = { AAPL: { price: 200, currency: 'USD' }, HOUSE: { price: 0, currency: 'USD' } };
+
+    const summary = valuePositions('2024-04-01', getPositions('2024-04-01'), prices, context);
+    const realEstate = summary.accounts.find(a => a.account_id === 2);
+    expect(realEstate.market_value).toBe(340000);
+
+    const brokerage = summary.accounts.find(a => a.account_id === 1);
+    expect(brokerage.market_value).toBeCloseTo(6 * 200 * 0.9);
+    expect(brokerage.cost_basis).toBeCloseTo(6 * 100 * 0.9);
+  });
+
+  test('account valuations add accounts without holdings', () => {
+    const context = loadWealthContext();
+
+    const before = valuePositions('2023-06-01', getPositions('2023-06-01'), {}, context);
+    expect(before.accounts.find(a => a.account_id === 3)).toBeUndefined();
+
+    const after = valuePositions('2024-06-01', getPositions('2024-06-01'), { AAPL: { price: 200, currency: 'USD' } }, context);
+    const pension = after.accounts.find(a => a.account_id === 3);
+    expect(pension).toMatchObject({ market_value: 42000, holdings_count: 0, valuation_date: '2023-12-31' });
+    expect(after.total_wealth).toBeCloseTo(355000 + 42000 + 6 * 200 * 0.9);
+  });
+
+  test('context can be limited to one account', () => {
+    const context = loadWealthContext(3);
+    expect(context.accounts.map(a => a.id)).toEqual([3]);
+  });
+});
+
+describe('Valuation Timeline', () => {
+  test('carries the opening value into the range and extends to the end', () => {
+    const book = loadValuations();
+    expect(valuationTimeline(book.symbols.HOUSE, '2024-01-01', '2024-12-31')).toEqual([
+      { date: '2024-01-01', close: 340000, currency: 'EUR' },
+      { date: '2024-05-01', close: 355000, currency: 'EUR' },
+      { date: '2024-12-31', close: 355000, currency: 'EUR' }
+    ]);
+  });
+
+  test('starts at the first valuation when none precedes the range', () => {
+    const book = loadValuations();
+    const points = valuationTimeline(book.symbols.HOUSE, '2019-01-01', '2021-01-01');
+    expect(points).toEqual([
+      { date: '2020-06-01', close: 300000, currency: 'EUR' },
+      { date: '2021-01-01', close: 300000, currency: 'EUR' }
+    ]);
+  });
+});
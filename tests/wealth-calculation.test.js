@@ -31,6 +31,7 @@ beforeAll(() => {
       description TEXT DEFAULT '',
       icon TEXT DEFAULT 'wallet',
       color TEXT DEFAULT '#6366f1',
+      cost_basis_method TEXT DEFAULT 'fifo',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
@@ -38,13 +39,16 @@ beforeAll(() => {
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       account_id INTEGER NOT NULL,
       symbol TEXT NOT NULL,
-      type TEXT NOT NULL CHECK(type IN ('buy','sell','transfer_in','transfer_out','dividend','interest','fee')),
+      type TEXT NOT NULL CHECK(type IN ('buy','sell','transfer_in','transfer_out','dividend','interest','fee','deposit','withdrawal')),
       quantity REAL NOT NULL DEFAULT 0,
       price REAL NOT NULL DEFAULT 0,
       fee REAL DEFAULT 0,
       currency TEXT DEFAULT 'EUR',
+      fx_rate REAL DEFAULT NULL,
+      withholding_tax REAL DEFAULT 0,
       date TEXT NOT NULL,
       notes TEXT DEFAULT '',
+      linked_id INTEGER DEFAULT NULL,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
     );